@@ -0,0 +1,281 @@
+// src/articleExtractor.js
+// 楼市洞察日报 - 全文提取
+// 部分 Feed（如 36氪快讯、华尔街见闻）只提供一句话摘要。对启用了全文提取的 Feed，抓取原文页面，
+// 按 readability 的思路找出正文区域，去掉导航、广告和推荐列表，保存干净的正文和首图。
+// 结果按 URL 缓存在 KV 中，同一篇文章只提取一次。
+import { parseXml } from './feedParser.js';
+import { storeInKV, getFromKV } from './kv.js';
+import { hashString } from './feedState.js';
+import { scheduledFetch } from './fetchScheduler.js';
+import { getRandomUserAgent, escapeHtml } from './helpers.js';
+
+const ARTICLE_CACHE_TTL = 86400 * 30;
+// 提取失败的结果缓存一天，避免反复请求同一个坏链接
+const FAILED_ARTICLE_CACHE_TTL = 86400;
+const MIN_ARTICLE_TEXT_LENGTH = 140;
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// 整棵子树直接丢弃的元素
+const REMOVED_ELEMENTS = new Set([
+    'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button', 'input', 'select', 'textarea',
+    'nav', 'header', 'footer', 'aside', 'canvas', 'template', 'object', 'embed', 'head',
+]);
+const NEGATIVE_PATTERN = /nav|menu|footer|header|sidebar|comment|share|social|advert|\bads?\b|banner|promo|sponsor|recommend|related|breadcrumb|toolbar|popup|modal|login|subscribe|copyright|hot-?list/i;
+const POSITIVE_PATTERN = /article|content|post|body|text|main|detail|entry|story|rich_media/i;
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'li']);
+// 输出 HTML 中保留的标签，其余标签只保留内容
+const KEPT_TAGS = new Set([
+    'p', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'strong', 'b', 'em', 'i', 'a', 'img',
+    'figure', 'figcaption', 'br', 'table', 'thead', 'tbody', 'tr', 'td', 'th', 'pre', 'code',
+]);
+const BLOCK_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'div', 'section', 'article',
+    'figure', 'figcaption', 'table', 'tr', 'pre', 'br',
+]);
+
+function isElement(node) {
+    return node && typeof node === 'object' && 'name' in node;
+}
+
+function textContent(node) {
+    if (typeof node === 'string') return node;
+    if (!isElement(node)) return node && node.cdata !== undefined ? node.cdata : '';
+    return node.children.map(textContent).join('');
+}
+
+function countText(text) {
+    return text.replace(/\s+/g, '').length;
+}
+
+function findAllElements(node, predicate, results = []) {
+    for (const child of node.children || []) {
+        if (!isElement(child)) continue;
+        if (predicate(child)) results.push(child);
+        findAllElements(child, predicate, results);
+    }
+    return results;
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url) return '';
+    try {
+        return new URL(url.trim(), baseUrl).toString();
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * 去掉导航、脚本、广告等明显不是正文的元素，返回修剪后的新节点。
+ */
+function prune(node) {
+    if (!isElement(node)) return node;
+    if (REMOVED_ELEMENTS.has(node.name)) return null;
+    const marker = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+    const hidden = /display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.attrs.style || '') || node.attrs.hidden !== undefined;
+    if (hidden || (node.name !== 'body' && node.name !== 'article' && NEGATIVE_PATTERN.test(marker) && !POSITIVE_PATTERN.test(marker))) {
+        return null;
+    }
+    const pruned = { ...node, children: [] };
+    for (const child of node.children) {
+        const kept = prune(child);
+        if (kept !== null) {
+            if (isElement(kept)) kept.parent = pruned;
+            pruned.children.push(kept);
+        }
+    }
+    return pruned;
+}
+
+function getLinkDensity(element) {
+    const textLength = countText(textContent(element));
+    if (textLength === 0) return 1;
+    const linkLength = findAllElements(element, el => el.name === 'a')
+        .reduce((sum, link) => sum + countText(textContent(link)), 0);
+    return linkLength / textLength;
+}
+
+/**
+ * 按段落为祖先元素打分，返回得分最高的正文容器。
+ */
+function findContentRoot(body) {
+    const scores = new Map();
+    const initScore = (element) => {
+        if (!scores.has(element)) {
+            const marker = `${element.attrs.class || ''} ${element.attrs.id || ''}`;
+            let score = element.name === 'article' ? 10 : (element.name === 'div' ? 5 : 0);
+            if (POSITIVE_PATTERN.test(marker)) score += 25;
+            if (NEGATIVE_PATTERN.test(marker)) score -= 25;
+            scores.set(element, score);
+        }
+    };
+
+    // 段落：<p> 等，以及直接包含较长文本的 <div>（不少中文站点用 <div><br> 排版）
+    const paragraphs = findAllElements(body, el => PARAGRAPH_TAGS.has(el.name)
+        || (el.name === 'div' && el.children.some(child => typeof child === 'string' && countText(child) >= MIN_PARAGRAPH_LENGTH)));
+
+    for (const paragraph of paragraphs) {
+        const text = textContent(paragraph);
+        const length = countText(text);
+        if (length < MIN_PARAGRAPH_LENGTH) continue;
+        const score = 1 + (text.match(/[，,。；]/g) || []).length + Math.min(Math.floor(length / 100), 3);
+
+        const parent = paragraph.parent;
+        const grandparent = parent && parent.parent;
+        if (parent && isElement(parent) && parent.name !== '#document') {
+            initScore(parent);
+            scores.set(parent, scores.get(parent) + score);
+        }
+        if (grandparent && isElement(grandparent) && grandparent.name !== '#document') {
+            initScore(grandparent);
+            scores.set(grandparent, scores.get(grandparent) + score / 2);
+        }
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+        const adjusted = score * (1 - getLinkDensity(element));
+        if (adjusted > bestScore) {
+            best = element;
+            bestScore = adjusted;
+        }
+    }
+    return best;
+}
+
+function serializeHtml(node, baseUrl) {
+    if (typeof node === 'string') return escapeHtml(node);
+    if (!isElement(node)) return node && node.cdata !== undefined ? escapeHtml(node.cdata) : '';
+
+    const inner = node.children.map(child => serializeHtml(child, baseUrl)).join('');
+    if (!KEPT_TAGS.has(node.name)) {
+        return BLOCK_TAGS.has(node.name) ? `${inner}\n` : inner;
+    }
+    if (node.name === 'br') return '<br>';
+    if (node.name === 'img') {
+        // 常见的懒加载属性
+        const src = resolveUrl(node.attrs['data-src'] || node.attrs['data-original'] || node.attrs.src, baseUrl);
+        return src && !src.startsWith('data:') ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(node.attrs.alt || '')}">` : '';
+    }
+    if (node.name === 'a') {
+        const href = resolveUrl(node.attrs.href, baseUrl);
+        return href && /^https?:/i.test(href) ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+    }
+    if (!inner.trim() && node.name !== 'td' && node.name !== 'th') return '';
+    return `<${node.name}>${inner}</${node.name}>`;
+}
+
+function serializeText(node) {
+    if (typeof node === 'string') return node.replace(/\s+/g, ' ');
+    if (!isElement(node)) return '';
+    const inner = node.children.map(serializeText).join('');
+    return BLOCK_TAGS.has(node.name) ? `\n${inner}\n` : inner;
+}
+
+function getMetaContent(documentNode, names) {
+    const metas = findAllElements(documentNode, el => el.name === 'meta');
+    for (const name of names) {
+        const meta = metas.find(el => (el.attrs.property || el.attrs.name || '').toLowerCase() === name);
+        if (meta && meta.attrs.content) return meta.attrs.content.trim();
+    }
+    return '';
+}
+
+/**
+ * 从文章页面 HTML 中提取正文。
+ * @param {string} html - The page HTML.
+ * @param {string} pageUrl - The page URL, used to resolve relative links and images.
+ * @returns {{title: string, html: string, text: string, leadImage: string}|null} Null if no article body was found.
+ */
+export function extractArticle(html, pageUrl) {
+    const documentNode = parseXml(html, { html: true });
+    const titleElement = findAllElements(documentNode, el => el.name === 'title')[0];
+    const title = getMetaContent(documentNode, ['og:title']) || (titleElement ? textContent(titleElement).trim() : '');
+    const metaImage = getMetaContent(documentNode, ['og:image', 'twitter:image']);
+
+    const body = findAllElements(documentNode, el => el.name === 'body')[0] || documentNode;
+    const pruned = prune(body);
+    if (!pruned) return null;
+
+    const contentRoot = findContentRoot(pruned);
+    if (!contentRoot) return null;
+
+    const text = serializeText(contentRoot).split('\n').map(line => line.trim()).filter(Boolean).join('\n\n');
+    if (countText(text) < MIN_ARTICLE_TEXT_LENGTH) return null;
+
+    const firstImage = findAllElements(contentRoot, el => el.name === 'img')
+        .map(img => resolveUrl(img.attrs['data-src'] || img.attrs['data-original'] || img.attrs.src, pageUrl))
+        .find(src => src && !src.startsWith('data:'));
+
+    return {
+        title,
+        html: serializeHtml(contentRoot, pageUrl).replace(/\n{2,}/g, '\n').trim(),
+        text,
+        leadImage: resolveUrl(metaImage, pageUrl) || firstImage || '',
+    };
+}
+
+/**
+ * 按 Content-Type 或页面中的 <meta charset> 解码，兼容 GBK 等中文编码的站点。
+ */
+async function readPageText(response) {
+    const buffer = await response.arrayBuffer();
+    const head = new TextDecoder('utf-8').decode(buffer.slice(0, 4096));
+    const charsetMatch = (response.headers.get('Content-Type') || '').match(/charset=([\w-]+)/i)
+        || head.match(/<meta[^>]+charset=["']?([\w-]+)/i);
+    const charset = charsetMatch ? charsetMatch[1].toLowerCase() : 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+function getArticleKey(url) {
+    return `article:${hashString(url)}`;
+}
+
+/**
+ * 获取文章全文，优先读取 KV 缓存；未缓存时抓取原文并提取，成功与失败的结果都会缓存。
+ * @param {object} env - The environment variables.
+ * @param {string} url - The article URL.
+ * @returns {Promise<object>} { url, title, html, text, leadImage, extractedAt } on success, { url, error, extractedAt } on failure.
+ */
+export async function getFullArticle(env, url) {
+    const key = getArticleKey(url);
+    const cached = await getFromKV(env.DATA_KV, key);
+    if (cached && cached.url === url) {
+        return cached;
+    }
+
+    let result;
+    try {
+        const response = await scheduledFetch(url, {
+            headers: {
+                'User-Agent': getRandomUserAgent(),
+                'Accept': 'text/html,application/xhtml+xml',
+            },
+        }, env);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType && !/html/i.test(contentType)) {
+            // 不读取响应体，释放抓取调度器的并发名额
+            if (response.body) await response.body.cancel();
+            throw new Error(`Unsupported content type: ${contentType}`);
+        }
+        const article = extractArticle(await readPageText(response), response.url || url);
+        if (!article) {
+            throw new Error('No article content found');
+        }
+        result = { url, ...article, extractedAt: new Date().toISOString() };
+        await storeInKV(env.DATA_KV, key, result, ARTICLE_CACHE_TTL);
+    } catch (error) {
+        console.warn(`Full-text extraction failed for ${url}: ${error.message}`);
+        result = { url, error: error.message, extractedAt: new Date().toISOString() };
+        await storeInKV(env.DATA_KV, key, result, FAILED_ARTICLE_CACHE_TTL);
+    }
+    return result;
+}
@@ -1,28 +1,31 @@
 // src/chatapi.js
+import { getProviderChain, getProviderLabel, isRetryableChatError } from './llmProviders.js';
+import { recordUsage, assertWithinBudget } from './usage.js';
 
 /**
  * Calls the Gemini Chat API (non-streaming).
  *
- * @param {object} env - Environment object containing GEMINI_API_URL.
+ * @param {object} provider - Provider from llmProviders.js getProviderChain().
  * @param {string} promptText - The user's prompt.
  * @param {string | null} [systemPromptText=null] - Optional system prompt text.
+ * @param {object} [settings] - Sampling parameters (temperature, topP, maxTokens) from getStepSettings(); responseFormat 'json' requests a JSON object.
+ * @param {object} [usage] - Receives { promptTokens, completionTokens } reported by the API.
  * @returns {Promise<string>} The generated text content.
- * @throws {Error} If GEMINI_API_URL is not set, or if API call fails or returns blocked/empty content.
+ * @throws {Error} If the API key is not set, or if API call fails or returns blocked/empty content.
  */
-async function callGeminiChatAPI(env, promptText, systemPromptText = null) {
-    if (!env.GEMINI_API_URL) {
-        throw new Error("GEMINI_API_URL environment variable is not set.");
-    }
-    if (!env.GEMINI_API_KEY) {
-        throw new Error("GEMINI_API_KEY environment variable is not set for Gemini models.");
-    }
-    const modelName = env.DEFAULT_GEMINI_MODEL;
-    const url = `${env.GEMINI_API_URL}/v1beta/models/${modelName}:generateContent?key=${env.GEMINI_API_KEY}`;
+async function callGeminiChatAPI(provider, promptText, systemPromptText = null, settings = {}, usage = {}) {
+    assertApiKey(provider);
+    const modelName = provider.model;
+    const url = `${provider.url}/v1beta/models/${modelName}:generateContent?key=${provider.apiKey}`;
     const payload = {
         contents: [{
             parts: [{ text: promptText }]
         }],
     };
+    const generationConfig = getGeminiGenerationConfig(settings);
+    if (Object.keys(generationConfig).length > 0) {
+        payload.generationConfig = generationConfig;
+    }
 
     if (systemPromptText && typeof systemPromptText === 'string' && systemPromptText.trim() !== '') {
         payload.systemInstruction = {
@@ -32,11 +35,11 @@ async function callGeminiChatAPI(env, promptText, systemPromptText = null) {
     }
 
     try {
-        const response = await fetch(url, {
+        const response = await fetchWithTimeout(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(payload)
-        });
+        }, provider.timeoutMs);
 
         if (!response.ok) {
             const errorBodyText = await response.text();
@@ -50,10 +53,11 @@ async function callGeminiChatAPI(env, promptText, systemPromptText = null) {
             const message = typeof errorData === 'object' && errorData.error?.message
                 ? errorData.error.message
                 : (typeof errorData === 'string' ? errorData : 'Unknown Gemini Chat API error');
-            throw new Error(`Gemini Chat API error (${response.status}): ${message}`);
+            throw httpError(`Gemini Chat API error (${response.status}): ${message}`, response.status);
         }
 
         const data = await response.json();
+        if (data.usageMetadata) readGeminiUsage(data.usageMetadata, usage);
 
         // 1. Check for prompt-level blocking first
         if (data.promptFeedback && data.promptFeedback.blockReason) {
@@ -106,21 +110,18 @@ async function callGeminiChatAPI(env, promptText, systemPromptText = null) {
 /**
  * Calls the Gemini Chat API with streaming.
  *
- * @param {object} env - Environment object containing GEMINI_API_URL.
+ * @param {object} provider - Provider from llmProviders.js getProviderChain().
  * @param {string} promptText - The user's prompt.
  * @param {string | null} [systemPromptText=null] - Optional system prompt text.
+ * @param {object} [settings] - Sampling parameters (temperature, topP, maxTokens) from getStepSettings(); responseFormat 'json' requests a JSON object.
+ * @param {object} [usage] - Receives { promptTokens, completionTokens } reported by the API.
  * @returns {AsyncGenerator<string, void, undefined>} An async generator yielding text chunks.
- * @throws {Error} If GEMINI_API_URL is not set, or if API call fails or returns blocked/empty content.
+ * @throws {Error} If the API key is not set, or if API call fails or returns blocked/empty content.
  */
-async function* callGeminiChatAPIStream(env, promptText, systemPromptText = null) {
-    if (!env.GEMINI_API_URL) {
-        throw new Error("GEMINI_API_URL environment variable is not set.");
-    }
-    if (!env.GEMINI_API_KEY) {
-        throw new Error("GEMINI_API_KEY environment variable is not set for Gemini models.");
-    }
-    const modelName = env.DEFAULT_GEMINI_MODEL;
-    const url = `${env.GEMINI_API_URL}/v1beta/models/${modelName}:streamGenerateContent?key=${env.GEMINI_API_KEY}&alt=sse`;
+async function* callGeminiChatAPIStream(provider, promptText, systemPromptText = null, settings = {}, usage = {}) {
+    assertApiKey(provider);
+    const modelName = provider.model;
+    const url = `${provider.url}/v1beta/models/${modelName}:streamGenerateContent?key=${provider.apiKey}&alt=sse`;
 
     const payload = {
         contents: [{
@@ -128,7 +129,8 @@ async function* callGeminiChatAPIStream(env, promptText, systemPromptText = null
         }],
         generationConfig: {
             temperature: 1,
-            topP: 0.95
+            topP: 0.95,
+            ...getGeminiGenerationConfig(settings),
         }
     };
 
@@ -140,12 +142,13 @@ async function* callGeminiChatAPIStream(env, promptText, systemPromptText = null
     }
 
     let response;
+    let reader;
     try {
-        response = await fetch(url, {
+        response = await fetchWithTimeout(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(payload)
-        });
+        }, provider.timeoutMs, { stream: true });
 
         if (!response.ok) {
             const errorBodyText = await response.text();
@@ -159,14 +162,14 @@ async function* callGeminiChatAPIStream(env, promptText, systemPromptText = null
             const message = typeof errorData === 'object' && errorData.error?.message
                 ? errorData.error.message
                 : (typeof errorData === 'string' ? errorData : 'Unknown Gemini Chat API error');
-            throw new Error(`Gemini Chat API error (${response.status}): ${message}`);
+            throw httpError(`Gemini Chat API error (${response.status}): ${message}`, response.status);
         }
 
         if (!response.body) {
             throw new Error("Response body is null, cannot stream.");
         }
 
-        const reader = response.body.getReader();
+        reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = "";
         let hasYieldedContent = false;
@@ -185,6 +188,8 @@ async function* callGeminiChatAPIStream(env, promptText, systemPromptText = null
 
         const handleChunkLogic = (chunk) => {
             if (!chunk) return false; // Not a valid chunk to process
+            // usageMetadata 为累计值，以最后一块为准
+            if (chunk.usageMetadata) readGeminiUsage(chunk.usageMetadata, usage);
 
             // 1. Check for prompt-level blocking (might appear in first chunk)
             if (chunk.promptFeedback && chunk.promptFeedback.blockReason) {
@@ -298,26 +303,26 @@ async function* callGeminiChatAPIStream(env, promptText, systemPromptText = null
             console.error("Error calling or streaming from Gemini Chat API:", error);
         }
         throw error;
+    } finally {
+        // 出错或调用方提前结束时关闭连接，并清除等待下一块的计时器
+        if (reader) await reader.cancel().catch(() => {});
     }
 }
 
 /**
  * Calls the OpenAI Chat API (non-streaming).
  *
- * @param {object} env - Environment object containing OPENAI_API_URL and OPENAI_API_KEY.
+ * @param {object} provider - Provider from llmProviders.js getProviderChain().
  * @param {string} promptText - The user's prompt.
  * @param {string | null} [systemPromptText=null] - Optional system prompt text.
+ * @param {object} [settings] - Sampling parameters (temperature, topP, maxTokens) from getStepSettings(); responseFormat 'json' requests a JSON object.
+ * @param {object} [usage] - Receives { promptTokens, completionTokens } reported by the API.
  * @returns {Promise<string>} The generated text content.
- * @throws {Error} If OPENAI_API_URL or OPENAI_API_KEY is not set, or if API call fails.
+ * @throws {Error} If the API key is not set, or if API call fails.
  */
-async function callOpenAIChatAPI(env, promptText, systemPromptText = null) {
-    if (!env.OPENAI_API_URL) {
-        throw new Error("OPENAI_API_URL environment variable is not set.");
-    }
-    if (!env.OPENAI_API_KEY) {
-        throw new Error("OPENAI_API_KEY environment variable is not set for OpenAI models.");
-    }
-    const url = `${env.OPENAI_API_URL}/v1/chat/completions`;
+async function callOpenAIChatAPI(provider, promptText, systemPromptText = null, settings = {}, usage = {}) {
+    assertApiKey(provider);
+    const url = `${provider.url}/v1/chat/completions`;
     
     const messages = [];
     if (systemPromptText && typeof systemPromptText === 'string' && systemPromptText.trim() !== '') {
@@ -326,26 +331,27 @@ async function callOpenAIChatAPI(env, promptText, systemPromptText = null) {
     }
     messages.push({ role: "user", content: promptText });
 
-    const modelName = env.DEFAULT_OPEN_MODEL;
+    const modelName = provider.model;
     const payload = {
         model: modelName,
         messages: messages,
-        temperature: 1,
-        max_tokens: 2048,
-        top_p: 1,
+        temperature: settings.temperature ?? 1,
+        max_tokens: settings.maxTokens ?? 2048,
+        top_p: settings.topP ?? 1,
         frequency_penalty: 0,
         presence_penalty: 0,
     };
+    if (settings.responseFormat === 'json') payload.response_format = { type: 'json_object' };
 
     try {
-        const response = await fetch(url, {
+        const response = await fetchWithTimeout(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${env.OPENAI_API_KEY}`
+                'Authorization': `Bearer ${provider.apiKey}`
             },
             body: JSON.stringify(payload)
-        });
+        }, provider.timeoutMs);
 
         if (!response.ok) {
             const errorBodyText = await response.text();
@@ -359,10 +365,11 @@ async function callOpenAIChatAPI(env, promptText, systemPromptText = null) {
             const message = typeof errorData === 'object' && errorData.error?.message
                 ? errorData.error.message
                 : (typeof errorData === 'string' ? errorData : 'Unknown OpenAI Chat API error');
-            throw new Error(`OpenAI Chat API error (${response.status}): ${message}`);
+            throw httpError(`OpenAI Chat API error (${response.status}): ${message}`, response.status);
         }
 
         const data = await response.json();
+        if (data.usage) readOpenAIUsage(data.usage, usage);
 
         if (data.choices && data.choices.length > 0 && data.choices[0].message && data.choices[0].message.content) {
             return data.choices[0].message.content;
@@ -381,20 +388,17 @@ async function callOpenAIChatAPI(env, promptText, systemPromptText = null) {
 /**
  * Calls the OpenAI Chat API with streaming.
  *
- * @param {object} env - Environment object containing OPENAI_API_URL and OPENAI_API_KEY.
+ * @param {object} provider - Provider from llmProviders.js getProviderChain().
  * @param {string} promptText - The user's prompt.
  * @param {string | null} [systemPromptText=null] - Optional system prompt text.
+ * @param {object} [settings] - Sampling parameters (temperature, topP, maxTokens) from getStepSettings(); responseFormat 'json' requests a JSON object.
+ * @param {object} [usage] - Receives { promptTokens, completionTokens } reported by the API.
  * @returns {AsyncGenerator<string, void, undefined>} An async generator yielding text chunks.
- * @throws {Error} If OPENAI_API_URL or OPENAI_API_KEY is not set, or if API call fails.
+ * @throws {Error} If the API key is not set, or if API call fails.
  */
-async function* callOpenAIChatAPIStream(env, promptText, systemPromptText = null) {
-    if (!env.OPENAI_API_URL) {
-        throw new Error("OPENAI_API_URL environment variable is not set.");
-    }
-    if (!env.OPENAI_API_KEY) {
-        throw new Error("OPENAI_API_KEY environment variable is not set for OpenAI models.");
-    }
-    const url = `${env.OPENAI_API_URL}/v1/chat/completions`;
+async function* callOpenAIChatAPIStream(provider, promptText, systemPromptText = null, settings = {}, usage = {}) {
+    assertApiKey(provider);
+    const url = `${provider.url}/v1/chat/completions`;
 
     const messages = [];
     if (systemPromptText && typeof systemPromptText === 'string' && systemPromptText.trim() !== '') {
@@ -403,28 +407,32 @@ async function* callOpenAIChatAPIStream(env, promptText, systemPromptText = null
     }
     messages.push({ role: "user", content: promptText });
 
-    const modelName = env.DEFAULT_OPEN_MODEL;
+    const modelName = provider.model;
     const payload = {
         model: modelName,
         messages: messages,
-        temperature: 1,
-        max_tokens: 2048,
-        top_p: 1,
+        temperature: settings.temperature ?? 1,
+        max_tokens: settings.maxTokens ?? 2048,
+        top_p: settings.topP ?? 1,
         frequency_penalty: 0,
         presence_penalty: 0,
         stream: true,
+        // 最后一块返回本次调用的 token 用量
+        stream_options: { include_usage: true },
     };
+    if (settings.responseFormat === 'json') payload.response_format = { type: 'json_object' };
 
     let response;
+    let reader;
     try {
-        response = await fetch(url, {
+        response = await fetchWithTimeout(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${env.OPENAI_API_KEY}`
+                'Authorization': `Bearer ${provider.apiKey}`
             },
             body: JSON.stringify(payload)
-        });
+        }, provider.timeoutMs, { stream: true });
 
         if (!response.ok) {
             const errorBodyText = await response.text();
@@ -438,14 +446,14 @@ async function* callOpenAIChatAPIStream(env, promptText, systemPromptText = null
             const message = typeof errorData === 'object' && errorData.error?.message
                 ? errorData.error.message
                 : (typeof errorData === 'string' ? errorData : 'Unknown OpenAI Chat API error');
-            throw new Error(`OpenAI Chat API error (${response.status}): ${message}`);
+            throw httpError(`OpenAI Chat API error (${response.status}): ${message}`, response.status);
         }
 
         if (!response.body) {
             throw new Error("Response body is null, cannot stream.");
         }
 
-        const reader = response.body.getReader();
+        reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = "";
         let hasYieldedContent = false;
@@ -476,6 +484,7 @@ async function* callOpenAIChatAPIStream(env, promptText, systemPromptText = null
                 
                 try {
                     const parsedChunk = JSON.parse(message);
+                    if (parsedChunk.usage) readOpenAIUsage(parsedChunk.usage, usage);
                     if (parsedChunk.choices && parsedChunk.choices.length > 0) {
                         const delta = parsedChunk.choices[0].delta;
                         if (delta && delta.content) {
@@ -502,6 +511,7 @@ async function* callOpenAIChatAPIStream(env, promptText, systemPromptText = null
             if (finalMessage !== "" && finalMessage !== "[DONE]") {
                 try {
                     const parsedChunk = JSON.parse(finalMessage);
+                    if (parsedChunk.usage) readOpenAIUsage(parsedChunk.usage, usage);
                     if (parsedChunk.choices && parsedChunk.choices.length > 0) {
                         const delta = parsedChunk.choices[0].delta;
                         if (delta && delta.content) {
@@ -528,75 +538,248 @@ async function* callOpenAIChatAPIStream(env, promptText, systemPromptText = null
             console.error("Error calling or streaming from OpenAI Chat API:", error);
         }
         throw error;
+    } finally {
+        // 出错或调用方提前结束时关闭连接，并清除等待下一块的计时器
+        if (reader) await reader.cancel().catch(() => {});
+    }
+}
+
+
+/**
+ * 首选供应商的模型名称，如 "OPEN:qwen-plus"。实际应答的供应商见 callChatAPI 的 callInfo。
+ * @param {object} env - Environment object.
+ * @returns {string}
+ */
+export function getActiveModelName(env) {
+    return getProviderLabel(getProviderChain(env)[0]);
+}
+
+function assertApiKey(provider) {
+    if (!provider.apiKey) {
+        const error = new Error(`Chat provider "${provider.name}": ${provider.apiKeyEnv} is not set.`);
+        // 未配置 Key 的供应商直接跳过，由下一个供应商应答
+        error.retryable = true;
+        error.missingApiKey = true;
+        throw error;
     }
 }
 
+function readOpenAIUsage(data, usage) {
+    usage.promptTokens = data.prompt_tokens ?? null;
+    usage.completionTokens = data.completion_tokens ?? null;
+}
+
+function readGeminiUsage(data, usage) {
+    usage.promptTokens = data.promptTokenCount ?? null;
+    usage.completionTokens = data.candidatesTokenCount ?? null;
+}
+
+/**
+ * 记录一次供应商调用的用量（见 usage.js）；未配置 Key 而被跳过的供应商不记录。
+ */
+async function logUsage(env, step, provider, usage, startedAt, error = null) {
+    if (error && error.missingApiKey) return;
+    await recordUsage(env, {
+        step,
+        provider: provider.name,
+        model: provider.model,
+        promptTokens: usage.promptTokens ?? null,
+        completionTokens: usage.completionTokens ?? null,
+        latencyMs: Date.now() - startedAt,
+        error: error ? error.message : null,
+    });
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function getGeminiGenerationConfig(settings) {
+    const config = {};
+    if (settings.temperature !== undefined) config.temperature = settings.temperature;
+    if (settings.topP !== undefined) config.topP = settings.topP;
+    if (settings.maxTokens !== undefined) config.maxOutputTokens = settings.maxTokens;
+    if (settings.responseFormat === 'json') config.responseMimeType = 'application/json';
+    return config;
+}
+
+function recordCallInfo(callInfo, provider, fallbacks, settings, usage) {
+    if (!callInfo) return;
+    callInfo.provider = provider.name;
+    callInfo.model = getProviderLabel(provider);
+    callInfo.fallbacks = fallbacks;
+    callInfo.settings = settings;
+    callInfo.usage = usage;
+}
 
 /**
- * Main function to call the appropriate chat API (Gemini or OpenAI) based on model name.
- * Defaults to Gemini if no specific API is indicated in the model name.
+ * Main function to call the chat API. Providers from LLM_PROVIDERS are tried in order;
+ * retryable errors (429/5xx/timeout) fail over to the next one. Every attempt is logged to usage.js.
  *
  * @param {object} env - Environment object.
  * @param {string} promptText - The user's prompt.
  * @param {string | null} [systemPromptText=null] - Optional system prompt text.
+ * @param {object} [options]
+ * @param {string} [options.step='other'] - 生成步骤名称，记录在用量中
+ * @param {object} [options.settings] - 步骤的模型设置，见 llmProviders.js getStepSettings()
+ * @param {object} [options.callInfo] - 调用成功后写入 { provider, model, fallbacks: [{ provider, error }], settings, usage }，记录实际应答的供应商
  * @returns {Promise<string>} The generated text content.
- * @throws {Error} If API keys/URLs are not set, or if API call fails.
+ * @throws {Error} If API keys/URLs are not set, the monthly budget is exhausted, or every provider fails.
  */
-export async function callChatAPI(env, promptText, systemPromptText = null) {
-    const platform = env.USE_MODEL_PLATFORM;
-    if (platform.startsWith("OPEN")) {
-        return callOpenAIChatAPI(env, promptText, systemPromptText);
-    } else { // Default to Gemini
-        return callGeminiChatAPI(env, promptText, systemPromptText);
+export async function callChatAPI(env, promptText, systemPromptText = null, { step = 'other', settings = {}, callInfo } = {}) {
+    await assertWithinBudget(env);
+    const providers = getProviderChain(env, settings);
+    const fallbacks = [];
+    for (const [index, provider] of providers.entries()) {
+        const usage = {};
+        const startedAt = Date.now();
+        try {
+            const text = provider.type === 'gemini'
+                ? await callGeminiChatAPI(provider, promptText, systemPromptText, settings, usage)
+                : await callOpenAIChatAPI(provider, promptText, systemPromptText, settings, usage);
+            await logUsage(env, step, provider, usage, startedAt);
+            recordCallInfo(callInfo, provider, fallbacks, settings, usage);
+            return text;
+        } catch (error) {
+            await logUsage(env, step, provider, usage, startedAt, error);
+            if (index === providers.length - 1 || !isRetryableChatError(error)) throw error;
+            console.warn(`Chat provider "${provider.name}" failed (${error.message}), falling back to "${providers[index + 1].name}".`);
+            fallbacks.push({ provider: provider.name, error: error.message });
+        }
     }
 }
 
 /**
- * Main function to call the appropriate chat API (Gemini or OpenAI) with streaming.
- * Defaults to Gemini if no specific API is indicated in the model name.
+ * Main function to call the chat API with streaming, with the same fallback chain as callChatAPI().
+ * 只在尚未输出任何内容时切换供应商；输出中途出错则直接抛出，避免拼接两个模型的半截结果。
  *
  * @param {object} env - Environment object.
  * @param {string} promptText - The user's prompt.
  * @param {string | null} [systemPromptText=null] - Optional system prompt text.
+ * @param {object} [options]
+ * @param {string} [options.step='other'] - 生成步骤名称，记录在用量中
+ * @param {object} [options.settings] - 步骤的模型设置，见 llmProviders.js getStepSettings()
+ * @param {object} [options.callInfo] - 首个文本块到达时写入 { provider, model, fallbacks, settings, usage }，usage 在输出结束后填入
  * @returns {AsyncGenerator<string, void, undefined>} An async generator yielding text chunks.
- * @throws {Error} If API keys/URLs are not set, or if API call fails.
+ * @throws {Error} If API keys/URLs are not set, the monthly budget is exhausted, or every provider fails.
  */
-export async function* callChatAPIStream(env, promptText, systemPromptText = null) {
-    const platform = env.USE_MODEL_PLATFORM;
-    if (platform.startsWith("OPEN")) {
-        yield* callOpenAIChatAPIStream(env, promptText, systemPromptText);
-    } else { // Default to Gemini
-        yield* callGeminiChatAPIStream(env, promptText, systemPromptText);
+export async function* callChatAPIStream(env, promptText, systemPromptText = null, { step = 'other', settings = {}, callInfo } = {}) {
+    await assertWithinBudget(env);
+    const providers = getProviderChain(env, settings);
+    const fallbacks = [];
+    for (const [index, provider] of providers.entries()) {
+        let hasYielded = false;
+        const usage = {};
+        const startedAt = Date.now();
+        try {
+            const stream = provider.type === 'gemini'
+                ? callGeminiChatAPIStream(provider, promptText, systemPromptText, settings, usage)
+                : callOpenAIChatAPIStream(provider, promptText, systemPromptText, settings, usage);
+            for await (const chunk of stream) {
+                if (!hasYielded) {
+                    recordCallInfo(callInfo, provider, fallbacks, settings, usage);
+                    hasYielded = true;
+                }
+                yield chunk;
+            }
+            await logUsage(env, step, provider, usage, startedAt);
+            return;
+        } catch (error) {
+            await logUsage(env, step, provider, usage, startedAt, error);
+            if (hasYielded || index === providers.length - 1 || !isRetryableChatError(error)) throw error;
+            console.warn(`Chat provider "${provider.name}" failed (${error.message}), falling back to "${providers[index + 1].name}".`);
+            fallbacks.push({ provider: provider.name, error: error.message });
+        }
     }
 }
 
 
+// 读取响应体的方法，超时计时器在这些方法完成后才清除
+const BODY_METHODS = ['text', 'json', 'arrayBuffer', 'blob', 'formData'];
+
+// 超时、网络错误和连接中断可以切换供应商重试；响应体不是合法 JSON 等错误原样抛出
+function toChatFetchError(error, timeout) {
+  if (error.name === 'AbortError') {
+    const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+    timeoutError.retryable = true;
+    return timeoutError;
+  }
+  if (!(error instanceof SyntaxError)) error.retryable = true;
+  return error;
+}
+
 /**
  * 带有超时功能的 fetch 封装
+ * 响应头到达后计时器继续运行，text()/json() 读完响应体后才清除；
+ * stream 为 true 时通过 body.getReader() 读取，每读一块重新计时，相邻两块间隔超过 timeout 即中止。
  * @param {string} resource fetch 的请求 URL
  * @param {object} options fetch 的配置对象
  * @param {number} timeout 超时时间，单位毫秒
+ * @param {object} [mode]
+ * @param {boolean} [mode.stream=false] 流式读取响应体
  * @returns {Promise<Response>}
  */
-async function fetchWithTimeout(resource, options = {}, timeout = 180000) {
+async function fetchWithTimeout(resource, options = {}, timeout = 180000, { stream = false } = {}) {
   const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
+  let id = setTimeout(() => controller.abort(), timeout);
 
+  let response;
   try {
-    const response = await fetch(resource, {
+    response = await fetch(resource, {
       ...options,
       signal: controller.signal  // 关联 AbortController
     });
-    return response;
   } catch (error) {
-    // 当 abort() 被调用时，fetch 会抛出一个 AbortError
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out');
-    }
-    // 其他网络错误等
-    throw error;
-  } finally {
-    // 清除计时器，防止内存泄漏
     clearTimeout(id);
+    // 当 abort() 被调用时，fetch 会抛出一个 AbortError；其他网络错误等，同样可以切换供应商重试
+    throw toChatFetchError(error, timeout);
+  }
+  if (!response.body) {
+    clearTimeout(id);
+    return response;
   }
-}
\ No newline at end of file
+
+  for (const method of BODY_METHODS) {
+    const read = response[method].bind(response);
+    response[method] = async () => {
+      try {
+        return await read();
+      } catch (error) {
+        throw toChatFetchError(error, timeout);
+      } finally {
+        clearTimeout(id);
+      }
+    };
+  }
+  if (!stream) return response;
+
+  const body = response.body;
+  const getReader = body.getReader.bind(body);
+  body.getReader = (...args) => {
+    const reader = getReader(...args);
+    const read = reader.read.bind(reader);
+    const cancel = reader.cancel.bind(reader);
+    reader.read = async () => {
+      // 每次读取重新计时，计的是等待下一块的时间
+      clearTimeout(id);
+      id = setTimeout(() => controller.abort(), timeout);
+      try {
+        const result = await read();
+        if (result.done) clearTimeout(id);
+        return result;
+      } catch (error) {
+        clearTimeout(id);
+        throw toChatFetchError(error, timeout);
+      }
+    };
+    reader.cancel = async (reason) => {
+      // 提前结束读取（出错或调用方不再需要）时清除计时器
+      clearTimeout(id);
+      return await cancel(reason);
+    };
+    return reader;
+  };
+  return response;
+}
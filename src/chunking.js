@@ -0,0 +1,98 @@
+// src/chunking.js
+// 楼市洞察日报 - 按上下文长度分批
+// 选中条目的全文超出模型上下文时，日报要闻改为分批摘要再合并 (map-reduce)，见 handlers/genAIContent.js。
+// 中文没有现成的分词器可用，这里按字符粗略估算 token 数，宁可高估。
+import { getProviderChain, getContextTokens } from './llmProviders.js';
+
+// 估算误差和提示词模板的余量，只使用上下文的 80%
+const CONTEXT_SAFETY_RATIO = 0.8;
+// 未设置 maxTokens 时为输出预留的 tokens，与 chatapi.js 的默认值一致
+const DEFAULT_OUTPUT_TOKENS = 2048;
+// 批次之间的分隔符，与整批提交时相同
+export const ITEM_SEPARATOR = '\n\n------\n\n';
+
+/**
+ * 估算文本的 token 数：汉字及全角字符按 1 个 token 计，其余（英文、数字、空白）约 4 个字符 1 个 token。
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    const str = String(text || '');
+    let wide = 0;
+    for (const char of str) {
+        if (char.codePointAt(0) > 0x2e80) wide++;
+    }
+    const narrow = str.length - wide;
+    return wide + Math.ceil(narrow / 4);
+}
+
+/**
+ * 截断文本，使估算的 token 数不超过上限。
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) return text;
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (estimateTokens(text.slice(0, mid)) + 1 <= maxTokens) low = mid;
+        else high = mid - 1;
+    }
+    return `${text.slice(0, low)}…`;
+}
+
+/**
+ * 一次调用中可用于用户输入的 tokens：上下文长度扣除系统提示词和输出预留。
+ * 取供应商链中最小的上下文，切换到备用供应商时同样放得下。
+ * @param {object} env - The environment variables.
+ * @param {object} settings - Step settings from getStepSettings().
+ * @param {string} systemPrompt
+ * @returns {number}
+ * @throws {Error} If LLM_PROVIDERS is malformed, or the context cannot even hold the system prompt.
+ */
+export function getInputTokenBudget(env, settings, systemPrompt) {
+    const contextTokens = Math.min(...getProviderChain(env, settings).map(getContextTokens));
+    const budget = Math.floor(contextTokens * CONTEXT_SAFETY_RATIO) - estimateTokens(systemPrompt) - (settings.maxTokens || DEFAULT_OUTPUT_TOKENS);
+    if (budget <= 0) {
+        throw new Error(`Model context (${contextTokens} tokens) is too small for the system prompt and ${settings.maxTokens || DEFAULT_OUTPUT_TOKENS} output tokens.`);
+    }
+    return budget;
+}
+
+/**
+ * 按顺序把条目装入批次，每批估算 tokens（含分隔符）不超过预算；单个条目超出预算时截断后独占一批。
+ * @param {Array<string>} items - Item texts.
+ * @param {number} budget - Input token budget per batch, see getInputTokenBudget().
+ * @returns {Array<Array<string>>} Batches in original order; a single batch when everything fits.
+ */
+export function splitIntoBatches(items, budget) {
+    const separatorTokens = estimateTokens(ITEM_SEPARATOR);
+    const batches = [];
+    let current = [];
+    let currentTokens = separatorTokens;
+    for (const item of items) {
+        const text = truncateToTokens(item, budget - separatorTokens * 2);
+        const tokens = estimateTokens(text) + separatorTokens;
+        if (current.length > 0 && currentTokens + tokens > budget) {
+            batches.push(current);
+            current = [];
+            currentTokens = separatorTokens;
+        }
+        current.push(text);
+        currentTokens += tokens;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+/**
+ * 拼接成提交给模型的用户输入，首尾同样带分隔符。
+ * @param {Array<string>} items
+ * @returns {string}
+ */
+export function joinItems(items) {
+    return ITEM_SEPARATOR + items.join(ITEM_SEPARATOR) + ITEM_SEPARATOR;
+}
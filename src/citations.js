@@ -0,0 +1,149 @@
+// src/citations.js
+// 楼市洞察日报 - 来源引用
+// 模型只用条目编号标注来源（如 [^news:123]），链接由这里按选中条目的 item.url 生成，模型无法编造 URL：
+// 不在选中条目中的编号被丢弃，正文中指向选中条目以外的链接被去掉。每条要闻末尾以 [[1]](url) 的形式链接原文，
+// 「今日楼市要闻」末尾附「参考来源」列表。
+
+// 模型输出的引用标记，允许一个标记中用逗号列出多个编号: [^news:1] 或 [^news:1, policy:2]
+const CITATION_MARKER_PATTERN = /[ \t]*\[\^([^\]\n]+)\]/g;
+const MARKDOWN_LINK_PATTERN = /(?<!!)\[([^\]\n]*)\]\((https?:\/\/[^)\s]+)[^)]*\)/g;
+const BARE_URL_PATTERN = /(?<!\]\()https?:\/\/[^\s)\]）>，。、]+/g;
+// 编号列表中的一条要闻，如 "1. **标题**"
+const NEWS_ITEM_PATTERN = /^\d+\.\s/;
+
+/**
+ * 按选中条目构建引用来源表。
+ * @param {Array<{id: string, item: object}>} entries - Selected items with their "type:id" reference.
+ * @returns {Object<string, {url: string, title: string, source: string}>} Keyed by "type:id"; items without a URL are skipped.
+ */
+export function buildCitationSources(entries) {
+    const sources = {};
+    for (const { id, item } of entries) {
+        if (!item || !item.url) continue;
+        sources[id] = { url: item.url, title: item.title || item.url, source: item.source || '' };
+    }
+    return sources;
+}
+
+/**
+ * 引用编号与来源的对应关系，按首次出现的顺序编号。
+ */
+class CitationIndex {
+    constructor(sources) {
+        this.sources = sources;
+        this.citations = [];
+        this.numbers = new Map();
+    }
+
+    cite(id) {
+        if (!this.sources[id]) return null;
+        if (!this.numbers.has(id)) {
+            this.citations.push({ number: this.citations.length + 1, id, ...this.sources[id] });
+            this.numbers.set(id, this.citations.length);
+        }
+        return this.citations[this.numbers.get(id) - 1];
+    }
+}
+
+function formatMarkers(citations) {
+    return citations.map(citation => `[[${citation.number}]](${citation.url})`).join('');
+}
+
+/**
+ * 「参考来源」列表 Markdown。
+ * @param {Array<{number: number, url: string, title: string, source: string}>} citations
+ * @returns {string} Empty when there is nothing to cite.
+ */
+export function renderReferenceList(citations) {
+    if (citations.length === 0) return '';
+    const lines = citations.map(citation => `- [${citation.number}] ${citation.source ? `${citation.source}：` : ''}[${citation.title.replace(/[[\]]/g, '')}](${citation.url})`);
+    return `#### 参考来源\n\n${lines.join('\n')}`;
+}
+
+/**
+ * 为结构化日报的要闻生成引用标记（见 dailyReport.js）。
+ * @param {Object<string, object>} sources - Result of buildCitationSources().
+ * @returns {{cite: function(Array<string>): string, citations: Array<object>}} cite() 返回一条要闻的引用标记 Markdown
+ */
+export function createCitationRenderer(sources) {
+    const index = new CitationIndex(sources);
+    return {
+        cite: ids => formatMarkers(ids.map(id => index.cite(id)).filter(Boolean)),
+        citations: index.citations,
+    };
+}
+
+/**
+ * 处理 Markdown 模式下模型输出的引用：编号替换为原文链接，去掉无效编号和选中条目以外的链接，末尾附「参考来源」。
+ * @param {string} markdown - 模型输出的「今日楼市要闻」
+ * @param {Object<string, object>} sources - Result of buildCitationSources().
+ * @returns {{markdown: string, plain: string, citations: Array<object>, invalidIds: Array<string>, removedUrls: Array<string>, uncitedItems: Array<string>}}
+ *   plain 为去掉引用标记后的正文；uncitedItems 为没有任何有效引用的要闻首行
+ */
+export function applyCitations(markdown, sources) {
+    const allowedUrls = new Set(Object.values(sources).map(source => source.url));
+    const removedUrls = [];
+    const invalidIds = [];
+
+    // 模型自行写出的链接只保留指向选中条目的
+    let text = markdown.replace(MARKDOWN_LINK_PATTERN, (match, label, url) => {
+        if (allowedUrls.has(url)) return match;
+        removedUrls.push(url);
+        return label;
+    }).replace(BARE_URL_PATTERN, url => {
+        if (allowedUrls.has(url)) return url;
+        removedUrls.push(url);
+        return '';
+    });
+
+    const plain = text.replace(CITATION_MARKER_PATTERN, '');
+    const index = new CitationIndex(sources);
+    text = text.replace(CITATION_MARKER_PATTERN, (match, ids) => {
+        const citations = [];
+        for (const id of ids.split(/[,，\s]+/).map(value => value.replace(/^\^/, '').trim()).filter(Boolean)) {
+            const citation = index.cite(id);
+            if (citation) citations.push(citation);
+            else invalidIds.push(id);
+        }
+        return formatMarkers(citations);
+    });
+
+    // 没有有效引用的要闻：一条要闻从编号行开始，到下一条编号行或标题为止
+    const uncitedItems = [];
+    let current = null;
+    const finishItem = () => {
+        if (current && !current.cited) uncitedItems.push(current.line);
+        current = null;
+    };
+    for (const line of text.split('\n')) {
+        if (NEWS_ITEM_PATTERN.test(line)) {
+            finishItem();
+            current = { line: line.trim(), cited: false };
+        } else if (/^#/.test(line)) {
+            finishItem();
+        }
+        if (current && /\[\[\d+\]\]\(/.test(line)) current.cited = true;
+    }
+    finishItem();
+
+    const references = renderReferenceList(index.citations);
+    return {
+        markdown: references ? `${text.trimEnd()}\n\n${references}` : text,
+        plain,
+        citations: index.citations,
+        invalidIds: [...new Set(invalidIds)],
+        removedUrls: [...new Set(removedUrls)],
+        uncitedItems,
+    };
+}
+
+/**
+ * 去掉日报中的引用链接和「参考来源」列表，用于把日报作为播客、分析等后续生成的输入。
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function stripCitations(markdown) {
+    return String(markdown || '')
+        .replace(/#### 参考来源\n\n(?:- \[\d+\] .*(?:\n|$))+/g, '')
+        .replace(/\[\[\d+\]\]\([^)\s]+\)/g, '');
+}
@@ -0,0 +1,118 @@
+// src/compare.js
+// 楼市洞察日报 - 对比生成
+// 调整提示词或模型时，同一批选中条目按多组「提示词版本 + 模型设置」分别生成日报（/genAIContent 的 compare 模式），
+// 并排比较输出差异、耗时和费用，效果最好的一组可设为默认，提示词版本和模型设置都会切换（见 promptAdmin.js handlePromoteCompareVariant）。
+import { parseModelOverrides } from './llmProviders.js';
+import { parsePromptVersions } from './promptLibrary.js';
+import { getEntryCost } from './usage.js';
+import { diffLines } from './textDiff.js';
+import { getDailyOutputFormat } from './dailyReport.js';
+
+export const MIN_COMPARE_VARIANTS = 2;
+export const MAX_COMPARE_VARIANTS = 4;
+
+/**
+ * 方案的默认名称：方案 A、方案 B……
+ * @param {number} index
+ * @returns {string}
+ */
+export function getVariantLabel(index) {
+    return `方案 ${String.fromCharCode(65 + index)}`;
+}
+
+/**
+ * 生成日报用到的提示词：要闻（按 DAILY_OUTPUT_FORMAT）、合并各批摘要（仅 Markdown 模式）和今日摘要。
+ * @param {object} env - The environment variables.
+ * @returns {Array<string>} Keys of PROMPT_DEFINITIONS.
+ */
+export function getComparePromptKeys(env) {
+    return getDailyOutputFormat(env) === 'structured'
+        ? ['summarizationJson', 'overview']
+        : ['summarization', 'summarizationMerge', 'overview'];
+}
+
+/**
+ * 校验对比生成的方案列表。
+ * @param {string|Array<object>} value - JSON string or array: [{ label, prompts: { 提示词: 版本号 }, modelOverrides: { step: settings } }]
+ * @returns {Array<{label: string, prompts: Object<string, number>, modelOverrides: object}>}
+ * @throws {Error} If the value is malformed; the message describes the first problem found.
+ */
+export function parseCompareVariants(value) {
+    let variants = value;
+    if (typeof value === 'string') {
+        try {
+            variants = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`variants is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!Array.isArray(variants) || variants.length < MIN_COMPARE_VARIANTS || variants.length > MAX_COMPARE_VARIANTS) {
+        throw new Error(`variants must be an array of ${MIN_COMPARE_VARIANTS} to ${MAX_COMPARE_VARIANTS} entries.`);
+    }
+    return variants.map((variant, index) => {
+        if (!variant || typeof variant !== 'object') {
+            throw new Error(`variants[${index}] must be an object.`);
+        }
+        let prompts;
+        let modelOverrides;
+        try {
+            prompts = parsePromptVersions(variant.prompts || {});
+            modelOverrides = parseModelOverrides(variant.modelOverrides || {});
+        } catch (error) {
+            throw new Error(`variants[${index}]: ${error.message}`);
+        }
+        const label = String(variant.label || '').trim() || getVariantLabel(index);
+        return { label, prompts, modelOverrides };
+    });
+}
+
+/**
+ * 一个方案实际使用的提示词版本（未指定版本时为生成时的当前版本），用于设为默认。
+ * @param {Array<{prompt?: {key: string, version: number}}>} prompts - The prompts of generateDailySummary().
+ * @returns {Object<string, number>} { 提示词: 版本号 }
+ */
+export function getUsedPromptVersions(prompts) {
+    const versions = {};
+    for (const { prompt } of prompts) {
+        if (prompt) versions[prompt.key] = prompt.version;
+    }
+    return versions;
+}
+
+/**
+ * 一个方案全部模型调用的 token 数和费用。
+ * @param {Array<object>} callInfos - 各次调用的 callInfo，见 chatapi.js callChatAPIStream()
+ * @param {object} prices - Result of usage.js getPriceTable().
+ * @returns {{promptTokens: number, completionTokens: number, cost: number|null}} 有调用不在价格表中或未返回用量时 cost 为 null
+ */
+export function getVariantUsage(callInfos, prices) {
+    let promptTokens = 0;
+    let completionTokens = 0;
+    let cost = 0;
+    for (const callInfo of callInfos) {
+        const usage = callInfo.usage || {};
+        promptTokens += usage.promptTokens || 0;
+        completionTokens += usage.completionTokens || 0;
+        // callInfo.model 为「供应商:模型」，见 llmProviders.js getProviderLabel()
+        const callCost = getEntryCost(prices, {
+            provider: callInfo.provider,
+            model: callInfo.model.slice(callInfo.provider.length + 1),
+            promptTokens: usage.promptTokens ?? null,
+            completionTokens: usage.completionTokens ?? null,
+        });
+        cost = cost === null || callCost === null ? null : cost + callCost;
+    }
+    return { promptTokens, completionTokens, cost };
+}
+
+/**
+ * 并排显示用的逐行差异：第一个方案作为基准原样显示，其余方案与基准比较。
+ * @param {Array<string>} outputs - 各方案生成的日报 Markdown
+ * @returns {Array<Array<{type: 'equal'|'add'|'remove', line: string}>>}
+ */
+export function buildComparisonDiffs(outputs) {
+    const [baseline] = outputs;
+    return outputs.map((output, index) => (index === 0
+        ? baseline.split('\n').map(line => ({ type: 'equal', line }))
+        : diffLines(baseline, output)));
+}
@@ -0,0 +1,243 @@
+// src/dailyReport.js
+// 楼市洞察日报 - 结构化日报
+// DAILY_OUTPUT_FORMAT = "structured" 时，「今日楼市要闻」由模型输出 JSON（分类、标题、正文、标签、城市、来源条目编号），
+// 经过校验后再渲染为 Markdown（提交 GitHub）和 HTML（RSS），每条要闻都能追溯到选中的原始条目。
+// 生成时在 report.sources 中记下来源条目的标题和链接，渲染引用时不依赖当天的 KV 数据。
+import { escapeHtml, convertEnglishQuotesToChinese, formatMarkdownText } from './helpers.js';
+import { marked } from './marked.esm.js';
+import { createCitationRenderer, renderReferenceList } from './citations.js';
+
+export const DAILY_OUTPUT_FORMATS = ['markdown', 'structured'];
+
+// 要闻分类，按此顺序输出
+export const DAILY_CATEGORIES = ['政策速递', '市场行情', '房企动态', '城市聚焦', '行业观察'];
+
+const MAX_HEADLINE_LENGTH = 60;
+
+/**
+ * 日报输出格式 DAILY_OUTPUT_FORMAT，默认 markdown。
+ * @param {object} env - The environment variables.
+ * @returns {'markdown'|'structured'}
+ * @throws {Error} If the configured format is unknown.
+ */
+export function getDailyOutputFormat(env) {
+    const format = (env.DAILY_OUTPUT_FORMAT || 'markdown').trim();
+    if (!DAILY_OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Unknown DAILY_OUTPUT_FORMAT "${format}", expected one of: ${DAILY_OUTPUT_FORMATS.join(', ')}.`);
+    }
+    return format;
+}
+
+function validateStringList(value, path, errors, { required = false } = {}) {
+    if (value === undefined && !required) return [];
+    if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+        errors.push(`${path} 必须是非空字符串数组`);
+        return [];
+    }
+    if (required && value.length === 0) {
+        errors.push(`${path} 不能为空`);
+    }
+    return [...new Set(value.map(entry => entry.trim()))];
+}
+
+/**
+ * 解析并校验模型输出的结构化日报。
+ * 结构: { "items": [{ "category", "headline", "body", "tags": [], "cities": [], "sourceIds": [] }] }
+ * @param {string} text - 模型输出，允许包裹在 ```json 代码块中
+ * @param {Array<string>} sourceIds - 本次提交给模型的条目编号 ("type:id")，sourceIds 只能引用其中的条目
+ * @returns {{items: Array<{category: string, headline: string, body: string, tags: Array<string>, cities: Array<string>, sourceIds: Array<string>}>}}
+ * @throws {Error} With `errors` (Array<string>) listing every problem found, used as feedback when retrying.
+ */
+export function parseDailyReport(text, sourceIds) {
+    const fail = (errors) => {
+        const error = new Error(`Invalid structured daily report: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+        error.errors = errors;
+        throw error;
+    };
+
+    let data;
+    const raw = String(text || '').trim().replace(/^```(?:json)?\s*/, '').replace(/```$/, '').trim();
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        fail([`输出不是合法的 JSON: ${error.message}`]);
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.items)) {
+        fail(['顶层必须是包含 items 数组的 JSON 对象']);
+    }
+    if (data.items.length === 0) {
+        fail(['items 不能为空']);
+    }
+
+    const allowedIds = new Set(sourceIds);
+    const errors = [];
+    const items = data.items.map((item, index) => {
+        const path = `items[${index}]`;
+        if (!item || typeof item !== 'object') {
+            errors.push(`${path} 必须是对象`);
+            return null;
+        }
+        if (!DAILY_CATEGORIES.includes(item.category)) {
+            errors.push(`${path}.category "${item.category}" 不在分类中: ${DAILY_CATEGORIES.join('、')}`);
+        }
+        for (const field of ['headline', 'body']) {
+            if (typeof item[field] !== 'string' || !item[field].trim()) {
+                errors.push(`${path}.${field} 必须是非空字符串`);
+            }
+        }
+        if (typeof item.headline === 'string' && item.headline.trim().length > MAX_HEADLINE_LENGTH) {
+            errors.push(`${path}.headline 超过 ${MAX_HEADLINE_LENGTH} 字`);
+        }
+        // 原文链接由 sourceIds 生成（见 citations.js），正文中不允许模型自行写链接
+        if (typeof item.body === 'string' && /https?:\/\//.test(item.body)) {
+            errors.push(`${path}.body 不能包含链接，来源请写在 sourceIds 中`);
+        }
+        const ids = validateStringList(item.sourceIds, `${path}.sourceIds`, errors, { required: true });
+        for (const id of ids) {
+            if (!allowedIds.has(id)) errors.push(`${path}.sourceIds 引用了不存在的条目编号 "${id}"`);
+        }
+        return {
+            category: item.category,
+            headline: String(item.headline || '').trim(),
+            body: String(item.body || '').trim(),
+            tags: validateStringList(item.tags, `${path}.tags`, errors),
+            cities: validateStringList(item.cities, `${path}.cities`, errors),
+            sourceIds: ids,
+        };
+    });
+    if (errors.length > 0) fail(errors);
+    return { items };
+}
+
+/**
+ * 合并多份结构化日报（分批生成时），按分类顺序排列，同一分类内保持原有顺序。
+ * @param {Array<object>} reports - Results of parseDailyReport().
+ * @returns {{items: Array<object>}}
+ */
+export function mergeDailyReports(reports) {
+    const items = reports.flatMap(report => report.items);
+    return { items: DAILY_CATEGORIES.flatMap(category => items.filter(item => item.category === category)) };
+}
+
+function groupByCategory(report) {
+    let number = 0;
+    return DAILY_CATEGORIES
+        .map(category => ({
+            category,
+            items: report.items.filter(item => item.category === category).map(item => ({ ...item, number: ++number })),
+        }))
+        .filter(group => group.items.length > 0);
+}
+
+/**
+ * 渲染为「今日楼市要闻」Markdown，与 Markdown 模式的输出格式一致，按分类分组、连续编号。
+ * 带来源表 (report.sources) 时，每条要闻末尾链接原文，并附「参考来源」列表（见 citations.js）。
+ * @param {{items: Array<object>, sources?: object}} report
+ * @returns {string}
+ */
+export function renderDailyReportMarkdown(report) {
+    const citations = createCitationRenderer(report.sources || {});
+    let markdown = '### **今日楼市要闻**\n\n';
+    for (const group of groupByCategory(report)) {
+        markdown += `#### ${group.category}\n\n`;
+        for (const item of group.items) {
+            const tags = item.tags.map(tag => ` \`${tag}\``).join('');
+            markdown += `${item.number}. **${item.headline}**${tags}\n   ${item.body.replace(/\n+/g, ' ')}${citations.cite(item.sourceIds)}\n\n`;
+        }
+    }
+    const references = renderReferenceList(citations.citations);
+    return `${markdown.trimEnd()}${references ? `\n\n${references}` : ''}`;
+}
+
+/**
+ * 渲染为 HTML 片段（RSS 正文），每条要闻带 data-source-ids 记录来源条目，引用与 Markdown 相同。
+ * @param {{items: Array<object>, sources?: object}} report
+ * @returns {string}
+ */
+export function renderDailyReportHtml(report) {
+    const citations = createCitationRenderer(report.sources || {});
+    let html = '<h3>今日楼市要闻</h3>';
+    for (const group of groupByCategory(report)) {
+        html += `<h4>${escapeHtml(group.category)}</h4><ol start="${group.items[0].number}">`;
+        for (const item of group.items) {
+            const tags = item.tags.map(tag => ` <code>${escapeHtml(tag)}</code>`).join('');
+            html += `<li data-source-ids="${escapeHtml(item.sourceIds.join(' '))}"><strong>${escapeHtml(item.headline)}</strong>${tags}<p>${marked.parseInline(item.body.replace(/\n+/g, ' ') + citations.cite(item.sourceIds))}</p></li>`;
+        }
+        html += '</ol>';
+    }
+    const references = renderReferenceList(citations.citations);
+    return references ? html + marked.parse(references) : html;
+}
+
+/**
+ * 在已发布的日报 Markdown 中定位结构化要闻渲染出的部分。编辑改动过这部分时返回 null，应改用 Markdown 原文。
+ * 比较前按保存和提交时的方式统一引号（见 convertEnglishQuotesToChinese / formatMarkdownText）。
+ * @param {string} content - 已发布的日报 Markdown
+ * @param {{items: Array<object>}} report
+ * @returns {{before: string, after: string}|null}
+ */
+export function locateDailyReport(content, report) {
+    const normalize = text => formatMarkdownText(convertEnglishQuotesToChinese(text));
+    const normalizedContent = normalize(content);
+    const rendered = normalize(renderDailyReportMarkdown(report));
+    const index = normalizedContent.indexOf(rendered);
+    if (index === -1) return null;
+    return { before: normalizedContent.slice(0, index), after: normalizedContent.slice(index + rendered.length) };
+}
+
+function getCitedUrls(text) {
+    return [...text.matchAll(/\[\[\d+\]\]\(([^)\s]+)\)/g)].map(match => match[1]);
+}
+
+/**
+ * 拆分日报 Markdown：今日摘要各行，以及「今日楼市要闻」中的每条要闻（所在分类、标题、正文、引用的原文链接）。
+ * @param {string} markdown - 日报 Markdown，见 genAIContent.js generateDailySummary()
+ * @returns {{overviewLines: Array<string>, newsText: string, items: Array<{category: string|null, headline: string, body: string, urls: Array<string>}>}}
+ *   newsText 为「今日楼市要闻」部分（不含「参考来源」之后的页脚）
+ * 评估打分（evaluation.js）和周报/月报（periodicReport.js）都用它读取已发布的日报。
+ */
+export function parseDailyMarkdown(markdown) {
+    const text = String(markdown || '').replace(/\r\n/g, '\n');
+    const overviewMatch = text.match(/###\s*\*\*今日摘要\*\*\s*```[^\n]*\n([\s\S]*?)\n?```/);
+    const overviewLines = overviewMatch ? overviewMatch[1].split('\n').map(line => line.trim()).filter(Boolean) : [];
+
+    const newsStart = text.search(/###\s*\*\*今日楼市要闻\*\*/);
+    let newsText = '';
+    if (newsStart !== -1) {
+        const rest = text.slice(newsStart);
+        const bodyStart = rest.indexOf('\n') + 1;
+        // 到下一个二、三级标题或分隔线（广告、页脚）为止
+        const end = bodyStart === 0 ? -1 : rest.slice(bodyStart).search(/^(#{1,3}\s|---\s*$)/m);
+        newsText = end === -1 ? rest : rest.slice(0, bodyStart + end);
+    }
+
+    const items = [];
+    let category = null;
+    let current = null;
+    for (const line of newsText.split('\n')) {
+        const heading = line.match(/^####\s+(.+?)\s*$/);
+        if (heading) {
+            current = null;
+            category = DAILY_CATEGORIES.includes(heading[1]) ? heading[1] : null;
+            continue;
+        }
+        const itemMatch = line.match(/^\d+\.\s+(.*)$/);
+        if (itemMatch) {
+            const headlineMatch = itemMatch[1].match(/^\*\*(.+?)\*\*(.*)$/);
+            current = {
+                category,
+                headline: headlineMatch ? headlineMatch[1] : '',
+                // 标题和正文写在同一行时，标题之后的内容（去掉标签）即正文
+                body: headlineMatch ? headlineMatch[2].replace(/^(\s*`[^`]*`)*/, '') : itemMatch[1],
+                urls: getCitedUrls(line),
+            };
+            items.push(current);
+        } else if (current && /^\s+\S/.test(line)) {
+            current.body += line;
+            current.urls.push(...getCitedUrls(line));
+        } else if (line.trim()) {
+            current = null;
+        }
+    }
+    return { overviewLines, newsText, items };
+}
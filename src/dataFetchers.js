@@ -3,12 +3,12 @@
 // 直接抓取 RSS 源，无需依赖第三方服务
 
 // ===================== RSS 直接抓取数据源 =====================
-import { 
-    RealEstateNewsSource, 
-    FinanceNewsSource, 
-    PolicyNewsSource,
-    GeneralNewsSource 
-} from './dataSources/rss-feed.js';
+import { createRSSDataSource } from './dataSources/rss-feed.js';
+import { getSourceRegistry } from './sourceRegistry.js';
+import { clusterStories } from './dedup.js';
+import { getFromKV } from './kv.js';
+import { applyFilterRules, storeFilteredItems } from './filterRules.js';
+import { getFetchDate, getISODate } from './helpers.js';
 
 // ===================== 原有 Folo 数据源 (已弃用，保留备用) =====================
 // import RealEstateNewsDataSource from './dataSources/realestate-news.js';
@@ -17,68 +17,75 @@ import {
 // import RealEstateCityDataSource from './dataSources/realestate-city.js';
 
 /**
- * 数据源注册表
+ * 获取数据源注册表（仅启用的分类）
  * 
- * 楼市日报数据分类（直接抓取 RSS）：
+ * 分类和 Feed 保存在 KV 中（见 sourceRegistry.js），可在 /sourceAdmin 页面在线修改；
+ * 未配置时默认为以下分类，Feed 来自 wrangler.toml 中的 RSS_* 变量（逗号分隔）：
  * - news: 楼市资讯 (房产相关新闻)
  * - finance: 财经资讯 (财经新闻，含房产内容)
  * - policy: 政策动态 (政策解读类)
  * - general: 综合资讯 (其他综合类)
  * 
- * RSS 源在 wrangler.toml 中配置，支持多个源用逗号分隔
+ * @param {object} env - The environment variables.
+ * @returns {Promise<object>} Categories keyed by id: { name, emoji, rules, sources: [dataSource] }, in registry order.
+ */
+export async function getDataSources(env) {
+    const registry = await getSourceRegistry(env);
+    const dataSources = {};
+    for (const category of registry.categories) {
+        if (category.enabled === false) continue;
+        dataSources[category.id] = {
+            name: category.name,
+            emoji: category.emoji,
+            rules: category.rules || [],
+            sources: [createRSSDataSource(category.id, category.name, null, category.emoji, category.feeds)],
+        };
+    }
+    return dataSources;
+}
+
+/**
+ * 页面展示用的分类列表。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<Array<{id: string, name: string, emoji: string, sources: Array<object>}>>}
  */
-export const dataSources = {
-    // 楼市资讯 - 房产相关新闻
-    news: { 
-        name: '楼市资讯', 
-        sources: [RealEstateNewsSource] 
-    },
-    
-    // 财经资讯 - 综合财经新闻
-    finance: { 
-        name: '财经资讯', 
-        sources: [FinanceNewsSource] 
-    },
-    
-    // 政策动态 - 政策解读
-    policy: { 
-        name: '政策动态', 
-        sources: [PolicyNewsSource] 
-    },
-    
-    // 综合资讯 - 其他来源
-    general: { 
-        name: '综合资讯', 
-        sources: [GeneralNewsSource] 
-    },
-};
+export async function getDataCategories(env) {
+    const dataSources = await getDataSources(env);
+    return Object.entries(dataSources).map(([id, category]) => ({ id, ...category }));
+}
 
 /**
  * Fetches and transforms data from all data sources for a specified type.
+ * The category's filter rules (see filterRules.js) are applied right after transforming;
+ * items that do not pass are stored in the day's filtered-out bucket instead of being returned.
  * @param {string} sourceType - The type of data source (e.g., 'news', 'projects', 'papers').
  * @param {object} env - The environment variables.
  * @param {string} [foloCookie] - The Folo authentication cookie.
- * @returns {Promise<Array<object>>} A promise that resolves to an array of unified data objects from all sources of that type.
+ * @param {object} [dataSources] - The registry from getDataSources(), to avoid reading it again.
+ * @param {object} [feedStates] - A batch from createFeedStateBatch() (feedState.js); RSS sources stage their feed state in it instead of saving it.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of unified data objects from all sources of that type that passed the filter rules.
  */
-export async function fetchAndTransformDataForType(sourceType, env, foloCookie) {
-    const sources = dataSources[sourceType].sources;
+export async function fetchAndTransformDataForType(sourceType, env, foloCookie, dataSources, feedStates) {
+    const registeredSources = dataSources || await getDataSources(env);
+    const sources = registeredSources[sourceType] && registeredSources[sourceType].sources;
     if (!sources || !Array.isArray(sources)) {
         console.error(`No data sources registered for type: ${sourceType}`);
         return [];
     }
 
-    let allUnifiedDataForType = [];
-    for (const dataSource of sources) {
+    // Sources are fetched in parallel; request concurrency is bounded by fetchScheduler.js
+    const results = await Promise.all(sources.map(async (dataSource) => {
         try {
             // Pass foloCookie to the fetch method of the data source
-            const rawData = await dataSource.fetch(env, foloCookie);
-            const unifiedData = dataSource.transform(rawData, sourceType);
-            allUnifiedDataForType = allUnifiedDataForType.concat(unifiedData);
+            const rawData = await dataSource.fetch(env, foloCookie, { feedStates });
+            return dataSource.transform(rawData, sourceType);
         } catch (error) {
             console.error(`Error fetching or transforming data from source ${dataSource.type} for type ${sourceType}:`, error.message);
-            // Continue to next data source even if one fails
+            // Continue with the other data sources even if one fails
+            return [];
         }
-    }
+    }));
+    const allUnifiedDataForType = results.flat();
 
     // Sort by published_date in descending order for each type
     allUnifiedDataForType.sort((a, b) => {
@@ -87,30 +94,43 @@ export async function fetchAndTransformDataForType(sourceType, env, foloCookie)
         return dateB.getTime() - dateA.getTime();
     });
 
-    return allUnifiedDataForType;
+    const { kept, filtered } = applyFilterRules(allUnifiedDataForType, registeredSources[sourceType].rules);
+    if (filtered.length > 0) {
+        console.log(`Filter rules moved ${filtered.length} of ${allUnifiedDataForType.length} ${sourceType} items to the filtered-out bucket.`);
+        try {
+            await storeFilteredItems(env, getFetchDate() || getISODate(), sourceType, filtered);
+        } catch (error) {
+            console.error(`Error storing filtered-out items for ${sourceType}:`, error.message);
+        }
+    }
+    return kept;
 }
 
 /**
  * Fetches and transforms data from all registered data sources across all types.
+ * Near-duplicate stories across sources are clustered into one canonical item (see dedup.js).
  * @param {object} env - The environment variables.
  * @param {string} [foloCookie] - The Folo authentication cookie.
+ * @param {object} [options]
+ * @param {object} [options.feedStates] - A batch from createFeedStateBatch(); commit it once the returned items are stored.
  * @returns {Promise<object>} A promise that resolves to an object containing unified data for each source type.
  */
-export async function fetchAllData(env, foloCookie) {
+export async function fetchAllData(env, foloCookie, { feedStates } = {}) {
     const allUnifiedData = {};
     const fetchPromises = [];
+    const dataSources = await getDataSources(env);
 
     for (const sourceType in dataSources) {
         if (Object.hasOwnProperty.call(dataSources, sourceType)) {
             fetchPromises.push(
-                fetchAndTransformDataForType(sourceType, env, foloCookie).then(data => {
+                fetchAndTransformDataForType(sourceType, env, foloCookie, dataSources, feedStates).then(data => {
                     allUnifiedData[sourceType] = data;
                 })
             );
         }
     }
     await Promise.allSettled(fetchPromises); // Use allSettled to ensure all promises complete
-    return allUnifiedData;
+    return clusterStories(allUnifiedData);
 }
 
 /**
@@ -118,12 +138,37 @@ export async function fetchAllData(env, foloCookie) {
  * @param {object} env - The environment variables.
  * @param {string} category - The category to fetch data for (e.g., 'news', 'project', 'paper', 'twitter').
  * @param {string} [foloCookie] - The Folo authentication cookie.
+ * @param {object} [options]
+ * @param {object} [options.feedStates] - A batch from createFeedStateBatch(); commit it once the returned items are stored.
  * @returns {Promise<Array<object>>} A promise that resolves to an array of unified data objects for the specified category.
  */
-export async function fetchDataByCategory(env, category, foloCookie) {
+export async function fetchDataByCategory(env, category, foloCookie, { feedStates } = {}) {
+    const dataSources = await getDataSources(env);
     if (!dataSources[category]) {
         console.warn(`Attempted to fetch data for unknown category: ${category}`);
         return [];
     }
-    return await fetchAndTransformDataForType(category, env, foloCookie);
+    const data = await fetchAndTransformDataForType(category, env, foloCookie, dataSources, feedStates);
+    return clusterStories({ [category]: data })[category];
+}
+
+/**
+ * Merges freshly fetched items into the data already stored in KV for the day.
+ * RSS sources only return items not seen earlier that day (see feedState.js), so the
+ * stored items are kept and the combined set is clustered again across categories.
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {object} fetchedData - Newly fetched unified items keyed by category id.
+ * @returns {Promise<object>} The merged items keyed by category id (only the categories in fetchedData).
+ */
+export async function mergeWithStoredData(env, dateStr, fetchedData) {
+    const merged = {};
+    for (const [category, items] of Object.entries(fetchedData)) {
+        const stored = await getFromKV(env.DATA_KV, `${dateStr}-${category}`) || [];
+        const storedIds = new Set(stored.map(item => item.id));
+        const newItems = (items || []).filter(item => !storedIds.has(item.id));
+        merged[category] = stored.concat(newItems).sort((a, b) => new Date(b.published_date) - new Date(a.published_date));
+        console.log(`Merged ${category}: ${stored.length} stored + ${newItems.length} new items.`);
+    }
+    return clusterStories(merged);
 }
@@ -1,5 +1,6 @@
 // src/dataSources/aibase.js
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml} from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const NewsDataSource = {
     fetch: async (env, foloCookie) => { // Add sourceType
@@ -58,11 +59,11 @@ const NewsDataSource = {
 
             try {
                 console.log(`Fetching AI Base data, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch AI Base data, page ${i + 1}: ${response.statusText}`);
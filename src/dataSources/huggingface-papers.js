@@ -1,5 +1,6 @@
 // src/dataSources/huggingface-papers.js
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, removeMarkdownCodeBlock, formatDateToChineseWithTime, escapeHtml} from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 import { callChatAPI } from '../chatapi.js';
 
 const PapersDataSource = {
@@ -59,11 +60,11 @@ const PapersDataSource = {
 
             try {
                 console.log(`Fetching Huggingface Papers data, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch Huggingface Papers data, page ${i + 1}: ${response.statusText}`);
@@ -1,4 +1,5 @@
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml } from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const QBitDataSource = {
     fetch: async (env, foloCookie) => {
@@ -57,11 +58,11 @@ const QBitDataSource = {
 
             try {
                 console.log(`Fetching QBit.AI data, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch QBit.AI data, page ${i + 1}: ${response.statusText}`);
@@ -1,6 +1,7 @@
 // src/dataSources/realestate-city.js
 // 城市聚焦数据源 - 重点城市楼市动态
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml } from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const RealEstateCityDataSource = {
     type: 'realestate-city',
@@ -48,11 +49,11 @@ const RealEstateCityDataSource = {
 
             try {
                 console.log(`Fetching Real Estate City Data, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch City data, page ${i + 1}: ${response.statusText}`);
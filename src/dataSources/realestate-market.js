@@ -1,6 +1,7 @@
 // src/dataSources/realestate-market.js
 // 楼市市场数据源 - 房价、成交、土地市场数据
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml } from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const RealEstateMarketDataSource = {
     type: 'realestate-market',
@@ -48,11 +49,11 @@ const RealEstateMarketDataSource = {
 
             try {
                 console.log(`Fetching Real Estate Market Data, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch Market data, page ${i + 1}: ${response.statusText}`);
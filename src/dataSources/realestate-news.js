@@ -1,6 +1,7 @@
 // src/dataSources/realestate-news.js
 // 楼市资讯数据源 - 综合房地产新闻
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml } from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const RealEstateNewsDataSource = {
     type: 'realestate-news',
@@ -54,11 +55,11 @@ const RealEstateNewsDataSource = {
 
             try {
                 console.log(`Fetching Real Estate News, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch Real Estate News, page ${i + 1}: ${response.statusText}`);
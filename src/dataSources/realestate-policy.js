@@ -1,6 +1,7 @@
 // src/dataSources/realestate-policy.js
 // 楼市政策动态数据源 - 国家及地方房地产政策
 import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml } from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const RealEstatePolicyDataSource = {
     type: 'realestate-policy',
@@ -48,11 +49,11 @@ const RealEstatePolicyDataSource = {
 
             try {
                 console.log(`Fetching Real Estate Policy, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch Policy data, page ${i + 1}: ${response.statusText}`);
@@ -1,4 +1,5 @@
-import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml} from '../helpers';
+import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml} from '../helpers.js';
+import { scheduledFetch } from '../fetchScheduler.js';
 
 const RedditDataSource = {
     async fetch(env, foloCookie) {
@@ -56,11 +57,11 @@ const RedditDataSource = {
 
             try {
                 console.log(`Fetching Reddit data, page ${i + 1}...`);
-                const response = await fetch(env.FOLO_DATA_API, {
+                const response = await scheduledFetch(env.FOLO_DATA_API, {
                     method: 'POST',
                     headers: headers,
                     body: JSON.stringify(body),
-                });
+                }, env);
 
                 if (!response.ok) {
                     console.error(`Failed to fetch Reddit data, page ${i + 1}: ${response.statusText}`);
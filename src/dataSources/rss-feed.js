@@ -1,179 +1,182 @@
 // src/dataSources/rss-feed.js
-// 通用 RSS 数据源 - 直接抓取 RSS/Atom Feed，不依赖第三方服务
-import { getRandomUserAgent, sleep, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml } from '../helpers.js';
+// 通用 RSS 数据源 - 直接抓取 RSS/Atom/JSON Feed，不依赖第三方服务
+import { getRandomUserAgent, isDateWithinLastDays, stripHtml, formatDateToChineseWithTime, escapeHtml, getFetchDate } from '../helpers.js';
+import { parseFeed } from '../feedParser.js';
+import { getFeedState, saveFeedState, getConditionalHeaders, computeContentHash, hashString } from '../feedState.js';
+import { recordFeedRun } from '../feedHealth.js';
+import { scheduledFetch } from '../fetchScheduler.js';
+import { getFullArticle } from '../articleExtractor.js';
 
 /**
- * 解析 RSS/Atom Feed XML
- * @param {string} xmlText - XML 文本
- * @returns {Array} 解析后的文章列表
+ * 对只有摘要的条目抓取原文全文（结果按 URL 缓存在 KV 中）。
+ * 提取到的正文比 Feed 自带内容长时，替换 item.content，并记录纯文本与首图。
+ * @param {object} env - The environment variables.
+ * @param {Array<object>} items - 解析后的 Feed 条目，原地修改
  */
-function parseRSSFeed(xmlText) {
-    const items = [];
-    
-    // 尝试解析 RSS 2.0 格式
-    const rssItemRegex = /<item>([\s\S]*?)<\/item>/gi;
-    let match;
-    
-    while ((match = rssItemRegex.exec(xmlText)) !== null) {
-        const itemXml = match[1];
-        
-        const title = extractTag(itemXml, 'title');
-        const link = extractTag(itemXml, 'link') || extractTag(itemXml, 'guid');
-        const description = extractTag(itemXml, 'description') || extractTag(itemXml, 'content:encoded') || '';
-        const pubDate = extractTag(itemXml, 'pubDate') || extractTag(itemXml, 'dc:date');
-        const author = extractTag(itemXml, 'author') || extractTag(itemXml, 'dc:creator') || '';
-        
-        if (title && link) {
-            items.push({
-                title: decodeHTMLEntities(title),
-                link: link,
-                description: description,
-                pubDate: pubDate ? new Date(pubDate).toISOString() : new Date().toISOString(),
-                author: decodeHTMLEntities(author)
-            });
-        }
-    }
-    
-    // 如果 RSS 2.0 解析失败，尝试 Atom 格式
-    if (items.length === 0) {
-        const atomEntryRegex = /<entry>([\s\S]*?)<\/entry>/gi;
-        
-        while ((match = atomEntryRegex.exec(xmlText)) !== null) {
-            const entryXml = match[1];
-            
-            const title = extractTag(entryXml, 'title');
-            const link = extractAtomLink(entryXml);
-            const summary = extractTag(entryXml, 'summary') || extractTag(entryXml, 'content') || '';
-            const published = extractTag(entryXml, 'published') || extractTag(entryXml, 'updated');
-            const author = extractTag(entryXml, 'name'); // Atom author/name
-            
-            if (title && link) {
-                items.push({
-                    title: decodeHTMLEntities(title),
-                    link: link,
-                    description: summary,
-                    pubDate: published ? new Date(published).toISOString() : new Date().toISOString(),
-                    author: decodeHTMLEntities(author || '')
-                });
-            }
+async function enrichWithFullText(env, items) {
+    const maxItems = parseInt(env.FULLTEXT_MAX_ITEMS_PER_FEED || '20', 10);
+    await Promise.all(items.slice(0, maxItems).map(async (item) => {
+        const article = await getFullArticle(env, item.link);
+        if (article.error) return;
+        const feedTextLength = stripHtml(item.content || item.description || '').length;
+        if (article.text.length > feedTextLength) {
+            item.content = article.html;
+            item.fullText = article.text;
         }
-    }
-    
-    return items;
-}
-
-/**
- * 从 XML 中提取标签内容
- */
-function extractTag(xml, tagName) {
-    // 处理 CDATA
-    const cdataRegex = new RegExp(`<${tagName}[^>]*><!\\[CDATA\\[([\\s\\S]*?)\\]\\]><\\/${tagName}>`, 'i');
-    const cdataMatch = xml.match(cdataRegex);
-    if (cdataMatch) {
-        return cdataMatch[1].trim();
-    }
-    
-    // 普通标签
-    const regex = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, 'i');
-    const match = xml.match(regex);
-    return match ? match[1].trim() : '';
-}
-
-/**
- * 提取 Atom 格式的链接
- */
-function extractAtomLink(xml) {
-    // 优先获取 alternate 类型的链接
-    const altMatch = xml.match(/<link[^>]*rel=["']alternate["'][^>]*href=["']([^"']+)["']/i);
-    if (altMatch) return altMatch[1];
-    
-    // 其次获取任意 href
-    const hrefMatch = xml.match(/<link[^>]*href=["']([^"']+)["']/i);
-    return hrefMatch ? hrefMatch[1] : '';
-}
-
-/**
- * 解码 HTML 实体
- */
-function decodeHTMLEntities(text) {
-    if (!text) return '';
-    return text
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&#(\d+);/g, (match, num) => String.fromCharCode(num));
+        item.leadImage = article.leadImage || undefined;
+    }));
 }
 
 /**
  * 创建 RSS 数据源
  * @param {string} sourceType - 数据源类型标识
  * @param {string} sourceName - 数据源显示名称
- * @param {string} envKeyUrl - 环境变量中 RSS URL 的 key
+ * @param {string|null} envKeyUrl - 环境变量中 RSS URL 的 key（传入 feeds 时不使用）
  * @param {string} emoji - 显示用的 emoji
+ * @param {Array<{url: string, weight: number, enabled: boolean, fullText: boolean}>} [feeds] - Feed 列表，来自数据源注册表 (sourceRegistry.js)
  */
-export function createRSSDataSource(sourceType, sourceName, envKeyUrl, emoji = '📰') {
+export function createRSSDataSource(sourceType, sourceName, envKeyUrl, emoji = '📰', feeds = null) {
+    // 当前启用的 Feed 地址列表：优先使用注册表，否则读取环境变量（逗号分隔）
+    const getFeedUrls = (env) => feeds
+        ? feeds.filter(feed => feed.enabled !== false).map(feed => feed.url)
+        : (env[envKeyUrl] || '').split(',').map(url => url.trim()).filter(url => url);
+    const feedOptions = new Map((feeds || []).map(feed => [feed.url, feed]));
+    
     return {
         type: sourceType,
+        name: sourceName,
+        emoji,
+        envKeyUrl,
+        getFeedUrls,
         
-        async fetch(env) {
-            // 支持多个 RSS 源，用逗号分隔
-            const rssUrls = env[envKeyUrl];
+        /**
+         * @param {object} env - The environment variables.
+         * @param {string} [foloCookie] - 未使用
+         * @param {object} [options]
+         * @param {object} [options.feedStates] - createFeedStateBatch() 创建的待保存状态；传入时 Feed 状态由调用方在条目存储后提交，否则立即保存
+         */
+        async fetch(env, foloCookie, { feedStates } = {}) {
+            const urlList = getFeedUrls(env);
             
-            if (!rssUrls) {
-                console.warn(`${envKeyUrl} is not set. Skipping ${sourceName} fetch.`);
+            if (urlList.length === 0) {
+                console.warn(`No feeds configured for ${sourceName}${envKeyUrl ? ` (${envKeyUrl})` : ''}. Skipping fetch.`);
                 return { items: [] };
             }
             
-            const urlList = rssUrls.split(',').map(url => url.trim()).filter(url => url);
             const allItems = [];
             const filterDays = parseInt(env.RSS_FILTER_DAYS || '2', 10);
+            const dateStr = getFetchDate();
+            const updateFeedState = (rssUrl, state) => feedStates
+                ? feedStates.stage(rssUrl, state)
+                : saveFeedState(env, rssUrl, state);
             
-            for (const rssUrl of urlList) {
+            // 所有 Feed 并行抓取，并发、超时与重试由 fetchScheduler 统一控制
+            const fetchFeed = async (rssUrl) => {
+                // 本次抓取的健康记录，无论成功与否都在 finally 中写入
+                const run = { sourceType, feedTitle: '', status: null, itemCount: 0, parseErrors: 0, error: null, notModified: false };
                 try {
                     console.log(`Fetching RSS: ${rssUrl}`);
                     
-                    const response = await fetch(rssUrl, {
+                    // 同一天内再次抓取时带上条件请求头，只合并新增条目
+                    const state = await getFeedState(env, rssUrl);
+                    const isSameDay = !!state && state.seenDate === dateStr;
+                    const response = await scheduledFetch(rssUrl, {
                         headers: {
                             'User-Agent': getRandomUserAgent(),
-                            'Accept': 'application/rss+xml, application/xml, text/xml, */*',
+                            'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml, */*',
+                            ...getConditionalHeaders(state, dateStr),
                         }
-                    });
+                    }, env);
+                    run.status = response.status;
+                    
+                    if (response.status === 304) {
+                        run.notModified = true;
+                        console.log(`RSS not modified since last fetch: ${rssUrl}`);
+                        await updateFeedState(rssUrl, { ...state, lastCheckedAt: new Date().toISOString() });
+                        return;
+                    }
                     
                     if (!response.ok) {
                         console.error(`Failed to fetch RSS ${rssUrl}: ${response.status}`);
-                        continue;
+                        run.error = `HTTP ${response.status}`;
+                        return;
+                    }
+                    
+                    const feedText = await response.text();
+                    const contentHash = await computeContentHash(feedText);
+                    const nextState = {
+                        etag: response.headers.get('ETag') || '',
+                        lastModified: response.headers.get('Last-Modified') || '',
+                        contentHash,
+                        seenDate: dateStr,
+                        seenIds: isSameDay ? state.seenIds || [] : [],
+                        lastCheckedAt: new Date().toISOString(),
+                    };
+                    
+                    if (isSameDay && state.contentHash === contentHash) {
+                        console.log(`RSS content unchanged since last fetch: ${rssUrl}`);
+                        run.notModified = true;
+                        await updateFeedState(rssUrl, nextState);
+                        return;
                     }
                     
-                    const xmlText = await response.text();
-                    const items = parseRSSFeed(xmlText);
+                    const feed = parseFeed(feedText, { baseUrl: rssUrl });
                     
                     // 提取 Feed 标题作为来源
-                    const feedTitle = extractTag(xmlText, 'title') || new URL(rssUrl).hostname;
+                    const feedTitle = feed.title || new URL(rssUrl).hostname;
+                    run.feedTitle = feedTitle;
+                    run.parseErrors = feed.errors.length;
+                    if (feed.format === 'unknown') {
+                        run.error = `Unrecognized feed format: ${feed.errors.map(e => e.message).join('; ')}`;
+                    }
                     
-                    // 过滤指定天数内的数据
-                    const filteredItems = items.filter(item => 
-                        isDateWithinLastDays(item.pubDate, filterDays)
+                    // 日期缺失或无法解析的条目无法判断时效，记录后跳过，而不是当作"刚刚发布"
+                    if (feed.errors.length > 0) {
+                        console.warn(`Feed ${rssUrl} (${feed.format}) reported ${feed.errors.length} parse issue(s):`,
+                            feed.errors.slice(0, 5).map(e => e.title ? `${e.message} [${e.title}]` : e.message).join('; '));
+                    }
+                    
+                    // 过滤指定天数内、当天尚未抓取过的数据
+                    const recentItems = feed.items.filter(item =>
+                        item.title && item.link && item.pubDate && isDateWithinLastDays(item.pubDate, filterDays)
                     );
+                    run.itemCount = recentItems.length;
+                    const seenIds = new Set(nextState.seenIds);
+                    recentItems.forEach(item => {
+                        item.id = hashString(item.guid || item.link);
+                    });
+                    const filteredItems = recentItems.filter(item => !seenIds.has(item.id));
                     
                     // 添加来源信息
                     filteredItems.forEach(item => {
-                        item.source = decodeHTMLEntities(feedTitle);
-                        item.id = generateItemId(item.link);
+                        item.source = feedTitle;
+                        item.feedUrl = rssUrl;
+                        item.feedWeight = feedOptions.get(rssUrl)?.weight ?? 1;
                     });
                     
+                    if (feedOptions.get(rssUrl)?.fullText) {
+                        await enrichWithFullText(env, filteredItems);
+                    }
+                    
+                    nextState.seenIds = nextState.seenIds.concat(filteredItems.map(item => item.id));
+                    await updateFeedState(rssUrl, nextState);
+                    
                     allItems.push(...filteredItems);
-                    console.log(`Fetched ${filteredItems.length} items from ${feedTitle}`);
+                    console.log(`Fetched ${filteredItems.length} new items from ${feedTitle}`);
                     
                 } catch (error) {
                     console.error(`Error fetching RSS ${rssUrl}:`, error.message);
+                    run.error = error.message;
+                } finally {
+                    try {
+                        await recordFeedRun(env, rssUrl, run);
+                    } catch (healthError) {
+                        console.error(`Failed to record health for RSS ${rssUrl}:`, healthError.message);
+                    }
                 }
-                
-                // 请求间隔，避免被限流
-                await sleep(500 + Math.random() * 1000);
-            }
+            };
+            
+            await Promise.all(urlList.map(fetchFeed));
             
             // 按发布时间排序
             allItems.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
@@ -194,12 +197,21 @@ export function createRSSDataSource(sourceType, sourceName, envKeyUrl, emoji = '
                 type: dataSourceType,
                 url: item.link,
                 title: item.title,
-                description: stripHtml(item.description || '').substring(0, 500),
+                description: stripHtml(item.description || item.content || '').substring(0, 500),
                 published_date: item.pubDate,
                 authors: item.author || '未知',
                 source: item.source || sourceName,
                 details: {
-                    content_html: item.description || ''
+                    content_html: item.content || item.description || '',
+                    guid: item.guid,
+                    categories: item.categories,
+                    enclosures: item.enclosures,
+                    media: item.media,
+                    dc: item.dc,
+                    feed_url: item.feedUrl,
+                    feed_weight: item.feedWeight,
+                    full_text: item.fullText,
+                    lead_image: item.leadImage
                 }
             }));
         },
@@ -207,7 +219,7 @@ export function createRSSDataSource(sourceType, sourceName, envKeyUrl, emoji = '
         generateHtml(item) {
             return `
                 <strong>${emoji} ${escapeHtml(item.title)}</strong><br>
-                <small>来源: ${escapeHtml(item.source)} | ${formatDateToChineseWithTime(item.published_date)}</small>
+                <small>来源: ${escapeHtml(item.source)} | ${formatDateToChineseWithTime(item.published_date)}${item.details.full_text ? ' | 全文' : ''}</small>
                 <div class="content-html">${item.details.content_html || '暂无详细内容'}</div>
                 <a href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">阅读原文 →</a>
             `;
@@ -215,20 +227,6 @@ export function createRSSDataSource(sourceType, sourceName, envKeyUrl, emoji = '
     };
 }
 
-/**
- * 生成文章唯一 ID
- */
-function generateItemId(url) {
-    // 简单的哈希函数
-    let hash = 0;
-    for (let i = 0; i < url.length; i++) {
-        const char = url.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-    return Math.abs(hash).toString(36);
-}
-
 // ===================== 预定义的楼市数据源 =====================
 
 /**
@@ -0,0 +1,152 @@
+// src/dedup.js
+// 楼市洞察日报 - 跨来源去重与事件聚类
+// 同一条政策/新闻常被财联社、华尔街见闻、澎湃等多个源转载，这里把相似的标题和正文归为一个事件，
+// 保留一条主条目 (canonical)，其余来源记录在 `alternates` 中
+import { stripHtml } from './helpers.js';
+
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+const CONTENT_SIMILARITY_THRESHOLD = 0.5;
+const CONTENT_SHINGLE_LENGTH = 3;
+const CONTENT_SAMPLE_LENGTH = 300;
+
+/**
+ * 归一化中文文本：去掉空白、标点和符号，英文转小写。
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text || '').replace(/[\s\p{P}\p{S}]/gu, '').toLowerCase();
+}
+
+/**
+ * 生成字符级 n-gram 集合（中文没有空格分词，按字符切片效果最稳定）。
+ * @param {string} text - Normalized text.
+ * @param {number} [size=2] - Shingle length in characters.
+ * @returns {Set<string>}
+ */
+export function getShingles(text, size = 2) {
+    const shingles = new Set();
+    if (text.length > 0 && text.length < size) {
+        shingles.add(text);
+        return shingles;
+    }
+    for (let i = 0; i <= text.length - size; i++) {
+        shingles.add(text.substring(i, i + size));
+    }
+    return shingles;
+}
+
+/**
+ * 两个集合的 Jaccard 相似度。
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} A value between 0 and 1.
+ */
+export function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    for (const item of a) {
+        if (b.has(item)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+}
+
+function getContentText(item) {
+    return stripHtml(item.details?.content_html || item.description || '');
+}
+
+function findRoot(parents, i) {
+    while (parents[i] !== i) {
+        parents[i] = parents[parents[i]];
+        i = parents[i];
+    }
+    return i;
+}
+
+/**
+ * 选择事件的主条目：正文最长的优先（信息最完整），其次发布时间最早的。
+ */
+function pickCanonical(members) {
+    return members.slice().sort((a, b) => {
+        const lengthDiff = b.contentLength - a.contentLength;
+        if (lengthDiff !== 0) return lengthDiff;
+        return new Date(a.item.published_date) - new Date(b.item.published_date);
+    })[0];
+}
+
+function toAlternate(item) {
+    return {
+        id: item.id,
+        type: item.type,
+        source: item.source,
+        title: item.title,
+        url: item.url,
+        published_date: item.published_date,
+    };
+}
+
+/**
+ * 对所有分类的资讯做跨来源去重聚类。
+ * 相似的条目只保留主条目，主条目留在原分类中并附带 `alternates`（其他来源的同题报道）。
+ * @param {object} allData - Unified items keyed by category id.
+ * @returns {object} Deduplicated items keyed by category id, each category keeping its original order.
+ */
+export function clusterStories(allData) {
+    const entries = [];
+    for (const [category, items] of Object.entries(allData || {})) {
+        (items || []).forEach(item => {
+            const content = getContentText(item);
+            entries.push({
+                category,
+                item,
+                contentLength: content.length,
+                titleShingles: getShingles(normalizeText(item.title)),
+                contentShingles: getShingles(normalizeText(content).substring(0, CONTENT_SAMPLE_LENGTH), CONTENT_SHINGLE_LENGTH),
+            });
+        });
+    }
+
+    const parents = entries.map((_, i) => i);
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i];
+            const b = entries[j];
+            if (a.item.url && a.item.url === b.item.url) {
+                parents[findRoot(parents, j)] = findRoot(parents, i);
+                continue;
+            }
+            const similar = jaccard(a.titleShingles, b.titleShingles) >= TITLE_SIMILARITY_THRESHOLD
+                || (a.contentShingles.size > 0 && jaccard(a.contentShingles, b.contentShingles) >= CONTENT_SIMILARITY_THRESHOLD);
+            if (similar) {
+                parents[findRoot(parents, j)] = findRoot(parents, i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    entries.forEach((entry, i) => {
+        const root = findRoot(parents, i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(entry);
+    });
+
+    const keep = new Set();
+    for (const members of clusters.values()) {
+        const canonical = pickCanonical(members);
+        const others = members.filter(member => member !== canonical);
+        const previousAlternates = canonical.item.alternates || [];
+        canonical.item.alternates = previousAlternates.concat(
+            others.flatMap(member => [toAlternate(member.item), ...(member.item.alternates || [])])
+        );
+        keep.add(canonical.item);
+        if (others.length > 0) {
+            console.log(`Clustered story "${canonical.item.title}" with ${others.length} duplicate(s) from: ${others.map(m => m.item.source).join(', ')}`);
+        }
+    }
+
+    const result = {};
+    for (const [category, items] of Object.entries(allData || {})) {
+        result[category] = (items || []).filter(item => keep.has(item));
+    }
+    return result;
+}
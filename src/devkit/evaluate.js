@@ -0,0 +1,91 @@
+// src/devkit/evaluate.js
+// 开发工具 - 离线评估
+// 用保存在文件中的黄金集和模拟模型服务运行 evaluation.js 的评估，不需要部署的 Worker、KV 或模型 API key，修改提示词后即可在本地回归：
+//
+//   node src/devkit/evaluate.js [黄金集目录，默认 test/fixtures/golden]
+//
+// 黄金集文件为 GET /goldenSet?date= 导出的 JSON，再加上 responses：该黄金集依次调用模型时模拟服务的应答
+// （规则格式见 mockChatServer.js，通常为「今日楼市要闻」和「今日摘要」两次调用的输出）。
+// 没有 responses 时模型返回模拟服务的默认应答，只能检查流程能否跑通，得分没有参考意义。
+import { readdir, readFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createDevKit } from './index.js';
+import { storeGoldenSet, runEvaluation } from '../evaluation.js';
+
+/**
+ * 读取目录中的黄金集文件 (*.json)，按日期排序。
+ * @param {string} dir
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadGoldenSetFiles(dir) {
+    const names = (await readdir(dir)).filter(name => name.endsWith('.json')).sort();
+    const goldenSets = [];
+    for (const name of names) {
+        goldenSets.push(JSON.parse(await readFile(join(dir, name), 'utf8')));
+    }
+    return goldenSets.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 在内存 KV 和模拟模型服务上评估黄金集，每个黄金集生成前换上它自己的模拟应答。
+ * @param {Array<object>} goldenSets - 黄金集（可带 responses），见 loadGoldenSetFiles()
+ * @param {object} [options]
+ * @param {object} [options.vars] - 覆盖的环境变量，见 index.js createDevEnv()
+ * @param {Object<string, number>} [options.promptVersions] - 见 evaluation.js runEvaluation()
+ * @param {object} [options.modelOverrides] - 见 evaluation.js runEvaluation()
+ * @returns {Promise<{run: object, calls: Array<object>}>} run 为 runEvaluation() 的评估记录，calls 为模拟服务收到的全部请求
+ */
+export async function runOfflineEvaluation(goldenSets, { vars = {}, promptVersions = {}, modelOverrides = {} } = {}) {
+    const kit = createDevKit({ vars });
+    const calls = [];
+    try {
+        const responsesByDate = new Map();
+        for (const { responses = [], ...goldenSet } of goldenSets) {
+            await storeGoldenSet(kit.env, goldenSet);
+            responsesByDate.set(goldenSet.date, responses);
+        }
+        const run = await runEvaluation(kit.env, {
+            promptVersions,
+            modelOverrides,
+            beforeEach: (goldenSet) => {
+                // 上一个黄金集未用完的应答不能留给下一个
+                calls.push(...kit.chat.calls);
+                kit.chat.reset();
+                kit.chat.script(responsesByDate.get(goldenSet.date) || []);
+            },
+        });
+        calls.push(...kit.chat.calls);
+        return { run, calls };
+    } finally {
+        kit.restore();
+    }
+}
+
+function formatScore(score) {
+    return score === null || score === undefined ? '-' : score.toFixed(3);
+}
+
+async function main() {
+    const dir = resolve(process.argv[2] || 'test/fixtures/golden');
+    const goldenSets = await loadGoldenSetFiles(dir);
+    if (goldenSets.length === 0) {
+        console.error(`No golden set files (*.json) in ${dir}.`);
+        process.exitCode = 1;
+        return;
+    }
+    const { run } = await runOfflineEvaluation(goldenSets);
+    const rows = run.results.map(result => ({
+        date: result.date,
+        overall: result.error ? `失败: ${result.error}` : formatScore(result.score.overall),
+        baseline: formatScore(result.baseline ? result.baseline.overall : null),
+        ...(result.score ? Object.fromEntries(Object.entries(result.score.scores).map(([name, score]) => [name, formatScore(score)])) : {}),
+    }));
+    console.table(rows);
+    console.log(`平均: ${formatScore(run.averages.overall)}（人工发布版本 ${formatScore(run.baselineAverages.overall)}）`);
+    if (run.results.some(result => result.error)) process.exitCode = 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    await main();
+}
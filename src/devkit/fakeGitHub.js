@@ -0,0 +1,127 @@
+// src/devkit/fakeGitHub.js
+// 开发工具 - 模拟 GitHub contents API
+// 实现 github.js 用到的 GET/PUT/DELETE /repos/{owner}/{repo}/contents/{path}：按分支保存文件，校验 sha（更新、删除已有文件时必须提供且一致），
+// 错误时返回与 GitHub 相同的状态码和 { message }。每次提交记录在 commits 中。
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+const CONTENTS_PATH_PATTERN = /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function encodeBase64(text) {
+    let binary = '';
+    for (const byte of encoder.encode(text)) binary += String.fromCharCode(byte);
+    // GitHub 返回的 base64 每 60 个字符换行
+    return btoa(binary).replace(/.{60}/g, '$&\n');
+}
+
+function decodeBase64(base64) {
+    const binary = atob(String(base64).replace(/\s/g, ''));
+    return decoder.decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// 与 git 相同的 blob sha
+async function getBlobSha(text) {
+    const bytes = encoder.encode(text);
+    const digest = await crypto.subtle.digest('SHA-1', new Uint8Array([...encoder.encode(`blob ${bytes.length}\0`), ...bytes]));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: JSON_HEADERS });
+}
+
+/**
+ * 创建模拟 GitHub。
+ * @param {object} [options]
+ * @param {string} [options.owner] - 仓库所有者，与 GITHUB_REPO_OWNER 一致
+ * @param {string} [options.repo] - 仓库名，与 GITHUB_REPO_NAME 一致
+ * @param {string} [options.defaultBranch]
+ * @param {Object<string, string>} [options.files] - 默认分支上的初始文件 { 路径: 内容 }
+ * @returns {{fetch: function(Request): Promise<Response>, commits: Array<object>, getFile: function(string, string=): string|null}}
+ */
+export function createFakeGitHub({ owner = 'owner', repo = 'repo', defaultBranch = 'main', files = {} } = {}) {
+    // `${branch}:${path}` → { content, sha }
+    const store = new Map();
+    const commits = [];
+    const ready = Promise.all(Object.entries(files).map(async ([path, content]) => {
+        store.set(`${defaultBranch}:${path}`, { content, sha: await getBlobSha(content) });
+    }));
+
+    const commit = async (action, path, branch, message) => {
+        const sha = await getBlobSha(`${action}:${branch}:${path}:${commits.length}`);
+        commits.push({ sha, action, path, branch, message });
+        return { sha, message };
+    };
+
+    return {
+        commits,
+        /**
+         * 读取文件内容，不存在时为 null。
+         */
+        getFile(path, branch = defaultBranch) {
+            const file = store.get(`${branch}:${path}`);
+            return file ? file.content : null;
+        },
+        async fetch(request) {
+            await ready;
+            const url = new URL(request.url);
+            const match = url.pathname.match(CONTENTS_PATH_PATTERN);
+            if (!match || decodeURIComponent(match[1]) !== owner || decodeURIComponent(match[2]) !== repo) {
+                return json({ message: 'Not Found' }, 404);
+            }
+            if (!request.headers.get('Authorization')) {
+                return json({ message: 'Requires authentication' }, 401);
+            }
+            const path = decodeURIComponent(match[3]);
+            const name = path.split('/').pop();
+
+            if (request.method === 'GET') {
+                const file = store.get(`${url.searchParams.get('ref') || defaultBranch}:${path}`);
+                if (!file) return json({ message: 'Not Found' }, 404);
+                return json({ type: 'file', name, path, sha: file.sha, size: encoder.encode(file.content).length, encoding: 'base64', content: encodeBase64(file.content) });
+            }
+
+            let body;
+            try {
+                body = await request.json();
+            } catch (error) {
+                return json({ message: 'Problems parsing JSON' }, 400);
+            }
+            const branch = body.branch || defaultBranch;
+            const key = `${branch}:${path}`;
+            const existing = store.get(key);
+            if (!body.message) {
+                return json({ message: 'Invalid request.\n\n"message" wasn\'t supplied.' }, 422);
+            }
+
+            if (request.method === 'PUT') {
+                if (typeof body.content !== 'string') {
+                    return json({ message: 'Invalid request.\n\n"content" wasn\'t supplied.' }, 422);
+                }
+                if (existing && !body.sha) {
+                    return json({ message: 'Invalid request.\n\n"sha" wasn\'t supplied.' }, 422);
+                }
+                if (existing && body.sha !== existing.sha) {
+                    return json({ message: `${path} does not match ${body.sha}` }, 409);
+                }
+                const content = decodeBase64(body.content);
+                const sha = await getBlobSha(content);
+                store.set(key, { content, sha });
+                return json({ content: { name, path, sha }, commit: await commit(existing ? 'update' : 'create', path, branch, body.message) }, existing ? 200 : 201);
+            }
+
+            if (request.method === 'DELETE') {
+                if (!existing) return json({ message: 'Not Found' }, 404);
+                if (body.sha !== existing.sha) {
+                    return json({ message: `${path} does not match ${body.sha}` }, 409);
+                }
+                store.delete(key);
+                return json({ content: null, commit: await commit('delete', path, branch, body.message) });
+            }
+
+            return json({ message: 'Not Found' }, 404);
+        },
+    };
+}
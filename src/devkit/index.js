@@ -0,0 +1,101 @@
+// src/devkit/index.js
+// 开发工具 - 离线运行 Worker
+// 用内存 KV、模拟模型服务和模拟 GitHub 替代 DATA_KV、DashScope/Gemini 和 api.github.com，可在 Node 或测试中直接调用 index.js 的 fetch：
+//
+//   const kit = createDevKit({ chat: { responses: ['### **今日楼市要闻**\n\n1. ...'] } });
+//   const response = await worker.fetch(new Request('https://worker.test/getContentHtml'), kit.env, kit.ctx);
+//   kit.chat.calls; kit.github.commits; kit.restore();
+//
+// 这些模块不被 index.js 引用，不会打包进部署的 Worker。
+import { MemoryKV } from './memoryKV.js';
+import { createMockChatServer } from './mockChatServer.js';
+import { createFakeGitHub } from './fakeGitHub.js';
+
+export { MemoryKV, createMockChatServer, createFakeGitHub };
+
+// 模拟服务的地址，只在 installFetchMocks() 拦截的 fetch 中有效
+export const MOCK_LLM_ORIGIN = 'https://mock-llm.test';
+export const MOCK_GITHUB_ORIGIN = 'https://mock-github.test';
+
+/**
+ * 替换全局 fetch，按 origin 把请求交给对应的模拟服务；其他地址直接报错，避免测试中意外访问真实服务。
+ * @param {Object<string, {fetch: function(Request): Promise<Response>}>} routes - { origin: handler }
+ * @returns {function(): void} 恢复原来的 fetch
+ */
+export function installFetchMocks(routes) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (input, init) => {
+        const request = new Request(input, init);
+        const handler = routes[new URL(request.url).origin];
+        if (!handler) {
+            throw new Error(`Unexpected request to ${request.url}: only mocked origins (${Object.keys(routes).join(', ')}) are reachable in the dev kit.`);
+        }
+        return await handler.fetch(request);
+    };
+    return () => { globalThis.fetch = originalFetch; };
+}
+
+/**
+ * 指向模拟服务的环境变量，包含 index.js 要求的全部变量。
+ * @param {object} [options]
+ * @param {object} [options.kv] - DATA_KV 绑定，默认新建 MemoryKV
+ * @param {object} [options.vars] - 覆盖或追加的变量，如 { DAILY_OUTPUT_FORMAT: 'structured' }
+ * @returns {object}
+ */
+export function createDevEnv({ kv = new MemoryKV(), vars = {} } = {}) {
+    return {
+        DATA_KV: kv,
+        USE_MODEL_PLATFORM: 'OPEN',
+        OPEN_TRANSLATE: 'false',
+        OPENAI_API_KEY: 'mock-key',
+        OPENAI_API_URL: MOCK_LLM_ORIGIN,
+        DEFAULT_OPEN_MODEL: 'mock-model',
+        GEMINI_API_KEY: 'mock-key',
+        GEMINI_API_URL: MOCK_LLM_ORIGIN,
+        DEFAULT_GEMINI_MODEL: 'mock-gemini',
+        GITHUB_TOKEN: 'mock-token',
+        GITHUB_REPO_OWNER: 'owner',
+        GITHUB_REPO_NAME: 'repo',
+        GITHUB_BRANCH: 'main',
+        GITHUB_API_URL: MOCK_GITHUB_ORIGIN,
+        LOGIN_USERNAME: 'admin',
+        LOGIN_PASSWORD: 'admin',
+        DAILY_TITLE: '楼市洞察日报',
+        DAILY_TITLE_MIN: ' `楼市日报` ',
+        PODCAST_TITLE: '今日楼市快报',
+        PODCAST_BEGIN: '大家好',
+        PODCAST_END: '感谢收听',
+        FOLO_COOKIE_KV_KEY: 'folo_auth_cookie',
+        FOLO_DATA_API: 'https://mock-folo.test/entries',
+        FOLO_FILTER_DAYS: '1',
+        DAILY_OUTPUT_FORMAT: 'markdown',
+        ...vars,
+    };
+}
+
+/**
+ * 组装一套离线环境：内存 KV、模拟模型服务、模拟 GitHub，并拦截全局 fetch。用完调用 restore()。
+ * @param {object} [options]
+ * @param {object} [options.chat] - createMockChatServer() 的参数
+ * @param {object} [options.github] - createFakeGitHub() 的参数（owner/repo 默认与 createDevEnv() 一致）
+ * @param {object} [options.vars] - createDevEnv() 的 vars
+ * @param {Object<string, {fetch: function(Request): Promise<Response>}>} [options.routes] - 额外模拟的地址，如 RSS 源
+ * @param {function(): number} [options.now] - MemoryKV 的时钟
+ * @returns {{env: object, ctx: {waitUntil: function(Promise): void, settle: function(): Promise<void>}, kv: MemoryKV, chat: object, github: object, restore: function(): void}}
+ *   ctx.settle() 等待 waitUntil 中的后台任务完成
+ */
+export function createDevKit({ chat = {}, github = {}, vars = {}, routes = {}, now } = {}) {
+    const kv = new MemoryKV(now ? { now } : {});
+    const env = createDevEnv({ kv, vars });
+    const chatServer = createMockChatServer(chat);
+    const fakeGitHub = createFakeGitHub({ owner: env.GITHUB_REPO_OWNER, repo: env.GITHUB_REPO_NAME, defaultBranch: env.GITHUB_BRANCH, ...github });
+    const restore = installFetchMocks({ [MOCK_LLM_ORIGIN]: chatServer, [MOCK_GITHUB_ORIGIN]: fakeGitHub, ...routes });
+    const pending = [];
+    const ctx = {
+        waitUntil: promise => { pending.push(promise); },
+        settle: async () => {
+            while (pending.length > 0) await Promise.allSettled(pending.splice(0));
+        },
+    };
+    return { env, ctx, kv, chat: chatServer, github: fakeGitHub, restore };
+}
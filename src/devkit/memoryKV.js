@@ -0,0 +1,133 @@
+// src/devkit/memoryKV.js
+// 开发工具 - 内存 KV
+// 与 Workers KV 的 DATA_KV 绑定行为一致：get/put/delete/list/getWithMetadata，支持 expirationTtl / expiration 过期，
+// list 按键名排序并分页。时间可由 now 注入，便于在不等待的情况下检查过期（如 7 天的默认 TTL）。
+
+// Workers KV 的限制
+const MIN_EXPIRATION_TTL = 60;
+const MAX_KEY_BYTES = 512;
+const MAX_LIST_LIMIT = 1000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class MemoryKV {
+    /**
+     * @param {object} [options]
+     * @param {function(): number} [options.now] - 当前时间（毫秒），默认 Date.now
+     */
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.entries = new Map();
+    }
+
+    // 过期的条目视为不存在，并在访问时清除
+    readEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiration && entry.expiration * 1000 <= this.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    decode(entry, type) {
+        switch (type) {
+            case 'json': return JSON.parse(decoder.decode(entry.value));
+            case 'arrayBuffer': return entry.value.slice().buffer;
+            case 'stream': return new Response(entry.value.slice()).body;
+            default: return decoder.decode(entry.value);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {string|{type: string}} [options] - 'text' (default), 'json', 'arrayBuffer' or 'stream'
+     * @returns {Promise<*>} null when the key does not exist or has expired.
+     */
+    async get(key, options) {
+        const entry = this.readEntry(key);
+        return entry ? this.decode(entry, typeof options === 'string' ? options : options?.type) : null;
+    }
+
+    /**
+     * @returns {Promise<{value: *, metadata: object|null}>}
+     */
+    async getWithMetadata(key, options) {
+        const entry = this.readEntry(key);
+        return entry
+            ? { value: this.decode(entry, typeof options === 'string' ? options : options?.type), metadata: entry.metadata }
+            : { value: null, metadata: null };
+    }
+
+    /**
+     * @param {string} key
+     * @param {string|ArrayBuffer|ArrayBufferView|ReadableStream} value
+     * @param {object} [options]
+     * @param {number} [options.expirationTtl] - 秒，至少 60
+     * @param {number} [options.expiration] - 过期时间点（Unix 秒），须晚于当前时间 60 秒以上
+     * @param {object} [options.metadata]
+     * @throws {Error} For keys, values or expirations that Workers KV would reject.
+     */
+    async put(key, value, { expirationTtl, expiration, metadata = null } = {}) {
+        if (typeof key !== 'string' || key === '' || key === '.' || key === '..') {
+            throw new Error(`Invalid KV key "${key}".`);
+        }
+        if (encoder.encode(key).length > MAX_KEY_BYTES) {
+            throw new Error(`KV key exceeds ${MAX_KEY_BYTES} bytes: ${key.slice(0, 40)}…`);
+        }
+        const nowSeconds = Math.floor(this.now() / 1000);
+        let expiresAt = null;
+        if (expirationTtl !== undefined && expirationTtl !== null) {
+            if (!Number.isFinite(expirationTtl) || expirationTtl < MIN_EXPIRATION_TTL) {
+                throw new Error(`Invalid expiration_ttl of ${expirationTtl}. Expiration TTL must be at least ${MIN_EXPIRATION_TTL}.`);
+            }
+            expiresAt = nowSeconds + Math.floor(expirationTtl);
+        } else if (expiration !== undefined && expiration !== null) {
+            if (!Number.isFinite(expiration) || expiration < nowSeconds + MIN_EXPIRATION_TTL) {
+                throw new Error(`Invalid expiration of ${expiration}. Expiration times must be at least ${MIN_EXPIRATION_TTL} seconds in the future.`);
+            }
+            expiresAt = Math.floor(expiration);
+        }
+
+        let bytes;
+        if (typeof value === 'string') bytes = encoder.encode(value);
+        else if (value instanceof ArrayBuffer) bytes = new Uint8Array(value.slice(0));
+        else if (ArrayBuffer.isView(value)) bytes = new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+        else if (value instanceof ReadableStream) bytes = new Uint8Array(await new Response(value).arrayBuffer());
+        else throw new Error('KV put() accepts a string, ArrayBuffer, ArrayBufferView or ReadableStream.');
+
+        this.entries.set(key, { value: bytes, expiration: expiresAt, metadata });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.prefix]
+     * @param {number} [options.limit] - 最多 1000
+     * @param {string} [options.cursor] - 上一页返回的 cursor
+     * @returns {Promise<{keys: Array<{name: string, expiration?: number, metadata?: object}>, list_complete: boolean, cursor?: string}>}
+     */
+    async list({ prefix = '', limit = MAX_LIST_LIMIT, cursor } = {}) {
+        const names = [...this.entries.keys()]
+            .filter(name => name.startsWith(prefix) && this.readEntry(name))
+            .sort();
+        const start = cursor ? Number(cursor) : 0;
+        const page = names.slice(start, start + Math.min(limit, MAX_LIST_LIMIT));
+        const keys = page.map(name => {
+            const entry = this.entries.get(name);
+            const key = { name };
+            if (entry.expiration) key.expiration = entry.expiration;
+            if (entry.metadata) key.metadata = entry.metadata;
+            return key;
+        });
+        const end = start + page.length;
+        return end < names.length
+            ? { keys, list_complete: false, cursor: String(end) }
+            : { keys, list_complete: true };
+    }
+}
@@ -0,0 +1,167 @@
+// src/devkit/mockChatServer.js
+// 开发工具 - 模拟模型服务
+// 实现 OpenAI 兼容的 /v1/chat/completions 和 Gemini 的 /v1beta/models/{model}:generateContent / :streamGenerateContent，
+// 流式请求按 SSE 分块返回，chatapi.js 的 callOpenAIChatAPIStream / callGeminiChatAPIStream 可直接调用。
+// 应答按脚本给出：依次取第一个匹配的规则，未匹配时返回默认应答；每次请求都记录在 calls 中，便于检查提示词。
+import { estimateTokens } from '../chunking.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+const SSE_HEADERS = { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache' };
+
+const DEFAULT_CHUNK_SIZE = 16;
+
+const GEMINI_PATH_PATTERN = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+/**
+ * 规则是否匹配本次请求：字符串为系统或用户提示词包含该文本，正则匹配两者拼接的文本，函数收到完整的请求记录。
+ */
+function matchesRule(match, call) {
+    if (!match) return true;
+    if (typeof match === 'function') return !!match(call);
+    const text = `${call.system}\n${call.user}`;
+    if (match instanceof RegExp) return match.test(text);
+    return text.includes(String(match));
+}
+
+function splitIntoChunks(text, chunkSize) {
+    const chars = [...text];
+    const chunks = [];
+    for (let i = 0; i < chars.length; i += chunkSize) {
+        chunks.push(chars.slice(i, i + chunkSize).join(''));
+    }
+    return chunks.length > 0 ? chunks : [''];
+}
+
+function sse(events) {
+    return events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+}
+
+/**
+ * 读取请求中的模型、提示词和采样参数。
+ * @returns {{provider: 'openai'|'gemini', model: string, stream: boolean, system: string, user: string, body: object}|null} null for unknown paths.
+ */
+async function parseChatRequest(request) {
+    const url = new URL(request.url);
+    if (request.method === 'POST' && url.pathname.endsWith('/v1/chat/completions')) {
+        const body = await request.json();
+        const messages = body.messages || [];
+        const textOf = role => messages.filter(message => message.role === role).map(message => message.content).join('\n');
+        return { provider: 'openai', model: body.model, stream: body.stream === true, system: textOf('system'), user: textOf('user'), body };
+    }
+    const geminiMatch = url.pathname.match(GEMINI_PATH_PATTERN);
+    if (request.method === 'POST' && geminiMatch) {
+        const body = await request.json();
+        const textOf = content => (content?.parts || []).map(part => part.text || '').join('');
+        return {
+            provider: 'gemini',
+            model: decodeURIComponent(geminiMatch[1]),
+            stream: geminiMatch[2] === 'streamGenerateContent',
+            system: textOf(body.systemInstruction),
+            user: (body.contents || []).map(textOf).join('\n'),
+            body,
+        };
+    }
+    return null;
+}
+
+function errorResponse(call, status, message) {
+    const body = call.provider === 'gemini'
+        ? { error: { code: status, message, status: status === 429 ? 'RESOURCE_EXHAUSTED' : 'INTERNAL' } }
+        : { error: { message, type: status === 429 ? 'rate_limit_error' : 'server_error' } };
+    return new Response(JSON.stringify(body), { status, headers: JSON_HEADERS });
+}
+
+function openAIResponse(call, text, chunks, usage) {
+    const id = `chatcmpl-mock-${Date.now()}`;
+    if (!call.stream) {
+        return new Response(JSON.stringify({
+            id, object: 'chat.completion', model: call.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens, total_tokens: usage.promptTokens + usage.completionTokens },
+        }), { headers: JSON_HEADERS });
+    }
+    const events = chunks.map(chunk => ({ id, object: 'chat.completion.chunk', model: call.model, choices: [{ index: 0, delta: { content: chunk }, finish_reason: null }] }));
+    events.push({ id, object: 'chat.completion.chunk', model: call.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+    if (call.body.stream_options?.include_usage) {
+        events.push({ id, object: 'chat.completion.chunk', model: call.model, choices: [], usage: { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens, total_tokens: usage.promptTokens + usage.completionTokens } });
+    }
+    events.push('[DONE]');
+    return new Response(sse(events), { headers: SSE_HEADERS });
+}
+
+function geminiResponse(call, text, chunks, usage) {
+    const usageMetadata = { promptTokenCount: usage.promptTokens, candidatesTokenCount: usage.completionTokens, totalTokenCount: usage.promptTokens + usage.completionTokens };
+    if (!call.stream) {
+        return new Response(JSON.stringify({
+            candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 }],
+            usageMetadata,
+        }), { headers: JSON_HEADERS });
+    }
+    const events = chunks.map((chunk, index) => ({
+        candidates: [{ content: { role: 'model', parts: [{ text: chunk }] }, index: 0, ...(index === chunks.length - 1 ? { finishReason: 'STOP' } : {}) }],
+        // usageMetadata 为累计值
+        usageMetadata: index === chunks.length - 1 ? usageMetadata : { promptTokenCount: usage.promptTokens },
+    }));
+    return new Response(sse(events), { headers: SSE_HEADERS });
+}
+
+/**
+ * 创建模拟模型服务。
+ * 应答规则: 字符串即应答文本；或 { match, text, chunks, status, error, usage, repeat }：
+ * match 见 matchesRule()；chunks 指定流式分块（默认每 16 个字一块）；status 非 200 时返回 error 错误信息（如 429 测试供应商切换）；
+ * usage 为 { promptTokens, completionTokens }，默认按文本估算；repeat 为 true 时规则不会被用掉。
+ * @param {object} [options]
+ * @param {Array<string|object>} [options.responses] - 应答规则，按顺序匹配
+ * @param {string} [options.defaultResponse] - 没有匹配的规则时的应答
+ * @param {number} [options.chunkSize] - 流式应答每块的字数
+ * @returns {{fetch: function(Request): Promise<Response>, calls: Array<object>, script: function(Array<string|object>): void, reset: function(): void}}
+ */
+export function createMockChatServer({ responses = [], defaultResponse = '模拟模型应答', chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    let rules = [...responses];
+    const calls = [];
+
+    const takeRule = call => {
+        const index = rules.findIndex(rule => typeof rule === 'string' || matchesRule(rule.match, call));
+        if (index === -1) return { text: defaultResponse };
+        const rule = rules[index];
+        if (typeof rule === 'string' || !rule.repeat) rules.splice(index, 1);
+        return typeof rule === 'string' ? { text: rule } : rule;
+    };
+
+    return {
+        calls,
+        // 追加应答规则
+        script(moreResponses) {
+            rules.push(...moreResponses);
+        },
+        reset() {
+            rules = [];
+            calls.length = 0;
+        },
+        async fetch(request) {
+            let call;
+            try {
+                call = await parseChatRequest(request);
+            } catch (error) {
+                return new Response(JSON.stringify({ error: { message: `Invalid JSON body: ${error.message}` } }), { status: 400, headers: JSON_HEADERS });
+            }
+            if (!call) {
+                return new Response(JSON.stringify({ error: { message: `Not found: ${request.method} ${new URL(request.url).pathname}` } }), { status: 404, headers: JSON_HEADERS });
+            }
+            const { body, ...record } = call;
+            calls.push(record);
+
+            const rule = takeRule(call);
+            if (rule.status && rule.status !== 200) {
+                return errorResponse(call, rule.status, rule.error || `Mock error ${rule.status}`);
+            }
+            const text = rule.chunks ? rule.chunks.join('') : String(rule.text ?? '');
+            const chunks = rule.chunks || splitIntoChunks(text, chunkSize);
+            const usage = {
+                promptTokens: rule.usage?.promptTokens ?? estimateTokens(`${call.system}${call.user}`),
+                completionTokens: rule.usage?.completionTokens ?? estimateTokens(text),
+            };
+            return call.provider === 'gemini' ? geminiResponse(call, text, chunks, usage) : openAIResponse(call, text, chunks, usage);
+        },
+    };
+}
@@ -0,0 +1,51 @@
+// src/devkit/server.js
+// 开发工具 - 本地模拟服务（模型 + GitHub），供 wrangler dev 启动的 Worker 调用：
+//
+//   npx wrangler dev src/devkit/server.js --name realestate-mock --port 8788
+//
+// 在 .dev.vars 中把 LLM_PROVIDERS 的 url 和 GITHUB_API_URL 指向 http://localhost:8788（见 docs/DEPLOYMENT.md）。
+// 管理接口: GET /__mock/calls 查看收到的模型请求；POST /__mock/script 追加应答规则（JSON 数组，match 只支持字符串）；
+// POST /__mock/reset 清空规则和记录；GET /__mock/github 查看提交记录。状态只保存在内存中，重启后清空。
+import { createMockChatServer } from './mockChatServer.js';
+import { createFakeGitHub } from './fakeGitHub.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+let chat = null;
+let github = null;
+
+// 变量在首次请求时读取：MOCK_GITHUB_OWNER / MOCK_GITHUB_REPO 与主 Worker 的 GITHUB_REPO_OWNER / GITHUB_REPO_NAME 一致
+function init(env) {
+    if (chat) return;
+    chat = createMockChatServer({ defaultResponse: env.MOCK_DEFAULT_RESPONSE || undefined });
+    github = createFakeGitHub({ owner: env.MOCK_GITHUB_OWNER || 'owner', repo: env.MOCK_GITHUB_REPO || 'repo' });
+}
+
+export default {
+    async fetch(request, env) {
+        init(env);
+        const path = new URL(request.url).pathname;
+        if (path === '/__mock/calls' && request.method === 'GET') {
+            return new Response(JSON.stringify(chat.calls), { headers: JSON_HEADERS });
+        }
+        if (path === '/__mock/script' && request.method === 'POST') {
+            const responses = await request.json();
+            if (!Array.isArray(responses)) {
+                return new Response(JSON.stringify({ success: false, message: 'Body must be a JSON array of responses.' }), { status: 400, headers: JSON_HEADERS });
+            }
+            chat.script(responses);
+            return new Response(JSON.stringify({ success: true }), { headers: JSON_HEADERS });
+        }
+        if (path === '/__mock/reset' && request.method === 'POST') {
+            chat.reset();
+            return new Response(JSON.stringify({ success: true }), { headers: JSON_HEADERS });
+        }
+        if (path === '/__mock/github' && request.method === 'GET') {
+            return new Response(JSON.stringify(github.commits), { headers: JSON_HEADERS });
+        }
+        if (path.startsWith('/repos/')) {
+            return await github.fetch(request);
+        }
+        return await chat.fetch(request);
+    },
+};
@@ -0,0 +1,228 @@
+// src/drafts.js
+// 楼市洞察日报 - 日报/播客草稿
+// 生成结果页面中的编辑器会自动保存到 KV。草稿同时保留模型的原始输出 (aiContent)，
+// 与当前内容比较即可得出哪些修改是编辑人工完成的，提交到 GitHub 的是编辑后的版本。
+// 另外，每次 AI 生成的结果都按日期保存为一个版本（见 saveDraftVersion），关闭页面也不会丢失，可在 /drafts 页面查看、对比、恢复和发布。
+import { storeInKV, getFromKV } from './kv.js';
+import { diffLines, getDiffHunks } from './textDiff.js';
+import { computeContentHash } from './feedState.js';
+
+const DRAFT_TTL = 86400 * 30;
+const MAX_EDIT_LOG_ENTRIES = 100;
+
+export const DRAFT_TYPES = ['daily', 'podcast'];
+
+function getDraftKey(dateStr, type) {
+    return `draft:${dateStr}:${type}`;
+}
+
+function assertDraftType(type) {
+    if (!DRAFT_TYPES.includes(type)) {
+        throw new Error(`Unknown draft type "${type}", expected one of: ${DRAFT_TYPES.join(', ')}.`);
+    }
+}
+
+/**
+ * 读取某天的草稿。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} type - 'daily' or 'podcast'.
+ * @returns {Promise<object|null>}
+ */
+export async function getDraft(env, dateStr, type) {
+    assertDraftType(type);
+    return await getFromKV(env.DATA_KV, getDraftKey(dateStr, type));
+}
+
+/**
+ * 保存草稿（编辑器自动保存）。
+ * aiContent 为本次编辑所基于的模型输出；与已存草稿的 aiContent 不同时（重新生成过），以新的输出为基准重新开始记录。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} type - 'daily' or 'podcast'.
+ * @param {{content: string, aiContent?: string, editor?: string}} update
+ * @returns {Promise<object>} The saved draft: { date, type, aiContent, content, humanEdits, editLog, updatedAt, committedAt, committedHash }
+ */
+export async function saveDraft(env, dateStr, type, { content, aiContent, editor }) {
+    assertDraftType(type);
+    if (typeof content !== 'string') {
+        throw new Error('Draft content must be a string.');
+    }
+    const existing = await getDraft(env, dateStr, type);
+    const isNewBase = !existing || (typeof aiContent === 'string' && aiContent !== existing.aiContent);
+    const baseContent = isNewBase ? (typeof aiContent === 'string' ? aiContent : content) : existing.aiContent;
+    const previousContent = isNewBase ? baseContent : existing.content;
+    const editLog = isNewBase ? [] : existing.editLog || [];
+
+    const now = new Date().toISOString();
+    if (content !== previousContent) {
+        const changes = diffLines(previousContent, content);
+        editLog.push({
+            at: now,
+            editor: editor || null,
+            linesAdded: changes.filter(op => op.type === 'add').length,
+            linesRemoved: changes.filter(op => op.type === 'remove').length,
+        });
+    }
+
+    const draft = {
+        date: dateStr,
+        type,
+        aiContent: baseContent,
+        content,
+        // 相对模型原始输出的人工修改
+        humanEdits: getDiffHunks(diffLines(baseContent, content)),
+        editLog: editLog.slice(-MAX_EDIT_LOG_ENTRIES),
+        createdAt: isNewBase ? now : existing.createdAt,
+        updatedAt: now,
+        committedAt: isNewBase ? null : existing.committedAt || null,
+        committedHash: isNewBase ? null : existing.committedHash || null,
+    };
+    await storeInKV(env.DATA_KV, getDraftKey(dateStr, type), draft, DRAFT_TTL);
+    return draft;
+}
+
+/**
+ * 提交到 GitHub 后在草稿中记录提交时间和提交内容的哈希，不修改草稿正文。
+ * 提交的可能是某个生成版本而不是编辑器中的草稿（见 /draftPublish），比较 committedHash 即可知道草稿是否就是已提交的内容。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} type - 'daily' or 'podcast'.
+ * @param {string} content - The committed markdown.
+ * @returns {Promise<object|null>} The updated draft, or null if there is no draft for the day.
+ */
+export async function markDraftCommitted(env, dateStr, type, content) {
+    const draft = await getDraft(env, dateStr, type);
+    if (!draft) return null;
+    draft.committedAt = new Date().toISOString();
+    draft.committedHash = await computeContentHash(content);
+    await storeInKV(env.DATA_KV, getDraftKey(dateStr, type), draft, DRAFT_TTL);
+    return draft;
+}
+
+// ===================== 生成结果版本 =====================
+
+// 版本类型及显示名称；daily 和 podcast 可发布到 GitHub
+export const VERSION_TYPES = {
+    daily: '日报',
+    summary: '今日摘要',
+    podcast: '播客脚本',
+    analysis: '日报分析',
+};
+
+function getVersionIndexKey(dateStr) {
+    return `drafts:${dateStr}`;
+}
+
+function getVersionKey(dateStr, id) {
+    return `draft-version:${dateStr}:${id}`;
+}
+
+/**
+ * 列出某天所有生成版本的元数据（不含正文），按生成时间排列。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {Promise<Array<object>>} [{ id, type, version, createdAt, model, source, selectedItems, length, publishedAt }]
+ */
+export async function listDraftVersions(env, dateStr) {
+    return await getFromKV(env.DATA_KV, getVersionIndexKey(dateStr)) || [];
+}
+
+/**
+ * 读取一个生成版本（含正文和提示词）。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} id - Version id, e.g. "daily-v2".
+ * @returns {Promise<object|null>}
+ */
+export async function getDraftVersion(env, dateStr, id) {
+    return await getFromKV(env.DATA_KV, getVersionKey(dateStr, id));
+}
+
+/**
+ * 将一次 AI 生成结果保存为新版本，同类型版本号依次递增。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {object} generation
+ * @param {string} generation.type - One of VERSION_TYPES.
+ * @param {string} generation.content - The generated markdown.
+ * @param {Array<{name: string, system: string, user: string, prompt?: {key: string, version: number}}>} [generation.prompts] - 本次生成使用的提示词，prompt 为提示词库中的版本（见 promptLibrary.js）
+ * @param {string} [generation.model] - 使用的模型，见 chatapi.js getActiveModelName()
+ * @param {Array<string>} [generation.selectedItems] - 选中的条目 ("type:id")
+ * @param {string} [generation.source] - 生成来源，如 'web'、'pipeline'、'compare'（对比生成）
+ * @param {object} [generation.report] - 结构化日报（DAILY_OUTPUT_FORMAT = "structured"），见 dailyReport.js
+ * @param {object} [generation.factCheck] - 事实核查结果，见 factCheck.js verifyFacts()
+ * @returns {Promise<object>} The version metadata.
+ */
+export async function saveDraftVersion(env, dateStr, { type, content, prompts = [], model = null, selectedItems = [], source = 'web', report = null, factCheck = null }) {
+    if (!VERSION_TYPES[type]) {
+        throw new Error(`Unknown version type "${type}", expected one of: ${Object.keys(VERSION_TYPES).join(', ')}.`);
+    }
+    const index = await listDraftVersions(env, dateStr);
+    const version = index.filter(entry => entry.type === type).reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+    const meta = {
+        id: `${type}-v${version}`,
+        type,
+        version,
+        createdAt: new Date().toISOString(),
+        model,
+        source,
+        selectedItems,
+        length: content.length,
+        publishedAt: null,
+        // 列表页只需要无据内容的数量和确认状态，明细保存在版本中
+        factCheck: factCheck ? { unsupported: factCheck.unsupported.length, approvedAt: factCheck.approvedAt } : null,
+    };
+    await storeInKV(env.DATA_KV, getVersionKey(dateStr, meta.id), { ...meta, date: dateStr, content, prompts, report, factCheck }, DRAFT_TTL);
+    index.push(meta);
+    await storeInKV(env.DATA_KV, getVersionIndexKey(dateStr), index, DRAFT_TTL);
+    console.log(`Saved ${type} version ${meta.id} for ${dateStr}.`);
+    return meta;
+}
+
+/**
+ * 记录某个版本已发布。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} id - Version id.
+ */
+export async function markVersionPublished(env, dateStr, id) {
+    const publishedAt = new Date().toISOString();
+    const index = await listDraftVersions(env, dateStr);
+    const meta = index.find(entry => entry.id === id);
+    if (meta) {
+        meta.publishedAt = publishedAt;
+        await storeInKV(env.DATA_KV, getVersionIndexKey(dateStr), index, DRAFT_TTL);
+    }
+    const version = await getDraftVersion(env, dateStr, id);
+    if (version) {
+        version.publishedAt = publishedAt;
+        await storeInKV(env.DATA_KV, getVersionKey(dateStr, id), version, DRAFT_TTL);
+    }
+}
+
+/**
+ * 人工确认某个版本的事实核查结果，确认后流水线才会自动发布该版本（见 pipeline.js）。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} id - Version id.
+ * @param {string} approvedBy - 确认人
+ * @returns {Promise<object|null>} The updated fact check, or null if the version does not exist or was not fact-checked.
+ */
+export async function approveVersionFactCheck(env, dateStr, id, approvedBy) {
+    const version = await getDraftVersion(env, dateStr, id);
+    if (!version || !version.factCheck) return null;
+    version.factCheck.approvedAt = new Date().toISOString();
+    version.factCheck.approvedBy = approvedBy || null;
+    // 记录确认时的正文，发布时据此判断确认针对的是不是要发布的内容
+    version.factCheck.approvedHash = await computeContentHash(version.content);
+    await storeInKV(env.DATA_KV, getVersionKey(dateStr, id), version, DRAFT_TTL);
+
+    const index = await listDraftVersions(env, dateStr);
+    const meta = index.find(entry => entry.id === id);
+    if (meta && meta.factCheck) {
+        meta.factCheck.approvedAt = version.factCheck.approvedAt;
+        await storeInKV(env.DATA_KV, getVersionIndexKey(dateStr), index, DRAFT_TTL);
+    }
+    return version.factCheck;
+}
@@ -0,0 +1,347 @@
+// src/evaluation.js
+// 楼市洞察日报 - 日报质量评估
+// 修改提示词或模型前后，用「黄金集」做回归检查：黄金集为过去某天选中的原始条目及人工审核后发布的日报 Markdown。
+// 评估时用当前（或指定的）提示词版本和模型对每个黄金集重新生成日报并打分，同时给人工发布版本打分作为参照。
+// 离线评估见 devkit/evaluate.js：用保存在文件中的黄金集和模拟模型服务运行同样的评估，不需要部署、KV 或模型 API key。
+import { storeInKV, getFromKV } from './kv.js';
+import { getDraftVersion } from './drafts.js';
+import { extractClaims, verifyFacts } from './factCheck.js';
+import { stripCitations } from './citations.js';
+import { parseDailyMarkdown } from './dailyReport.js';
+import { buildSelectedContentItems, generateDailySummary } from './handlers/genAIContent.js';
+
+// 每条要闻的字数范围，与摘要提示词的要求一致（见 prompt/summarizationPromptStepZero.js）
+export const ITEM_LENGTH_RANGE = { min: 80, max: 150 };
+
+// 今日摘要的行数和每行字数，与提示词的要求一致（见 prompt/summarizationPromptStepThree.js）
+export const OVERVIEW_LINE_COUNT = 3;
+export const OVERVIEW_LINE_LENGTH_RANGE = { min: 25, max: 35 };
+
+// 默认禁用词，可用 EVAL_FORBIDDEN_WORDS 覆盖
+const DEFAULT_FORBIDDEN_WORDS = ['震惊', '炸裂', '暴涨', '暴跌', '崩盘', '抄底', '疯抢', '血亏', '史诗级', '重磅炸弹'];
+
+// 保留的评估记录数
+const MAX_EVALUATION_RUNS = 20;
+
+const GOLDEN_SET_INDEX_KEY = 'golden-sets';
+const EVALUATION_RUNS_KEY = 'evaluation-runs';
+
+function getGoldenSetKey(dateStr) {
+    return `golden-set:${dateStr}`;
+}
+
+/**
+ * 评估时检查的禁用词：EVAL_FORBIDDEN_WORDS（逗号分隔），未配置时使用默认列表。
+ * @param {object} env - The environment variables.
+ * @returns {Array<string>}
+ */
+export function getForbiddenWords(env) {
+    const configured = String(env.EVAL_FORBIDDEN_WORDS || '').split(/[,，]/).map(word => word.trim()).filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_FORBIDDEN_WORDS;
+}
+
+// 字数：去掉引用、链接和 Markdown 标记后的字符数
+function countChars(text) {
+    const plain = stripCitations(text)
+        .replace(/\[\^[^\]\n]+\]/g, '')
+        .replace(/!?\[([^\]\n]*)\]\([^)\s]+\)/g, '$1')
+        .replace(/[*`#>]/g, '')
+        .replace(/\s+/g, '');
+    return [...plain].length;
+}
+
+function ratio(passed, total) {
+    return total === 0 ? null : Math.round(passed / total * 1000) / 1000;
+}
+
+/**
+ * 给一份日报打分，各项得分 0–1，不适用时为 null。
+ * - coverage: 人工发布版本引用的原文（没有引用时为全部选中条目）中，被本次日报引用的比例
+ * - numericFaithfulness: 日报中的数字能在选中条目原文中找到的比例
+ * - categoryPlacement: 与人工发布版本都引用的原文，归入相同分类的比例（仅结构化日报有分类）
+ * - length: 每条要闻 80–150 字、今日摘要 3 行每行 25–35 字，符合要求的比例
+ * - forbiddenWords: 不含禁用词为 1，否则为 0
+ * @param {string} markdown - 待评估的日报 Markdown
+ * @param {object} reference
+ * @param {string} reference.approvedMarkdown - 人工审核后发布的日报 Markdown
+ * @param {Array<string>} reference.sourceTexts - 选中条目的文本，见 genAIContent.js buildSelectedContentItems()
+ * @param {Array<string>} reference.sourceUrls - 选中条目的原文链接
+ * @param {Array<string>} reference.forbiddenWords - Result of getForbiddenWords().
+ * @returns {{overall: number|null, scores: object, details: object}} overall 为各项适用得分的平均值
+ */
+export function scoreDailySummary(markdown, { approvedMarkdown, sourceTexts, sourceUrls, forbiddenWords }) {
+    const parsed = parseDailyMarkdown(markdown);
+    const approved = parseDailyMarkdown(approvedMarkdown);
+    const evaluatedText = `${parsed.overviewLines.join('\n')}\n\n${parsed.newsText}`;
+
+    const citedUrls = new Set(parsed.items.flatMap(item => item.urls));
+    const approvedUrls = new Set(approved.items.flatMap(item => item.urls));
+    const expectedUrls = approvedUrls.size > 0 ? [...approvedUrls] : sourceUrls;
+    const missingSources = expectedUrls.filter(url => !citedUrls.has(url));
+
+    const numbers = extractClaims(evaluatedText).filter(claim => claim.type === 'number');
+    const unsupportedNumbers = verifyFacts(evaluatedText, sourceTexts).unsupported.filter(claim => claim.type === 'number');
+
+    const getCategories = items => {
+        const categories = new Map();
+        for (const item of items) {
+            if (!item.category) continue;
+            for (const url of item.urls) categories.set(url, item.category);
+        }
+        return categories;
+    };
+    const categories = getCategories(parsed.items);
+    const approvedCategories = getCategories(approved.items);
+    const comparable = [...categories.keys()].filter(url => approvedCategories.has(url));
+    const misplaced = comparable
+        .filter(url => categories.get(url) !== approvedCategories.get(url))
+        .map(url => ({ url, category: categories.get(url), expected: approvedCategories.get(url) }));
+
+    const lengthIssues = [];
+    for (const item of parsed.items) {
+        const length = countChars(item.body);
+        if (length < ITEM_LENGTH_RANGE.min || length > ITEM_LENGTH_RANGE.max) {
+            lengthIssues.push({ type: 'item', text: item.headline, length });
+        }
+    }
+    if (parsed.overviewLines.length !== OVERVIEW_LINE_COUNT) {
+        lengthIssues.push({ type: 'overviewLines', text: '今日摘要行数', length: parsed.overviewLines.length });
+    }
+    for (const line of parsed.overviewLines) {
+        const length = countChars(line);
+        if (length < OVERVIEW_LINE_LENGTH_RANGE.min || length > OVERVIEW_LINE_LENGTH_RANGE.max) {
+            lengthIssues.push({ type: 'overview', text: line, length });
+        }
+    }
+    const lengthChecks = parsed.items.length + 1 + parsed.overviewLines.length;
+
+    const foundWords = forbiddenWords.filter(word => evaluatedText.includes(word));
+
+    const scores = {
+        coverage: ratio(expectedUrls.length - missingSources.length, expectedUrls.length),
+        numericFaithfulness: numbers.length === 0 ? 1 : ratio(numbers.length - unsupportedNumbers.length, numbers.length),
+        categoryPlacement: ratio(comparable.length - misplaced.length, comparable.length),
+        length: ratio(lengthChecks - lengthIssues.length, lengthChecks),
+        forbiddenWords: foundWords.length === 0 ? 1 : 0,
+    };
+    const applicable = Object.values(scores).filter(score => score !== null);
+    return {
+        overall: applicable.length > 0 ? Math.round(applicable.reduce((sum, score) => sum + score, 0) / applicable.length * 1000) / 1000 : null,
+        scores,
+        details: {
+            itemCount: parsed.items.length,
+            missingSources,
+            unsupportedNumbers: unsupportedNumbers.map(claim => claim.text),
+            misplaced,
+            lengthIssues,
+            forbiddenWords: foundWords,
+        },
+    };
+}
+
+/**
+ * 所有黄金集的概览。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<Array<{date: string, versionId: string, itemCount: number, createdAt: string, createdBy: string|null}>>}
+ */
+export async function listGoldenSets(env) {
+    return (await getFromKV(env.DATA_KV, GOLDEN_SET_INDEX_KEY)) || [];
+}
+
+/**
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {Promise<object|null>} The golden set, or null if there is none for the date.
+ */
+export async function getGoldenSet(env, dateStr) {
+    return await getFromKV(env.DATA_KV, getGoldenSetKey(dateStr));
+}
+
+/**
+ * 将某天已发布的日报版本保存为黄金集：记下该版本选中的原始条目和发布的 Markdown，不设过期时间。
+ * 原始条目只在 KV 中保存 7 天，需在此期间保存。同一天已有黄金集时覆盖。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} versionId - 已发布的日报版本，见 drafts.js
+ * @param {string|null} [createdBy]
+ * @returns {Promise<object>} The golden set summary, as listed by listGoldenSets().
+ * @throws {Error} If the version is missing, not a published daily, or its items are no longer stored.
+ */
+export async function saveGoldenSet(env, dateStr, versionId, createdBy = null) {
+    const version = await getDraftVersion(env, dateStr, versionId);
+    if (!version || version.type !== 'daily') {
+        throw new Error(`Daily version ${versionId} not found for ${dateStr}.`);
+    }
+    if (!version.publishedAt) {
+        throw new Error(`Version ${versionId} has not been published; only published dailies can be golden sets.`);
+    }
+    if (!Array.isArray(version.selectedItems) || version.selectedItems.length === 0) {
+        throw new Error(`Version ${versionId} has no selected items.`);
+    }
+
+    // 按分类读取当天存储的条目，只保留选中的
+    const items = {};
+    const missing = [];
+    const byType = {};
+    for (const selection of version.selectedItems) {
+        const [type, id] = selection.split(':');
+        (byType[type] = byType[type] || []).push(id);
+    }
+    for (const [type, ids] of Object.entries(byType)) {
+        const stored = (await getFromKV(env.DATA_KV, `${dateStr}-${type}`)) || [];
+        items[type] = stored.filter(item => ids.includes(String(item.id)));
+        const found = new Set(items[type].map(item => String(item.id)));
+        missing.push(...ids.filter(id => !found.has(id)).map(id => `${type}:${id}`));
+    }
+    if (missing.length > 0) {
+        throw new Error(`Selected items are no longer stored for ${dateStr}: ${missing.join(', ')}.`);
+    }
+
+    const summary = await storeGoldenSet(env, {
+        date: dateStr,
+        versionId,
+        selectedItems: version.selectedItems,
+        items,
+        approvedMarkdown: version.content,
+        createdAt: new Date().toISOString(),
+        createdBy,
+    });
+    console.log(`Saved golden set for ${dateStr} from version ${versionId} (${summary.itemCount} items).`);
+    return summary;
+}
+
+/**
+ * 保存一个完整的黄金集并更新索引，同一天已有黄金集时覆盖。
+ * saveGoldenSet() 从已发布版本构建黄金集后调用；离线评估用它载入 GET /goldenSet 导出的文件（见 devkit/evaluate.js）。
+ * @param {object} env - The environment variables.
+ * @param {{date: string, versionId: string, selectedItems: Array<string>, items: object, approvedMarkdown: string, createdAt?: string, createdBy?: string|null}} goldenSet
+ * @returns {Promise<object>} The golden set summary, as listed by listGoldenSets().
+ * @throws {Error} If a required field is missing.
+ */
+export async function storeGoldenSet(env, goldenSet) {
+    const { date, versionId, selectedItems, items, approvedMarkdown, createdAt = new Date().toISOString(), createdBy = null } = goldenSet;
+    if (!date || !Array.isArray(selectedItems) || !items || typeof approvedMarkdown !== 'string') {
+        throw new Error('A golden set needs date, selectedItems, items and approvedMarkdown.');
+    }
+    await storeInKV(env.DATA_KV, getGoldenSetKey(date), { date, versionId, selectedItems, items, approvedMarkdown, createdAt, createdBy }, null);
+
+    const summary = { date, versionId, itemCount: selectedItems.length, createdAt, createdBy };
+    const index = (await listGoldenSets(env)).filter(entry => entry.date !== date);
+    index.push(summary);
+    index.sort((a, b) => a.date.localeCompare(b.date));
+    await storeInKV(env.DATA_KV, GOLDEN_SET_INDEX_KEY, index, null);
+    return summary;
+}
+
+/**
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {Promise<boolean>} Whether a golden set was removed.
+ */
+export async function deleteGoldenSet(env, dateStr) {
+    const index = await listGoldenSets(env);
+    if (!index.some(entry => entry.date === dateStr)) return false;
+    await env.DATA_KV.delete(getGoldenSetKey(dateStr));
+    await storeInKV(env.DATA_KV, GOLDEN_SET_INDEX_KEY, index.filter(entry => entry.date !== dateStr), null);
+    return true;
+}
+
+/**
+ * 读取时优先返回黄金集中的条目，其余读写交给原 KV，使生成流程像在当天一样读取选中条目和引用来源。
+ */
+function createGoldenSetKV(kvNamespace, goldenSet) {
+    const entries = new Map(Object.entries(goldenSet.items).map(([type, items]) => [`${goldenSet.date}-${type}`, JSON.stringify(items)]));
+    return {
+        get: async (key, options) => (entries.has(key) ? entries.get(key) : await kvNamespace.get(key, options)),
+        put: (key, value, options) => kvNamespace.put(key, value, options),
+        delete: key => kvNamespace.delete(key),
+        list: options => kvNamespace.list(options),
+    };
+}
+
+function averageScores(results) {
+    const scored = results.filter(result => result.score);
+    const average = values => {
+        const applicable = values.filter(value => value !== null && value !== undefined);
+        return applicable.length === 0 ? null : Math.round(applicable.reduce((sum, value) => sum + value, 0) / applicable.length * 1000) / 1000;
+    };
+    const averages = { overall: average(scored.map(result => result.score.overall)) };
+    for (const name of ['coverage', 'numericFaithfulness', 'categoryPlacement', 'length', 'forbiddenWords']) {
+        averages[name] = average(scored.map(result => result.score.scores[name]));
+    }
+    return averages;
+}
+
+/**
+ * 列出最近的评估记录（新的在前）。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listEvaluationRuns(env) {
+    return (await getFromKV(env.DATA_KV, EVALUATION_RUNS_KEY)) || [];
+}
+
+/**
+ * 对黄金集依次重新生成日报并打分，结果保存为一条评估记录。某个黄金集生成失败时记录错误并继续。
+ * @param {object} env - The environment variables.
+ * @param {object} [options]
+ * @param {Array<string>} [options.dates] - 要评估的黄金集日期，默认全部
+ * @param {Object<string, number>} [options.promptVersions] - 使用的提示词版本，见 promptLibrary.js parsePromptVersions()
+ * @param {object} [options.modelOverrides] - 模型设置覆盖，见 llmProviders.js parseModelOverrides()
+ * @param {function(object): (void|Promise<void>)} [options.beforeEach] - 每个黄金集生成前调用，参数为该黄金集；离线评估用它设定模拟模型的应答
+ * @returns {Promise<{id: string, startedAt: string, finishedAt: string, promptVersions: object, modelOverrides: object, averages: object, baselineAverages: object, results: Array<object>}>}
+ *   baselineAverages 为人工发布版本的得分，作为参照
+ * @throws {Error} If there are no golden sets to evaluate.
+ */
+export async function runEvaluation(env, { dates = null, promptVersions = {}, modelOverrides = {}, beforeEach } = {}) {
+    const available = (await listGoldenSets(env)).map(entry => entry.date);
+    const targetDates = dates && dates.length > 0 ? dates : available;
+    const unknown = targetDates.filter(date => !available.includes(date));
+    if (unknown.length > 0) {
+        throw new Error(`No golden set for: ${unknown.join(', ')}.`);
+    }
+    if (targetDates.length === 0) {
+        throw new Error('No golden sets to evaluate. Save a published daily as a golden set first.');
+    }
+
+    const startedAt = new Date().toISOString();
+    const forbiddenWords = getForbiddenWords(env);
+    const results = [];
+    for (const date of targetDates) {
+        const goldenSet = await getGoldenSet(env, date);
+        const evalEnv = { ...env, DATA_KV: createGoldenSetKV(env.DATA_KV, goldenSet) };
+        const sourceUrls = Object.values(goldenSet.items).flat().map(item => item.url).filter(Boolean);
+        const result = { date, versionId: goldenSet.versionId };
+        const started = Date.now();
+        try {
+            const sourceTexts = await buildSelectedContentItems(evalEnv, date, goldenSet.selectedItems);
+            const reference = { approvedMarkdown: goldenSet.approvedMarkdown, sourceTexts, sourceUrls, forbiddenWords };
+            result.baseline = scoreDailySummary(goldenSet.approvedMarkdown, reference);
+            if (beforeEach) await beforeEach(goldenSet);
+            const summary = await generateDailySummary(evalEnv, date, sourceTexts, { promptVersions, modelOverrides });
+            result.latencyMs = Date.now() - started;
+            result.score = scoreDailySummary(summary.dailySummaryMarkdownContent, reference);
+            result.output = summary.dailySummaryMarkdownContent;
+        } catch (error) {
+            console.error(`Evaluation failed for golden set ${date}:`, error);
+            result.error = error.message;
+            result.latencyMs = Date.now() - started;
+        }
+        results.push(result);
+    }
+
+    const run = {
+        id: startedAt,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        promptVersions,
+        modelOverrides,
+        averages: averageScores(results),
+        baselineAverages: averageScores(results.map(result => ({ score: result.baseline }))),
+        results,
+    };
+    const runs = await listEvaluationRuns(env);
+    await storeInKV(env.DATA_KV, EVALUATION_RUNS_KEY, [run, ...runs].slice(0, MAX_EVALUATION_RUNS), null);
+    console.log(`Evaluation ${run.id}: ${results.length} golden sets, overall ${run.averages.overall}.`);
+    return run;
+}
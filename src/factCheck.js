@@ -0,0 +1,182 @@
+// src/factCheck.js
+// 楼市洞察日报 - 事实核查
+// 提示词要求价格、比例、面积等数据必须来自原文，这里在生成后逐项核对：从日报中提取数字、百分比、城市名和政策术语，
+// 在选中条目的原文中查找，找不到的记为「无据内容」。存在无据内容的版本需人工确认后，流水线才会自动发布（见 pipeline.js）。
+import { stripCitations } from './citations.js';
+import { computeContentHash } from './feedState.js';
+
+// 核查的城市（直辖市、省会及主要地级市），按名称长度降序匹配
+export const CITY_NAMES = [
+    '北京', '上海', '天津', '重庆', '广州', '深圳', '杭州', '南京', '苏州', '成都', '武汉', '西安', '长沙', '郑州',
+    '东莞', '佛山', '宁波', '青岛', '济南', '合肥', '福州', '厦门', '泉州', '无锡', '常州', '南通', '徐州', '温州',
+    '嘉兴', '绍兴', '金华', '台州', '珠海', '中山', '惠州', '江门', '汕头', '湛江', '南宁', '柳州', '桂林', '海口',
+    '三亚', '昆明', '贵阳', '南昌', '赣州', '太原', '石家庄', '唐山', '保定', '廊坊', '呼和浩特', '包头', '沈阳',
+    '大连', '长春', '吉林', '哈尔滨', '兰州', '银川', '西宁', '乌鲁木齐', '拉萨', '烟台', '潍坊', '临沂', '洛阳',
+    '扬州', '盐城', '镇江', '芜湖', '宜昌', '襄阳', '岳阳', '株洲', '衡阳', '绵阳', '遵义', '香港', '澳门',
+].sort((a, b) => b.length - a.length);
+
+// 核查的政策术语
+export const POLICY_TERMS = [
+    '首付比例', '首套房', '二套房', '限购', '限贷', '限售', '限价', '认房不认贷', '房贷利率', '商贷利率', '公积金贷款',
+    '住房公积金', '公积金', 'LPR', '存量房贷', '契税', '增值税', '个税', '房产税', '购房补贴', '以旧换新', '保交楼',
+    '保交房', '白名单', '城中村改造', '保障性住房', '保障房', '专项债', '收储', '降准', '降息', '人才购房', '落户',
+    '预售资金', '现房销售', '土地出让', '容积率', '棚改',
+].sort((a, b) => b.length - a.length);
+
+// 数字及其量级、计量单位，如 3.5%、0.25个百分点、1.2万套、300亿元、2万元/平方米
+const NUMBER_PATTERN = /(\d+(?:,\d{3})*(?:\.\d+)?)\s*(%|个百分点|个基点|基点|BP|bp|万亿|亿|万|千)?(元\/平方米|平方米|平米|元|套|户|宗|倍|城)?/g;
+
+const SCALE_MULTIPLIERS = { '千': 1e3, '万': 1e4, '亿': 1e8, '万亿': 1e12 };
+
+// 原文中常用汉字写的个位数，如「三孩」「五年」
+const CHINESE_DIGITS = ['零', '一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * 统一全角数字和符号，便于比对。
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+        .replace(/％/g, '%')
+        .replace(/．/g, '.');
+}
+
+/**
+ * 数字的比较键：百分比、百分点、基点各自比较；带万/亿等量级的换算为数值，与原文中不同写法的同一数值匹配。
+ */
+function getNumberKey(number, scale) {
+    const value = number.replace(/,/g, '');
+    if (scale === '%') return `${Number(value)}%`;
+    if (scale === '个百分点') return `${Number(value)}pp`;
+    if (scale && /基点|bp/i.test(scale)) return `${Number(value)}bp`;
+    return String(Number(value) * (SCALE_MULTIPLIERS[scale] || 1));
+}
+
+function collectNumberKeys(text) {
+    const keys = new Set();
+    for (const match of text.matchAll(NUMBER_PATTERN)) {
+        keys.add(getNumberKey(match[1], match[2]));
+        // 同一数值不带量级的写法，如原文「3.5%」与日报「3.5」
+        keys.add(match[1].replace(/,/g, ''));
+    }
+    return keys;
+}
+
+function findLine(text, claim) {
+    const line = text.split('\n').find(entry => entry.includes(claim)) || '';
+    const trimmed = line.trim();
+    return trimmed.length > MAX_LINE_LENGTH ? `${trimmed.slice(0, MAX_LINE_LENGTH)}…` : trimmed;
+}
+
+/**
+ * 去掉日报中不需要核查的部分：引用链接、参考来源、其他链接和编号列表的序号。
+ */
+function prepareGeneratedText(markdown) {
+    return normalizeText(stripCitations(markdown))
+        .replace(/!?\[([^\]\n]*)\]\([^)\s]+\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, '')
+        .replace(/^\s*\d+\.\s/gm, '');
+}
+
+/**
+ * 去掉原文中的链接和条目编号行，避免链接中的数字被当作依据。
+ */
+function prepareSourceText(sourceTexts) {
+    return normalizeText(sourceTexts.join('\n'))
+        .replace(/https?:\/\/\S+/g, '')
+        .replace(/^编号: .*$/gm, '');
+}
+
+/**
+ * 从日报 Markdown 中提取需要核查的内容。
+ * @param {string} markdown
+ * @returns {Array<{type: 'number'|'city'|'policy', text: string, line: string}>} 按类型和文本去重
+ */
+export function extractClaims(markdown) {
+    const text = prepareGeneratedText(markdown);
+    const claims = new Map();
+    const add = (type, claimText) => {
+        const key = `${type}:${claimText}`;
+        if (!claims.has(key)) claims.set(key, { type, text: claimText, line: findLine(text, claimText) });
+    };
+    for (const match of text.matchAll(NUMBER_PATTERN)) {
+        add('number', match[0].trim());
+    }
+    // 长名称先匹配，并从文本中去掉，避免短名称重复命中
+    let remaining = text;
+    for (const city of CITY_NAMES) {
+        if (remaining.includes(city)) {
+            add('city', city);
+            remaining = remaining.split(city).join(' ');
+        }
+    }
+    remaining = text;
+    for (const term of POLICY_TERMS) {
+        if (remaining.includes(term)) {
+            add('policy', term);
+            remaining = remaining.split(term).join(' ');
+        }
+    }
+    return [...claims.values()];
+}
+
+function isNumberSupported(claimText, numberKeys, source) {
+    const match = claimText.match(new RegExp(NUMBER_PATTERN.source));
+    if (!match) return true;
+    if (numberKeys.has(getNumberKey(match[1], match[2]))) return true;
+    const value = Number(match[1].replace(/,/g, ''));
+    return !match[2] && Number.isInteger(value) && value <= 10 && source.includes(CHINESE_DIGITS[value]);
+}
+
+/**
+ * 核查日报：逐项在选中条目的原文中查找提取出的数字、城市和政策术语。
+ * @param {string} markdown - 模型生成的日报内容
+ * @param {Array<string>} sourceTexts - 提交给模型的条目文本，见 genAIContent.js buildSelectedContentItems()
+ * @returns {{checkedAt: string, total: number, unsupported: Array<{type: string, text: string, line: string}>, approvedAt: null, approvedBy: null}}
+ */
+export function verifyFacts(markdown, sourceTexts) {
+    const source = prepareSourceText(sourceTexts);
+    const numberKeys = collectNumberKeys(source);
+    const claims = extractClaims(markdown);
+    const unsupported = claims.filter(claim => (claim.type === 'number'
+        ? !isNumberSupported(claim.text, numberKeys, source)
+        : !source.includes(claim.text)));
+    return {
+        checkedAt: new Date().toISOString(),
+        total: claims.length,
+        unsupported,
+        approvedAt: null,
+        approvedBy: null,
+        approvedHash: null,
+    };
+}
+
+/**
+ * 是否存在尚未经人工确认的无据内容。
+ * @param {object|null} factCheck - Result of verifyFacts(), as stored with the version.
+ * @returns {boolean}
+ */
+export function needsFactCheckApproval(factCheck) {
+    return !!factCheck && factCheck.unsupported.length > 0 && !factCheck.approvedAt;
+}
+
+// 核查类型的显示名称
+export const CLAIM_TYPE_LABELS = {
+    number: '数据',
+    city: '城市',
+    policy: '政策术语',
+};
+
+/**
+ * 人工确认是否针对这份内容：确认时记录了版本正文的哈希（见 drafts.js approveVersionFactCheck()），
+ * 内容与确认时不同，或确认记录中没有哈希时，都视为未确认。
+ * @param {object|null} factCheck - Result of verifyFacts(), as stored with the version.
+ * @param {string} content - The markdown about to be published.
+ * @returns {Promise<boolean>}
+ */
+export async function isFactCheckApprovedFor(factCheck, content) {
+    if (!factCheck || !factCheck.approvedAt || !factCheck.approvedHash) return false;
+    return factCheck.approvedHash === await computeContentHash(content);
+}
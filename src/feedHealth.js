@@ -0,0 +1,85 @@
+// src/feedHealth.js
+// 楼市洞察日报 - Feed 健康度记录
+// 每次抓取都记录 HTTP 状态、条目数、解析失败数和错误信息，便于在 /sources 页面及早发现失效的源
+import { storeInKV, getFromKV } from './kv.js';
+import { hashString } from './feedState.js';
+
+// 健康记录保留 30 天
+const FEED_HEALTH_TTL = 86400 * 30;
+
+// 每个 Feed 保留的最近运行记录条数
+const MAX_HISTORY_ENTRIES = 30;
+
+function getFeedHealthKey(feedUrl) {
+    return `feed-health:${hashString(feedUrl)}`;
+}
+
+/**
+ * 连续多少次抓取没有返回条目时标记为异常，可通过 FEED_EMPTY_RUNS_ALERT 配置。
+ * @param {object} env - The environment variables.
+ * @returns {number}
+ */
+export function getEmptyRunsThreshold(env) {
+    return parseInt(env.FEED_EMPTY_RUNS_ALERT || '3', 10);
+}
+
+/**
+ * 读取某个 Feed 的健康记录。
+ * @param {object} env - The environment variables.
+ * @param {string} feedUrl
+ * @returns {Promise<object|null>}
+ */
+export async function getFeedHealth(env, feedUrl) {
+    return await getFromKV(env.DATA_KV, getFeedHealthKey(feedUrl));
+}
+
+/**
+ * 记录一次 Feed 抓取结果。
+ * 未变化（304 或内容哈希相同）视为成功，条目数沿用上次结果。
+ * @param {object} env - The environment variables.
+ * @param {string} feedUrl
+ * @param {object} run
+ * @param {string} run.sourceType - Category id the feed belongs to.
+ * @param {string} [run.feedTitle]
+ * @param {number|null} run.status - HTTP status, or null if the request itself failed.
+ * @param {number} run.itemCount - Items within the RSS_FILTER_DAYS window.
+ * @param {number} run.parseErrors - Items with missing or unparseable dates, or feed-level parse errors.
+ * @param {string|null} run.error
+ * @param {boolean} [run.notModified=false]
+ * @returns {Promise<object>} The updated health record.
+ */
+export async function recordFeedRun(env, feedUrl, { sourceType, feedTitle, status, itemCount, parseErrors, error, notModified = false }) {
+    const health = await getFeedHealth(env, feedUrl) || {
+        url: feedUrl,
+        sourceType,
+        feedTitle: '',
+        lastSuccessAt: null,
+        lastErrorAt: null,
+        lastError: null,
+        lastStatus: null,
+        lastItemCount: 0,
+        consecutiveEmptyRuns: 0,
+        history: [],
+    };
+    const now = new Date().toISOString();
+    const ok = !error;
+    const count = notModified ? health.lastItemCount : itemCount;
+
+    health.sourceType = sourceType;
+    if (feedTitle) health.feedTitle = feedTitle;
+    health.lastStatus = status;
+    if (ok) {
+        health.lastSuccessAt = now;
+        health.lastItemCount = count;
+    } else {
+        health.lastErrorAt = now;
+        health.lastError = error;
+    }
+    health.consecutiveEmptyRuns = ok && count > 0 ? 0 : health.consecutiveEmptyRuns + 1;
+    health.history = health.history
+        .concat({ at: now, ok, status, itemCount: ok ? count : 0, parseErrors: parseErrors || 0, error: error || null, notModified })
+        .slice(-MAX_HISTORY_ENTRIES);
+
+    await storeInKV(env.DATA_KV, getFeedHealthKey(feedUrl), health, FEED_HEALTH_TTL);
+    return health;
+}
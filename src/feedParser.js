@@ -0,0 +1,628 @@
+// src/feedParser.js
+// 楼市洞察日报 - 通用 Feed 解析器
+// 支持 RSS 0.9x / 1.0 (RDF) / 2.0、Atom 1.0 与 JSON Feed 1.1。
+// XML 部分使用容错的手写解析器：Workers 运行时没有 DOMParser，而真实世界的 Feed 经常
+// 含有未转义的 HTML、未闭合的标签或被截断，这些情况都尽量解析出可用内容，而不是整体失败。
+
+const NAMESPACE_PREFIXES = {
+    'http://purl.org/dc/elements/1.1/': 'dc',
+    'http://purl.org/dc/terms/': 'dcterms',
+    'http://purl.org/rss/1.0/modules/content/': 'content',
+    'http://search.yahoo.com/mrss/': 'media',
+    'http://www.w3.org/2005/Atom': 'atom',
+    'http://purl.org/atom/ns#': 'atom',
+    'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+    // RSS 1.0 / 0.90 的默认命名空间，元素名与 RSS 2.0 相同，按无前缀处理
+    'http://purl.org/rss/1.0/': '',
+    'http://my.netscape.com/rdf/simple/0.9/': '',
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Feed 中常见但 XML 未定义的 HTML 实体
+const HTML_ENTITIES = {
+    ...XML_ENTITIES,
+    nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ', middot: '·', bull: '•', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    copy: '©', reg: '®', trade: '™', times: '×', divide: '÷', deg: '°', yen: '¥', euro: '€', pound: '£',
+    para: '¶', sect: '§',
+};
+
+/**
+ * 解码字符实体，支持命名实体以及十进制 / 十六进制数字实体（如 &#20013; &#x4E2D;）。
+ * 无法识别的实体原样保留。
+ * @param {string} text
+ * @param {boolean} [html=false] - Also decode the common HTML named entities.
+ * @returns {string}
+ */
+export function decodeEntities(text, html = false) {
+    if (!text || text.indexOf('&') === -1) return text || '';
+    const named = html ? HTML_ENTITIES : XML_ENTITIES;
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.substring(2), 16)
+                : parseInt(entity.substring(1), 10);
+            if (Number.isNaN(codePoint) || codePoint > 0x10FFFF) return match;
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (e) {
+                return match;
+            }
+        }
+        return Object.prototype.hasOwnProperty.call(named, entity) ? named[entity] : match;
+    });
+}
+
+// ===================== XML 解析 =====================
+
+function createElement(name, attrs, parent) {
+    return { name, key: name, attrs, children: [], parent, namespaces: parent ? parent.namespaces : {}, innerStart: 0, innerEnd: -1 };
+}
+
+/**
+ * 根据 xmlns 声明把 "前缀:本地名" 规范化为约定前缀（dc: / content: / media: / atom: / rdf:），
+ * 这样即便 Feed 把 Dublin Core 绑定到其他前缀也能正确识别。
+ */
+function resolveKey(element) {
+    const colon = element.name.indexOf(':');
+    const prefix = colon === -1 ? '' : element.name.substring(0, colon);
+    const local = colon === -1 ? element.name : element.name.substring(colon + 1);
+    const uri = element.namespaces[prefix];
+    if (uri !== undefined && Object.prototype.hasOwnProperty.call(NAMESPACE_PREFIXES, uri)) {
+        const known = NAMESPACE_PREFIXES[uri];
+        return known ? `${known}:${local}` : local;
+    }
+    return element.name;
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const attrRegex = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = attrRegex.exec(source)) !== null) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attrs[match[1]] = decodeEntities(value, true);
+    }
+    return attrs;
+}
+
+/**
+ * 找到标签结束的 '>'，跳过引号中的内容。
+ */
+function findTagEnd(xml, start) {
+    let quote = null;
+    for (let i = start; i < xml.length; i++) {
+        const ch = xml[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// HTML 模式下没有结束标签的元素，以及内容按原始文本处理的元素
+const HTML_VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const HTML_RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+/**
+ * 容错解析 XML 为简单的元素树。
+ * - 注释、处理指令和 DOCTYPE（含内部子集）被跳过
+ * - CDATA 作为原始文本保留，相邻的多段 CDATA 自然拼接
+ * - 不匹配的结束标签会关闭到最近的同名元素；找不到同名元素则忽略
+ * - 输入被截断时，未闭合的元素在末尾自动闭合
+ * @param {string} xml
+ * @param {object} [options]
+ * @param {boolean} [options.html=false] - Parse as HTML: lower-case tag names, void elements, raw-text script/style.
+ * @returns {object} The document node; elements have { name, key, attrs, children }.
+ */
+export function parseXml(xml, { html = false } = {}) {
+    const root = createElement('#document', {}, null);
+    root.namespaces = { xml: 'http://www.w3.org/XML/1998/namespace' };
+    let current = root;
+    let i = 0;
+    const length = xml.length;
+
+    const closeElement = (element, end) => {
+        element.innerEnd = end;
+    };
+
+    while (i < length) {
+        const lt = xml.indexOf('<', i);
+        if (lt === -1) {
+            current.children.push(decodeEntities(xml.substring(i), true));
+            break;
+        }
+        if (lt > i) {
+            current.children.push(decodeEntities(xml.substring(i, lt), true));
+        }
+
+        if (xml.startsWith('<!--', lt)) {
+            const end = xml.indexOf('-->', lt + 4);
+            i = end === -1 ? length : end + 3;
+        } else if (xml.startsWith('<![CDATA[', lt)) {
+            const end = xml.indexOf(']]>', lt + 9);
+            current.children.push({ cdata: xml.substring(lt + 9, end === -1 ? length : end) });
+            i = end === -1 ? length : end + 3;
+        } else if (xml.startsWith('<?', lt)) {
+            const end = xml.indexOf('?>', lt + 2);
+            i = end === -1 ? length : end + 2;
+        } else if (xml.startsWith('<!', lt)) {
+            // DOCTYPE 等声明，可能包含 [ ... ] 内部子集
+            let depth = 0;
+            let j = lt + 2;
+            for (; j < length; j++) {
+                if (xml[j] === '[') depth++;
+                else if (xml[j] === ']') depth--;
+                else if (xml[j] === '>' && depth <= 0) break;
+            }
+            i = j + 1;
+        } else if (xml[lt + 1] === '/') {
+            const end = xml.indexOf('>', lt + 2);
+            const rawName = xml.substring(lt + 2, end === -1 ? length : end).trim();
+            const name = html ? rawName.toLowerCase() : rawName;
+            i = end === -1 ? length : end + 1;
+            // 向上查找同名的打开元素，中间未闭合的元素一并关闭
+            let target = current;
+            while (target !== root && target.name !== name) target = target.parent;
+            if (target !== root) {
+                let node = current;
+                while (node !== target) {
+                    closeElement(node, lt);
+                    node = node.parent;
+                }
+                closeElement(target, lt);
+                current = target.parent;
+            }
+        } else {
+            const end = findTagEnd(xml, lt + 1);
+            if (end === -1) {
+                // 截断在标签中间，剩余部分当作文本丢弃
+                break;
+            }
+            let tagSource = xml.substring(lt + 1, end);
+            const selfClosing = tagSource.endsWith('/');
+            if (selfClosing) tagSource = tagSource.slice(0, -1);
+            const nameMatch = tagSource.match(/^\s*([^\s\/>]+)/);
+            if (!nameMatch) {
+                // "<" 后面不是合法的标签名（例如正文里的 "a < b"），按文本处理
+                current.children.push('<');
+                i = lt + 1;
+                continue;
+            }
+            const name = html ? nameMatch[1].toLowerCase() : nameMatch[1];
+            const attrs = parseAttributes(tagSource.substring(nameMatch[0].length));
+            const element = createElement(name, attrs, current);
+
+            const declared = Object.entries(attrs).filter(([attr]) => attr === 'xmlns' || attr.startsWith('xmlns:'));
+            if (declared.length > 0) {
+                element.namespaces = { ...current.namespaces };
+                declared.forEach(([attr, uri]) => {
+                    element.namespaces[attr === 'xmlns' ? '' : attr.substring(6)] = uri;
+                });
+            }
+            element.key = resolveKey(element);
+            element.innerStart = end + 1;
+            current.children.push(element);
+            i = end + 1;
+
+            if (selfClosing || (html && HTML_VOID_ELEMENTS.has(name))) {
+                closeElement(element, lt);
+                element.innerEnd = element.innerStart;
+            } else if (html && HTML_RAW_TEXT_ELEMENTS.has(name)) {
+                // 脚本和样式中的 "<" 不是标签，直接跳到对应的结束标签
+                const closeRegex = new RegExp(`</${name}`, 'ig');
+                closeRegex.lastIndex = i;
+                const closeMatch = closeRegex.exec(xml);
+                const closeIndex = closeMatch ? closeMatch.index : -1;
+                const contentEnd = closeIndex === -1 ? length : closeIndex;
+                element.children.push(decodeEntities(xml.substring(i, contentEnd), true));
+                element.innerEnd = contentEnd;
+                const closeEnd = closeIndex === -1 ? -1 : xml.indexOf('>', closeIndex);
+                i = closeEnd === -1 ? length : closeEnd + 1;
+            } else {
+                current = element;
+            }
+        }
+    }
+
+    // 自动闭合截断后仍打开的元素
+    while (current !== root) {
+        closeElement(current, length);
+        current = current.parent;
+    }
+    root.source = xml;
+    return root;
+}
+
+function isElement(node) {
+    return node && typeof node === 'object' && 'name' in node;
+}
+
+function children(element, key) {
+    if (!element) return [];
+    return element.children.filter(node => isElement(node) && (key === undefined || node.key === key));
+}
+
+function child(element, ...keys) {
+    for (const key of keys) {
+        const found = children(element, key)[0];
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * 按深度优先顺序查找所有指定 key 的元素，不进入已匹配元素的内部。
+ */
+function findAll(element, key) {
+    const results = [];
+    const walk = (node) => {
+        for (const childNode of node.children) {
+            if (!isElement(childNode)) continue;
+            if (childNode.key === key) {
+                results.push(childNode);
+            } else {
+                walk(childNode);
+            }
+        }
+    };
+    walk(element);
+    return results;
+}
+
+function textOf(element) {
+    if (!element) return '';
+    return element.children.map(node => {
+        if (typeof node === 'string') return node;
+        if (node.cdata !== undefined) return node.cdata;
+        return textOf(node);
+    }).join('');
+}
+
+/**
+ * 取元素的 HTML 内容：若内部含有未转义的 HTML 标签，返回原始片段（去掉 CDATA 包装）；
+ * 否则返回解码后的文本（即转义过的 HTML）。
+ */
+function htmlOf(element, documentNode) {
+    if (!element) return '';
+    const hasChildElements = element.children.some(isElement);
+    if (hasChildElements && documentNode.source && element.innerEnd >= element.innerStart) {
+        return documentNode.source
+            .substring(element.innerStart, element.innerEnd)
+            .replace(/<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)/g, '$1')
+            .trim();
+    }
+    return textOf(element).trim();
+}
+
+function plainText(value) {
+    // 只去掉以字母、/ 或 ! 开头的标签，标题中的「<5年期以上>」之类文字保留
+    return decodeEntities(String(value || '').replace(/<[a-zA-Z\/!][^>]*>/g, ''), true).replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(url, baseUrl) {
+    const value = (url || '').trim();
+    if (!value || !baseUrl) return value;
+    try {
+        return new URL(value, baseUrl).toString();
+    } catch (e) {
+        return value;
+    }
+}
+
+// ===================== 日期解析 =====================
+
+// 中文站点常见的时区缩写（CST 在这里指中国标准时间，而不是美国中部时间）
+const TIMEZONE_ABBREVIATIONS = { CST: '+0800', HKT: '+0800', BJT: '+0800', JST: '+0900', UT: '+0000', Z: '+0000' };
+
+/**
+ * 解析 Feed 中的日期字符串。
+ * 支持 RFC 822 / RFC 1123、ISO 8601 以及 "2025-06-01 10:00:00"、"2025年6月1日 10:00" 等常见格式；
+ * 未带时区的时间按北京时间处理。
+ * @param {string} value
+ * @returns {string|null} ISO string, or null if the value cannot be parsed.
+ */
+export function parseFeedDate(value) {
+    if (!value) return null;
+    let text = String(value).trim();
+
+    const chinese = text.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日\s*(?:(\d{1,2})[:：时](\d{1,2})(?:[:：分](\d{1,2}))?)?/);
+    if (chinese) {
+        const [, y, mo, d, h = '0', mi = '0', s = '0'] = chinese;
+        text = `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}T${h.padStart(2, '0')}:${mi.padStart(2, '0')}:${s.padStart(2, '0')}+08:00`;
+    } else {
+        // "2025-06-01 10:00:00" 或 "2025/06/01 10:00"，无时区时按北京时间
+        const local = text.match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+        if (local) {
+            const [, y, mo, d, h = '0', mi = '0', s = '0'] = local;
+            text = `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}T${h.padStart(2, '0')}:${mi.padStart(2, '0')}:${s.padStart(2, '0')}+08:00`;
+        } else {
+            text = text.replace(/\b(CST|HKT|BJT|JST|UT)\b$/, abbr => TIMEZONE_ABBREVIATIONS[abbr]);
+        }
+    }
+
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) return null;
+    return new Date(time).toISOString();
+}
+
+// ===================== 各格式条目提取 =====================
+
+function collectDublinCore(element) {
+    const dc = {};
+    children(element).filter(node => node.key.startsWith('dc:') || node.key.startsWith('dcterms:')).forEach(node => {
+        const field = node.key.substring(node.key.indexOf(':') + 1);
+        const value = plainText(textOf(node));
+        if (!value) return;
+        if (dc[field] === undefined) {
+            dc[field] = value;
+        } else {
+            dc[field] = [].concat(dc[field], value);
+        }
+    });
+    return dc;
+}
+
+function collectMedia(element, baseUrl) {
+    const media = [];
+    const addMedia = (node) => {
+        if (!node.attrs.url) return;
+        media.push({
+            url: resolveUrl(node.attrs.url, baseUrl),
+            type: node.attrs.type || '',
+            medium: node.attrs.medium || (node.key === 'media:thumbnail' ? 'image' : ''),
+            width: node.attrs.width ? parseInt(node.attrs.width, 10) : null,
+            height: node.attrs.height ? parseInt(node.attrs.height, 10) : null,
+        });
+    };
+    children(element).forEach(node => {
+        if (node.key === 'media:content' || node.key === 'media:thumbnail') addMedia(node);
+        if (node.key === 'media:group') {
+            children(node).filter(n => n.key === 'media:content' || n.key === 'media:thumbnail').forEach(addMedia);
+        }
+    });
+    return media;
+}
+
+function getDateField(candidates, item, errors) {
+    const raw = candidates.find(value => value && value.trim());
+    if (!raw) {
+        errors.push({ type: 'missing_date', title: item.title, link: item.link, message: 'Item has no publication date.' });
+        return { pubDate: null, rawDate: '' };
+    }
+    const pubDate = parseFeedDate(raw);
+    if (!pubDate) {
+        errors.push({ type: 'invalid_date', title: item.title, link: item.link, value: raw.trim(), message: `Unparseable date "${raw.trim()}".` });
+    }
+    return { pubDate, rawDate: raw.trim() };
+}
+
+function parseRssItem(element, documentNode, baseUrl, errors) {
+    const dc = collectDublinCore(element);
+    const guidElement = child(element, 'guid');
+    const guid = guidElement ? plainText(textOf(guidElement)) : '';
+    const guidIsPermaLink = guidElement ? (guidElement.attrs.isPermaLink || 'true').toLowerCase() !== 'false' : false;
+
+    let link = plainText(textOf(child(element, 'link')));
+    if (!link) {
+        const atomLink = children(element, 'atom:link').find(node => !node.attrs.rel || node.attrs.rel === 'alternate');
+        if (atomLink) link = atomLink.attrs.href;
+    }
+    if (!link && guidIsPermaLink && /^https?:\/\//i.test(guid)) link = guid;
+    if (!link && element.attrs['rdf:about']) link = element.attrs['rdf:about'];
+
+    const item = {
+        title: plainText(htmlOf(child(element, 'title'), documentNode)) || (typeof dc.title === 'string' ? dc.title : ''),
+        link: resolveUrl(link, baseUrl),
+        guid: guid || element.attrs['rdf:about'] || '',
+        guidIsPermaLink,
+        description: htmlOf(child(element, 'description'), documentNode),
+        content: htmlOf(child(element, 'content:encoded'), documentNode),
+        author: plainText(textOf(child(element, 'author'))) || [].concat(dc.creator || []).join(', '),
+        categories: children(element, 'category').map(node => plainText(textOf(node))).filter(Boolean)
+            .concat([].concat(dc.subject || [])),
+        enclosures: children(element, 'enclosure').filter(node => node.attrs.url).map(node => ({
+            url: resolveUrl(node.attrs.url, baseUrl),
+            type: node.attrs.type || '',
+            length: node.attrs.length ? parseInt(node.attrs.length, 10) : null,
+        })),
+        media: collectMedia(element, baseUrl),
+        dc,
+    };
+
+    const { pubDate, rawDate } = getDateField([
+        textOf(child(element, 'pubDate')),
+        textOf(child(element, 'dc:date')),
+        textOf(child(element, 'dcterms:modified')),
+        textOf(child(element, 'atom:published', 'atom:updated')),
+    ], item, errors);
+    item.pubDate = pubDate;
+    item.rawDate = rawDate;
+    return item;
+}
+
+function atomKey(element, local) {
+    return child(element, `atom:${local}`, local);
+}
+
+function atomChildren(element, local) {
+    return children(element).filter(node => node.key === `atom:${local}` || node.key === local);
+}
+
+function atomText(element, documentNode) {
+    if (!element) return '';
+    const type = (element.attrs.type || 'text').toLowerCase();
+    if (type === 'xhtml') {
+        const div = children(element).find(node => node.key.endsWith('div'));
+        return div ? htmlOf(div, documentNode) : htmlOf(element, documentNode);
+    }
+    return htmlOf(element, documentNode);
+}
+
+function parseAtomEntry(element, documentNode, baseUrl, errors) {
+    const links = atomChildren(element, 'link');
+    const alternate = links.find(node => !node.attrs.rel || node.attrs.rel === 'alternate') || links.find(node => node.attrs.href);
+    const entryBase = element.attrs['xml:base'] ? resolveUrl(element.attrs['xml:base'], baseUrl) : baseUrl;
+
+    const item = {
+        title: plainText(atomText(atomKey(element, 'title'), documentNode)),
+        link: alternate ? resolveUrl(alternate.attrs.href, entryBase) : '',
+        guid: plainText(textOf(atomKey(element, 'id'))),
+        guidIsPermaLink: false,
+        description: atomText(atomKey(element, 'summary'), documentNode),
+        content: atomText(atomKey(element, 'content'), documentNode),
+        author: atomChildren(element, 'author').map(author => plainText(textOf(atomKey(author, 'name')))).filter(Boolean).join(', '),
+        categories: atomChildren(element, 'category').map(node => node.attrs.label || node.attrs.term).filter(Boolean),
+        enclosures: links.filter(node => node.attrs.rel === 'enclosure' && node.attrs.href).map(node => ({
+            url: resolveUrl(node.attrs.href, entryBase),
+            type: node.attrs.type || '',
+            length: node.attrs.length ? parseInt(node.attrs.length, 10) : null,
+        })),
+        media: collectMedia(element, entryBase),
+        dc: collectDublinCore(element),
+    };
+
+    const { pubDate, rawDate } = getDateField([
+        textOf(atomKey(element, 'published')),
+        textOf(atomKey(element, 'updated')),
+        textOf(child(element, 'dc:date')),
+    ], item, errors);
+    item.pubDate = pubDate;
+    item.rawDate = rawDate;
+    return item;
+}
+
+function parseJsonFeed(text, baseUrl) {
+    const errors = [];
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        return { format: 'unknown', title: '', link: '', description: '', items: [], errors: [{ type: 'invalid_json', message: e.message }] };
+    }
+
+    const feedAuthors = json.authors || (json.author ? [json.author] : []);
+    const items = (Array.isArray(json.items) ? json.items : []).map(entry => {
+        const authors = entry.authors || (entry.author ? [entry.author] : feedAuthors);
+        const item = {
+            title: plainText(entry.title || ''),
+            link: resolveUrl(entry.url || entry.external_url || '', baseUrl),
+            guid: entry.id !== undefined ? String(entry.id) : '',
+            guidIsPermaLink: false,
+            description: entry.summary || '',
+            content: entry.content_html || (entry.content_text ? escapeText(entry.content_text) : ''),
+            author: authors.map(author => author && author.name).filter(Boolean).join(', '),
+            categories: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+            enclosures: (Array.isArray(entry.attachments) ? entry.attachments : []).filter(a => a && a.url).map(a => ({
+                url: resolveUrl(a.url, baseUrl),
+                type: a.mime_type || '',
+                length: a.size_in_bytes ?? null,
+            })),
+            media: [entry.image, entry.banner_image].filter(Boolean).map(url => ({ url: resolveUrl(url, baseUrl), type: '', medium: 'image', width: null, height: null })),
+            dc: {},
+        };
+        const { pubDate, rawDate } = getDateField([entry.date_published, entry.date_modified], item, errors);
+        item.pubDate = pubDate;
+        item.rawDate = rawDate;
+        return item;
+    });
+
+    const version = String(json.version || '');
+    return {
+        format: version.includes('1.1') ? 'jsonfeed1.1' : 'jsonfeed1.0',
+        title: plainText(json.title || ''),
+        link: json.home_page_url || '',
+        description: json.description || '',
+        items,
+        errors,
+    };
+}
+
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
+
+/**
+ * 解析任意格式的 Feed 文本。
+ *
+ * 返回的每个条目包含：title, link, guid, guidIsPermaLink, description (HTML), content (HTML),
+ * author, categories, enclosures [{url, type, length}], media [{url, type, medium, width, height}],
+ * dc（Dublin Core 字段）, pubDate（ISO 字符串，无法解析时为 null）, rawDate。
+ * 日期缺失或无法解析不会被替换为当前时间，而是记录在 `errors` 中由调用方决定如何处理。
+ *
+ * @param {string} text - The raw feed body.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Feed URL, used to resolve relative links.
+ * @returns {{format: string, title: string, link: string, description: string, items: Array<object>, errors: Array<object>}}
+ */
+export function parseFeed(text, { baseUrl } = {}) {
+    const source = String(text || '').replace(/^﻿/, '');
+    const trimmed = source.trimStart();
+    if (trimmed.startsWith('{')) {
+        return parseJsonFeed(trimmed, baseUrl);
+    }
+
+    const documentNode = parseXml(source);
+    const errors = [];
+    const rootElement = children(documentNode)[0];
+
+    if (!rootElement) {
+        return { format: 'unknown', title: '', link: '', description: '', items: [], errors: [{ type: 'not_a_feed', message: 'No root element found.' }] };
+    }
+
+    // Atom 1.0
+    if (rootElement.key === 'atom:feed' || rootElement.key === 'feed') {
+        // <feed xml:base="..."> 中的相对链接按其解析，条目自身的 xml:base 优先
+        const feedBase = rootElement.attrs['xml:base'] ? resolveUrl(rootElement.attrs['xml:base'], baseUrl) : baseUrl;
+        const items = findAll(rootElement, 'atom:entry').concat(findAll(rootElement, 'entry'))
+            .map(entry => parseAtomEntry(entry, documentNode, feedBase, errors));
+        const feedLink = atomChildren(rootElement, 'link').find(node => !node.attrs.rel || node.attrs.rel === 'alternate');
+        return {
+            format: 'atom1.0',
+            title: plainText(atomText(atomKey(rootElement, 'title'), documentNode)),
+            link: feedLink ? resolveUrl(feedLink.attrs.href, feedBase) : '',
+            description: plainText(atomText(atomKey(rootElement, 'subtitle'), documentNode)),
+            items,
+            errors,
+        };
+    }
+
+    // RSS 0.9x / 2.0 (<rss>) 与 RSS 1.0 / 0.90 (<rdf:RDF>)
+    const isRdf = rootElement.key === 'rdf:RDF';
+    const channel = findAll(rootElement, 'channel')[0] || rootElement;
+    let itemElements = findAll(rootElement, 'item');
+
+    if (isRdf) {
+        // 按 <items><rdf:Seq><rdf:li resource="..."/> 声明的顺序排列条目
+        const order = findAll(channel, 'rdf:li').map(node => node.attrs['rdf:resource'] || node.attrs.resource).filter(Boolean);
+        if (order.length > 0) {
+            const position = new Map(order.map((resource, index) => [resource, index]));
+            itemElements = itemElements.slice().sort((a, b) =>
+                (position.get(a.attrs['rdf:about']) ?? Infinity) - (position.get(b.attrs['rdf:about']) ?? Infinity));
+        }
+    }
+
+    let format = 'unknown';
+    if (isRdf) {
+        const defaultNs = rootElement.namespaces[''] || '';
+        format = defaultNs.includes('netscape') ? 'rss0.90' : 'rss1.0';
+    } else if (rootElement.key === 'rss') {
+        format = `rss${rootElement.attrs.version || '2.0'}`;
+    } else if (itemElements.length === 0) {
+        errors.push({ type: 'not_a_feed', message: `Unrecognized root element <${rootElement.name}>.` });
+    }
+
+    return {
+        format,
+        title: plainText(htmlOf(child(channel, 'title'), documentNode)),
+        link: resolveUrl(plainText(textOf(child(channel, 'link'))), baseUrl),
+        description: plainText(htmlOf(child(channel, 'description'), documentNode)),
+        items: itemElements.map(element => parseRssItem(element, documentNode, baseUrl, errors)),
+        errors,
+    };
+}
@@ -0,0 +1,99 @@
+// src/feedState.js
+// 楼市洞察日报 - 单个 Feed 的抓取状态
+// 记录 ETag / Last-Modified、内容哈希和当天已抓取过的条目，用于条件请求和增量合并，
+// 这样一天内多次轮询不会重复下载未变化的 Feed，也不会产生重复条目
+import { storeInKV, getFromKV } from './kv.js';
+
+// Feed 状态保留 30 天，长期未抓取的源自动过期
+const FEED_STATE_TTL = 86400 * 30;
+
+// 每个 Feed 最多记录的已见条目数，RSS 通常只保留最近几十条
+const MAX_SEEN_IDS = 500;
+
+/**
+ * 简单的字符串哈希，返回 base36 字符串。
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    return Math.abs(hash).toString(36);
+}
+
+/**
+ * 计算 Feed 内容的 SHA-256 摘要，用于识别服务端不支持条件请求但内容未变化的情况。
+ * @param {string} text
+ * @returns {Promise<string>} Hex digest.
+ */
+export async function computeContentHash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function getFeedStateKey(feedUrl) {
+    // Feed URL 可能很长，KV key 使用哈希
+    return `feed:${hashString(feedUrl)}`;
+}
+
+/**
+ * 读取某个 Feed 的抓取状态。
+ * @param {object} env - The environment variables.
+ * @param {string} feedUrl
+ * @returns {Promise<object|null>} { url, etag, lastModified, contentHash, seenDate, seenIds, lastCheckedAt }
+ */
+export async function getFeedState(env, feedUrl) {
+    return await getFromKV(env.DATA_KV, getFeedStateKey(feedUrl));
+}
+
+/**
+ * 保存某个 Feed 的抓取状态。已见条目只保留最近 MAX_SEEN_IDS 条。
+ * @param {object} env - The environment variables.
+ * @param {string} feedUrl
+ * @param {object} state
+ */
+export async function saveFeedState(env, feedUrl, state) {
+    const seenIds = (state.seenIds || []).slice(-MAX_SEEN_IDS);
+    await storeInKV(env.DATA_KV, getFeedStateKey(feedUrl), { ...state, url: feedUrl, seenIds }, FEED_STATE_TTL);
+}
+
+/**
+ * 生成条件请求头。状态只在同一抓取日内有效：新的一天需要完整抓取，
+ * 否则前一天已见过、但仍在 RSS_FILTER_DAYS 时间窗内的条目会从当天数据中消失。
+ * @param {object|null} state - The stored feed state.
+ * @param {string} dateStr - The fetch date in YYYY-MM-DD format.
+ * @returns {object} Headers to add to the feed request.
+ */
+export function getConditionalHeaders(state, dateStr) {
+    const headers = {};
+    if (!state || state.seenDate !== dateStr) return headers;
+    if (state.etag) headers['If-None-Match'] = state.etag;
+    if (state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+    return headers;
+}
+
+/**
+ * 创建一批待保存的 Feed 状态。抓取时只登记新状态，调用方把当天条目写入 KV 之后再 commit()；
+ * 条目写入失败时状态不更新，下次抓取会重新返回这些条目，而不是把它们当作已抓取过而丢失。
+ * @returns {{ stage: function(string, object): void, commit: function(object): Promise<void>, size: number }}
+ */
+export function createFeedStateBatch() {
+    const pending = new Map();
+    return {
+        stage(feedUrl, state) {
+            pending.set(feedUrl, state);
+        },
+        async commit(env) {
+            const entries = [...pending];
+            pending.clear();
+            await Promise.all(entries.map(([feedUrl, state]) => saveFeedState(env, feedUrl, state)));
+        },
+        get size() {
+            return pending.size;
+        },
+    };
+}
@@ -0,0 +1,184 @@
+// src/fetchScheduler.js
+// 楼市洞察日报 - 数据源共享的抓取调度器
+// 所有数据源的外部请求都经过这里：按域名限制并发、每个请求带超时、遇到 429/5xx 按指数退避重试。
+// 这样多个 Feed 可以并行抓取，而不会同时压垮同一个站点（如 rsshub.app），也不会超出 Worker 的时间限制。
+import { sleep } from './helpers.js';
+
+// Workers 单次调用同时打开的外部连接数上限为 6
+const DEFAULT_MAX_CONCURRENCY = 6;
+const DEFAULT_CONCURRENCY_PER_HOST = 2;
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// 限流状态在同一个 isolate 内的所有请求之间共享
+const globalLimiter = { active: 0, queue: [] };
+const hostLimiters = new Map();
+
+function getSchedulerConfig(env = {}) {
+    return {
+        maxConcurrency: parseInt(env.FETCH_MAX_CONCURRENCY || DEFAULT_MAX_CONCURRENCY, 10),
+        concurrencyPerHost: parseInt(env.FETCH_CONCURRENCY_PER_HOST || DEFAULT_CONCURRENCY_PER_HOST, 10),
+        timeout: parseInt(env.FETCH_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10),
+        maxRetries: parseInt(env.FETCH_MAX_RETRIES || DEFAULT_MAX_RETRIES, 10),
+        retryBaseMs: parseInt(env.FETCH_RETRY_BASE_MS || DEFAULT_RETRY_BASE_MS, 10),
+    };
+}
+
+async function acquire(limiter, limit) {
+    if (limiter.active < limit) {
+        limiter.active++;
+        return;
+    }
+    // 排队等待，release 时直接把名额交给下一个等待者
+    await new Promise(resolve => limiter.queue.push(resolve));
+}
+
+function release(limiter) {
+    const next = limiter.queue.shift();
+    if (next) {
+        next();
+    } else {
+        limiter.active--;
+    }
+}
+
+function getHostLimiter(resource) {
+    let host;
+    try {
+        host = new URL(typeof resource === 'string' ? resource : resource.url).host;
+    } catch (e) {
+        host = String(resource);
+    }
+    if (!hostLimiters.has(host)) {
+        hostLimiters.set(host, { active: 0, queue: [] });
+    }
+    return hostLimiters.get(host);
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * 计算重试等待时间：优先使用 Retry-After（秒或 HTTP 日期），否则按指数退避加随机抖动。
+ */
+function getRetryDelay(attempt, response, retryBaseMs) {
+    const retryAfter = response ? response.headers.get('Retry-After') : null;
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay) && delay >= 0) {
+            return Math.min(delay, MAX_RETRY_DELAY_MS);
+        }
+    }
+    return Math.min(retryBaseMs * Math.pow(2, attempt) + Math.random() * retryBaseMs, MAX_RETRY_DELAY_MS);
+}
+
+// 读取响应体的方法，超时计时器在这些方法完成后才清除
+const BODY_METHODS = ['text', 'json', 'arrayBuffer', 'blob', 'formData'];
+
+/**
+ * 带超时的 fetch。超时覆盖整个请求：响应头到达后计时器继续运行，直到通过 text()/arrayBuffer() 等读完响应体，
+ * 这样响应头很快返回、响应体却一直不结束的站点也会在超时后中止。
+ * onBodyDone 在请求结束时调用一次：请求失败、没有响应体、响应体读完或读取失败、body.cancel() 或超时中止。
+ */
+async function fetchWithTimeout(resource, options, timeout, onBodyDone = () => {}) {
+    const controller = new AbortController();
+    let done = false;
+    const finish = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(id);
+        onBodyDone();
+    };
+    const id = setTimeout(() => {
+        controller.abort();
+        finish();
+    }, timeout);
+    const toTimeoutError = (error) => error.name === 'AbortError' ? new Error(`Request timed out after ${timeout}ms`) : error;
+    let response;
+    try {
+        response = await fetch(resource, { ...options, signal: controller.signal });
+    } catch (error) {
+        finish();
+        throw toTimeoutError(error);
+    }
+    if (!response.body) {
+        finish();
+        return response;
+    }
+    for (const method of BODY_METHODS) {
+        const read = response[method].bind(response);
+        response[method] = async () => {
+            try {
+                return await read();
+            } catch (error) {
+                throw toTimeoutError(error);
+            } finally {
+                finish();
+            }
+        };
+    }
+    const body = response.body;
+    const cancel = body.cancel.bind(body);
+    body.cancel = async (reason) => {
+        finish();
+        return await cancel(reason);
+    };
+    return response;
+}
+
+/**
+ * 通过调度器发起请求。
+ * 429/5xx 响应和网络错误（含超时）会按指数退避重试，重试用尽后返回最后一次的响应或抛出最后一次的错误，
+ * 因此调用方仍需自行检查 response.ok。超时（FETCH_TIMEOUT_MS）包含读取响应体的时间，读取超时时 text()/arrayBuffer() 等会抛出错误。
+ * 成功响应的并发名额在响应体读完（或读取失败、超时）后才释放，下载响应体同样受 FETCH_MAX_CONCURRENCY 限制；
+ * 不读取响应体的调用方应调用 response.body.cancel()，否则名额要到超时才释放。错误响应（非 2xx）的名额立即释放。
+ * @param {string|Request} resource - The URL or Request to fetch.
+ * @param {object} [options] - Fetch options. The body must be replayable (string/FormData) for retries.
+ * @param {object} [env] - The environment variables, for FETCH_* settings.
+ * @returns {Promise<Response>}
+ */
+export async function scheduledFetch(resource, options = {}, env = {}) {
+    const config = getSchedulerConfig(env);
+    const hostLimiter = getHostLimiter(resource);
+
+    for (let attempt = 0; ; attempt++) {
+        const isLastAttempt = attempt >= config.maxRetries;
+        let response = null;
+        let fetchError = null;
+
+        await acquire(hostLimiter, config.concurrencyPerHost);
+        await acquire(globalLimiter, config.maxConcurrency);
+        let released = false;
+        const releaseSlots = () => {
+            if (released) return;
+            released = true;
+            release(globalLimiter);
+            release(hostLimiter);
+        };
+        try {
+            response = await fetchWithTimeout(resource, options, config.timeout, releaseSlots);
+        } catch (error) {
+            fetchError = error;
+        }
+        // 错误响应的响应体很小，调用方通常不读取，不必占着名额
+        if (response && !response.ok) releaseSlots();
+
+        if (fetchError) {
+            if (isLastAttempt) throw fetchError;
+        } else if (!isRetryableStatus(response.status) || isLastAttempt) {
+            return response;
+        }
+
+        // 退避等待期间不占用并发名额
+        const delay = getRetryDelay(attempt, response, config.retryBaseMs);
+        const reason = fetchError ? fetchError.message : `HTTP ${response.status}`;
+        console.warn(`Fetch ${resource} failed (${reason}), retrying in ${Math.round(delay)}ms (${attempt + 1}/${config.maxRetries}).`);
+        // 丢弃响应体以释放连接
+        if (response && response.body) await response.body.cancel();
+        await sleep(delay);
+    }
+}
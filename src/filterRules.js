@@ -0,0 +1,206 @@
+// src/filterRules.js
+// 楼市洞察日报 - 分类过滤规则
+// 财经、综合类 Feed 中有大量与楼市无关的新闻。每个分类可配置过滤规则（保存在数据源注册表中，可在 /sourceAdmin 在线修改），
+// 抓取转换后立即执行：未通过的条目不进入 `${date}-${category}`，而是存入 `${date}-${category}-filtered` 供人工查看。
+// 规则只作用于之后抓取的条目，已存储的数据不会重新过滤。
+import { storeInKV, getFromKV } from './kv.js';
+
+// 规则类型及显示名称
+export const FILTER_RULE_TYPES = {
+    sourceAllow: '来源白名单',
+    exclude: '排除关键词',
+    excludeRegex: '排除正则',
+    minLength: '最短摘要长度',
+    include: '包含关键词',
+    includeRegex: '包含正则',
+};
+
+// 关键词、来源列表按逗号（中英文）、顿号或换行分隔
+function splitList(value) {
+    return String(value || '').split(/[,，、\n]/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * 校验并规范化一个分类的过滤规则，缺少 id 的规则自动编号。
+ * @param {Array<object>} rules - [{ id, type, value, enabled }]
+ * @param {string} categoryId - 用于错误信息
+ * @returns {Array<{id: string, type: string, value: string, enabled: boolean}>}
+ * @throws {Error} If a rule is malformed.
+ */
+export function normalizeFilterRules(rules, categoryId) {
+    if (rules === undefined || rules === null) return [];
+    if (!Array.isArray(rules)) {
+        throw new Error(`Category "${categoryId}": rules must be an array.`);
+    }
+    const ids = new Set();
+    return rules.map((rule, index) => {
+        const type = String(rule && rule.type || '');
+        if (!FILTER_RULE_TYPES[type]) {
+            throw new Error(`Category "${categoryId}", rule #${index + 1}: unknown type "${type}".`);
+        }
+        const value = String(rule.value ?? '').trim();
+        if (type === 'minLength') {
+            const length = Number(value);
+            if (!Number.isInteger(length) || length < 0) {
+                throw new Error(`Category "${categoryId}", rule #${index + 1}: minLength must be a non-negative integer.`);
+            }
+        } else if (type === 'includeRegex' || type === 'excludeRegex') {
+            try {
+                new RegExp(value, 'i');
+            } catch (e) {
+                throw new Error(`Category "${categoryId}", rule #${index + 1}: invalid regex "${value}" (${e.message}).`);
+            }
+            if (!value) {
+                throw new Error(`Category "${categoryId}", rule #${index + 1}: regex is required.`);
+            }
+        } else if (splitList(value).length === 0) {
+            throw new Error(`Category "${categoryId}", rule #${index + 1}: at least one keyword or source is required.`);
+        }
+
+        let id = String(rule.id || '').trim();
+        if (!id || ids.has(id)) {
+            let n = index + 1;
+            while (ids.has(`r${n}`)) n++;
+            id = `r${n}`;
+        }
+        ids.add(id);
+        return { id, type, value, enabled: rule.enabled !== false };
+    });
+}
+
+function getItemText(item) {
+    return `${item.title || ''}\n${item.description || ''}\n${item.details?.full_text || ''}`.toLowerCase();
+}
+
+function matchesSource(item, sources) {
+    const source = String(item.source || '').toLowerCase();
+    const feedUrl = String(item.details?.feed_url || '').toLowerCase();
+    let host = '';
+    try {
+        host = feedUrl ? new URL(feedUrl).hostname : '';
+    } catch (e) {
+        // ignore malformed feed URLs
+    }
+    return sources.find(entry => {
+        const value = entry.toLowerCase();
+        return value === source || value === feedUrl || (host && (host === value || host.endsWith(`.${value}`)));
+    });
+}
+
+/**
+ * 判断单个规则是否命中条目，命中时返回匹配到的关键词/片段，否则返回 null。
+ */
+function matchRule(rule, item, text) {
+    switch (rule.type) {
+        case 'sourceAllow':
+            return matchesSource(item, splitList(rule.value)) || null;
+        case 'include':
+        case 'exclude':
+            return splitList(rule.value).find(keyword => text.includes(keyword.toLowerCase())) || null;
+        case 'includeRegex':
+        case 'excludeRegex': {
+            const match = text.match(new RegExp(rule.value, 'i'));
+            return match ? match[0] : null;
+        }
+        case 'minLength': {
+            const length = (item.description || '').replace(/\s+/g, '').length;
+            return length < Number(rule.value) ? `${length} 字` : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function describeMatch(rule, matched, action) {
+    return { action, ruleId: rule.id, ruleType: rule.type, label: FILTER_RULE_TYPES[rule.type], matched };
+}
+
+/**
+ * 按规则过滤条目。执行顺序：
+ * 1. 来源白名单：命中即保留，跳过其余规则；
+ * 2. 排除关键词 / 排除正则 / 最短摘要长度：命中即过滤；
+ * 3. 包含关键词 / 包含正则：配置了此类规则时，至少命中一条才保留。
+ * 命中规则的条目带有 item.filter = { action, ruleId, ruleType, label, matched }。
+ * @param {Array<object>} items - Unified data items.
+ * @param {Array<object>} rules - Normalized rules, see normalizeFilterRules().
+ * @returns {{kept: Array<object>, filtered: Array<object>}}
+ */
+export function applyFilterRules(items, rules) {
+    const activeRules = (rules || []).filter(rule => rule.enabled !== false);
+    if (activeRules.length === 0) {
+        return { kept: items, filtered: [] };
+    }
+    const allowRules = activeRules.filter(rule => rule.type === 'sourceAllow');
+    const rejectRules = activeRules.filter(rule => ['exclude', 'excludeRegex', 'minLength'].includes(rule.type));
+    const includeRules = activeRules.filter(rule => rule.type === 'include' || rule.type === 'includeRegex');
+
+    const kept = [];
+    const filtered = [];
+    for (const item of items) {
+        const text = getItemText(item);
+        let decision = null;
+
+        for (const rule of allowRules) {
+            const matched = matchRule(rule, item, text);
+            if (matched) {
+                decision = describeMatch(rule, matched, 'kept');
+                break;
+            }
+        }
+        if (!decision) {
+            for (const rule of rejectRules) {
+                const matched = matchRule(rule, item, text);
+                if (matched) {
+                    decision = describeMatch(rule, matched, 'filtered');
+                    break;
+                }
+            }
+        }
+        if (!decision && includeRules.length > 0) {
+            for (const rule of includeRules) {
+                const matched = matchRule(rule, item, text);
+                if (matched) {
+                    decision = describeMatch(rule, matched, 'kept');
+                    break;
+                }
+            }
+            if (!decision) {
+                decision = { action: 'filtered', ruleId: null, ruleType: 'include', label: '未命中任何包含规则', matched: null };
+            }
+        }
+
+        if (decision) item.filter = decision;
+        (decision && decision.action === 'filtered' ? filtered : kept).push(item);
+    }
+    return { kept, filtered };
+}
+
+export function getFilteredItemsKey(dateStr, category) {
+    return `${dateStr}-${category}-filtered`;
+}
+
+/**
+ * 读取某天某分类被过滤掉的条目。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} category - The category id.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getFilteredItems(env, dateStr, category) {
+    return await getFromKV(env.DATA_KV, getFilteredItemsKey(dateStr, category)) || [];
+}
+
+/**
+ * 将新过滤掉的条目并入当天的过滤桶（按 id 去重）。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} category - The category id.
+ * @param {Array<object>} items - Newly filtered-out items.
+ */
+export async function storeFilteredItems(env, dateStr, category, items) {
+    if (!items || items.length === 0) return;
+    const stored = await getFilteredItems(env, dateStr, category);
+    const storedIds = new Set(stored.map(item => item.id));
+    const merged = stored.concat(items.filter(item => !storedIds.has(item.id)));
+    await storeInKV(env.DATA_KV, getFilteredItemsKey(dateStr, category), merged);
+}
@@ -13,7 +13,9 @@ export async function callGitHubApi(env, path, method = 'GET', body = null) {
         throw new Error("GitHub API configuration is missing in environment variables.");
     }
 
-    const url = `https://api.github.com/repos/${GITHUB_REPO_OWNER}/${GITHUB_REPO_NAME}${path}`;
+    // GITHUB_API_URL 可指向 GitHub Enterprise 或本地模拟服务（见 devkit/）
+    const apiUrl = (env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    const url = `${apiUrl}/repos/${GITHUB_REPO_OWNER}/${GITHUB_REPO_NAME}${path}`;
     const headers = {
         'Authorization': `Bearer ${GITHUB_TOKEN}`,
         'Accept': 'application/vnd.github.v3+json',
@@ -106,7 +108,7 @@ export async function getDailyReportContent(env, filePath) {
         const data = await callGitHubApi(env, `/contents/${filePath}?ref=${GITHUB_BRANCH}`);
         return b64DecodeUnicode(data.content);
     } catch (error) {
-        console.error(`Error fetching daily report content from ${rawUrl}:`, error);
+        console.error(`Error fetching daily report content from ${filePath}:`, error);
         throw error;
     }
 }
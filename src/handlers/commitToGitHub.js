@@ -2,6 +2,7 @@
 import { getISODate, formatMarkdownText } from '../helpers.js';
 import { getGitHubFileSha, createOrUpdateGitHubFile } from '../github.js';
 import { storeInKV } from '../kv.js';
+import { markDraftCommitted } from '../drafts.js';
 import { marked } from '../marked.esm.js';
 
 export async function handleCommitToGitHub(request, env) {
@@ -14,38 +15,55 @@ export async function handleCommitToGitHub(request, env) {
         const dailyMd = formData.get('daily_summary_markdown');
         const podcastMd = formData.get('podcast_script_markdown');
 
+        const results = await commitReportFiles(env, dateStr, { dailyMd, podcastMd });
 
-        const filesToCommit = [];
+        return new Response(JSON.stringify({ status: 'success', date: dateStr, results: results }), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
 
-        if (dailyMd) {
-            filesToCommit.push({ path: `daily/${dateStr}.md`, content: formatMarkdownText(dailyMd), description: "Daily Summary File" });
-        }
-        if (podcastMd) {
-            filesToCommit.push({ path: `podcast/${dateStr}.md`, content: podcastMd, description: "Podcast Script File" });
-        }
+    } catch (error) {
+        console.error("Error in /commitToGitHub:", error);
+        return new Response(JSON.stringify({ status: 'error', message: error.message }), { status: 500, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    }
+}
 
-        if (filesToCommit.length === 0) {
-            throw new Error("No markdown content provided for GitHub commit.");
-        }
+/**
+ * 将日报和/或播客脚本提交到 GitHub（daily/${date}.md、podcast/${date}.md），并在草稿中记录提交。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {{dailyMd?: string, podcastMd?: string}} files
+ * @returns {Promise<Array<{file: string, status: string, message: string}>>} 每个文件的提交结果
+ * @throws {Error} If neither markdown is provided.
+ */
+export async function commitReportFiles(env, dateStr, { dailyMd, podcastMd }) {
+    const filesToCommit = [];
 
-        const results = [];
-        for (const file of filesToCommit) {
+    if (dailyMd) {
+        filesToCommit.push({ path: `daily/${dateStr}.md`, content: formatMarkdownText(dailyMd), description: "Daily Summary File", draftType: 'daily', markdown: dailyMd });
+    }
+    if (podcastMd) {
+        filesToCommit.push({ path: `podcast/${dateStr}.md`, content: podcastMd, description: "Podcast Script File", draftType: 'podcast', markdown: podcastMd });
+    }
+
+    if (filesToCommit.length === 0) {
+        throw new Error("No markdown content provided for GitHub commit.");
+    }
+
+    const results = [];
+    for (const file of filesToCommit) {
+        try {
+            const existingSha = await getGitHubFileSha(env, file.path);
+            const commitMessage = `${existingSha ? 'Update' : 'Create'} ${file.description.toLowerCase()} for ${dateStr}`;
+            await createOrUpdateGitHubFile(env, file.path, file.content, commitMessage, existingSha);
+            results.push({ file: file.path, status: 'Success', message: `Successfully ${existingSha ? 'updated' : 'created'}.` });
+            console.log(`GitHub commit success for ${file.path}`);
             try {
-                const existingSha = await getGitHubFileSha(env, file.path);
-                const commitMessage = `${existingSha ? 'Update' : 'Create'} ${file.description.toLowerCase()} for ${dateStr}`;
-                await createOrUpdateGitHubFile(env, file.path, file.content, commitMessage, existingSha);
-                results.push({ file: file.path, status: 'Success', message: `Successfully ${existingSha ? 'updated' : 'created'}.` });
-                console.log(`GitHub commit success for ${file.path}`);
-            } catch (err) {
-                console.error(`Failed to commit ${file.path} to GitHub:`, err);
-                results.push({ file: file.path, status: 'Failed', message: err.message });
+                await markDraftCommitted(env, dateStr, file.draftType, file.markdown);
+            } catch (draftError) {
+                console.error(`Failed to record commit in draft for ${file.path}:`, draftError.message);
             }
+        } catch (err) {
+            console.error(`Failed to commit ${file.path} to GitHub:`, err);
+            results.push({ file: file.path, status: 'Failed', message: err.message });
         }
-        
-        return new Response(JSON.stringify({ status: 'success', date: dateStr, results: results }), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
-
-    } catch (error) {
-        console.error("Error in /commitToGitHub:", error);
-        return new Response(JSON.stringify({ status: 'error', message: error.message }), { status: 500, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
     }
+    return results;
 }
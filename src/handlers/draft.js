@@ -0,0 +1,224 @@
+// src/handlers/draft.js
+import { getISODate, escapeHtml, replaceImageProxy } from '../helpers.js';
+import { getDraft, saveDraft, DRAFT_TYPES, listDraftVersions, getDraftVersion, markVersionPublished, approveVersionFactCheck } from '../drafts.js';
+import { diffLines } from '../textDiff.js';
+import { generateGenAiPageHtml, generateDraftsPageHtml } from '../htmlGenerators.js';
+import { commitReportFiles } from './commitToGitHub.js';
+import { marked } from '../marked.esm.js';
+import { getPipelineState, runDailyPipeline } from '../pipeline.js';
+import { formatPromptVersion } from '../promptLibrary.js';
+import { loadStepSettings } from '../llmProviders.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+/**
+ * GET /draft?date=YYYY-MM-DD&type=daily|podcast — 读取编辑器自动保存的草稿。
+ */
+export async function handleGetDraft(request, env) {
+    const url = new URL(request.url);
+    const dateStr = url.searchParams.get('date') || getISODate();
+    const type = url.searchParams.get('type') || 'daily';
+    try {
+        const draft = await getDraft(env, dateStr, type);
+        return new Response(JSON.stringify({ success: true, draft }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in GET /draft:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * PUT /draft — 自动保存草稿。
+ * 请求体: { date, type, content, aiContent }，aiContent 为编辑所基于的模型输出。
+ */
+export async function handleSaveDraft(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const draft = await saveDraft(env, body.date || getISODate(), body.type || 'daily', {
+            content: body.content,
+            aiContent: body.aiContent,
+            editor: env.LOGIN_USERNAME,
+        });
+        return new Response(JSON.stringify({ success: true, updatedAt: draft.updatedAt, humanEdits: draft.humanEdits }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in PUT /draft:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /renderMarkdown — 编辑器实时预览，与发布时使用同一个 marked 渲染。
+ * 请求体为 Markdown 原文，返回 HTML 片段。
+ */
+export async function handleRenderMarkdown(request, env) {
+    try {
+        const markdown = await request.text();
+        return new Response(marked.parse(replaceImageProxy(env.IMG_PROXY, markdown)), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /renderMarkdown:", error);
+        return new Response(`预览失败: ${error.message}`, { status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+    }
+}
+
+/**
+ * GET /drafts?date=YYYY-MM-DD — 某天所有 AI 生成版本的列表页面，可查看、对比、恢复编辑和发布。
+ * 带 ?format=json 时返回版本列表 JSON。
+ */
+export async function handleDraftsPage(request, env) {
+    const url = new URL(request.url);
+    const dateStr = url.searchParams.get('date') || getISODate();
+    try {
+        const versions = await listDraftVersions(env, dateStr);
+        if (url.searchParams.get('format') === 'json') {
+            return new Response(JSON.stringify({ date: dateStr, versions }), { headers: JSON_HEADERS });
+        }
+        return new Response(generateDraftsPageHtml(dateStr, versions), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /drafts:", error);
+        return new Response(`<h1>Error loading drafts</h1><p>${escapeHtml(error.message)}</p>`, {
+            status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
+
+/**
+ * GET /draftVersion?date=YYYY-MM-DD&id=daily-v1 — 某个版本的正文、提示词和元数据 (JSON)。
+ */
+export async function handleGetDraftVersion(request, env) {
+    const url = new URL(request.url);
+    const dateStr = url.searchParams.get('date') || getISODate();
+    try {
+        const version = await getDraftVersion(env, dateStr, url.searchParams.get('id'));
+        if (!version) {
+            return new Response(JSON.stringify({ success: false, message: 'Version not found.' }), { status: 404, headers: JSON_HEADERS });
+        }
+        return new Response(JSON.stringify({ success: true, version }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in /draftVersion:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * GET /draftDiff?date=YYYY-MM-DD&from=daily-v1&to=daily-v2 — 两个版本的逐行差异 (JSON)。
+ */
+export async function handleDraftDiff(request, env) {
+    const url = new URL(request.url);
+    const dateStr = url.searchParams.get('date') || getISODate();
+    try {
+        const [from, to] = await Promise.all([
+            getDraftVersion(env, dateStr, url.searchParams.get('from')),
+            getDraftVersion(env, dateStr, url.searchParams.get('to')),
+        ]);
+        if (!from || !to) {
+            return new Response(JSON.stringify({ success: false, message: 'Version not found.' }), { status: 404, headers: JSON_HEADERS });
+        }
+        return new Response(JSON.stringify({ success: true, from: from.id, to: to.id, ops: diffLines(from.content, to.content) }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in /draftDiff:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+function buildPromptsMarkdown(dateStr, prompts) {
+    let promptsMarkdownContent = `# Prompts for ${dateStr}\n\n`;
+    for (const prompt of prompts || []) {
+        promptsMarkdownContent += `## ${prompt.name}\n\n`;
+        if (prompt.model) promptsMarkdownContent += `### Model\n${prompt.model}\n\n`;
+        if (prompt.prompt) promptsMarkdownContent += `提示词版本: ${formatPromptVersion(prompt.prompt)}\n\n`;
+        if (prompt.system) promptsMarkdownContent += `### System Instruction\n\`\`\`\n${prompt.system}\n\`\`\`\n\n`;
+        if (prompt.user) promptsMarkdownContent += `### User Input\n\`\`\`\n${prompt.user}\n\`\`\`\n\n`;
+    }
+    return promptsMarkdownContent;
+}
+
+/**
+ * GET /draftRestore?date=YYYY-MM-DD&id=daily-v1 — 以某个日报/播客版本为基准重新打开编辑页面。
+ */
+export async function handleRestoreDraftVersion(request, env) {
+    const url = new URL(request.url);
+    const dateStr = url.searchParams.get('date') || getISODate();
+    try {
+        const version = await getDraftVersion(env, dateStr, url.searchParams.get('id'));
+        if (!version || !DRAFT_TYPES.includes(version.type)) {
+            return new Response(`<h1>无法恢复</h1><p>版本不存在，或该类型（今日摘要、日报分析）不支持编辑。</p><p><a href="/drafts?date=${encodeURIComponent(dateStr)}">返回版本列表</a></p>`, {
+                status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+            });
+        }
+        const prompt = (version.prompts || [])[0] || {};
+        const promptsMd = buildPromptsMarkdown(dateStr, version.prompts);
+        const stepSettings = await loadStepSettings(env).catch(() => null);
+        const html = version.type === 'daily'
+            ? generateGenAiPageHtml(env, 'AI日报', escapeHtml(version.content), dateStr, false, version.selectedItems || [],
+                prompt.system, prompt.user, null, null, promptsMd, version.content, null, null,
+                version.factCheck ? { ...version.factCheck, versionId: version.id } : null, stepSettings)
+            : generateGenAiPageHtml(env, 'AI播客脚本', escapeHtml(version.content), dateStr, false, [],
+                null, null, prompt.system, prompt.user, promptsMd, null, version.content, null, null, stepSettings);
+        return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /draftRestore:", error);
+        return new Response(`<h1>Error restoring draft</h1><p>${escapeHtml(error.message)}</p>`, {
+            status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
+
+/**
+ * POST /draftPublish — 将某个日报/播客版本原样提交到 GitHub。
+ * 请求体: { date, id }
+ */
+export async function handlePublishDraftVersion(request, env) {
+    try {
+        const body = await request.json();
+        const dateStr = body.date || getISODate();
+        const version = await getDraftVersion(env, dateStr, body.id);
+        if (!version) {
+            return new Response(JSON.stringify({ success: false, message: 'Version not found.' }), { status: 404, headers: JSON_HEADERS });
+        }
+        if (!DRAFT_TYPES.includes(version.type)) {
+            return new Response(JSON.stringify({ success: false, message: `Versions of type "${version.type}" cannot be published.` }), { status: 400, headers: JSON_HEADERS });
+        }
+        const results = await commitReportFiles(env, dateStr, version.type === 'daily' ? { dailyMd: version.content } : { podcastMd: version.content });
+        const failed = results.filter(result => result.status !== 'Success');
+        if (failed.length > 0) {
+            return new Response(JSON.stringify({ success: false, message: failed.map(result => `${result.file}: ${result.message}`).join('; '), results }), { status: 502, headers: JSON_HEADERS });
+        }
+        await markVersionPublished(env, dateStr, version.id);
+        return new Response(JSON.stringify({ success: true, results }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in /draftPublish:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /draftApprove — 人工确认某个日报版本的事实核查结果（原文中找不到的内容已核实无误）。
+ * 请求体: { date, id }
+ * 流水线正等待该版本确认时，确认后在后台继续运行流水线。
+ */
+export async function handleApproveDraftVersion(request, env, ctx) {
+    try {
+        const body = await request.json();
+        const dateStr = body.date || getISODate();
+        const factCheck = await approveVersionFactCheck(env, dateStr, body.id, env.LOGIN_USERNAME);
+        if (!factCheck) {
+            return new Response(JSON.stringify({ success: false, message: 'Version not found or has no fact check.' }), { status: 404, headers: JSON_HEADERS });
+        }
+        const pipelineState = await getPipelineState(env, dateStr);
+        const resumePipeline = !!pipelineState && pipelineState.status === 'awaiting_approval'
+            && pipelineState.results.generate && pipelineState.results.generate.versionId === body.id;
+        if (resumePipeline) {
+            const run = runDailyPipeline(env, { date: dateStr });
+            if (ctx) ctx.waitUntil(run);
+        }
+        return new Response(JSON.stringify({ success: true, factCheck, resumePipeline }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in /draftApprove:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
@@ -0,0 +1,130 @@
+// src/handlers/evaluation.js
+import { listGoldenSets, getGoldenSet, saveGoldenSet, deleteGoldenSet, listEvaluationRuns, runEvaluation } from '../evaluation.js';
+import { parsePromptVersions } from '../promptLibrary.js';
+import { parseModelOverrides } from '../llmProviders.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /evaluation — 黄金集列表和最近的评估记录 (JSON)。带 ?run=<id> 时返回该次评估的全部结果（含生成的日报）。
+ * 列表中的评估记录不含各黄金集生成的日报全文。
+ */
+export async function handleGetEvaluation(request, env) {
+    const url = new URL(request.url);
+    const runId = url.searchParams.get('run');
+    try {
+        const runs = await listEvaluationRuns(env);
+        if (runId) {
+            const run = runs.find(entry => entry.id === runId);
+            if (!run) {
+                return new Response(JSON.stringify({ success: false, message: `Evaluation run ${runId} not found.` }), { status: 404, headers: JSON_HEADERS });
+            }
+            return new Response(JSON.stringify(run), { headers: JSON_HEADERS });
+        }
+        const body = {
+            goldenSets: await listGoldenSets(env),
+            runs: runs.map(run => ({ ...run, results: run.results.map(({ output, ...result }) => result) })),
+        };
+        return new Response(JSON.stringify(body), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in GET /evaluation:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /evaluation — 对黄金集重新生成日报并打分，见 evaluation.js runEvaluation()。
+ * 请求体 (JSON，均可选): { dates, prompts: { 提示词: 版本号 }, modelOverrides }
+ */
+export async function handleRunEvaluation(request, env) {
+    let body = {};
+    if (request.headers.get('Content-Type')?.includes('application/json')) {
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+        }
+    }
+    let options;
+    try {
+        if (body.dates !== undefined && (!Array.isArray(body.dates) || !body.dates.every(date => DATE_PATTERN.test(date)))) {
+            throw new Error('dates must be an array of YYYY-MM-DD dates.');
+        }
+        options = {
+            dates: body.dates,
+            promptVersions: parsePromptVersions(body.prompts || {}),
+            modelOverrides: parseModelOverrides(body.modelOverrides || {}),
+        };
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const run = await runEvaluation(env, options);
+        return new Response(JSON.stringify(run), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in POST /evaluation:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * GET /goldenSet?date=YYYY-MM-DD — 导出黄金集 (JSON)，保存到 test/fixtures/golden/ 后可离线评估（见 devkit/evaluate.js）。
+ */
+export async function handleGetGoldenSet(request, env) {
+    const dateStr = new URL(request.url).searchParams.get('date');
+    if (!DATE_PATTERN.test(dateStr || '')) {
+        return new Response(JSON.stringify({ success: false, message: 'date (YYYY-MM-DD) is required.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const goldenSet = await getGoldenSet(env, dateStr);
+        if (!goldenSet) {
+            return new Response(JSON.stringify({ success: false, message: `No golden set for ${dateStr}.` }), { status: 404, headers: JSON_HEADERS });
+        }
+        return new Response(JSON.stringify(goldenSet, null, 2), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in GET /goldenSet:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /goldenSet — 将某天已发布的日报版本保存为黄金集。
+ * 请求体: { date, id }
+ */
+export async function handleSaveGoldenSet(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    if (!DATE_PATTERN.test(body.date || '') || !body.id) {
+        return new Response(JSON.stringify({ success: false, message: 'date (YYYY-MM-DD) and id are required.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const goldenSet = await saveGoldenSet(env, body.date, body.id, env.LOGIN_USERNAME);
+        return new Response(JSON.stringify({ success: true, goldenSet }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in POST /goldenSet:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * DELETE /goldenSet?date=YYYY-MM-DD — 删除黄金集。
+ */
+export async function handleDeleteGoldenSet(request, env) {
+    const dateStr = new URL(request.url).searchParams.get('date');
+    try {
+        const deleted = await deleteGoldenSet(env, dateStr);
+        if (!deleted) {
+            return new Response(JSON.stringify({ success: false, message: `No golden set for ${dateStr}.` }), { status: 404, headers: JSON_HEADERS });
+        }
+        return new Response(JSON.stringify({ success: true }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in DELETE /goldenSet:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
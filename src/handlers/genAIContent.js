@@ -1,17 +1,22 @@
 // src/handlers/genAIContent.js
 import { getISODate, escapeHtml, stripHtml, removeMarkdownCodeBlock, formatDateToChinese, convertEnglishQuotesToChinese} from '../helpers.js';
 import { getFromKV } from '../kv.js';
-import { callChatAPIStream } from '../chatapi.js';
-import { generateGenAiPageHtml } from '../htmlGenerators.js';
-import { dataSources } from '../dataFetchers.js'; // Import dataSources
-import { getSystemPromptSummarizationStepOne } from "../prompt/summarizationPromptStepZero";
-import { getSystemPromptSummarizationStepTwo } from "../prompt/summarizationPromptStepTwo";
-import { getSystemPromptSummarizationStepThree } from "../prompt/summarizationPromptStepThree";
-import { getSystemPromptPodcastFormatting, getSystemPromptShortPodcastFormatting } from '../prompt/podcastFormattingPrompt.js';
-import { getSystemPromptDailyAnalysis } from '../prompt/dailyAnalysisPrompt.js'; // Import new prompt
+import { callChatAPIStream, getActiveModelName } from '../chatapi.js';
+import { getStepSettings, loadStepSettings, parseModelOverrides } from '../llmProviders.js';
+import { generateGenAiPageHtml, generateCompareSetupPageHtml, generateComparePageHtml } from '../htmlGenerators.js';
+import { getDataSources } from '../dataFetchers.js';
+import { getSystemPromptSummarizationStepTwo } from "../prompt/summarizationPromptStepTwo.js";
+import { getPrompt, getPromptRecord, formatPromptVersion } from '../promptLibrary.js';
 import { insertFoot } from '../foot.js';
 import { insertAd } from '../ad.js';
 import { getDailyReportContent } from '../github.js'; // 导入 getDailyReportContent
+import { saveDraftVersion } from '../drafts.js';
+import { getInputTokenBudget, splitIntoBatches, joinItems, estimateTokens } from '../chunking.js';
+import { getDailyOutputFormat, parseDailyReport, mergeDailyReports, renderDailyReportMarkdown } from '../dailyReport.js';
+import { buildCitationSources, applyCitations, stripCitations } from '../citations.js';
+import { verifyFacts, CLAIM_TYPE_LABELS } from '../factCheck.js';
+import { getComparePromptKeys, parseCompareVariants, getUsedPromptVersions, getVariantUsage, buildComparisonDiffs } from '../compare.js';
+import { getPriceTable } from '../usage.js';
 
 export async function handleGenAIPodcastScript(request, env) {
     let dateStr;
@@ -29,6 +34,7 @@ export async function handleGenAIPodcastScript(request, env) {
         dateStr = formData.get('date');
         selectedItemsParams = formData.getAll('selectedItems');
         const readGithub = formData.get('readGithub') === 'true';
+        const modelOverrides = parseModelOverrides(formData.get('modelOverrides'));
 
         if (readGithub) {
             const filePath = `daily/${dateStr}.md`;
@@ -54,17 +60,16 @@ export async function handleGenAIPodcastScript(request, env) {
         }
 
 
-        fullPromptForCall3_System = getSystemPromptPodcastFormatting(env);
-        userPromptPodcastFormattingData = outputOfCall1;
+        // 系统提示词取自提示词库（见 promptLibrary.js），版本记录在生成的版本中
+        const podcastPrompt = await getPrompt(env, 'podcast');
+        fullPromptForCall3_System = podcastPrompt.text;
+        userPromptPodcastFormattingData = stripCitations(outputOfCall1);
         fullPromptForCall3_User = userPromptPodcastFormattingData;
 
         console.log("Call 3 to Chat (Podcast Formatting): User prompt length:", userPromptPodcastFormattingData.length);
+        let call3Info;
         try {
-            let podcastChunks = [];
-            for await (const chunk of callChatAPIStream(env, userPromptPodcastFormattingData, fullPromptForCall3_System)) {
-                podcastChunks.push(chunk);
-            }
-            finalAiResponse = podcastChunks.join('');
+            ({ text: finalAiResponse, callInfo: call3Info } = await collectChatStream(env, 'podcast', userPromptPodcastFormattingData, fullPromptForCall3_System, { overrides: modelOverrides }));
             if (!finalAiResponse || finalAiResponse.trim() === "") throw new Error("Chat podcast formatting call returned empty content.");
             finalAiResponse = removeMarkdownCodeBlock(finalAiResponse); // Clean the output
             console.log("Call 3 (Podcast Formatting) successful. Final output length:", finalAiResponse.length);
@@ -76,17 +81,16 @@ export async function handleGenAIPodcastScript(request, env) {
         let finalAiResponseOut =  `## Full: Podcast Formatting ` + `\n\n` + finalAiResponse;
         let promptsMarkdownContent = `# Prompts for ${dateStr}\n\n`;
         promptsMarkdownContent += `## Call 3: Podcast Formatting\n\n`;
+        promptsMarkdownContent += formatModelMarkdown(call3Info, podcastPrompt);
         if (fullPromptForCall3_System) promptsMarkdownContent += `### System One Instruction\n\`\`\`\n${fullPromptForCall3_System}\n\`\`\`\n\n`;
         
 
-        let fullPromptForCall4_System = getSystemPromptShortPodcastFormatting(env);
+        const shortPodcastPrompt = await getPrompt(env, 'podcastShort');
+        let fullPromptForCall4_System = shortPodcastPrompt.text;
         console.log("Call 4 to Chat (Podcast Formatting): User prompt length:", userPromptPodcastFormattingData.length);
+        let call4Info;
         try {
-            let podcastChunks = [];
-            for await (const chunk of callChatAPIStream(env, userPromptPodcastFormattingData, fullPromptForCall4_System)) {
-                podcastChunks.push(chunk);
-            }
-            finalAiResponse = podcastChunks.join('');
+            ({ text: finalAiResponse, callInfo: call4Info } = await collectChatStream(env, 'podcast', userPromptPodcastFormattingData, fullPromptForCall4_System, { overrides: modelOverrides }));
             if (!finalAiResponse || finalAiResponse.trim() === "") throw new Error("Chat podcast formatting call returned empty content.");
             finalAiResponse = removeMarkdownCodeBlock(finalAiResponse); // Clean the output
             console.log("Call 4 (Podcast Formatting) successful. Final output length:", finalAiResponse.length);
@@ -99,11 +103,23 @@ export async function handleGenAIPodcastScript(request, env) {
         let fullPromptForCallSystem =  fullPromptForCall3_System + `\n\n` + fullPromptForCall4_System;
 
         promptsMarkdownContent += `## Call 4: Podcast Formatting\n\n`;
+        promptsMarkdownContent += formatModelMarkdown(call4Info, shortPodcastPrompt);
         if (fullPromptForCall4_System) promptsMarkdownContent += `### System Two Instruction\n\`\`\`\n${fullPromptForCall4_System}\n\`\`\`\n\n`;
         if (fullPromptForCall3_User) promptsMarkdownContent += `### User Input (Output of Call 1)\n\`\`\`\n${fullPromptForCall3_User}\n\`\`\`\n\n`;
 
         let podcastScriptMarkdownContent = `# ${env.PODCAST_TITLE} ${formatDateToChinese(dateStr)}\n\n${removeMarkdownCodeBlock(finalAiResponseOut)}`;
 
+        await saveVersionSafely(env, dateStr, {
+            type: 'podcast',
+            content: convertEnglishQuotesToChinese(podcastScriptMarkdownContent),
+            prompts: [
+                { name: '播客脚本（完整）', system: fullPromptForCall3_System, user: fullPromptForCall3_User, model: call3Info.model, prompt: { key: podcastPrompt.key, version: podcastPrompt.version } },
+                { name: '播客脚本（精简）', system: fullPromptForCall4_System, user: fullPromptForCall3_User, model: call4Info.model, prompt: { key: shortPodcastPrompt.key, version: shortPodcastPrompt.version } },
+            ],
+            model: call3Info.model,
+            selectedItems: selectedItemsParams,
+        });
+
         const successHtml = generateGenAiPageHtml(
             env, 
             'AI播客脚本',
@@ -113,7 +129,9 @@ export async function handleGenAIPodcastScript(request, env) {
             fullPromptForCallSystem, fullPromptForCall3_User,
             convertEnglishQuotesToChinese(removeMarkdownCodeBlock(promptsMarkdownContent)), 
             outputOfCall1, // No daily summary for this page
-            convertEnglishQuotesToChinese(podcastScriptMarkdownContent)
+            convertEnglishQuotesToChinese(podcastScriptMarkdownContent),
+            null, null,
+            await loadStepSettings(env).catch(() => null),
         );
         return new Response(successHtml, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
 
@@ -126,21 +144,525 @@ export async function handleGenAIPodcastScript(request, env) {
     }
 }
 
+/**
+ * 日报生成的各个模型调用阶段及显示名称，用于流式生成页面 (见 genAIContentStream.js)。
+ */
+export const DAILY_SUMMARY_STAGES = {
+    digest: '摘要中',
+    overview: '今日速览中',
+};
+
+// 分批摘要后的合并阶段，只在条目超出模型上下文时出现
+const DIGEST_MERGE_STAGE = { stage: 'merge', label: '合并各批摘要' };
+
+/**
+ * 按步骤的模型设置（见 llmProviders.js GENERATION_STEPS）流式调用模型并拼接完整输出；
+ * 传入 onEvent 时逐块转发 { type: 'token', stage, text } 事件，stage 默认为步骤名。
+ * @returns {Promise<{text: string, callInfo: {provider: string, model: string, fallbacks: Array<object>, settings: object}}>} callInfo 为实际应答的供应商
+ */
+async function collectChatStream(env, step, userPrompt, systemPrompt, { onEvent = null, overrides = {}, stage = step, responseFormat } = {}) {
+    const chunks = [];
+    const callInfo = {};
+    const settings = await getStepSettings(env, step, overrides);
+    if (responseFormat) settings.responseFormat = responseFormat;
+    for await (const chunk of callChatAPIStream(env, userPrompt, systemPrompt, { step, settings, callInfo })) {
+        chunks.push(chunk);
+        if (onEvent) await onEvent({ type: 'token', stage, text: chunk });
+    }
+    return { text: chunks.join(''), callInfo };
+}
+
+/**
+ * 提示词 Markdown 中记录实际应答的模型、采样参数、使用的提示词版本，以及切换前失败的供应商。
+ */
+function formatModelMarkdown(callInfo, prompt = null) {
+    let markdown = `### Model\n${callInfo.model}\n\n`;
+    if (prompt) markdown += `提示词版本: ${formatPromptVersion(prompt)}\n\n`;
+    const params = ['temperature', 'topP', 'maxTokens']
+        .filter(field => callInfo.settings && callInfo.settings[field] !== undefined)
+        .map(field => `${field}=${callInfo.settings[field]}`);
+    if (params.length > 0) markdown += `参数: ${params.join(', ')}\n\n`;
+    for (const fallback of callInfo.fallbacks || []) {
+        markdown += `> ${fallback.provider} 调用失败，已切换: ${fallback.error}\n\n`;
+    }
+    return markdown;
+}
+
+/**
+ * 提示词 Markdown 中记录来源引用的检查结果，供审核时核对。
+ */
+function formatCitationCheckMarkdown(check) {
+    let markdown = `## Citations\n\n引用原文 ${check.citations.length} 篇。\n\n`;
+    if (check.invalidIds.length > 0) markdown += `> 已丢弃不在选中条目中的编号: ${check.invalidIds.join(', ')}\n\n`;
+    if (check.removedUrls.length > 0) markdown += `> 已去掉选中条目以外的链接: ${check.removedUrls.join(', ')}\n\n`;
+    if (check.uncitedItems.length > 0) markdown += `> 以下要闻没有标注来源:\n${check.uncitedItems.map(line => `> - ${line}`).join('\n')}\n\n`;
+    return markdown;
+}
+
+/**
+ * 提示词 Markdown 中记录事实核查结果，列出原文中找不到的数据、城市和政策术语。
+ */
+function formatFactCheckMarkdown(factCheck) {
+    let markdown = `## Fact Check\n\n核查 ${factCheck.total} 项，原文中找不到 ${factCheck.unsupported.length} 项。\n\n`;
+    for (const claim of factCheck.unsupported) {
+        markdown += `> - ${CLAIM_TYPE_LABELS[claim.type]}「${claim.text}」: ${claim.line}\n`;
+    }
+    return factCheck.unsupported.length > 0 ? `${markdown}\n` : markdown;
+}
+
+/**
+ * 将生成结果保存为版本（见 drafts.js）。保存失败只记录日志，不影响页面返回生成结果。
+ */
+async function saveVersionSafely(env, dateStr, generation) {
+    try {
+        return await saveDraftVersion(env, dateStr, { model: getActiveModelName(env), ...generation });
+    } catch (error) {
+        console.error(`Failed to save ${generation.type} version for ${dateStr}:`, error);
+        return null;
+    }
+}
+
+/**
+ * 将 generateDailySummary() 的结果保存为「日报」和「今日摘要」两个版本。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {object} summary - The result of generateDailySummary().
+ * @param {Array<string>} selectedItems - Selected item references in "type:id" form.
+ * @param {string} [source='web'] - 生成来源
+ * @returns {Promise<object|null>} 日报版本的元数据，保存失败时为 null
+ */
+export async function saveDailySummaryVersions(env, dateStr, summary, selectedItems, source = 'web') {
+    const dailyVersion = await saveVersionSafely(env, dateStr, {
+        type: 'daily',
+        content: convertEnglishQuotesToChinese(summary.dailySummaryMarkdownContent),
+        prompts: summary.prompts,
+        model: summary.prompts[0].model,
+        report: summary.report,
+        factCheck: summary.factCheck,
+        selectedItems,
+        source,
+    });
+    await saveVersionSafely(env, dateStr, {
+        type: 'summary',
+        content: summary.summaryContent,
+        prompts: summary.prompts.filter(prompt => prompt.name === '今日摘要'),
+        model: summary.prompts[1].model,
+        selectedItems,
+        source,
+    });
+    return dailyVersion;
+}
+
+/**
+ * RSS 数据源条目的提示词文本。
+ */
+function formatRSSItemText(item) {
+    let itemText = `【${item.source || '资讯'}】\n标题: ${item.title}\n发布时间: ${item.published_date}\n链接: ${item.url}\n内容摘要: ${stripHtml(item.details.content_html)}`;
+    // 去重聚类合并的同题报道，作为同一条资讯的补充来源
+    if (Array.isArray(item.alternates) && item.alternates.length > 0) {
+        itemText += `\n同题报道: ${item.alternates.map(alt => `${alt.source}《${alt.title}》${alt.url}`).join('；')}`;
+    }
+    return itemText;
+}
+
+/**
+ * 读取某天所有分类已存储的条目。
+ */
+async function loadStoredData(env, dateStr) {
+    const allFetchedData = {};
+    const fetchPromises = [];
+    const dataSources = await getDataSources(env);
+    for (const sourceType in dataSources) {
+        if (Object.hasOwnProperty.call(dataSources, sourceType)) {
+            fetchPromises.push(
+                getFromKV(env.DATA_KV, `${dateStr}-${sourceType}`).then(data => {
+                    allFetchedData[sourceType] = data || [];
+                })
+            );
+        }
+    }
+    await Promise.allSettled(fetchPromises);
+    return { dataSources, allFetchedData };
+}
+
+function findSelectedItem(allFetchedData, selection) {
+    const [type, idStr] = selection.split(':');
+    const itemsOfType = allFetchedData[type];
+    return itemsOfType ? itemsOfType.find(dataItem => String(dataItem.id) === idStr) || null : null;
+}
+
+/**
+ * 提交给模型的条目对应的引用来源（标题、链接），见 citations.js。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedContentItems - Item texts from buildSelectedContentItems.
+ * @returns {Promise<Object<string, object>>}
+ */
+async function getCitationSources(env, dateStr, selectedContentItems) {
+    const { allFetchedData } = await loadStoredData(env, dateStr);
+    return buildCitationSources(selectedContentItems.map(getItemSourceId).filter(Boolean).map(id => ({ id, item: findSelectedItem(allFetchedData, id) })));
+}
+
+// 条目文本首行的编号标记，如「编号: news:123」
+const ITEM_ID_LABEL = '编号';
+
+function getItemSourceId(itemText) {
+    const match = itemText.match(new RegExp(`^${ITEM_ID_LABEL}: (.+)$`, 'm'));
+    return match ? match[1] : null;
+}
+
+/**
+ * Loads the data stored for a date and turns every selected item into the text block sent to the model.
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedItemsParams - Selected item references in "type:id" form.
+ * @returns {Promise<Array<string>>} One prompt text per item that could be found, in selection order; each starts with its "编号: type:id" line.
+ */
+export async function buildSelectedContentItems(env, dateStr, selectedItemsParams) {
+    const { dataSources, allFetchedData } = await loadStoredData(env, dateStr);
+    const selectedContentItems = [];
+
+    for (const selection of selectedItemsParams) {
+        const item = findSelectedItem(allFetchedData, selection);
+
+        if (item) {
+            let itemText = "";
+            // Dynamically generate itemText based on item.type
+            // 楼市日报数据类型处理（RSS 直接抓取）
+            switch (item.type) {
+                // ===================== RSS 楼市数据源 =====================
+                case 'news':      // 楼市资讯
+                case 'finance':   // 财经资讯
+                case 'policy':    // 政策动态
+                case 'general':   // 综合资讯
+                case 'market':    // 市场数据（兼容旧配置）
+                case 'city':      // 城市聚焦（兼容旧配置）
+                    itemText = formatRSSItemText(item);
+                    break;
+                
+                // ===================== 原有数据源 (保留兼容) =====================
+                case 'aiNews':
+                    itemText = `News Title: ${item.title}\nPublished: ${item.published_date}\nUrl: ${item.url}\nContent Summary: ${stripHtml(item.details.content_html)}`;
+                    break;
+                case 'project':
+                    itemText = `Project Name: ${item.title}\nPublished: ${item.published_date}\nUrl: ${item.url}\nDescription: ${item.description}\nStars: ${item.details.totalStars}`;
+                    break;
+                case 'paper':
+                    itemText = `Papers Title: ${item.title}\nPublished: ${item.published_date}\nUrl: ${item.url}\nAbstract/Content Summary: ${stripHtml(item.details.content_html)}`;
+                    break;
+                case 'socialMedia':
+                    itemText = `socialMedia Post by ${item.authors}：Published: ${item.published_date}\nUrl: ${item.url}\nContent: ${stripHtml(item.details.content_html)}`;
+                    break;
+                
+                default:
+                    // 注册表中新增的分类同样是 RSS 数据源
+                    if (dataSources[item.type]) {
+                        itemText = formatRSSItemText(item);
+                        break;
+                    }
+                    // Fallback for unknown types
+                    itemText = `【${item.source || item.type}】\n标题: ${item.title || 'N/A'}\n描述: ${item.description || 'N/A'}\n链接: ${item.url || 'N/A'}`;
+                    if (item.published_date) itemText += `\n发布时间: ${item.published_date}`;
+                    if (item.details && item.details.content_html) itemText += `\n内容: ${stripHtml(item.details.content_html)}`;
+                    break;
+            }
+            
+            if (itemText) {
+                // 编号供结构化日报引用来源条目，见 dailyReport.js
+                selectedContentItems.push(`${ITEM_ID_LABEL}: ${selection}\n${itemText}`);
+            }
+        } else {
+            console.warn(`Could not find item for selection: ${selection} on date ${dateStr}.`);
+        }
+    }
+
+    return selectedContentItems;
+}
+
+/**
+ * Runs the daily summarization calls (今日楼市要闻, then 今日摘要) and assembles the daily Markdown.
+ * Used by the /genAIContent page and by the scheduled pipeline.
+ * A failing call throws an Error carrying `pageTitle`, `systemPrompt` and `userPrompt` of that call.
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedContentItems - Item texts from buildSelectedContentItems.
+ * @param {object} [options]
+ * @param {function(object): Promise<void>} [options.onEvent] - 进度回调，依次收到 { type: 'stage', stage, label } 和 { type: 'token', stage, text } 事件
+ * @param {object} [options.modelOverrides] - 本次生成的模型设置覆盖，见 llmProviders.js parseModelOverrides()
+ * @param {Object<string, number>} [options.promptVersions] - 本次使用的提示词版本 { 提示词: 版本号 }，默认为提示词库中当前使用的版本
+ * @returns {Promise<{dailySummaryMarkdownContent: string, promptsMarkdownContent: string, systemPrompt: string, userPrompt: string, summaryContent: string, report: object|null, factCheck: object, prompts: Array<{name: string, system: string, user: string}>, callInfos: Array<object>}>}
+ *   report 为结构化日报（仅 structured 模式）；factCheck 为事实核查结果，见 factCheck.js；callInfos 为各次模型调用的供应商和用量
+ */
+export async function generateDailySummary(env, dateStr, selectedContentItems, { onEvent, modelOverrides = {}, promptVersions = {} } = {}) {
+    //提示词内不能有英文引号，否则会存储数据缺失。
+    // Call 2: 今日楼市要闻。条目超出模型上下文时分批摘要再合并，见 summarizeDigest()
+    // DAILY_OUTPUT_FORMAT = "structured" 时模型输出 JSON，再渲染为 Markdown，见 dailyReport.js
+    // 系统提示词取自提示词库（见 promptLibrary.js），每次调用使用的版本记录在 prompts 中
+    const structured = getDailyOutputFormat(env) === 'structured';
+    const digestPromptKey = structured ? 'summarizationJson' : 'summarization';
+    const digestPrompt = await getPrompt(env, digestPromptKey, { version: promptVersions[digestPromptKey] });
+    let fullPromptForCall2_System = digestPrompt.text;
+    let fullPromptForCall2_User = joinItems(selectedContentItems);
+    const { text: digestText, calls: digestCalls, report = null } = structured
+        ? await summarizeDigestStructured(env, selectedContentItems, digestPrompt, { onEvent, modelOverrides })
+        : await summarizeDigest(env, selectedContentItems, digestPrompt, { onEvent, modelOverrides, mergePromptVersion: promptVersions.summarizationMerge });
+    const call2Info = digestCalls[digestCalls.length - 1].callInfo;
+
+    // 来源引用：模型只输出条目编号，原文链接按选中条目生成，见 citations.js
+    const citationSources = await getCitationSources(env, dateStr, selectedContentItems);
+    let outputOfCall2;
+    let overviewInput;
+    let citationCheck = null;
+    if (report) {
+        const citedIds = new Set(report.items.flatMap(item => item.sourceIds));
+        report.sources = Object.fromEntries(Object.entries(citationSources).filter(([id]) => citedIds.has(id)));
+        outputOfCall2 = renderDailyReportMarkdown(report);
+        overviewInput = digestText;
+    } else {
+        citationCheck = applyCitations(digestText, citationSources);
+        outputOfCall2 = citationCheck.markdown;
+        overviewInput = citationCheck.plain;
+        if (citationCheck.invalidIds.length > 0 || citationCheck.removedUrls.length > 0 || citationCheck.uncitedItems.length > 0) {
+            console.warn(`Citation check for ${dateStr}: ${citationCheck.invalidIds.length} invalid ids, ${citationCheck.removedUrls.length} removed links, ${citationCheck.uncitedItems.length} uncited items.`);
+        }
+    }
+
+    let promptsMarkdownContent = `# Prompts for ${dateStr}\n\n`;
+    for (const call of digestCalls) {
+        promptsMarkdownContent += `## ${call.title}\n\n`;
+        promptsMarkdownContent += formatModelMarkdown(call.callInfo, call.prompt);
+        if (call.system) promptsMarkdownContent += `### System Instruction\n\`\`\`\n${call.system}\n\`\`\`\n\n`;
+        if (call.user) promptsMarkdownContent += `### ${call.userTitle}\n\`\`\`\n${call.user}\n\`\`\`\n\n`;
+    }
+    if (report) promptsMarkdownContent += `## Structured Output\n\n\`\`\`json\n${JSON.stringify(report, null, 2)}\n\`\`\`\n\n`;
+    if (citationCheck) promptsMarkdownContent += formatCitationCheckMarkdown(citationCheck);
+
+    let dailySummaryMarkdownContent = `## ${env.DAILY_TITLE} ${formatDateToChinese(dateStr)}` + '\n\n';
+    dailySummaryMarkdownContent += '> '+ env.DAILY_TITLE_MIN + '\n\n';
+
+    const overviewPrompt = await getPrompt(env, 'overview', { version: promptVersions.overview });
+    let fullPromptForCall3_System = overviewPrompt.text;
+    let fullPromptForCall3_User = overviewInput; // Input for Call 3 is output of Call 2 without citations
+    let outputOfCall3 = null;
+    let call3Info;
+    console.log("Call 3 to Chat (Processing Call 1 Output): User prompt length:", fullPromptForCall3_User.length);
+    try {
+        if (onEvent) await onEvent({ type: 'stage', stage: 'overview', label: DAILY_SUMMARY_STAGES.overview });
+        ({ text: outputOfCall3, callInfo: call3Info } = await collectChatStream(env, 'overview', fullPromptForCall3_User, fullPromptForCall3_System, { onEvent, overrides: modelOverrides }));
+        if (!outputOfCall3 || outputOfCall3.trim() === "") throw new Error("Chat processing call returned empty content.");
+        outputOfCall3 = removeMarkdownCodeBlock(outputOfCall3); // Clean the output
+        console.log("Call 3 (Processing Call 2 Output) successful. Output length:", outputOfCall3.length);
+    } catch (error) {
+        console.error("Error in Chat API Call 3 (Processing Call 2 Output):", error);
+        error.pageTitle = '生成AI日报出错(摘要)';
+        error.systemPrompt = fullPromptForCall3_System;
+        error.userPrompt = fullPromptForCall3_User;
+        throw error;
+    }
+    promptsMarkdownContent += `## Call 3: 今日摘要\n\n`;
+    promptsMarkdownContent += formatModelMarkdown(call3Info, overviewPrompt);
+    if (fullPromptForCall3_System) promptsMarkdownContent += `### System Instruction\n\`\`\`\n${fullPromptForCall3_System}\n\`\`\`\n\n`;
+
+    // 事实核查：今日摘要和要闻中的数据、城市、政策术语须能在选中条目的原文中找到
+    const factCheck = verifyFacts(`${outputOfCall3}\n\n${outputOfCall2}`, selectedContentItems);
+    if (factCheck.unsupported.length > 0) {
+        console.warn(`Fact check for ${dateStr}: ${factCheck.unsupported.length} of ${factCheck.total} claims not found in the source items.`);
+    }
+    promptsMarkdownContent += formatFactCheckMarkdown(factCheck);
+    dailySummaryMarkdownContent += '\n\n### **今日摘要**\n\n```\n' + outputOfCall3 + '\n```\n\n';
+
+    dailySummaryMarkdownContent += `\n\n${removeMarkdownCodeBlock(outputOfCall2)}`;
+    if (env.INSERT_AD=='true') dailySummaryMarkdownContent += insertAd() +`\n`;
+    if (env.INSERT_FOOT=='true') dailySummaryMarkdownContent += insertFoot() +`\n\n`;
+
+    return {
+        dailySummaryMarkdownContent,
+        promptsMarkdownContent,
+        systemPrompt: fullPromptForCall2_System,
+        userPrompt: fullPromptForCall2_User,
+        summaryContent: outputOfCall3,
+        report,
+        factCheck,
+        callInfos: [...digestCalls.map(call => call.callInfo), call3Info],
+        prompts: [
+            // 要闻记录摘要提示词的版本；分批时最后一次调用是合并，合并提示词的版本记录在下面各次调用中
+            { name: '今日楼市要闻', system: fullPromptForCall2_System, user: fullPromptForCall2_User, model: call2Info.model, prompt: { key: digestPrompt.key, version: digestPrompt.version } },
+            { name: '今日摘要', system: fullPromptForCall3_System, user: fullPromptForCall3_User, model: call3Info.model, prompt: { key: overviewPrompt.key, version: overviewPrompt.version } },
+            // 分批摘要时每批及合并调用的提示词
+            ...(digestCalls.length > 1 ? digestCalls.map(call => ({ name: call.name, system: call.system, user: call.user, model: call.callInfo.model, prompt: call.prompt })) : []),
+        ],
+    };
+}
+
+/**
+ * 生成「今日楼市要闻」。全部条目放得进模型上下文（见 chunking.js）时一次调用完成；
+ * 否则按上下文分批摘要 (map)，再把各批摘要合并为同一个「今日楼市要闻」结构 (reduce)。
+ * 合并输入仍超出上下文时，逐轮分组合并，直到放得下为止。
+ * A failing call throws an Error carrying `pageTitle`, `systemPrompt` and `userPrompt` of that call.
+ * @param {{key: string, version: number, text: string}} digestPrompt - 摘要提示词，见 promptLibrary.js getPrompt()
+ * @param {object} [options]
+ * @param {number} [options.mergePromptVersion] - 合并提示词的版本，默认为当前使用的版本
+ * @returns {Promise<{text: string, calls: Array<{name: string, title: string, userTitle: string, system: string, user: string, prompt: {key: string, version: number}, callInfo: object}>}>} calls 为依次进行的模型调用，最后一个的输出即 text
+ */
+async function summarizeDigest(env, selectedContentItems, digestPrompt, { onEvent, modelOverrides = {}, mergePromptVersion } = {}) {
+    const calls = [];
+    const systemPrompt = digestPrompt.text;
+    const runCall = async (call, stage, label, errorTitle) => {
+        console.log(`${call.title}: User prompt length:`, call.user.length);
+        try {
+            if (onEvent) await onEvent({ type: 'stage', stage, label });
+            const { text, callInfo } = await collectChatStream(env, 'digest', call.user, call.system, { onEvent, overrides: modelOverrides, stage });
+            if (!text || text.trim() === "") throw new Error("Chat processing call returned empty content.");
+            calls.push({ ...call, callInfo });
+            console.log(`${call.title} successful. Output length:`, text.length);
+            return removeMarkdownCodeBlock(text); // Clean the output
+        } catch (error) {
+            console.error(`Error in Chat API ${call.title}:`, error);
+            error.pageTitle = errorTitle;
+            error.systemPrompt = call.system;
+            error.userPrompt = call.user;
+            throw error;
+        }
+    };
+
+    const settings = await getStepSettings(env, 'digest', modelOverrides);
+    const batches = splitIntoBatches(selectedContentItems, getInputTokenBudget(env, settings, systemPrompt));
+    const digestPromptVersion = { key: digestPrompt.key, version: digestPrompt.version };
+    if (batches.length === 1) {
+        const text = await runCall({ name: '今日楼市要闻', title: 'Call 2: Summarized Content Format', userTitle: 'User Input (Output of Call 1)', system: systemPrompt, user: joinItems(selectedContentItems), prompt: digestPromptVersion },
+            'digest', DAILY_SUMMARY_STAGES.digest, '生成AI日报出错(格式化)');
+        return { text, calls };
+    }
+
+    console.log(`Selected items exceed the model context, summarizing in ${batches.length} batches.`);
+    let parts = [];
+    for (const [index, batch] of batches.entries()) {
+        const progress = `${index + 1}/${batches.length}`;
+        parts.push(await runCall({ name: `分批摘要 ${progress}`, title: `Call 2.${index + 1}: 分批摘要 (${progress}, ${batch.length} 条)`, userTitle: 'User Input', system: systemPrompt, user: joinItems(batch), prompt: digestPromptVersion },
+            'digest', `${DAILY_SUMMARY_STAGES.digest}（第 ${progress} 批）`, `生成AI日报出错(分批摘要 ${progress})`));
+    }
+
+    const mergePrompt = await getPrompt(env, 'summarizationMerge', { version: mergePromptVersion });
+    const mergePromptInfo = { key: mergePrompt.key, version: mergePrompt.version };
+    const mergeSystemPrompt = mergePrompt.text;
+    const mergeBudget = getInputTokenBudget(env, settings, mergeSystemPrompt);
+    for (let round = 1; ; round++) {
+        const groups = splitIntoBatches(parts, mergeBudget);
+        // 放得下，或已无法继续缩小（每组只剩一份摘要）时做最终合并
+        if (groups.length === 1 || groups.length === parts.length) {
+            const user = joinItems(parts);
+            if (groups.length > 1) console.warn(`Batch summaries (${estimateTokens(user)} tokens) still exceed the merge budget of ${mergeBudget} tokens.`);
+            const text = await runCall({ name: '合并各批摘要', title: 'Call 2.m: 合并各批摘要', userTitle: 'User Input (Batch Summaries)', system: mergeSystemPrompt, user, prompt: mergePromptInfo },
+                DIGEST_MERGE_STAGE.stage, DIGEST_MERGE_STAGE.label, '生成AI日报出错(合并摘要)');
+            return { text, calls };
+        }
+        const merged = [];
+        for (const [index, group] of groups.entries()) {
+            const progress = `${round}-${index + 1}/${groups.length}`;
+            merged.push(await runCall({ name: `合并各批摘要 ${progress}`, title: `Call 2.m${progress}: 合并各批摘要 (第 ${round} 轮)`, userTitle: 'User Input (Batch Summaries)', system: mergeSystemPrompt, user: joinItems(group), prompt: mergePromptInfo },
+                DIGEST_MERGE_STAGE.stage, `${DIGEST_MERGE_STAGE.label}（第 ${round} 轮 ${index + 1}/${groups.length}）`, '生成AI日报出错(合并摘要)'));
+        }
+        parts = merged;
+    }
+}
+
+// 结构化输出未通过校验时的最多尝试次数
+const MAX_STRUCTURED_ATTEMPTS = 3;
+
+/**
+ * structured 模式的「今日楼市要闻」：模型按 summarizationJsonPrompt 输出 JSON，经 parseDailyReport() 校验，
+ * 无效时把校验错误附在输入后重试。条目超出上下文时同样分批生成，各批结果按分类直接合并，不再调用模型。
+ * A failing call throws an Error carrying `pageTitle`, `systemPrompt` and `userPrompt` of that call.
+ * @param {{key: string, version: number, text: string}} digestPrompt - 结构化摘要提示词，见 promptLibrary.js getPrompt()
+ * @returns {Promise<{text: string, report: object, calls: Array<object>}>} text 为渲染后的 Markdown
+ */
+async function summarizeDigestStructured(env, selectedContentItems, digestPrompt, { onEvent, modelOverrides = {} } = {}) {
+    const calls = [];
+    const systemPrompt = digestPrompt.text;
+    const settings = await getStepSettings(env, 'digest', modelOverrides);
+    const batches = splitIntoBatches(selectedContentItems, getInputTokenBudget(env, settings, systemPrompt));
+    const reports = [];
+    for (const [index, batch] of batches.entries()) {
+        const progress = batches.length > 1 ? `${index + 1}/${batches.length}` : '';
+        const sourceIds = batch.map(getItemSourceId).filter(Boolean);
+        const baseUser = joinItems(batch);
+        let user = baseUser;
+        for (let attempt = 1; ; attempt++) {
+            const title = `Call 2${progress ? `.${index + 1}` : ''}: Structured Daily Report${progress ? ` (${progress}, ${batch.length} 条)` : ''}${attempt > 1 ? ` 重试 ${attempt}/${MAX_STRUCTURED_ATTEMPTS}` : ''}`;
+            const label = `${DAILY_SUMMARY_STAGES.digest}${progress ? `（第 ${progress} 批）` : ''}${attempt > 1 ? `（输出无效，重试 ${attempt}/${MAX_STRUCTURED_ATTEMPTS}）` : ''}`;
+            let text;
+            let callInfo;
+            console.log(`${title}: User prompt length:`, user.length);
+            try {
+                if (onEvent) await onEvent({ type: 'stage', stage: 'digest', label });
+                ({ text, callInfo } = await collectChatStream(env, 'digest', user, systemPrompt, { onEvent, overrides: modelOverrides, responseFormat: 'json' }));
+            } catch (error) {
+                console.error(`Error in Chat API ${title}:`, error);
+                error.pageTitle = `生成AI日报出错(结构化${progress ? ` ${progress}` : ''})`;
+                error.systemPrompt = systemPrompt;
+                error.userPrompt = user;
+                throw error;
+            }
+            calls.push({ name: `结构化要闻${progress ? ` ${progress}` : ''}${attempt > 1 ? ` 重试 ${attempt}` : ''}`, title, userTitle: 'User Input', system: systemPrompt, user, prompt: { key: digestPrompt.key, version: digestPrompt.version }, callInfo });
+            try {
+                reports.push(parseDailyReport(text, sourceIds));
+                break;
+            } catch (error) {
+                console.warn(`${title} returned an invalid report:`, error.message);
+                if (attempt >= MAX_STRUCTURED_ATTEMPTS) {
+                    error.message = `模型连续 ${MAX_STRUCTURED_ATTEMPTS} 次未输出有效的结构化日报: ${error.message}`;
+                    error.pageTitle = '生成AI日报出错(结构化输出无效)';
+                    error.systemPrompt = systemPrompt;
+                    error.userPrompt = user;
+                    throw error;
+                }
+                user = `${baseUser}\n上次输出未通过校验，请修正以下问题后重新输出完整的 JSON：\n${error.errors.map(message => `- ${message}`).join('\n')}\n`;
+            }
+        }
+    }
+    const report = mergeDailyReports(reports);
+    return { text: renderDailyReportMarkdown(report), report, calls };
+}
+
+/**
+ * 日报生成结果页面。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedItemsParams - Selected item references in "type:id" form.
+ * @param {object} summary - The result of generateDailySummary().
+ * @param {string|null} [versionId] - 保存的日报版本，用于确认事实核查结果
+ * @param {object|null} [stepSettings] - 「本次模型设置」面板显示的默认设置，见 llmProviders.js loadStepSettings()
+ * @returns {string} HTML
+ */
+export function generateDailySummaryPageHtml(env, dateStr, selectedItemsParams, summary, versionId = null, stepSettings = null) {
+    const { dailySummaryMarkdownContent, promptsMarkdownContent } = summary;
+    return generateGenAiPageHtml(
+        env, 
+        'AI日报', // Title for Call 1 page
+        escapeHtml(dailySummaryMarkdownContent), 
+        dateStr, false, selectedItemsParams,
+        summary.systemPrompt, summary.userPrompt,
+        null, null, // Pass Call 2 prompts
+        convertEnglishQuotesToChinese(removeMarkdownCodeBlock(promptsMarkdownContent)), 
+        convertEnglishQuotesToChinese(dailySummaryMarkdownContent), 
+        null, // No podcast script for this page
+        null,
+        { ...summary.factCheck, versionId },
+        stepSettings,
+    );
+}
+
 export async function handleGenAIContent(request, env) {
     let dateStr;
     let selectedItemsParams = [];
     let formData;
 
-    let userPromptSummarizationData = null;
-    let fullPromptForCall1_System = null;
-    let fullPromptForCall1_User = null;
-    let outputOfCall1 = null;
-
     try {
         formData = await request.formData();
         const dateParam = formData.get('date');
         dateStr = dateParam ? dateParam : getISODate();
         selectedItemsParams = formData.getAll('selectedItems');
+        const modelOverrides = parseModelOverrides(formData.get('modelOverrides'));
 
         if (selectedItemsParams.length === 0) {
             const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错，未选生成条目', '<p><strong>No items were selected.</strong> Please go back and select at least one item.</p>', dateStr, true, null);
@@ -149,190 +671,99 @@ export async function handleGenAIContent(request, env) {
         
         console.log(`Generating AI content for ${selectedItemsParams.length} selected item references from date ${dateStr}`);
 
-        const allFetchedData = {};
-        const fetchPromises = [];
-        for (const sourceType in dataSources) {
-            if (Object.hasOwnProperty.call(dataSources, sourceType)) {
-                fetchPromises.push(
-                    getFromKV(env.DATA_KV, `${dateStr}-${sourceType}`).then(data => {
-                        allFetchedData[sourceType] = data || [];
-                    })
-                );
-            }
-        }
-        await Promise.allSettled(fetchPromises);
-
-        const selectedContentItems = [];
-        let validItemsProcessedCount = 0;
-
-        for (const selection of selectedItemsParams) {
-            const [type, idStr] = selection.split(':');
-            const itemsOfType = allFetchedData[type];
-            const item = itemsOfType ? itemsOfType.find(dataItem => String(dataItem.id) === idStr) : null;
-
-            if (item) {
-                let itemText = "";
-                // Dynamically generate itemText based on item.type
-                // 楼市日报数据类型处理（RSS 直接抓取）
-                switch (item.type) {
-                    // ===================== RSS 楼市数据源 =====================
-                    case 'news':      // 楼市资讯
-                    case 'finance':   // 财经资讯
-                    case 'policy':    // 政策动态
-                    case 'general':   // 综合资讯
-                    case 'market':    // 市场数据（兼容旧配置）
-                    case 'city':      // 城市聚焦（兼容旧配置）
-                        itemText = `【${item.source || '资讯'}】\n标题: ${item.title}\n发布时间: ${item.published_date}\n链接: ${item.url}\n内容摘要: ${stripHtml(item.details.content_html)}`;
-                        break;
-                    
-                    // ===================== 原有数据源 (保留兼容) =====================
-                    case 'aiNews':
-                        itemText = `News Title: ${item.title}\nPublished: ${item.published_date}\nUrl: ${item.url}\nContent Summary: ${stripHtml(item.details.content_html)}`;
-                        break;
-                    case 'project':
-                        itemText = `Project Name: ${item.title}\nPublished: ${item.published_date}\nUrl: ${item.url}\nDescription: ${item.description}\nStars: ${item.details.totalStars}`;
-                        break;
-                    case 'paper':
-                        itemText = `Papers Title: ${item.title}\nPublished: ${item.published_date}\nUrl: ${item.url}\nAbstract/Content Summary: ${stripHtml(item.details.content_html)}`;
-                        break;
-                    case 'socialMedia':
-                        itemText = `socialMedia Post by ${item.authors}：Published: ${item.published_date}\nUrl: ${item.url}\nContent: ${stripHtml(item.details.content_html)}`;
-                        break;
-                    
-                    default:
-                        // Fallback for unknown types
-                        itemText = `【${item.source || item.type}】\n标题: ${item.title || 'N/A'}\n描述: ${item.description || 'N/A'}\n链接: ${item.url || 'N/A'}`;
-                        if (item.published_date) itemText += `\n发布时间: ${item.published_date}`;
-                        if (item.details && item.details.content_html) itemText += `\n内容: ${stripHtml(item.details.content_html)}`;
-                        break;
-                }
-                
-                if (itemText) {
-                    selectedContentItems.push(itemText);
-                    validItemsProcessedCount++;
-                }
-            } else {
-                console.warn(`Could not find item for selection: ${selection} on date ${dateStr}.`);
-            }
-        }
+        const selectedContentItems = await buildSelectedContentItems(env, dateStr, selectedItemsParams);
 
-        if (validItemsProcessedCount === 0) {
+        if (selectedContentItems.length === 0) {
             const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错，可生成条目为空', '<p><strong>Selected items could not be retrieved or resulted in no content.</strong> Please check the data or try different selections.</p>', dateStr, true, selectedItemsParams);
             return new Response(errorHtml, { status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
         }
-        
-        //提示词内不能有英文引号，否则会存储数据缺失。
-        // fullPromptForCall1_System = getSystemPromptSummarizationStepOne();
-        // fullPromptForCall1_User = '\n\n------\n\n'+selectedContentItems.join('\n\n------\n\n')+'\n\n------\n\n'; // Keep this for logging/error reporting if needed
-
-        // console.log("Call 1 to Chat (Summarization): User prompt length:", fullPromptForCall1_User.length);
-        // try {
-        //     const chunkSize = 3;
-        //     const summaryPromises = [];
-            
-        //     for (let i = 0; i < selectedContentItems.length; i += chunkSize) {
-        //         const chunk = selectedContentItems.slice(i, i + chunkSize);
-        //         const chunkPrompt = chunk.join('\n\n---\n\n'); // Join selected items with the separator
-                
-        //         summaryPromises.push((async () => {
-        //             let summarizedChunks = [];
-        //             for await (const streamChunk of callChatAPIStream(env, chunkPrompt, fullPromptForCall1_System)) {
-        //                 summarizedChunks.push(streamChunk);
-        //             }
-        //             return summarizedChunks.join('');
-        //         })());
-        //     }
-
-        //     const allSummarizedResults = await Promise.all(summaryPromises);
-        //     outputOfCall1 = allSummarizedResults.join('\n\n'); // Join all summarized parts
-
-        //     if (!outputOfCall1 || outputOfCall1.trim() === "") throw new Error("Chat summarization call returned empty content.");
-        //     outputOfCall1 = removeMarkdownCodeBlock(outputOfCall1); // Clean the output
-        //     console.log("Call 1 (Summarization) successful. Output length:", outputOfCall1.length);
-        // } catch (error) {
-        //     console.error("Error in Chat API Call 1 (Summarization):", error);
-        //     const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错(分段处理)', `<p><strong>Failed during summarization:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, dateStr, true, selectedItemsParams, fullPromptForCall1_System, fullPromptForCall1_User);
-        //     return new Response(errorHtml, { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
-        // }
-
-        // Call 2: Process outputOfCall1
-        let outputOfCall2 = null;
-        let fullPromptForCall2_System = getSystemPromptSummarizationStepOne(); // Re-using summarization prompt for now
-        let fullPromptForCall2_User = '\n\n------\n\n'+selectedContentItems.join('\n\n------\n\n')+'\n\n------\n\n'; // Input for Call 2 is output of Call 1
-
-        console.log("Call 2 to Chat (Processing Call 1 Output): User prompt length:", fullPromptForCall2_User.length);
-        try {
-            let processedChunks = [];
-            for await (const chunk of callChatAPIStream(env, fullPromptForCall2_User, fullPromptForCall2_System)) {
-                processedChunks.push(chunk);
-            }
-            outputOfCall2 = processedChunks.join('');
-            if (!outputOfCall2 || outputOfCall2.trim() === "") throw new Error("Chat processing call returned empty content.");
-            outputOfCall2 = removeMarkdownCodeBlock(outputOfCall2); // Clean the output
-            console.log("Call 2 (Processing Call 1 Output) successful. Output length:", outputOfCall2.length);
-        } catch (error) {
-            console.error("Error in Chat API Call 2 (Processing Call 1 Output):", error);
-            const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错(格式化)', `<p><strong>Failed during processing of summarized content:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, dateStr, true, selectedItemsParams, fullPromptForCall2_System, fullPromptForCall2_User);
-            return new Response(errorHtml, { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+
+        // 对比生成：同一批条目按多组提示词版本和模型分别生成
+        if (formData.get('mode') === 'compare') {
+            return await handleGenAIContentCompare(env, dateStr, selectedItemsParams, selectedContentItems, formData.get('variants'));
         }
-        
-        let promptsMarkdownContent = `# Prompts for ${dateStr}\n\n`;
-        // promptsMarkdownContent += `## Call 1: Content Summarization\n\n`;
-        // if (fullPromptForCall1_System) promptsMarkdownContent += `### System Instruction\n\`\`\`\n${fullPromptForCall1_System}\n\`\`\`\n\n`;
-        // if (fullPromptForCall1_User) promptsMarkdownContent += `### User Input\n\`\`\`\n${fullPromptForCall1_User}\n\`\`\`\n\n`;
-        promptsMarkdownContent += `## Call 2: Summarized Content Format\n\n`;
-        if (fullPromptForCall2_System) promptsMarkdownContent += `### System Instruction\n\`\`\`\n${fullPromptForCall2_System}\n\`\`\`\n\n`;
-        if (fullPromptForCall2_User) promptsMarkdownContent += `### User Input (Output of Call 1)\n\`\`\`\n${fullPromptForCall2_User}\n\`\`\`\n\n`;
-
-        let dailySummaryMarkdownContent = `## ${env.DAILY_TITLE} ${formatDateToChinese(dateStr)}` + '\n\n';
-        dailySummaryMarkdownContent += '> '+ env.DAILY_TITLE_MIN + '\n\n';
-
-        let fullPromptForCall3_System = getSystemPromptSummarizationStepThree(); // Re-using summarization prompt for now
-        let fullPromptForCall3_User = outputOfCall2; // Input for Call 2 is output of Call 1
-        let outputOfCall3 = null;
-        console.log("Call 3 to Chat (Processing Call 1 Output): User prompt length:", fullPromptForCall3_User.length);
+
+        let summary;
         try {
-            let processedChunks = [];
-            for await (const chunk of callChatAPIStream(env, fullPromptForCall3_User, fullPromptForCall3_System)) {
-                processedChunks.push(chunk);
-            }
-            outputOfCall3 = processedChunks.join('');
-            if (!outputOfCall3 || outputOfCall3.trim() === "") throw new Error("Chat processing call returned empty content.");
-            outputOfCall3 = removeMarkdownCodeBlock(outputOfCall3); // Clean the output
-            console.log("Call 3 (Processing Call 2 Output) successful. Output length:", outputOfCall3.length);
+            summary = await generateDailySummary(env, dateStr, selectedContentItems, { modelOverrides });
         } catch (error) {
-            console.error("Error in Chat API Call 3 (Processing Call 2 Output):", error);
-            const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错(摘要)', `<p><strong>Failed during processing of summarized content:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, dateStr, true, selectedItemsParams, fullPromptForCall3_System, fullPromptForCall3_User);
+            const errorHtml = generateGenAiPageHtml(env, error.pageTitle || '生成AI日报出错', `<p><strong>Failed during processing of summarized content:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, dateStr, true, selectedItemsParams, error.systemPrompt, error.userPrompt);
             return new Response(errorHtml, { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
         }
-        dailySummaryMarkdownContent += '\n\n### **今日摘要**\n\n```\n' + outputOfCall3 + '\n```\n\n';
-
-        dailySummaryMarkdownContent += `\n\n${removeMarkdownCodeBlock(outputOfCall2)}`;
-        if (env.INSERT_AD=='true') dailySummaryMarkdownContent += insertAd() +`\n`;
-        if (env.INSERT_FOOT=='true') dailySummaryMarkdownContent += insertFoot() +`\n\n`;
+        const dailyVersion = await saveDailySummaryVersions(env, dateStr, summary, selectedItemsParams);
 
-        const successHtml = generateGenAiPageHtml(
-            env, 
-            'AI日报', // Title for Call 1 page
-            escapeHtml(dailySummaryMarkdownContent), 
-            dateStr, false, selectedItemsParams,
-            fullPromptForCall2_System, fullPromptForCall2_User,
-            null, null, // Pass Call 2 prompts
-            convertEnglishQuotesToChinese(removeMarkdownCodeBlock(promptsMarkdownContent)), 
-            convertEnglishQuotesToChinese(dailySummaryMarkdownContent), 
-            null, // No podcast script for this page
-        );
+        const successHtml = generateDailySummaryPageHtml(env, dateStr, selectedItemsParams, summary, dailyVersion && dailyVersion.id, await loadStepSettings(env).catch(() => null));
         return new Response(successHtml, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
 
     } catch (error) {
         console.error("Error in /genAIContent (outer try-catch):", error);
         const pageDateForError = dateStr || getISODate(); 
         const itemsForActionOnError = Array.isArray(selectedItemsParams) ? selectedItemsParams : [];
-        const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错', `<p><strong>Unexpected error:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, pageDateForError, true, itemsForActionOnError, fullPromptForCall2_System, fullPromptForCall2_User);
+        const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错', `<p><strong>Unexpected error:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, pageDateForError, true, itemsForActionOnError);
         return new Response(errorHtml, { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
     }
 }
 
+/**
+ * /genAIContent 的对比生成模式 (mode=compare)。未提交方案时返回方案设置页面；
+ * 否则依次按每个方案生成日报并保存为版本，返回并排对比页面（输出差异、耗时、token 数和费用）。
+ * 某个方案生成失败不影响其他方案，失败原因显示在该方案的列中。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedItemsParams - Selected item references in "type:id" form.
+ * @param {Array<string>} selectedContentItems - Result of buildSelectedContentItems().
+ * @param {string|null} variantsParam - 方案列表 JSON，见 compare.js parseCompareVariants()
+ * @returns {Promise<Response>}
+ */
+async function handleGenAIContentCompare(env, dateStr, selectedItemsParams, selectedContentItems, variantsParam) {
+    const htmlHeaders = { 'Content-Type': 'text/html; charset=utf-8' };
+    if (!variantsParam) {
+        const promptRecords = await Promise.all(getComparePromptKeys(env).map(key => getPromptRecord(env, key)));
+        return new Response(generateCompareSetupPageHtml(env, dateStr, selectedItemsParams, promptRecords, await loadStepSettings(env).catch(() => null)), { headers: htmlHeaders });
+    }
+
+    let variants;
+    try {
+        variants = parseCompareVariants(variantsParam);
+    } catch (error) {
+        const errorHtml = generateGenAiPageHtml(env, '对比生成出错，方案设置有误', `<p>${escapeHtml(error.message)}</p>`, dateStr, true, selectedItemsParams);
+        return new Response(errorHtml, { status: 400, headers: htmlHeaders });
+    }
+
+    console.log(`Comparing ${variants.length} variants for ${selectedContentItems.length} items from date ${dateStr}`);
+    const prices = getPriceTable(env);
+    const results = [];
+    // 依次生成，避免同时向同一供应商发起多个请求触发限流
+    for (const variant of variants) {
+        const startedAt = Date.now();
+        try {
+            const summary = await generateDailySummary(env, dateStr, selectedContentItems, { modelOverrides: variant.modelOverrides, promptVersions: variant.prompts });
+            const latencyMs = Date.now() - startedAt;
+            const dailyVersion = await saveDailySummaryVersions(env, dateStr, summary, selectedItemsParams, 'compare');
+            results.push({
+                ...variant,
+                content: convertEnglishQuotesToChinese(summary.dailySummaryMarkdownContent),
+                usedPrompts: getUsedPromptVersions(summary.prompts),
+                models: [...new Set(summary.callInfos.map(callInfo => callInfo.model))],
+                latencyMs,
+                usage: getVariantUsage(summary.callInfos, prices),
+                factCheck: summary.factCheck,
+                versionId: dailyVersion && dailyVersion.id,
+            });
+        } catch (error) {
+            console.error(`Compare variant "${variant.label}" failed:`, error);
+            results.push({ ...variant, error: error.message, latencyMs: Date.now() - startedAt });
+        }
+    }
+
+    // 以第一个生成成功的方案为基准比较差异
+    const succeeded = results.filter(result => !result.error);
+    const diffs = succeeded.length > 0 ? buildComparisonDiffs(succeeded.map(result => result.content)) : [];
+    succeeded.forEach((result, index) => { result.diff = diffs[index]; });
+
+    return new Response(generateComparePageHtml(dateStr, selectedItemsParams, results), { headers: htmlHeaders });
+}
+
 export async function handleGenAIDailyAnalysis(request, env) {
     let dateStr;
     let userPromptDailyAnalysisData = '';
@@ -343,26 +774,31 @@ export async function handleGenAIDailyAnalysis(request, env) {
         const requestBody = await request.json();
         dateStr = requestBody.date || getISODate();
         const summarizedContent = requestBody.summarizedContent; // Get summarized content from request body
+        const modelOverrides = parseModelOverrides(requestBody.modelOverrides);
 
         if (!summarizedContent || !summarizedContent.trim()) {
             return new Response('未提供摘要内容进行分析。', { status: 400, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
         }
 
-        userPromptDailyAnalysisData = summarizedContent; // Use summarized content as user prompt
+        userPromptDailyAnalysisData = stripCitations(summarizedContent); // Use summarized content as user prompt
 
         console.log(`Generating AI daily analysis for date: ${dateStr} using summarized content.`);
-        fullPromptForDailyAnalysis_System = getSystemPromptDailyAnalysis();
+        const analysisPrompt = await getPrompt(env, 'dailyAnalysis');
+        fullPromptForDailyAnalysis_System = analysisPrompt.text;
 
         console.log("Call to Chat (Daily Analysis): User prompt length:", userPromptDailyAnalysisData.length);
         try {
-            let analysisChunks = [];
-            for await (const chunk of callChatAPIStream(env, userPromptDailyAnalysisData, fullPromptForDailyAnalysis_System)) {
-                analysisChunks.push(chunk);
-            }
-            finalAiResponse = analysisChunks.join('');
+            let analysisInfo;
+            ({ text: finalAiResponse, callInfo: analysisInfo } = await collectChatStream(env, 'analysis', userPromptDailyAnalysisData, fullPromptForDailyAnalysis_System, { overrides: modelOverrides }));
             if (!finalAiResponse || finalAiResponse.trim() === "") throw new Error("Chat daily analysis call returned empty content.");
             finalAiResponse = removeMarkdownCodeBlock(finalAiResponse); // Clean the output
             console.log("Daily Analysis successful. Final output length:", finalAiResponse.length);
+            await saveVersionSafely(env, dateStr, {
+                type: 'analysis',
+                content: finalAiResponse,
+                prompts: [{ name: '日报分析', system: fullPromptForDailyAnalysis_System, user: userPromptDailyAnalysisData, model: analysisInfo.model, prompt: { key: analysisPrompt.key, version: analysisPrompt.version } }],
+                model: analysisInfo.model,
+            });
         } catch (error) {
             console.error("Error in Chat API Call (Daily Analysis):", error);
             return new Response(`AI 日报分析失败: ${escapeHtml(error.message)}`, { status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
@@ -0,0 +1,100 @@
+// src/handlers/genAIContentStream.js
+// 流式生成日报：通过 Server-Sent Events 把阶段事件和模型输出实时推送到浏览器，避免长时间无反馈地等待
+import { getISODate, escapeHtml } from '../helpers.js';
+import { generateGenAiPageHtml, generateGenAiStreamPageHtml } from '../htmlGenerators.js';
+import { buildSelectedContentItems, generateDailySummary, saveDailySummaryVersions, generateDailySummaryPageHtml, DAILY_SUMMARY_STAGES } from './genAIContent.js';
+import { parseModelOverrides, loadStepSettings } from '../llmProviders.js';
+
+/**
+ * POST /genAIContentLive — 流式生成页面。表单参数与 /genAIContent 相同 (date, selectedItems, modelOverrides)，
+ * 页面加载后向 /genAIContentStream 发起请求并逐步显示生成进度。
+ */
+export async function handleGenAIContentLivePage(request, env) {
+    try {
+        const formData = await request.formData();
+        const dateStr = formData.get('date') || getISODate();
+        const selectedItemsParams = formData.getAll('selectedItems');
+        if (selectedItemsParams.length === 0) {
+            const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错，未选生成条目', '<p><strong>No items were selected.</strong> Please go back and select at least one item.</p>', dateStr, true, null);
+            return new Response(errorHtml, { status: 400, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+        }
+        const modelOverrides = parseModelOverrides(formData.get('modelOverrides'));
+        return new Response(generateGenAiStreamPageHtml(dateStr, selectedItemsParams, DAILY_SUMMARY_STAGES, modelOverrides), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /genAIContentLive:", error);
+        const errorHtml = generateGenAiPageHtml(env, '生成AI日报出错', `<p><strong>Unexpected error:</strong> ${escapeHtml(error.message)}</p>`, getISODate(), true, []);
+        return new Response(errorHtml, { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+}
+
+/**
+ * POST /genAIContentStream — 以 SSE 推送日报生成过程。请求体 (JSON): { date, selectedItems, modelOverrides }
+ * 事件:
+ * - stage: { stage, label }，开始一个新阶段（读取条目、每次模型调用、保存版本）
+ * - token: { stage, text }，模型输出的文本片段
+ * - done:  { html }，完整的结果页面
+ * - error: { message, html }，失败时的错误页面
+ * 浏览器中途断开时生成仍会继续，结果照常保存为版本（见 /drafts）。
+ */
+export async function handleGenAIContentStream(request, env, ctx) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    }
+    const dateStr = body.date || getISODate();
+    const selectedItemsParams = Array.isArray(body.selectedItems) ? body.selectedItems : [];
+
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    let disconnected = false;
+    const send = async (event, data) => {
+        if (disconnected) return;
+        try {
+            await writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch (error) {
+            disconnected = true;
+            console.warn('SSE client disconnected, continuing generation in the background.');
+        }
+    };
+
+    // 生成在后台进行，Response 立即返回
+    const generation = (async () => {
+        try {
+            await send('stage', { stage: 'prepare', label: '读取选中条目' });
+            const selectedContentItems = await buildSelectedContentItems(env, dateStr, selectedItemsParams);
+            if (selectedContentItems.length === 0) {
+                throw new Error('Selected items could not be retrieved or resulted in no content.');
+            }
+
+            const summary = await generateDailySummary(env, dateStr, selectedContentItems, {
+                onEvent: ({ type, ...data }) => send(type, data),
+                modelOverrides: parseModelOverrides(body.modelOverrides),
+            });
+
+            await send('stage', { stage: 'save', label: '保存版本' });
+            const dailyVersion = await saveDailySummaryVersions(env, dateStr, summary, selectedItemsParams);
+            await send('done', { html: generateDailySummaryPageHtml(env, dateStr, selectedItemsParams, summary, dailyVersion && dailyVersion.id, await loadStepSettings(env).catch(() => null)) });
+        } catch (error) {
+            console.error("Error in /genAIContentStream:", error);
+            const errorHtml = generateGenAiPageHtml(env, error.pageTitle || '生成AI日报出错', `<p><strong>Failed during processing of summarized content:</strong> ${escapeHtml(error.message)}</p>${error.stack ? `<pre>${escapeHtml(error.stack)}</pre>` : ''}`, dateStr, true, selectedItemsParams, error.systemPrompt, error.userPrompt);
+            await send('error', { message: error.message, html: errorHtml });
+        } finally {
+            try {
+                await writer.close();
+            } catch (closeError) {
+                // 流已被客户端取消
+            }
+        }
+    })();
+    if (ctx) ctx.waitUntil(generation);
+
+    return new Response(readable, {
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+        },
+    });
+}
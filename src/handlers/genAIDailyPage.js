@@ -2,6 +2,7 @@ import { getISODate, escapeHtml, formatDateToChinese, convertEnglishQuotesToChin
 import { generateGenAiPageHtml } from '../htmlGenerators.js';
 import { insertFoot } from '../foot.js';
 import { insertAd } from '../ad.js';
+import { loadStepSettings } from '../llmProviders.js';
 
 export async function handleGenAIDailyPage(request, env) {
     let dateStr;
@@ -30,6 +31,8 @@ export async function handleGenAIDailyPage(request, env) {
             convertEnglishQuotesToChinese(dailySummaryMarkdownContent), // dailySummaryMarkdownContent
             null, // podcastScriptMarkdownContent (not applicable here)
             true, // readGithub
+            null, // factCheck
+            await loadStepSettings(env).catch(() => null),
         );
         return new Response(successHtml, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
 
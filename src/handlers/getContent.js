@@ -1,7 +1,8 @@
 // src/handlers/getContent.js
 import { getISODate } from '../helpers.js';
 import { getFromKV } from '../kv.js';
-import { dataSources } from '../dataFetchers.js'; // Import dataSources
+import { getDataSources } from '../dataFetchers.js';
+import { getFilteredItems } from '../filterRules.js';
 
 export async function handleGetContent(request, env) {
     const url = new URL(request.url);
@@ -11,15 +12,21 @@ export async function handleGetContent(request, env) {
     try {
         const responseData = {
             date: dateStr,
-            message: `Successfully retrieved data for ${dateStr}.`
+            message: `Successfully retrieved data for ${dateStr}.`,
+            // 被过滤规则移出的条目，按分类存放
+            filtered: {}
         };
 
         const fetchPromises = [];
+        const dataSources = await getDataSources(env);
         for (const sourceType in dataSources) {
             if (Object.hasOwnProperty.call(dataSources, sourceType)) {
                 fetchPromises.push(
                     getFromKV(env.DATA_KV, `${dateStr}-${sourceType}`).then(data => {
                         responseData[sourceType] = data || [];
+                    }),
+                    getFilteredItems(env, dateStr, sourceType).then(data => {
+                        responseData.filtered[sourceType] = data;
                     })
                 );
             }
@@ -2,6 +2,9 @@
 import { getISODate, escapeHtml, setFetchDate } from '../helpers.js';
 import { getFromKV } from '../kv.js';
 import { generateContentSelectionPageHtml } from '../htmlGenerators.js';
+import { rankAllData, getRankingReferenceTime } from '../ranking.js';
+import { getFilteredItems } from '../filterRules.js';
+import { loadStepSettings } from '../llmProviders.js';
 
 export async function handleGetContentHtml(request, env, dataCategories) {
     const url = new URL(request.url);
@@ -12,12 +15,18 @@ export async function handleGetContentHtml(request, env, dataCategories) {
 
     try {
         const allData = {};
+        const filteredData = {};
         // Dynamically fetch data for each category based on dataCategories
         for (const category of dataCategories) {
             allData[category.id] = await getFromKV(env.DATA_KV, `${dateStr}-${category.id}`) || [];
+            filteredData[category.id] = await getFilteredItems(env, dateStr, category.id);
         }
         
-        const html = generateContentSelectionPageHtml(env, dateStr, allData, dataCategories);
+        // 自动评分并预选每个分类的前 N 条
+        const rankedData = rankAllData(allData, env, getRankingReferenceTime(dateStr));
+        // 模型设置有误时页面照常显示，面板中不显示默认值
+        const stepSettings = await loadStepSettings(env).catch(() => null);
+        const html = generateContentSelectionPageHtml(env, dateStr, rankedData, dataCategories, filteredData, stepSettings);
 
         return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
 
@@ -0,0 +1,47 @@
+// src/handlers/getRanking.js
+import { getISODate, setFetchDate } from '../helpers.js';
+import { getFromKV } from '../kv.js';
+import { getDataSources } from '../dataFetchers.js';
+import { rankAllData, getRankingReferenceTime } from '../ranking.js';
+
+/**
+ * GET /rankItems?date=YYYY-MM-DD — 返回某日所有资讯的评分、理由及自动预选结果 (JSON)。
+ */
+export async function handleGetRanking(request, env) {
+    const url = new URL(request.url);
+    const dateParam = url.searchParams.get('date');
+    const dateStr = dateParam ? dateParam : getISODate();
+    setFetchDate(dateStr);
+    try {
+        const allData = {};
+        const dataSources = await getDataSources(env);
+        for (const sourceType in dataSources) {
+            if (Object.hasOwnProperty.call(dataSources, sourceType)) {
+                allData[sourceType] = await getFromKV(env.DATA_KV, `${dateStr}-${sourceType}`) || [];
+            }
+        }
+
+        const rankedData = rankAllData(allData, env, getRankingReferenceTime(dateStr));
+        const categories = {};
+        const selectedItems = [];
+        for (const [category, items] of Object.entries(rankedData)) {
+            categories[category] = items.map(item => ({
+                id: item.id,
+                type: item.type,
+                title: item.title,
+                source: item.source,
+                url: item.url,
+                published_date: item.published_date,
+                ...item.ranking,
+            }));
+            items.filter(item => item.ranking.selected).forEach(item => selectedItems.push(`${item.type}:${item.id}`));
+        }
+
+        return new Response(JSON.stringify({ date: dateStr, selectedItems, categories }), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /rankItems:", error);
+        return new Response(JSON.stringify({ success: false, message: "Failed to rank items.", error: error.message, date: dateStr }), {
+            status: 500, headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+    }
+}
@@ -1,5 +1,6 @@
 import { stripHtml, getShanghaiTime, formatRssDate } from '../helpers.js';
 import { getFromKV } from '../kv.js';
+import { listRssReports } from '../periodicReport.js';
 
 function minifyHTML(htmlString) {
   if (typeof htmlString !== 'string') {
@@ -20,14 +21,19 @@ function minifyHTML(htmlString) {
 export async function handleRss(request, env) {
   const url = new URL(request.url);
   const days = parseInt(url.searchParams.get('days')) || 7; // 預設查詢 7 天內的資料
+  // type=daily|weekly|monthly 只輸出日報或周報/月報，預設全部
+  const type = url.searchParams.get('type');
 
   const allData = [];
   const today = getShanghaiTime(); // 加上東八時區的偏移量
+  let earliestDateStr = null;
 
   for (let i = 0; i < days; i++) {
     const date = new Date(today);
     date.setDate(today.getDate() - i);
     const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+    earliestDateStr = dateStr;
+    if (type && type !== 'daily') continue;
     const key = `${dateStr}-report`;
     const data = await getFromKV(env.DATA_KV, key);
     if (data) {
@@ -35,6 +41,12 @@ export async function handleRss(request, env) {
     }
   }
 
+  // 周報/月報：本期最後一天在查詢範圍內的
+  if (type !== 'daily') {
+    const periodicReports = await listRssReports(env);
+    allData.push(...periodicReports.filter(report => (!type || report.report_type === type) && report.period_end >= earliestDateStr));
+  }
+
   // 扁平化數據，因為每個 report 可能包含多個項目
   const data = allData.flat();
 
@@ -0,0 +1,44 @@
+// src/handlers/getSources.js
+import { escapeHtml } from '../helpers.js';
+import { getDataSources } from '../dataFetchers.js';
+import { getFeedHealth, getEmptyRunsThreshold } from '../feedHealth.js';
+import { generateSourcesPageHtml } from '../htmlGenerators.js';
+
+/**
+ * GET /sources — 所有已配置 Feed 的健康状态与最近抓取记录。
+ * 带 ?format=json 时返回 JSON。
+ */
+export async function handleGetSources(request, env) {
+    const url = new URL(request.url);
+    try {
+        const threshold = getEmptyRunsThreshold(env);
+        const feeds = [];
+        const dataSources = await getDataSources(env);
+        for (const [categoryId, category] of Object.entries(dataSources)) {
+            for (const source of category.sources) {
+                if (typeof source.getFeedUrls !== 'function') continue;
+                for (const feedUrl of source.getFeedUrls(env)) {
+                    const health = await getFeedHealth(env, feedUrl);
+                    feeds.push({
+                        category: categoryId,
+                        categoryName: category.name,
+                        envKey: source.envKeyUrl,
+                        url: feedUrl,
+                        flagged: !!health && health.consecutiveEmptyRuns >= threshold,
+                        health,
+                    });
+                }
+            }
+        }
+
+        if (url.searchParams.get('format') === 'json') {
+            return new Response(JSON.stringify({ emptyRunsThreshold: threshold, feeds }), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+        }
+        return new Response(generateSourcesPageHtml(env, feeds, threshold), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /sources:", error);
+        return new Response(`<h1>Error loading source status</h1><p>${escapeHtml(error.message)}</p><pre>${escapeHtml(error.stack)}</pre>`, {
+            status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
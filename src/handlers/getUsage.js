@@ -0,0 +1,34 @@
+// src/handlers/getUsage.js
+import { escapeHtml } from '../helpers.js';
+import { getUsageMonth, getMonthlyUsage, getPriceTable, summarizeUsage, getMonthlyBudget } from '../usage.js';
+import { generateUsagePageHtml } from '../htmlGenerators.js';
+
+/**
+ * GET /usage?month=YYYY-MM — 某月模型调用的 token 用量与费用报表。
+ * 带 ?format=json 时返回汇总和全部调用记录 JSON。
+ */
+export async function handleGetUsage(request, env) {
+    const url = new URL(request.url);
+    const month = url.searchParams.get('month') || getUsageMonth();
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+        return new Response(`<h1>Invalid month</h1><p>Expected YYYY-MM, got "${escapeHtml(month)}".</p>`, {
+            status: 400, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+    try {
+        const prices = getPriceTable(env);
+        const entries = await getMonthlyUsage(env, month);
+        const summary = summarizeUsage(entries, prices);
+        const budget = getMonthlyBudget(env);
+
+        if (url.searchParams.get('format') === 'json') {
+            return new Response(JSON.stringify({ month, budget, ...summary, entries }), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+        }
+        return new Response(generateUsagePageHtml(month, entries, summary, prices, budget), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /usage:", error);
+        return new Response(`<h1>Error loading usage</h1><p>${escapeHtml(error.message)}</p>`, {
+            status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
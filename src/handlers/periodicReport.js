@@ -0,0 +1,98 @@
+// src/handlers/periodicReport.js
+import { getISODate } from '../helpers.js';
+import { getPeriod, getLastCompletedPeriod, getPeriodicReport, generatePeriodicReport, commitPeriodicReport } from '../periodicReport.js';
+import { parseModelOverrides } from '../llmProviders.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+/**
+ * 请求中的期号，缺省为最近一个已结束的周期（上周 / 上个月）。
+ */
+function resolvePeriod(type, periodId) {
+    return periodId ? getPeriod(type, periodId) : getLastCompletedPeriod(type, getISODate());
+}
+
+/**
+ * GET /periodicReport?type=weekly|monthly&period=2026-W42 — 查看已生成的周报/月报 (JSON)，period 缺省为上一期。
+ */
+export async function handleGetPeriodicReport(request, env) {
+    const url = new URL(request.url);
+    let period;
+    try {
+        period = resolvePeriod(url.searchParams.get('type'), url.searchParams.get('period'));
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const report = await getPeriodicReport(env, period.type, period.id);
+        if (!report) {
+            return new Response(JSON.stringify({ success: false, message: `No ${period.type} report for ${period.id}.` }), { status: 404, headers: JSON_HEADERS });
+        }
+        return new Response(JSON.stringify(report), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in GET /periodicReport:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /periodicReport — 生成一期周报/月报，默认提交到 GitHub 并写入 RSS，见 periodicReport.js generatePeriodicReport()。
+ * 请求体 (JSON): { type: 'weekly'|'monthly', period, commit, promptVersion, modelOverrides }，除 type 外均可选
+ */
+export async function handleGenPeriodicReport(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    let period;
+    let options;
+    try {
+        period = resolvePeriod(body.type, body.period);
+        options = {
+            commit: body.commit !== false,
+            promptVersion: body.promptVersion,
+            modelOverrides: parseModelOverrides(body.modelOverrides || {}),
+        };
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const report = await generatePeriodicReport(env, period.type, period.id, options);
+        return new Response(JSON.stringify({ success: true, report }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in POST /periodicReport:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * PUT /periodicReport — 提交已生成（commit: false）的周报/月报到 GitHub 并写入 RSS。
+ * 请求体 (JSON): { type: 'weekly'|'monthly', period }
+ */
+export async function handleCommitPeriodicReport(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    let period;
+    try {
+        period = resolvePeriod(body.type, body.period);
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const report = await getPeriodicReport(env, period.type, period.id);
+        if (!report) {
+            return new Response(JSON.stringify({ success: false, message: `No ${period.type} report for ${period.id}, generate it first.` }), { status: 404, headers: JSON_HEADERS });
+        }
+        const committed = await commitPeriodicReport(env, report);
+        return new Response(JSON.stringify({ success: true, report: committed }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in PUT /periodicReport:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
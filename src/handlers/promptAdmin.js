@@ -0,0 +1,135 @@
+// src/handlers/promptAdmin.js
+import { escapeHtml } from '../helpers.js';
+import { PROMPT_DEFINITIONS, BUILTIN_PROMPT_VERSION, listPrompts, getPromptRecord, savePromptVersion, activatePromptVersion } from '../promptLibrary.js';
+import { diffLines } from '../textDiff.js';
+import { parseModelOverrides, promoteStepSettings } from '../llmProviders.js';
+import { generatePromptAdminPageHtml } from '../htmlGenerators.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+function getVersionTemplate(record, version) {
+    if (version === BUILTIN_PROMPT_VERSION) return record.builtinTemplate;
+    const entry = record.versions.find(candidate => candidate.version === version);
+    return entry ? entry.template : null;
+}
+
+/**
+ * GET /promptAdmin?key=summarization — 提示词管理页面：编辑、查看历史版本、对比和回滚。
+ */
+export async function handlePromptAdminPage(request, env) {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key') || Object.keys(PROMPT_DEFINITIONS)[0];
+    try {
+        const [prompts, record] = await Promise.all([listPrompts(env), getPromptRecord(env, key)]);
+        return new Response(generatePromptAdminPageHtml(prompts, record), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /promptAdmin:", error);
+        return new Response(`<h1>Error loading prompts</h1><p>${escapeHtml(error.message)}</p>`, {
+            status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
+
+/**
+ * GET /promptLibrary — 所有提示词的当前版本 (JSON)；带 ?key= 时返回该提示词的全部版本。
+ */
+export async function handleGetPromptLibrary(request, env) {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key');
+    try {
+        const body = key ? await getPromptRecord(env, key) : { prompts: await listPrompts(env) };
+        return new Response(JSON.stringify(body), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in GET /promptLibrary:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: key && !PROMPT_DEFINITIONS[key] ? 404 : 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /promptLibrary — 保存提示词的新版本并立即使用。
+ * 请求体: { key, template, note }
+ */
+export async function handleSavePromptVersion(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const version = await savePromptVersion(env, body.key, { template: body.template, note: body.note, author: env.LOGIN_USERNAME });
+        return new Response(JSON.stringify({ success: true, version }), { headers: JSON_HEADERS });
+    } catch (error) {
+        // 校验失败返回 400，并带上具体原因
+        console.error("Error in POST /promptLibrary:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * PUT /promptLibrary — 切换提示词当前使用的版本（回滚），version 为 0 时恢复内置版本。
+ * 请求体: { key, version }
+ */
+export async function handleActivatePromptVersion(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const record = await activatePromptVersion(env, body.key, body.version);
+        return new Response(JSON.stringify({ success: true, activeVersion: record.activeVersion }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in PUT /promptLibrary:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * GET /promptDiff?key=summarization&from=0&to=2 — 同一提示词两个版本的逐行差异 (JSON)，0 为内置版本。
+ */
+export async function handlePromptDiff(request, env) {
+    const url = new URL(request.url);
+    try {
+        const record = await getPromptRecord(env, url.searchParams.get('key'));
+        const from = Number(url.searchParams.get('from'));
+        const to = Number(url.searchParams.get('to'));
+        const fromTemplate = getVersionTemplate(record, from);
+        const toTemplate = getVersionTemplate(record, to);
+        if (fromTemplate === null || toTemplate === null) {
+            return new Response(JSON.stringify({ success: false, message: 'Version not found.' }), { status: 404, headers: JSON_HEADERS });
+        }
+        return new Response(JSON.stringify({ success: true, from, to, ops: diffLines(fromTemplate, toTemplate) }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in /promptDiff:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * POST /comparePromote — 将对比生成中的一个方案设为默认：切换其使用的提示词版本，并保存其模型设置（见 llmProviders.js promoteStepSettings()）。
+ * 请求体: { prompts: { 提示词: 版本号 }, modelOverrides }
+ * 返回 stepSettings 为保存后的各步骤采用设置，方案没有模型设置时为 null。
+ */
+export async function handlePromoteCompareVariant(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const modelOverrides = parseModelOverrides(body.modelOverrides || {});
+        const activated = [];
+        for (const [key, version] of Object.entries(body.prompts || {})) {
+            const record = await activatePromptVersion(env, key, version);
+            activated.push(`${record.label} ${version === BUILTIN_PROMPT_VERSION ? '内置' : `v${version}`}`);
+        }
+        const stepSettings = Object.keys(modelOverrides).length > 0 ? (await promoteStepSettings(env, modelOverrides)).steps : null;
+        return new Response(JSON.stringify({ success: true, activated, stepSettings }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in /comparePromote:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
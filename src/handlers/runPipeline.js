@@ -0,0 +1,41 @@
+// src/handlers/runPipeline.js
+import { getISODate } from '../helpers.js';
+import { runDailyPipeline, getPipelineState } from '../pipeline.js';
+
+/**
+ * GET /pipeline?date=YYYY-MM-DD — 查看某日流水线的运行状态。
+ */
+export async function handleGetPipelineState(request, env) {
+    const url = new URL(request.url);
+    const dateStr = url.searchParams.get('date') || getISODate();
+    try {
+        const state = await getPipelineState(env, dateStr);
+        return new Response(JSON.stringify(state || { date: dateStr, status: 'not_started' }), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in GET /pipeline:", error);
+        return new Response(JSON.stringify({ status: 'error', message: error.message }), { status: 500, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    }
+}
+
+/**
+ * POST /pipeline — 手动运行或继续某日的流水线。
+ * 请求体 (JSON，均可选): { date, stopAfter, restart }
+ */
+export async function handleRunPipeline(request, env) {
+    try {
+        let options = {};
+        if (request.headers.get('Content-Type')?.includes('application/json')) {
+            options = await request.json();
+        }
+        const state = await runDailyPipeline(env, {
+            date: options.date,
+            stopAfter: options.stopAfter,
+            restart: options.restart === true,
+        });
+        const status = state.status === 'failed' ? 500 : 200;
+        return new Response(JSON.stringify(state), { status, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in POST /pipeline:", error);
+        return new Response(JSON.stringify({ status: 'error', message: error.message }), { status: 500, headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    }
+}
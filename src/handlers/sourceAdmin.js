@@ -0,0 +1,69 @@
+// src/handlers/sourceAdmin.js
+import { escapeHtml } from '../helpers.js';
+import { getSourceRegistry, saveSourceRegistry, resetSourceRegistry } from '../sourceRegistry.js';
+import { generateSourceAdminPageHtml } from '../htmlGenerators.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+/**
+ * GET /sourceAdmin — 数据源管理页面。
+ */
+export async function handleSourceAdminPage(request, env) {
+    try {
+        const registry = await getSourceRegistry(env);
+        return new Response(generateSourceAdminPageHtml(registry), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    } catch (error) {
+        console.error("Error in /sourceAdmin:", error);
+        return new Response(`<h1>Error loading source registry</h1><p>${escapeHtml(error.message)}</p>`, {
+            status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
+
+/**
+ * GET /sourceRegistry — 返回当前的数据源注册表 (JSON)。
+ */
+export async function handleGetSourceRegistry(request, env) {
+    try {
+        const registry = await getSourceRegistry(env);
+        return new Response(JSON.stringify(registry), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in GET /sourceRegistry:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * PUT /sourceRegistry — 保存数据源注册表。
+ * 请求体: { categories: [{ id, name, emoji, enabled, feeds: [{ url, weight, enabled, fullText }], rules: [{ id, type, value, enabled }] }] }
+ */
+export async function handleSaveSourceRegistry(request, env) {
+    let registry;
+    try {
+        registry = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ success: false, message: 'Request body must be valid JSON.' }), { status: 400, headers: JSON_HEADERS });
+    }
+    try {
+        const saved = await saveSourceRegistry(env, registry);
+        return new Response(JSON.stringify({ success: true, registry: saved }), { headers: JSON_HEADERS });
+    } catch (error) {
+        // 校验失败返回 400，并带上具体原因
+        console.error("Error in PUT /sourceRegistry:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 400, headers: JSON_HEADERS });
+    }
+}
+
+/**
+ * DELETE /sourceRegistry — 删除 KV 中的注册表，恢复为 wrangler.toml 中的默认配置。
+ */
+export async function handleResetSourceRegistry(request, env) {
+    try {
+        await resetSourceRegistry(env);
+        const registry = await getSourceRegistry(env);
+        return new Response(JSON.stringify({ success: true, registry }), { headers: JSON_HEADERS });
+    } catch (error) {
+        console.error("Error in DELETE /sourceRegistry:", error);
+        return new Response(JSON.stringify({ success: false, message: error.message }), { status: 500, headers: JSON_HEADERS });
+    }
+}
@@ -1,7 +1,8 @@
 // src/handlers/writeData.js
 import { getISODate, getFetchDate } from '../helpers.js';
-import { fetchAllData, fetchDataByCategory, dataSources } from '../dataFetchers.js'; // 导入 fetchDataByCategory 和 dataSources
+import { fetchAllData, fetchDataByCategory, mergeWithStoredData, getDataSources } from '../dataFetchers.js';
 import { storeInKV } from '../kv.js';
+import { createFeedStateBatch } from '../feedState.js';
 
 export async function handleWriteData(request, env) {
     const dateParam = getFetchDate();
@@ -23,17 +24,23 @@ export async function handleWriteData(request, env) {
         let dataToStore = {};
         let fetchPromises = [];
         let successMessage = '';
+        // 抓取到的 Feed 状态在当天数据写入 KV 之后再保存，见 feedState.js createFeedStateBatch()
+        const feedStates = createFeedStateBatch();
 
         if (category) {
             // 只抓取指定分类的数据
-            const fetchedData = await fetchDataByCategory(env, category, foloCookie); // 传递 foloCookie
-            dataToStore[category] = fetchedData;
-            fetchPromises.push(storeInKV(env.DATA_KV, `${dateStr}-${category}`, fetchedData));
+            const fetchedData = await fetchDataByCategory(env, category, foloCookie, { feedStates }); // 传递 foloCookie
+            const mergedData = await mergeWithStoredData(env, dateStr, { [category]: fetchedData });
+            dataToStore[category] = mergedData[category];
+            fetchPromises.push(storeInKV(env.DATA_KV, `${dateStr}-${category}`, dataToStore[category]));
             successMessage = `Data for category '${category}' fetched and stored.`;
-            console.log(`Transformed ${category}: ${fetchedData.length} items.`);
+            console.log(`Transformed ${category}: ${fetchedData.length} new items, ${dataToStore[category].length} in total.`);
         } else {
             // 抓取所有分类的数据 (现有逻辑)
-            const allUnifiedData = await fetchAllData(env, foloCookie); // 传递 foloCookie
+            const fetchedData = await fetchAllData(env, foloCookie, { feedStates }); // 传递 foloCookie
+            // 与当天已存储的数据合并，一天内多次抓取不会覆盖或重复
+            const allUnifiedData = await mergeWithStoredData(env, dateStr, fetchedData);
+            const dataSources = await getDataSources(env);
             
             for (const sourceType in dataSources) {
                 if (Object.hasOwnProperty.call(dataSources, sourceType)) {
@@ -46,6 +53,7 @@ export async function handleWriteData(request, env) {
         }
 
         await Promise.all(fetchPromises);
+        await feedStates.commit(env);
 
         const errors = []; // Placeholder for potential future error aggregation from fetchAllData or fetchDataByCategory
 
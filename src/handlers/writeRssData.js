@@ -3,7 +3,9 @@ import { getDailyReportContent } from '../github.js';
 import { storeInKV } from '../kv.js';
 import { marked } from '../marked.esm.js';
 import { callChatAPI } from '../chatapi.js'; // 导入 callChatAPI
-import { getSummarizationSimplifyPrompt } from "../prompt/summarizationSimplifyPrompt";
+import { getSummarizationSimplifyPrompt } from "../prompt/summarizationSimplifyPrompt.js";
+import { listDraftVersions, getDraftVersion } from '../drafts.js';
+import { getDailyOutputFormat, locateDailyReport, renderDailyReportHtml } from '../dailyReport.js';
 
 export async function handleWriteRssData(request, env) {
     const url = new URL(request.url);
@@ -37,7 +39,15 @@ export async function handleWriteRssData(request, env) {
             // 可以添加其他相關欄位，例如作者、來源等
             published_date: formatDateToGMT8WithTime(new Date()) // 記錄保存時間
         }
-        report.content_html = marked.parse(formatMarkdownText(replaceImageProxy(env, content)));
+        const toHtml = markdown => marked.parse(formatMarkdownText(replaceImageProxy(env, markdown)));
+        const published = getDailyOutputFormat(env) === 'structured' ? await findPublishedDailyReport(env, dateStr, content) : null;
+        if (published) {
+            // 要闻部分由结构化日报渲染，保留每条要闻的来源条目
+            console.log(`[writeRssData] Rendering news section from structured report of ${published.versionId}.`);
+            report.content_html = toHtml(published.before) + renderDailyReportHtml(published.report) + toHtml(published.after);
+        } else {
+            report.content_html = toHtml(content);
+        }
         //report.content_html = marked.parse(formatMarkdownText(await generateAIContent(env, content)));
 
         
@@ -56,6 +66,25 @@ export async function handleWriteRssData(request, env) {
     }
 }
 
+/**
+ * 已发布日报对应的结构化日报：从最新的日报版本开始，找到渲染结果仍原样出现在发布内容中的版本。
+ * 编辑改动过要闻部分时返回 null，RSS 直接渲染 Markdown。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {string} content - 已发布的日报 Markdown
+ * @returns {Promise<{versionId: string, report: object, before: string, after: string}|null>}
+ */
+async function findPublishedDailyReport(env, dateStr, content) {
+    const versions = (await listDraftVersions(env, dateStr)).filter(meta => meta.type === 'daily').reverse();
+    for (const meta of versions) {
+        const version = await getDraftVersion(env, dateStr, meta.id);
+        if (!version || !version.report) continue;
+        const located = locateDailyReport(content, version.report);
+        if (located) return { versionId: meta.id, report: version.report, ...located };
+    }
+    return null;
+}
+
 /**
  * 从第二个 ### 开始截取内容，包括 ###。
  *
@@ -88,7 +117,7 @@ export function extractContentFromSecondHash(content) {
 export async function generateAIContent(env, promptText) {
     console.log(`[generateAIContent] Calling AI model with prompt: ${promptText.substring(0, 100)}...`);
     try {
-        let result = await callChatAPI(env, promptText, getSummarizationSimplifyPrompt());
+        let result = await callChatAPI(env, promptText, getSummarizationSimplifyPrompt(), { step: 'rss' });
         console.log(`[generateAIContent] AI model returned content. Length: ${result.length}`);
         result = removeMarkdownCodeBlock(result);
         result += "\n\n</br>"+env.INSERT_APP_URL;
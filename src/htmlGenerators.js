@@ -1,9 +1,35 @@
 // src/htmlGenerators.js
-import { escapeHtml, formatDateToChinese, convertEnglishQuotesToChinese, replaceImageProxy} from './helpers.js';
-import { dataSources } from './dataFetchers.js'; // Import dataSources
+import { escapeHtml, formatDateToChinese, formatDateToChineseWithTime, convertEnglishQuotesToChinese, replaceImageProxy} from './helpers.js';
 import { marked } from './marked.esm.js';
+import { FILTER_RULE_TYPES } from './filterRules.js';
+import { DRAFT_TYPES, VERSION_TYPES } from './drafts.js';
+import { GENERATION_STEPS, getProviderChain, getProviderLabel, getConfiguredStepSettings } from './llmProviders.js';
+import { getEntryCost } from './usage.js';
+import { CLAIM_TYPE_LABELS } from './factCheck.js';
+import { BUILTIN_PROMPT_VERSION, PROMPT_VARIABLES, formatPromptVersion } from './promptLibrary.js';
+import { MIN_COMPARE_VARIANTS, MAX_COMPARE_VARIANTS, getVariantLabel } from './compare.js';
 
-function generateHtmlListForContentPage(items, dateStr) {
+// 命中的过滤规则（见 filterRules.js），如「包含关键词: 房价」
+function generateFilterBadgeHtml(item) {
+    const filter = item.filter;
+    if (!filter) return '';
+    const text = filter.matched ? `${filter.label}: ${filter.matched}` : filter.label;
+    return `<span class="filter-badge${filter.action === 'filtered' ? ' is-filtered' : ''}" title="${escapeHtml(filter.ruleId ? `规则 ${filter.ruleId}` : '')}">${escapeHtml(text)}</span>`;
+}
+
+// 被过滤规则移出的条目，仅供查看，不可选入日报
+function generateFilteredItemsHtml(items) {
+    if (!Array.isArray(items) || items.length === 0) return '';
+    return `
+        <details class="filtered-items">
+            <summary>已被过滤规则移出 ${items.length} 条（可在数据源管理中调整规则）</summary>
+            <ul class="filtered-list">
+                ${items.map(item => `<li>${generateFilterBadgeHtml(item)} <a href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a> <small>${escapeHtml(item.source || '')}</small></li>`).join('')}
+            </ul>
+        </details>`;
+}
+
+function generateHtmlListForContentPage(items, dateStr, category) {
     let listHtml = '';
 
     if (!Array.isArray(items) || items.length === 0) {
@@ -16,21 +42,31 @@ function generateHtmlListForContentPage(items, dateStr) {
         let displayContent = '';
         let itemId = item.id;
 
-        // Use the generateHtml method from the corresponding data source
-        const dataSourceConfig = dataSources[item.type];
-        // console.log("item.type:", item.type);
-        // console.log("dataSourceConfig:", dataSourceConfig);
-        if (dataSourceConfig && dataSourceConfig.sources && dataSourceConfig.sources.length > 0 && dataSourceConfig.sources[0].generateHtml) {
-            displayContent = dataSourceConfig.sources[0].generateHtml(item);
+        // Use the generateHtml method from the category's data source (see getDataCategories)
+        if (category && category.sources && category.sources.length > 0 && category.sources[0].generateHtml) {
+            displayContent = category.sources[0].generateHtml(item);
         } else {
             // Fallback for unknown types or if generateHtml is not defined
             displayContent = `<strong>未知项目类型: ${escapeHtml(item.type)}</strong><br>${escapeHtml(item.title || item.description || JSON.stringify(item))}`;
         }
 
+        // 自动评分结果：得分、理由及是否预选
+        const ranking = item.ranking;
+        const rankingHtml = ranking ? `
+                    <div class="item-ranking${ranking.selected ? ' is-selected' : ''}">
+                        <span class="item-score">评分 ${ranking.score}</span>${generateFilterBadgeHtml(item)}
+                        <small>${ranking.reasons.map(reason => escapeHtml(reason)).join(' · ')}</small>
+                    </div>` : generateFilterBadgeHtml(item);
+
+        // 同一事件的其他来源报道（见 dedup.js）
+        const alternates = Array.isArray(item.alternates) ? item.alternates : [];
+        const alternatesHtml = alternates.length > 0 ? `
+                    <div class="item-alternates">也报道于: ${alternates.map(alt => `<a href="${escapeHtml(alt.url)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(alt.title)}">${escapeHtml(alt.source)}</a>`).join('、')}</div>` : '';
+
         listHtml += `<li class="item-card">
             <label>
-                <input type="checkbox" name="selectedItems" value="${item.type}:${itemId}" class="item-checkbox">
-                <div class="item-content">${displayContent}</div>
+                <input type="checkbox" name="selectedItems" value="${item.type}:${itemId}" class="item-checkbox"${ranking && ranking.selected ? ' checked' : ''}>
+                <div class="item-content">${rankingHtml}${displayContent}${alternatesHtml}</div>
             </label>
         </li>`;
     });
@@ -38,7 +74,82 @@ function generateHtmlListForContentPage(items, dateStr) {
     return listHtml;
 }
 
-export function generateContentSelectionPageHtml(env, dateStr, allData, dataCategories) {
+/**
+ * 「本次模型设置」面板，只对本次生成生效，留空的字段沿用默认设置。
+ * 输入由 MODEL_OVERRIDES_SCRIPT 序列化为 JSON，写入各生成表单的隐藏字段 modelOverrides。
+ * stepSettings 为 llmProviders.js loadStepSettings() 的结果，包含对比生成中设为默认的设置；未传入时显示 LLM_STEP_SETTINGS 的配置。
+ */
+function generateModelOverridesPanelHtml(env, steps, stepSettings = null) {
+    if (steps.length === 0) return '';
+    let providers;
+    try {
+        providers = getProviderChain(env);
+    } catch (error) {
+        return `<p class="model-overrides-error">模型配置有误: ${escapeHtml(error.message)}</p>`;
+    }
+    const rowsHtml = steps.map(step => {
+        let settings = {};
+        let defaultProvider = providers[0];
+        try {
+            settings = (stepSettings || getConfiguredStepSettings(env))[step] || {};
+            defaultProvider = getProviderChain(env, settings)[0];
+        } catch (error) {
+            console.error(`Invalid model settings for step ${step}:`, error);
+        }
+        const attrs = field => `class="model-override" data-step="${step}" data-field="${field}"`;
+        return `<tr>
+            <td>${escapeHtml(GENERATION_STEPS[step])}</td>
+            <td><select ${attrs('provider')}>
+                <option value="">默认 (${escapeHtml(defaultProvider.name)})</option>
+                ${providers.map(provider => `<option value="${escapeHtml(provider.name)}">${escapeHtml(provider.name)}</option>`).join('')}
+            </select></td>
+            <td><input type="text" ${attrs('model')} placeholder="${escapeHtml(defaultProvider.model)}"></td>
+            <td><input type="number" ${attrs('temperature')} min="0" step="0.1" placeholder="${settings.temperature ?? '默认'}"></td>
+            <td><input type="number" ${attrs('topP')} min="0" max="1" step="0.05" placeholder="${settings.topP ?? '默认'}"></td>
+            <td><input type="number" ${attrs('maxTokens')} min="1" step="1" placeholder="${settings.maxTokens ?? '默认'}"></td>
+        </tr>`;
+    }).join('');
+    return `
+        <details class="model-overrides">
+            <summary>本次模型设置</summary>
+            <p>只对本次生成生效，留空使用默认配置（LLM_STEP_SETTINGS，以及对比生成中设为默认的设置）。指定的模型用于首选供应商，失败切换时备用供应商仍使用各自的模型。</p>
+            <table>
+                <thead><tr><th>步骤</th><th>供应商</th><th>模型</th><th>temperature</th><th>topP</th><th>maxTokens</th></tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        </details>`;
+}
+
+const MODEL_OVERRIDES_STYLE = `
+                .model-overrides { margin: 1rem 0; font-size: 0.85rem; }
+                .model-overrides summary { cursor: pointer; color: #6c757d; }
+                .model-overrides p { color: #6c757d; margin: 0.5rem 0; }
+                .model-overrides table { border-collapse: collapse; }
+                .model-overrides th, .model-overrides td { padding: 0.2rem 0.4rem; text-align: left; }
+                .model-overrides input, .model-overrides select { width: 100%; min-width: 5rem; padding: 0.2rem; }
+                .model-overrides-error { color: #dc3545; font-size: 0.85rem; }`;
+
+// 客户端：收集「本次模型设置」中已填写的字段
+const MODEL_OVERRIDES_SCRIPT = `
+                function getModelOverrides() {
+                    const overrides = {};
+                    document.querySelectorAll('.model-override').forEach(input => {
+                        if (input.value === '') return;
+                        const step = input.dataset.step;
+                        overrides[step] = overrides[step] || {};
+                        overrides[step][input.dataset.field] = input.value;
+                    });
+                    return overrides;
+                }
+
+                function syncModelOverrides() {
+                    const value = JSON.stringify(getModelOverrides());
+                    document.querySelectorAll('.model-overrides-input').forEach(input => { input.value = value; });
+                }
+
+                document.querySelectorAll('.model-override').forEach(input => input.addEventListener('input', syncModelOverrides));`;
+
+export function generateContentSelectionPageHtml(env, dateStr, allData, dataCategories, filteredData = {}, stepSettings = null) {
     // Ensure allData is an object and dataCategories is an array
     const data = allData || {};
     const categories = Array.isArray(dataCategories) ? dataCategories : [];
@@ -46,13 +157,14 @@ export function generateContentSelectionPageHtml(env, dateStr, allData, dataCate
     // Generate tab buttons and content dynamically
     const tabButtonsHtml = categories.map((category, index) => `
         <div class="tab-buttons-wrapper">
-            <button type="button" class="tab-button ${index === 0 ? 'active' : ''}" onclick="openTab(event, '${category.id}-tab')" ondblclick="confirmFetchCategoryData(this,'${category.id}')">${escapeHtml(category.name)}</button>
+            <button type="button" class="tab-button ${index === 0 ? 'active' : ''}" onclick="openTab(event, '${category.id}-tab')" ondblclick="confirmFetchCategoryData(this,'${category.id}')">${category.emoji ? `${escapeHtml(category.emoji)} ` : ''}${escapeHtml(category.name)}</button>
         </div>
     `).join('');
 
     const tabContentsHtml = categories.map((category, index) => `
         <div id="${category.id}-tab" class="tab-content ${index === 0 ? 'active' : ''}">
-            ${generateHtmlListForContentPage(data[category.id], dateStr)}
+            ${generateHtmlListForContentPage(data[category.id], dateStr, category)}
+            ${generateFilteredItemsHtml(filteredData[category.id])}
         </div>
     `).join('');
 
@@ -94,6 +206,19 @@ export function generateContentSelectionPageHtml(env, dateStr, allData, dataCate
                 .read-more-btn { display: block; margin-top: 0.5rem; padding: 0.3rem 0.6rem; font-size: 0.85rem; color: var(--primary-color); background-color: transparent; border: 1px solid var(--primary-color); border-radius: 4px; cursor: pointer; text-align: center; width: fit-content; }
                 .read-more-btn:hover { background-color: #eef; }
                 .item-content a { color: var(--primary-color); text-decoration: none; }
+                .item-ranking { display: flex; flex-wrap: wrap; align-items: baseline; gap: 0.5rem; margin-bottom: 0.3rem; }
+                .item-ranking .item-score { font-size: 0.8rem; font-weight: 600; color: #6c757d; background-color: var(--medium-gray); border-radius: 4px; padding: 0.05rem 0.4rem; white-space: nowrap; }
+                .item-ranking.is-selected .item-score { color: #fff; background-color: var(--primary-color); }
+                .item-ranking small { display: inline; margin: 0; }
+                .item-alternates { margin-top: 0.4rem; font-size: 0.85rem; color: #6c757d; }
+                .filter-badge { display: inline-block; font-size: 0.75rem; color: #28a745; border: 1px solid #28a745; border-radius: 4px; padding: 0 0.3rem; white-space: nowrap; }
+                .filter-badge.is-filtered { color: #dc3545; border-color: #dc3545; }
+                .filtered-items { margin-top: 1rem; padding: 0.5rem 0.8rem; border: 1px dashed #ccc; border-radius: 6px; font-size: 0.9rem; }
+                .filtered-items summary { cursor: pointer; color: #6c757d; }
+                .filtered-list { list-style-type: none; margin-top: 0.5rem; }
+                .filtered-list li { margin-bottom: 0.3rem; }
+                .filtered-list a { color: var(--dark-gray); }
+                .filtered-list small { color: #6c757d; }
                 .item-content a:hover { text-decoration: underline; }
                 .error { color: #dc3545; font-weight: bold; background-color: #f8d7da; padding: 0.5rem; border-radius: 4px; border: 1px solid #f5c6cb;}
                 hr { border: 0; border-top: 1px solid var(--medium-gray); margin: 0.5rem 0; }
@@ -103,18 +228,23 @@ export function generateContentSelectionPageHtml(env, dateStr, allData, dataCate
                     .submit-button { margin-top: 0.5rem; width: 100%; }
                     .tab-button { padding: 0.7rem 0.5rem; font-size: 0.9rem; flex-grow: 1; text-align: center; }
                     .item-card { padding-left: 2.5em; } .item-card::before { left: 0.5em; top: 0.8rem; }
-                }
+                }${MODEL_OVERRIDES_STYLE}
             </style>
         </head>
         <body>
             <div class="container">
-                <form action="/genAIContent" method="POST">
+                <form action="/genAIContentLive" method="POST">
                     <input type="hidden" name="date" value="${escapeHtml(dateStr)}">
                     <div class="header-bar">
                         <button type="button" class="submit-button" onclick="confirmFetchAndWriteData(this)">抓取并写入今日数据</button>
                         <h1>${formatDateToChinese(escapeHtml(dateStr))} ${env.FOLO_FILTER_DAYS}天内的数据</h1>
-                        <button type="submit" class="submit-button" onclick="return confirmGenerateAIContent(event)">从选中内容生成 AI 日报</button>
+                        <div>
+                            <button type="submit" class="submit-button" onclick="return confirmGenerateAIContent(event)">从选中内容生成 AI 日报</button>
+                            <button type="submit" class="submit-button" name="mode" value="compare" formaction="/genAIContent" onclick="return confirmCompareAIContent(event)">对比生成</button>
+                        </div>
                     </div>
+                    <input type="hidden" name="modelOverrides" class="model-overrides-input" value="">
+                    ${generateModelOverridesPanelHtml(env, ['digest', 'overview'], stepSettings)}
                     <div class="cookie-setting-area" style="margin-bottom: 1rem; padding: 0.8rem; border: 1px solid var(--medium-gray); border-radius: 6px; background-color: #fefefe;">
                         <label for="foloCookie" style="font-weight: bold; margin-right: 0.5rem;">Folo Cookie:</label>
                         <input type="text" id="foloCookie" placeholder="在此输入 Folo Cookie" style="flex-grow: 1; padding: 0.4rem; border: 1px solid #ccc; border-radius: 4px; width: 300px; max-width: 70%;">
@@ -235,6 +365,15 @@ export function generateContentSelectionPageHtml(env, dateStr, allData, dataCate
                     }
                 }
 
+                function confirmCompareAIContent(event) {
+                    if (document.querySelectorAll('input[name="selectedItems"]:checked').length === 0) {
+                        alert('请至少选择一个内容条目来对比生成。');
+                        event.preventDefault();
+                        return false;
+                    }
+                    return true;
+                }
+
                 function confirmGenerateAIContent(event) {
                     const selectedCheckboxes = document.querySelectorAll('input[name="selectedItems"]:checked');
                     if (selectedCheckboxes.length === 0) {
@@ -252,7 +391,7 @@ export function generateContentSelectionPageHtml(env, dateStr, allData, dataCate
                         return false;
                     }
                 }
-
+${MODEL_OVERRIDES_SCRIPT}
             </script>
         </body>
         </html>
@@ -280,19 +419,69 @@ function generatePromptSectionHtmlForGenAI(systemPrompt, userPrompt, promptTitle
 }
 
 
+/**
+ * 日报编辑页的事实核查面板：列出原文中找不到的内容，未确认时提供确认按钮（见 factCheck.js）。
+ * @param {object} factCheck - 版本中保存的核查结果，附带 versionId
+ */
+function generateFactCheckPanelHtml(factCheck) {
+    if (factCheck.unsupported.length === 0) {
+        return `<div class="fact-check">事实核查: ${factCheck.total} 项数据、城市和政策术语均能在原文中找到。</div>`;
+    }
+    const claimsHtml = factCheck.unsupported.map(claim => `
+                <li><mark>${escapeHtml(claim.text)}</mark> <small>${CLAIM_TYPE_LABELS[claim.type]} · ${escapeHtml(claim.line)}</small></li>`).join('');
+    let statusHtml = '';
+    if (factCheck.approvedAt) {
+        statusHtml = `<p class="fact-check-approved">已于 ${escapeHtml(formatDateToChineseWithTime(factCheck.approvedAt))} 由 ${escapeHtml(factCheck.approvedBy || '编辑')} 确认。</p>`;
+    } else if (factCheck.versionId) {
+        statusHtml = `<button type="button" class="button-link" onclick="approveFactCheck(this)">已核实，确认 ${escapeHtml(factCheck.versionId)}</button>`;
+    }
+    return `
+            <div class="fact-check has-unsupported">
+                <strong>事实核查: ${factCheck.unsupported.length} 处内容在原文中找不到</strong>，已在预览中高亮。请核实后修改，或确认无误；确认前自动流水线不会发布该版本。
+                <ul>${claimsHtml}</ul>
+                ${statusHtml}
+            </div>`;
+}
+
+/**
+ * 预览中高亮无据内容的正则；数字前后不能紧跟其他数字，避免 "5" 命中 "2025"。
+ */
+function getUnsupportedClaimsPattern(factCheck) {
+    return factCheck.unsupported
+        .slice()
+        .sort((a, b) => b.text.length - a.text.length)
+        .map(claim => {
+            const escaped = claim.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return claim.type === 'number' ? `(?<![\\d.])${escaped}(?![\\d.])` : escaped;
+        })
+        .join('|');
+}
+
 export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isErrorPage = false, selectedItemsForAction = null,
                                  systemP1 = null, userP1 = null, systemP2 = null, userP2 = null,
-                                 promptsMd = null, dailyMd = null, podcastMd = null, readGithub = null) {
+                                 promptsMd = null, dailyMd = null, podcastMd = null, readGithub = null, factCheck = null, stepSettings = null) {
 
+    // 日报和播客页面可直接编辑 Markdown，左侧源码、右侧预览，自动保存为草稿（见 drafts.js）
+    let editableType = null;
+    if (!isErrorPage && title === 'AI日报' && dailyMd) editableType = 'daily';
+    else if (!isErrorPage && title === 'AI播客脚本' && podcastMd) editableType = 'podcast';
+    const editableMd = editableType === 'daily' ? dailyMd : (editableType === 'podcast' ? podcastMd : null);
 
     let actionButtonHtml = '';
     // Regenerate button for AI Content Summary page
     if (title.includes('AI日报') && selectedItemsForAction && Array.isArray(selectedItemsForAction) && selectedItemsForAction.length > 0) {
         actionButtonHtml = `
-            <form action="/genAIContent" method="POST" style="display: inline-block; margin-left: 0.5rem;">
+            <form action="/genAIContentLive" method="POST" style="display: inline-block; margin-left: 0.5rem;">
                 <input type="hidden" name="date" value="${escapeHtml(pageDate)}">
+                <input type="hidden" name="modelOverrides" class="model-overrides-input" value="">
                 ${selectedItemsForAction.map(item => `<input type="hidden" name="selectedItems" value="${escapeHtml(item)}">`).join('')}
                 <button type="submit" class="button-link regenerate-button">${isErrorPage ? '重试生成' : '重新生成'}</button>
+            </form>
+            <form action="/genAIContent" method="POST" style="display: inline-block; margin-left: 0.5rem;">
+                <input type="hidden" name="date" value="${escapeHtml(pageDate)}">
+                <input type="hidden" name="mode" value="compare">
+                ${selectedItemsForAction.map(item => `<input type="hidden" name="selectedItems" value="${escapeHtml(item)}">`).join('')}
+                <button type="submit" class="button-link">对比生成</button>
             </form>`;
     }
     // Regenerate button for AI Podcast Script page
@@ -300,6 +489,7 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
         actionButtonHtml = `
             <form action="/genAIPodcastScript" method="POST" style="display: inline-block; margin-left: 0.5rem;">
                 <input type="hidden" name="date" value="${escapeHtml(pageDate)}">
+                <input type="hidden" name="modelOverrides" class="model-overrides-input" value="">
                 ${selectedItemsForAction.map(item => `<input type="hidden" name="selectedItems" value="${escapeHtml(item)}">`).join('')}
                 <input type="hidden" name="summarizedContent" value="${escapeHtml(convertEnglishQuotesToChinese(dailyMd))}">
                 <button type="submit" class="button-link regenerate-button">${isErrorPage ? '重试生成' : '重新生成'}</button>
@@ -334,13 +524,14 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
         generatePodcastButtonHtml = `
             <form action="/genAIPodcastScript" method="POST" style="display: inline-block; margin-left: 0.5rem;">
                 <input type="hidden" name="date" value="${escapeHtml(pageDate)}">
+                <input type="hidden" name="modelOverrides" class="model-overrides-input" value="">
                 <input type="hidden" name="readGithub" value="${readGithub}">
                 ${selectedItemsForAction.map(item => `<input type="hidden" name="selectedItems" value="${escapeHtml(item)}">`).join('')}
-                <input type="hidden" name="summarizedContent" value="${escapeHtml(convertEnglishQuotesToChinese(bodyContent))}">
+                <input type="hidden" name="summarizedContent" class="summarized-content-input" value="${escapeHtml(convertEnglishQuotesToChinese(bodyContent))}">
                 <button type="submit" class="button-link">生成播客脚本</button>
             </form>`;
         aiDailyAnalysisButtonHtml = `
-            <input type="hidden" id="summarizedContentInput" value="${escapeHtml(convertEnglishQuotesToChinese(bodyContent))}">
+            <input type="hidden" id="summarizedContentInput" class="summarized-content-input" value="${escapeHtml(convertEnglishQuotesToChinese(bodyContent))}">
             <button type="button" class="button-link" onclick="generateAIDailyAnalysis('${escapeHtml(pageDate)}')">AI 日报分析</button>
         `;
         outDisplayButtonHtml = `
@@ -348,6 +539,12 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
         `;
     }
 
+    // 页面上各生成按钮对应的步骤，可在「本次模型设置」中临时覆盖
+    const overrideSteps = [];
+    if (actionButtonHtml && title.includes('AI日报')) overrideSteps.push('digest', 'overview');
+    if (generatePodcastButtonHtml || (actionButtonHtml && title.includes('AI播客'))) overrideSteps.push('podcast');
+    if (aiDailyAnalysisButtonHtml) overrideSteps.push('analysis');
+
     let promptDisplayHtml = '';
     if (title === 'AI日报' || title.includes('生成AI日报出错(')) {
         if (systemP1 || userP1) {
@@ -367,6 +564,29 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
         }
     }
 
+    // 日报版本的事实核查结果，无据内容在预览中高亮
+    const factCheckEnabled = editableType === 'daily' && !!factCheck;
+    const mainContentHtml = editableType ? `
+            <div class="draft-toolbar">
+                <span>左侧编辑 Markdown，右侧为发布效果预览，修改会自动保存为草稿。</span>
+                <span id="draftStatus" class="draft-status">尚未修改</span>
+            </div>
+            <div class="draft-editor">
+                <textarea id="draftEditor" spellcheck="false">${escapeHtml(editableMd)}</textarea>
+                <div id="draftPreview" class="draft-preview">${marked.parse(replaceImageProxy(env.IMG_PROXY, editableMd))}</div>
+            </div>
+            <details id="humanEditsDetails" class="human-edits">
+                <summary id="humanEditsSummary">人工修改: 0 处</summary>
+                <div id="humanEditsList"></div>
+            </details>${factCheckEnabled ? generateFactCheckPanelHtml(factCheck) : ''}` : `
+            <div class="content-box" id="mainContentBox">${bodyContent}</div>`;
+
+    // 内嵌到 <script> 中，转义 "<" 防止提前闭合标签
+    const draftConfigJson = JSON.stringify(editableType ? { date: pageDate, type: editableType, aiContent: editableMd } : null).replace(/</g, '\\u003c');
+    const factCheckConfigJson = JSON.stringify(factCheckEnabled && factCheck.unsupported.length > 0
+        ? { date: pageDate, versionId: factCheck.versionId || null, pattern: getUnsupportedClaimsPattern(factCheck) }
+        : null).replace(/</g, '\\u003c');
+
     return `
         <!DOCTYPE html><html lang="zh-Hans"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
             <title>${escapeHtml(title)}</title>
@@ -390,8 +610,26 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
                 .copy-prompt-btn { background-color: #17a2b8; font-size: 0.85rem; padding: 0.4rem 0.8rem;}
                 .copy-prompt-btn:hover { background-color: #138496;}
                 #outContentBox { display: none;}
+                .container.is-wide { max-width: 1400px; }
+                .draft-toolbar { display: flex; justify-content: space-between; flex-wrap: wrap; gap: 0.5rem; font-size: 0.85rem; color: #6c757d; margin-top: 1rem; }
+                .draft-status.is-error { color: #dc3545; }
+                .draft-editor { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-top: 0.5rem; }
+                #draftEditor { width: 100%; min-height: 70vh; padding: 0.8rem; border: 1px solid #cce7ff; border-radius: 6px; font-family: Menlo, Monaco, Consolas, "Courier New", monospace; font-size: 0.9rem; line-height: 1.5; resize: vertical; }
+                .draft-preview { max-height: 70vh; overflow-y: auto; padding: 0.8rem; border: 1px solid var(--medium-gray); border-radius: 6px; overflow-wrap: break-word; }
+                .draft-preview img { max-width: 100%; }
+                .human-edits { margin-top: 1rem; font-size: 0.85rem; }
+                .human-edits summary { cursor: pointer; color: #6c757d; }
+                .human-edit { margin-top: 0.5rem; padding: 0.4rem 0.6rem; border-left: 3px solid var(--info-color); background: var(--light-gray); }
+                .human-edit del { display: block; color: #dc3545; white-space: pre-wrap; }
+                .human-edit ins { display: block; color: var(--github-green); text-decoration: none; white-space: pre-wrap; }
+                .fact-check { margin-top: 1rem; padding: 0.6rem 0.8rem; font-size: 0.85rem; border-left: 3px solid var(--github-green); background: var(--light-gray); }
+                .fact-check.has-unsupported { border-left-color: var(--retry-color); background: #fff8e1; }
+                .fact-check ul { margin: 0.4rem 0 0.6rem 1.2rem; }
+                .fact-check-approved { color: var(--github-green); margin: 0; }
+                mark.unsupported-claim { background-color: #ffe08a; }
+                @media (max-width: 900px) { .draft-editor { grid-template-columns: 1fr; } }${MODEL_OVERRIDES_STYLE}
             </style>
-        </head><body><div class="container">
+        </head><body><div class="container${editableType ? ' is-wide' : ''}">
             <div class="header-bar" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; flex-wrap: wrap; gap: 1rem;">
                 <h1>${escapeHtml(title)}</h1>
                 <div class="header-actions">
@@ -401,19 +639,25 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
                 </div>
             </div>
             <p>所选内容日期: <strong>${formatDateToChinese(escapeHtml(pageDate))}</strong></p>
-            <div class="content-box" id="mainContentBox">${bodyContent}</div>
+            ${mainContentHtml}
              <div class="content-box" id="outContentBox">${marked.parse(replaceImageProxy(env.IMG_PROXY, bodyContent))}</div>
             ${promptDisplayHtml}
+            ${generateModelOverridesPanelHtml(env, overrideSteps, stepSettings)}
             <div class="navigation-links">
                 <a href="/getContentHtml?date=${encodeURIComponent(pageDate)}" class="button-link">返回内容选择</a>
+                <a href="/drafts?date=${encodeURIComponent(pageDate)}" class="button-link">历史版本</a>
                 ${actionButtonHtml}
                 ${githubSaveFormHtml}
                 <div id="dailyAnalysisResult" style="margin-top: 1rem; padding: 1rem; border: 1px solid #ccc; border-radius: 5px; background-color: #f9f9f9; display: none;"></div>
             </div>
         </div>
         <script>
+            const DRAFT_CONFIG = ${draftConfigJson};
+            const FACT_CHECK = ${factCheckConfigJson};
+
             function openContentInNewWindow() {
-                const content = document.getElementById('outContentBox').innerHTML;
+                const preview = document.getElementById('draftPreview') || document.getElementById('outContentBox');
+                const content = preview.innerHTML;
                 const newWindow = window.open('', '_blank');
                 newWindow.document.write('<!DOCTYPE html><html><head><title>内容预览</title><style> img{max-width: 100%;} video{max-width: 100%;} div{max-width: 36%; margin: 0 auto;} body {font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; padding: 1rem; }</style></head><body>');
                 newWindow.document.write('<div>'+content+'</div>');
@@ -446,12 +690,15 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
                 const formData = new FormData();
                 formData.append('date', date);
 
+                // 提交编辑器中的内容；先保存草稿，确保人工修改记录与提交的版本一致
+                const editor = document.getElementById('draftEditor');
+                if (editor) await saveDraftNow();
                 if (type === 'daily') {
                     formData.append('prompts_markdown-1', document.getElementById('promptsMdCall1').value);
-                    formData.append('daily_summary_markdown', document.getElementById('dailyMd').value);
+                    formData.append('daily_summary_markdown', editor ? editor.value : document.getElementById('dailyMd').value);
                 } else if (type === 'podcast') {
                     formData.append('prompts_markdown-2', document.getElementById('promptsMdCall2').value);
-                    formData.append('podcast_script_markdown', document.getElementById('podcastMd').value);
+                    formData.append('podcast_script_markdown', editor ? editor.value : document.getElementById('podcastMd').value);
                 }
 
                 let githubSuccess = false;
@@ -486,6 +733,160 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
                 button.disabled = false;
             }
 
+            // ---------- 草稿编辑器 ----------
+            let previewTimer = null;
+            let saveTimer = null;
+            let lastSavedContent = DRAFT_CONFIG ? DRAFT_CONFIG.aiContent : null;
+
+            function setDraftStatus(text, isError) {
+                const status = document.getElementById('draftStatus');
+                status.textContent = text;
+                status.classList.toggle('is-error', !!isError);
+            }
+
+            function renderHumanEdits(hunks) {
+                hunks = hunks || [];
+                document.getElementById('humanEditsSummary').textContent = '人工修改: ' + hunks.length + ' 处';
+                const list = document.getElementById('humanEditsList');
+                list.innerHTML = '';
+                hunks.forEach(hunk => {
+                    const item = document.createElement('div');
+                    item.className = 'human-edit';
+                    const position = document.createElement('small');
+                    position.textContent = '第 ' + hunk.newStart + ' 行';
+                    item.append(position);
+                    hunk.removed.forEach(line => { const del = document.createElement('del'); del.textContent = '- ' + line; item.append(del); });
+                    hunk.added.forEach(line => { const ins = document.createElement('ins'); ins.textContent = '+ ' + line; item.append(ins); });
+                    list.append(item);
+                });
+            }
+
+            async function refreshPreview() {
+                const editor = document.getElementById('draftEditor');
+                try {
+                    const response = await fetch('/renderMarkdown', { method: 'POST', headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: editor.value });
+                    if (response.ok) {
+                        document.getElementById('draftPreview').innerHTML = await response.text();
+                        highlightUnsupportedClaims();
+                    }
+                } catch (error) {
+                    console.error('Error rendering preview:', error);
+                }
+            }
+
+            async function saveDraftNow() {
+                clearTimeout(saveTimer);
+                const editor = document.getElementById('draftEditor');
+                const content = editor.value;
+                if (content === lastSavedContent) return;
+                setDraftStatus('保存中...');
+                try {
+                    const response = await fetch('/draft', {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ date: DRAFT_CONFIG.date, type: DRAFT_CONFIG.type, content: content, aiContent: DRAFT_CONFIG.aiContent }),
+                    });
+                    const result = await response.json();
+                    if (!response.ok) throw new Error(result.message);
+                    lastSavedContent = content;
+                    renderHumanEdits(result.humanEdits);
+                    setDraftStatus('草稿已自动保存 ' + new Date(result.updatedAt).toLocaleTimeString());
+                } catch (error) {
+                    setDraftStatus('草稿保存失败: ' + error.message, true);
+                }
+            }
+
+            function onDraftInput() {
+                const editor = document.getElementById('draftEditor');
+                // 生成播客、日报分析使用编辑后的内容
+                document.querySelectorAll('.summarized-content-input').forEach(input => { input.value = editor.value; });
+                setDraftStatus('有未保存的修改');
+                clearTimeout(previewTimer);
+                previewTimer = setTimeout(refreshPreview, 300);
+                clearTimeout(saveTimer);
+                saveTimer = setTimeout(saveDraftNow, 2000);
+            }
+
+            async function restoreDraft() {
+                const editor = document.getElementById('draftEditor');
+                try {
+                    const response = await fetch('/draft?date=' + encodeURIComponent(DRAFT_CONFIG.date) + '&type=' + DRAFT_CONFIG.type);
+                    const result = await response.json();
+                    const draft = result.draft;
+                    // 只恢复基于同一次生成结果的草稿
+                    if (!draft || draft.aiContent !== DRAFT_CONFIG.aiContent) return;
+                    if (draft.content !== editor.value) {
+                        editor.value = draft.content;
+                        lastSavedContent = draft.content;
+                        document.querySelectorAll('.summarized-content-input').forEach(input => { input.value = editor.value; });
+                        await refreshPreview();
+                    }
+                    renderHumanEdits(draft.humanEdits);
+                    setDraftStatus('已恢复 ' + new Date(draft.updatedAt).toLocaleString() + ' 保存的草稿' + (draft.committedAt ? '（已提交到 GitHub）' : ''));
+                } catch (error) {
+                    console.error('Error restoring draft:', error);
+                }
+            }
+
+            // ---------- 事实核查 ----------
+            function highlightUnsupportedClaims() {
+                const preview = document.getElementById('draftPreview');
+                if (!FACT_CHECK || !preview) return;
+                const pattern = new RegExp(FACT_CHECK.pattern, 'g');
+                const walker = document.createTreeWalker(preview, NodeFilter.SHOW_TEXT);
+                const nodes = [];
+                while (walker.nextNode()) nodes.push(walker.currentNode);
+                nodes.forEach(node => {
+                    const text = node.nodeValue;
+                    const matches = Array.from(text.matchAll(pattern));
+                    if (matches.length === 0) return;
+                    const fragment = document.createDocumentFragment();
+                    let last = 0;
+                    matches.forEach(match => {
+                        fragment.append(text.slice(last, match.index));
+                        const mark = document.createElement('mark');
+                        mark.className = 'unsupported-claim';
+                        mark.title = '原文中找不到，请核实';
+                        mark.textContent = match[0];
+                        fragment.append(mark);
+                        last = match.index + match[0].length;
+                    });
+                    fragment.append(text.slice(last));
+                    node.replaceWith(fragment);
+                });
+            }
+
+            async function approveFactCheck(button) {
+                if (!confirm('确认已逐项核实高亮的内容吗？确认后自动流水线将发布该版本。')) return;
+                button.disabled = true;
+                try {
+                    const response = await fetch('/draftApprove', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ date: FACT_CHECK.date, id: FACT_CHECK.versionId }),
+                    });
+                    const result = await response.json();
+                    if (!response.ok) throw new Error(result.message);
+                    const approved = document.createElement('p');
+                    approved.className = 'fact-check-approved';
+                    approved.textContent = '已确认' + (result.resumePipeline ? '，流水线已继续运行。' : '。');
+                    button.replaceWith(approved);
+                } catch (error) {
+                    alert('确认失败: ' + error.message);
+                    button.disabled = false;
+                }
+            }
+
+            highlightUnsupportedClaims();
+
+            if (DRAFT_CONFIG) {
+                document.getElementById('draftEditor').addEventListener('input', onDraftInput);
+                window.addEventListener('beforeunload', event => {
+                    if (document.getElementById('draftEditor').value !== lastSavedContent) { saveDraftNow(); event.preventDefault(); }
+                });
+                restoreDraft();
+            }
+
             async function generateAIDailyAnalysis(date) {
                 const button = event.target;
                 const originalText = button.textContent;
@@ -503,7 +904,7 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
                         headers: {
                             'Content-Type': 'application/json'
                         },
-                        body: JSON.stringify({ date: date, summarizedContent: summarizedContent })
+                        body: JSON.stringify({ date: date, summarizedContent: summarizedContent, modelOverrides: getModelOverrides() })
                     });
 
                     if (response.ok) {
@@ -527,6 +928,1240 @@ export function generateGenAiPageHtml(env, title, bodyContent, pageDate, isError
                     button.disabled = false;
                 }
             }
+${MODEL_OVERRIDES_SCRIPT}
         </script>
         </body></html>`;
 }
+
+
+function generateFeedHealthRowHtml(feed) {
+    const health = feed.health;
+    if (!health) {
+        return `<tr>
+            <td>${escapeHtml(feed.categoryName)}</td>
+            <td><a href="${escapeHtml(feed.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(feed.url)}</a></td>
+            <td><span class="status-badge status-unknown">暂无记录</span></td>
+            <td colspan="5">该源尚未被抓取过</td>
+        </tr>`;
+    }
+
+    const lastRun = health.history[health.history.length - 1];
+    let statusHtml = '<span class="status-badge status-ok">正常</span>';
+    if (feed.flagged) {
+        statusHtml = `<span class="status-badge status-flagged">连续 ${health.consecutiveEmptyRuns} 次无条目</span>`;
+    } else if (lastRun && !lastRun.ok) {
+        statusHtml = '<span class="status-badge status-error">最近一次失败</span>';
+    }
+
+    // 最近运行记录，每格代表一次抓取
+    const historyHtml = health.history.map(run => {
+        const cls = !run.ok ? 'run-error' : (run.notModified ? 'run-unchanged' : (run.itemCount > 0 ? 'run-ok' : 'run-empty'));
+        const tip = `${formatDateToChineseWithTime(run.at)} | HTTP ${run.status ?? '-'} | ${run.notModified ? '未变化' : `${run.itemCount} 条`}${run.parseErrors ? ` | 解析失败 ${run.parseErrors}` : ''}${run.error ? ` | ${run.error}` : ''}`;
+        return `<span class="run ${cls}" title="${escapeHtml(tip)}"></span>`;
+    }).join('');
+
+    return `<tr class="${feed.flagged ? 'is-flagged' : ''}">
+        <td>${escapeHtml(feed.categoryName)}</td>
+        <td><strong>${escapeHtml(health.feedTitle || '')}</strong><br><a href="${escapeHtml(feed.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(feed.url)}</a></td>
+        <td>${statusHtml}</td>
+        <td>${health.lastSuccessAt ? formatDateToChineseWithTime(health.lastSuccessAt) : '-'}</td>
+        <td>${health.lastErrorAt ? `${formatDateToChineseWithTime(health.lastErrorAt)}<br><small>${escapeHtml(health.lastError || '')}</small>` : '-'}</td>
+        <td>${health.lastStatus ?? '-'}</td>
+        <td>${health.lastItemCount}${lastRun && lastRun.parseErrors ? `<br><small>解析失败 ${lastRun.parseErrors}</small>` : ''}</td>
+        <td><div class="run-history">${historyHtml}</div></td>
+    </tr>`;
+}
+
+/**
+ * 数据源健康状态页面 (/sources)。
+ * @param {object} env - The environment variables.
+ * @param {Array<object>} feeds - Configured feeds with their health records, see handlers/getSources.js.
+ * @param {number} threshold - Consecutive empty runs before a feed is flagged.
+ */
+export function generateSourcesPageHtml(env, feeds, threshold) {
+    const flaggedCount = feeds.filter(feed => feed.flagged).length;
+    const rowsHtml = feeds.map(feed => generateFeedHealthRowHtml(feed)).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>数据源状态</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1200px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                .summary { margin-bottom: 1rem; color: #6c757d; }
+                .summary .alert { color: #dc3545; font-weight: 600; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+                th, td { border-bottom: 1px solid var(--medium-gray); padding: 0.5rem; text-align: left; vertical-align: top; }
+                th { background-color: var(--light-gray); white-space: nowrap; }
+                td a { color: var(--primary-color); text-decoration: none; word-break: break-all; }
+                td small { color: #6c757d; }
+                tr.is-flagged { background-color: #fff5f5; }
+                .status-badge { display: inline-block; border-radius: 4px; padding: 0.05rem 0.4rem; font-size: 0.8rem; font-weight: 600; white-space: nowrap; }
+                .status-ok { background-color: #d4edda; color: #155724; }
+                .status-error { background-color: #fff3cd; color: #856404; }
+                .status-flagged { background-color: #f8d7da; color: #721c24; }
+                .status-unknown { background-color: var(--medium-gray); color: #6c757d; }
+                .run-history { display: flex; flex-wrap: wrap; gap: 2px; max-width: 260px; }
+                .run { display: inline-block; width: 8px; height: 16px; border-radius: 2px; }
+                .run-ok { background-color: #28a745; }
+                .run-unchanged { background-color: #8fd19e; }
+                .run-empty { background-color: #ffc107; }
+                .run-error { background-color: #dc3545; }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { color: var(--primary-color); text-decoration: none; margin-right: 1rem; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>数据源状态</h1>
+                <p class="summary">共 ${feeds.length} 个 Feed${flaggedCount > 0 ? `，<span class="alert">${flaggedCount} 个连续 ${threshold} 次以上未返回条目</span>` : ''}。色块从左到右为最近的抓取记录：绿色有条目，浅绿未变化，黄色无条目，红色失败。</p>
+                <table>
+                    <thead><tr><th>分类</th><th>Feed</th><th>状态</th><th>最近成功</th><th>最近错误</th><th>HTTP</th><th>条目数</th><th>最近抓取</th></tr></thead>
+                    <tbody>${rowsHtml || '<tr><td colspan="8">未配置任何 Feed</td></tr>'}</tbody>
+                </table>
+                <div class="navigation-links">
+                    <a href="/getContentHtml">返回内容选择</a>
+                    <a href="/sourceAdmin">管理数据源</a>
+                    <a href="/sources?format=json">JSON</a>
+                </div>
+            </div>
+        </body>
+        </html>`;
+}
+
+
+/**
+ * 数据源管理页面 (/sourceAdmin)：在线编辑分类和 Feed，保存到 KV。
+ * @param {object} registry - The current source registry, see sourceRegistry.js.
+ */
+export function generateSourceAdminPageHtml(registry) {
+    // 内嵌到 <script> 中，转义 "<" 防止提前闭合标签
+    const registryJson = JSON.stringify(registry).replace(/</g, '\\u003c');
+    const ruleTypesJson = JSON.stringify(FILTER_RULE_TYPES);
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>数据源管理</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1000px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                .hint { color: #6c757d; font-size: 0.9rem; margin-bottom: 1rem; }
+                .category-card { border: 1px solid var(--medium-gray); border-radius: 6px; padding: 0.8rem; margin-bottom: 1rem; }
+                .category-card.is-disabled { opacity: 0.6; }
+                .category-fields, .feed-row { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 0.5rem; }
+                input[type="text"], input[type="number"] { padding: 0.3rem 0.5rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.9rem; }
+                .field-id { width: 8rem; } .field-name { width: 10rem; } .field-emoji { width: 3.5rem; }
+                .feed-url { flex: 1; min-width: 260px; } .feed-weight { width: 5rem; }
+                .rules { border-top: 1px dashed var(--medium-gray); margin-top: 0.5rem; padding-top: 0.5rem; }
+                .rules-title { font-size: 0.9rem; font-weight: 600; margin-bottom: 0.3rem; }
+                .rule-row { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 0.5rem; }
+                .rule-id { font-size: 0.8rem; color: #6c757d; width: 2.5rem; } .rule-value { flex: 1; min-width: 260px; }
+                select { padding: 0.3rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.9rem; }
+                button { padding: 0.3rem 0.7rem; border: 1px solid var(--primary-color); background: #fff; color: var(--primary-color); border-radius: 4px; cursor: pointer; font-size: 0.85rem; }
+                button.primary { background-color: var(--primary-color); color: #fff; }
+                button.danger { border-color: #dc3545; color: #dc3545; }
+                .actions { display: flex; gap: 0.5rem; flex-wrap: wrap; margin-top: 1rem; }
+                #message { margin-top: 1rem; font-size: 0.9rem; }
+                #message.error { color: #dc3545; } #message.success { color: #28a745; }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { color: var(--primary-color); text-decoration: none; margin-right: 1rem; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>数据源管理</h1>
+                <p class="hint">${registry.isDefault ? '当前使用 wrangler.toml 中的默认配置，保存后改为使用 KV 中的注册表。' : `最后保存于 ${escapeHtml(formatDateToChineseWithTime(registry.updatedAt))}。`}分类 id 用于数据存储和选稿，修改已有分类的 id 会使当天已抓取的数据无法显示。Feed 权重会乘到自动评分的来源权重上。过滤规则在抓取时执行，只作用于之后抓取的条目：来源白名单命中即保留；排除关键词/正则、最短摘要长度命中即移出；配置了包含关键词/正则时，至少命中一条才保留。关键词和来源用逗号分隔。</p>
+                <div id="categories"></div>
+                <div class="actions">
+                    <button type="button" onclick="addCategory()">添加分类</button>
+                    <button type="button" class="primary" onclick="saveRegistry(this)">保存</button>
+                    <button type="button" class="danger" onclick="resetRegistry(this)">恢复默认配置</button>
+                </div>
+                <div id="message"></div>
+                <div class="navigation-links">
+                    <a href="/getContentHtml">返回内容选择</a>
+                    <a href="/sources">数据源状态</a>
+                    <a href="/sourceRegistry">JSON</a>
+                </div>
+            </div>
+            <script>
+                let registry = ${registryJson};
+                const RULE_TYPES = ${ruleTypesJson};
+                const RULE_PLACEHOLDERS = { sourceAllow: '来源名称或域名，如 fangchan.com', exclude: '股票, 基金, 足球', excludeRegex: '(A股|港股)收评', minLength: '30', include: '楼市, 房价, 房地产', includeRegex: '(新房|二手房)成交' };
+
+                function el(tag, attrs, children) {
+                    const node = document.createElement(tag);
+                    Object.entries(attrs || {}).forEach(([key, value]) => {
+                        if (key.startsWith('on')) node.addEventListener(key.substring(2), value);
+                        else if (key === 'checked') node.checked = value;
+                        else if (value !== false) node.setAttribute(key, value);
+                    });
+                    (children || []).forEach(child => node.append(child));
+                    return node;
+                }
+
+                function render() {
+                    const container = document.getElementById('categories');
+                    container.innerHTML = '';
+                    registry.categories.forEach((category, index) => {
+                        const feedRows = category.feeds.map((feed, feedIndex) => el('div', { class: 'feed-row' }, [
+                            el('input', { type: 'text', class: 'feed-url', value: feed.url, placeholder: 'https://rsshub.app/...', oninput: e => { feed.url = e.target.value; } }),
+                            el('label', {}, ['权重 ', el('input', { type: 'number', class: 'feed-weight', step: '0.1', min: '0', value: feed.weight, oninput: e => { feed.weight = e.target.value; } })]),
+                            el('label', {}, [el('input', { type: 'checkbox', checked: feed.enabled !== false, onchange: e => { feed.enabled = e.target.checked; } }), ' 启用']),
+                            el('label', { title: '只有摘要的 Feed 可开启，抓取原文页面提取正文' }, [el('input', { type: 'checkbox', checked: feed.fullText === true, onchange: e => { feed.fullText = e.target.checked; } }), ' 全文提取']),
+                            el('button', { type: 'button', class: 'danger', onclick: () => { category.feeds.splice(feedIndex, 1); render(); } }, ['删除']),
+                        ]));
+                        category.rules = category.rules || [];
+                        const ruleRows = category.rules.map((rule, ruleIndex) => el('div', { class: 'rule-row' }, [
+                            el('span', { class: 'rule-id' }, [rule.id || '新']),
+                            el('select', { onchange: e => { rule.type = e.target.value; render(); } },
+                                Object.entries(RULE_TYPES).map(([type, label]) => {
+                                    const option = el('option', { value: type }, [label]);
+                                    option.selected = type === rule.type;
+                                    return option;
+                                })),
+                            el('input', { type: 'text', class: 'rule-value', value: rule.value, placeholder: RULE_PLACEHOLDERS[rule.type] || '', oninput: e => { rule.value = e.target.value; } }),
+                            el('label', {}, [el('input', { type: 'checkbox', checked: rule.enabled !== false, onchange: e => { rule.enabled = e.target.checked; } }), ' 启用']),
+                            el('button', { type: 'button', class: 'danger', onclick: () => { category.rules.splice(ruleIndex, 1); render(); } }, ['删除']),
+                        ]));
+                        container.append(el('div', { class: 'category-card' + (category.enabled === false ? ' is-disabled' : '') }, [
+                            el('div', { class: 'category-fields' }, [
+                                el('label', {}, ['id ', el('input', { type: 'text', class: 'field-id', value: category.id, oninput: e => { category.id = e.target.value; } })]),
+                                el('label', {}, ['名称 ', el('input', { type: 'text', class: 'field-name', value: category.name, oninput: e => { category.name = e.target.value; } })]),
+                                el('label', {}, ['图标 ', el('input', { type: 'text', class: 'field-emoji', value: category.emoji || '', oninput: e => { category.emoji = e.target.value; } })]),
+                                el('label', {}, [el('input', { type: 'checkbox', checked: category.enabled !== false, onchange: e => { category.enabled = e.target.checked; render(); } }), ' 启用']),
+                                el('button', { type: 'button', disabled: index === 0, onclick: () => { registry.categories.splice(index - 1, 0, registry.categories.splice(index, 1)[0]); render(); } }, ['上移']),
+                                el('button', { type: 'button', class: 'danger', onclick: () => { if (confirm('删除分类 ' + category.name + '？')) { registry.categories.splice(index, 1); render(); } } }, ['删除分类']),
+                            ]),
+                            ...feedRows,
+                            el('button', { type: 'button', onclick: () => { category.feeds.push({ url: '', weight: 1, enabled: true, fullText: false }); render(); } }, ['添加 Feed']),
+                            el('div', { class: 'rules' }, [
+                                el('div', { class: 'rules-title' }, ['过滤规则']),
+                                ...ruleRows,
+                                el('button', { type: 'button', onclick: () => { category.rules.push({ type: 'include', value: '', enabled: true }); render(); } }, ['添加规则']),
+                            ]),
+                        ]));
+                    });
+                }
+
+                function addCategory() {
+                    registry.categories.push({ id: '', name: '', emoji: '📰', enabled: true, feeds: [], rules: [] });
+                    render();
+                }
+
+                function showMessage(text, isError) {
+                    const message = document.getElementById('message');
+                    message.textContent = text;
+                    message.className = isError ? 'error' : 'success';
+                }
+
+                async function saveRegistry(button) {
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/sourceRegistry', {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ categories: registry.categories }),
+                        });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        registry = result.registry;
+                        render();
+                        showMessage('已保存。', false);
+                    } catch (error) {
+                        showMessage('保存失败: ' + error.message, true);
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+
+                async function resetRegistry(button) {
+                    if (!confirm('确定删除 KV 中的注册表并恢复 wrangler.toml 中的默认配置吗？')) return;
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/sourceRegistry', { method: 'DELETE' });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        registry = result.registry;
+                        render();
+                        showMessage('已恢复默认配置。', false);
+                    } catch (error) {
+                        showMessage('恢复失败: ' + error.message, true);
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+
+                render();
+            </script>
+        </body>
+        </html>`;
+}
+
+
+/**
+ * 生成版本页面 (/drafts)：列出某天每次 AI 生成的结果，可查看、对比、恢复编辑和发布。
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<object>} versions - Version metadata, see drafts.js listDraftVersions().
+ */
+// 版本的生成来源，见 drafts.js saveDraftVersion()
+const VERSION_SOURCE_LABELS = {
+    web: '页面生成',
+    pipeline: '自动流水线',
+    compare: '对比生成',
+};
+
+export function generateDraftsPageHtml(dateStr, versions) {
+    const rowsHtml = versions.slice().reverse().map(version => {
+        const editable = DRAFT_TYPES.includes(version.type);
+        // 事实核查有无据内容且尚未确认时，自动流水线不会发布该版本
+        const pendingFactCheck = !!version.factCheck && version.factCheck.unsupported > 0 && !version.factCheck.approvedAt;
+        let factCheckHtml = '';
+        if (version.factCheck && version.factCheck.unsupported > 0) {
+            factCheckHtml = pendingFactCheck
+                ? `<span class="fact-check-pending">${version.factCheck.unsupported} 处无据内容待确认</span>`
+                : `<span class="published">核查已确认</span>`;
+        }
+        return `<tr>
+            <td><input type="checkbox" class="diff-select" value="${escapeHtml(version.id)}"></td>
+            <td><strong>${escapeHtml(VERSION_TYPES[version.type] || version.type)}</strong> v${version.version}</td>
+            <td>${escapeHtml(formatDateToChineseWithTime(version.createdAt))}</td>
+            <td>${escapeHtml(version.model || '-')}</td>
+            <td>${VERSION_SOURCE_LABELS[version.source] || '页面生成'}</td>
+            <td>${(version.selectedItems || []).length}</td>
+            <td>${version.length}</td>
+            <td>${version.publishedAt ? `<span class="published">已发布 ${escapeHtml(formatDateToChineseWithTime(version.publishedAt))}</span>` : ''}${factCheckHtml}</td>
+            <td class="row-actions">
+                <button type="button" onclick="viewVersion('${escapeHtml(version.id)}')">查看</button>
+                ${pendingFactCheck ? `<button type="button" onclick="approveVersion(this, '${escapeHtml(version.id)}')">确认核查</button>` : ''}
+                ${editable ? `<a href="/draftRestore?date=${encodeURIComponent(dateStr)}&id=${encodeURIComponent(version.id)}">恢复编辑</a>
+                <button type="button" onclick="publishVersion(this, '${escapeHtml(version.id)}')">发布</button>` : ''}
+            </td>
+        </tr>`;
+    }).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${formatDateToChinese(escapeHtml(dateStr))} 生成版本</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1200px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                h2 { font-size: 1.2rem; margin: 1rem 0 0.5rem; }
+                .hint { color: #6c757d; font-size: 0.9rem; margin-bottom: 1rem; }
+                .date-form { margin-bottom: 1rem; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+                th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid var(--medium-gray); vertical-align: top; }
+                th { background-color: var(--light-gray); }
+                .row-actions { white-space: nowrap; }
+                .row-actions a, .row-actions button { margin-right: 0.4rem; }
+                button { padding: 0.2rem 0.6rem; border: 1px solid var(--primary-color); background: #fff; color: var(--primary-color); border-radius: 4px; cursor: pointer; font-size: 0.85rem; }
+                a { color: var(--primary-color); text-decoration: none; }
+                .published { color: #28a745; font-weight: 600; }
+                .fact-check-pending { display: block; color: #d39e00; font-weight: 600; }
+                mark { background-color: #ffe08a; }
+                #panel { margin-top: 1rem; }
+                #panel pre { white-space: pre-wrap; word-wrap: break-word; font-size: 0.85rem; padding: 0.8rem; background: #f0f9ff; border: 1px solid #cce7ff; border-radius: 6px; max-height: 70vh; overflow-y: auto; }
+                .diff-line { white-space: pre-wrap; word-wrap: break-word; font-family: Menlo, Monaco, Consolas, "Courier New", monospace; font-size: 0.85rem; padding: 0 0.5rem; }
+                .diff-add { background-color: #e6ffed; } .diff-remove { background-color: #ffeef0; }
+                .diff-skip { color: #6c757d; font-style: italic; }
+                details { margin-top: 0.5rem; font-size: 0.85rem; }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { margin-right: 1rem; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>${formatDateToChinese(escapeHtml(dateStr))} 生成版本</h1>
+                <form class="date-form" method="GET" action="/drafts">
+                    <input type="date" name="date" value="${escapeHtml(dateStr)}"> <button type="submit">切换日期</button>
+                </form>
+                <p class="hint">每次生成的日报、今日摘要、播客脚本和日报分析都会保存为一个版本（保留 30 天）。勾选两个版本后点击“对比所选”查看差异；“恢复编辑”以该版本重新打开编辑页面；“发布”将该版本原样提交到 GitHub。日报中有原文找不到的数据、城市或政策术语时，需“确认核查”后自动流水线才会发布。</p>
+                ${versions.length === 0 ? '<p>该日期还没有生成记录。</p>' : `
+                <button type="button" onclick="diffSelected()">对比所选</button>
+                <table>
+                    <thead><tr><th></th><th>版本</th><th>生成时间</th><th>模型</th><th>来源</th><th>条目数</th><th>字数</th><th>状态</th><th>操作</th></tr></thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>`}
+                <div id="panel"></div>
+                <div class="navigation-links">
+                    <a href="/getContentHtml?date=${encodeURIComponent(dateStr)}">返回内容选择</a>
+                    <a href="/usage">模型用量</a>
+                    <a href="/promptAdmin">提示词管理</a>
+                    <a href="/drafts?date=${encodeURIComponent(dateStr)}&format=json">JSON</a>
+                </div>
+            </div>
+            <script>
+                const DATE = ${JSON.stringify(dateStr).replace(/</g, '\\u003c')};
+                const panel = document.getElementById('panel');
+
+                function el(tag, className, text) {
+                    const node = document.createElement(tag);
+                    if (className) node.className = className;
+                    if (text !== undefined) node.textContent = text;
+                    return node;
+                }
+
+                async function viewVersion(id) {
+                    const response = await fetch('/draftVersion?date=' + encodeURIComponent(DATE) + '&id=' + encodeURIComponent(id));
+                    const result = await response.json();
+                    panel.innerHTML = '';
+                    if (!response.ok) { panel.append(el('p', '', result.message)); return; }
+                    const version = result.version;
+                    panel.append(el('h2', '', id + ' · ' + (version.model || '') ));
+                    if (version.selectedItems && version.selectedItems.length > 0) {
+                        panel.append(el('p', 'hint', '选中条目: ' + version.selectedItems.join(', ')));
+                    }
+                    if (version.factCheck && version.factCheck.unsupported.length > 0) {
+                        const factCheck = el('details');
+                        factCheck.open = !version.factCheck.approvedAt;
+                        factCheck.append(el('summary', '', '事实核查: ' + version.factCheck.unsupported.length + ' 处内容在原文中找不到' + (version.factCheck.approvedAt ? '（已确认）' : '')));
+                        const list = el('ul');
+                        version.factCheck.unsupported.forEach(claim => {
+                            const item = el('li');
+                            item.append(el('mark', '', claim.text), ' ' + claim.line);
+                            list.append(item);
+                        });
+                        factCheck.append(list);
+                        panel.append(factCheck);
+                    }
+                    panel.append(el('pre', '', version.content));
+                    (version.prompts || []).forEach(prompt => {
+                        const details = el('details');
+                        const promptVersion = prompt.prompt ? ' · ' + prompt.prompt.key + ' ' + (prompt.prompt.version === 0 ? '内置' : 'v' + prompt.prompt.version) : '';
+                        details.append(el('summary', '', '提示词: ' + prompt.name + (prompt.model ? ' · ' + prompt.model : '') + promptVersion));
+                        details.append(el('pre', '', '系统指令:\\n' + (prompt.system || '') + '\\n\\n用户输入:\\n' + (prompt.user || '')));
+                        panel.append(details);
+                    });
+                    panel.scrollIntoView({ behavior: 'smooth' });
+                }
+
+                async function diffSelected() {
+                    const selected = Array.from(document.querySelectorAll('.diff-select:checked')).map(input => input.value);
+                    if (selected.length !== 2) { alert('请勾选两个版本进行对比。'); return; }
+                    // 表格按时间倒序，较早的版本作为对比基准
+                    const [to, from] = selected;
+                    const response = await fetch('/draftDiff?date=' + encodeURIComponent(DATE) + '&from=' + encodeURIComponent(from) + '&to=' + encodeURIComponent(to));
+                    const result = await response.json();
+                    panel.innerHTML = '';
+                    if (!response.ok) { panel.append(el('p', '', result.message)); return; }
+                    panel.append(el('h2', '', result.from + ' → ' + result.to));
+                    // 连续相同的行只保留前后 3 行上下文
+                    const ops = result.ops;
+                    const context = 3;
+                    const changed = ops.map(op => op.type !== 'equal');
+                    let skipped = 0;
+                    ops.forEach((op, index) => {
+                        const nearChange = changed.slice(Math.max(0, index - context), index + context + 1).some(Boolean);
+                        if (op.type === 'equal' && !nearChange) { skipped++; return; }
+                        if (skipped > 0) { panel.append(el('div', 'diff-line diff-skip', '… ' + skipped + ' 行相同 …')); skipped = 0; }
+                        const prefix = op.type === 'add' ? '+ ' : (op.type === 'remove' ? '- ' : '  ');
+                        panel.append(el('div', 'diff-line' + (op.type === 'equal' ? '' : ' diff-' + op.type), prefix + op.line));
+                    });
+                    if (skipped > 0) panel.append(el('div', 'diff-line diff-skip', '… ' + skipped + ' 行相同 …'));
+                    if (!changed.some(Boolean)) panel.append(el('p', '', '两个版本内容相同。'));
+                    panel.scrollIntoView({ behavior: 'smooth' });
+                }
+
+                async function approveVersion(button, id) {
+                    if (!confirm('确认已核实 ' + id + ' 中原文找不到的内容吗？确认后自动流水线将发布该版本。')) return;
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/draftApprove', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ date: DATE, id: id }),
+                        });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        if (result.resumePipeline) alert('已确认，流水线已继续运行。');
+                        window.location.reload();
+                    } catch (error) {
+                        alert('确认失败: ' + error.message);
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+
+                async function publishVersion(button, id) {
+                    if (!confirm('确定将 ' + id + ' 原样提交到 GitHub 吗？这会覆盖当天已发布的文件。')) return;
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/draftPublish', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ date: DATE, id: id }),
+                        });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        alert('已发布 ' + id);
+                        window.location.reload();
+                    } catch (error) {
+                        alert('发布失败: ' + error.message);
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+            </script>
+        </body>
+        </html>`;
+}
+
+/**
+ * 提示词管理页面：左侧为提示词列表，右侧编辑当前选中的提示词，下方为历史版本，可对比、回滚（见 promptLibrary.js）。
+ * @param {Array<object>} prompts - Result of listPrompts().
+ * @param {object} record - Result of getPromptRecord() for the selected prompt.
+ */
+export function generatePromptAdminPageHtml(prompts, record) {
+    const versionLabel = version => (version === BUILTIN_PROMPT_VERSION ? '内置' : `v${version}`);
+    const activeTemplate = record.activeVersion === BUILTIN_PROMPT_VERSION
+        ? record.builtinTemplate
+        : record.versions.find(entry => entry.version === record.activeVersion).template;
+
+    const navHtml = prompts.map(prompt => `
+                    <li class="${prompt.key === record.key ? 'is-active' : ''}">
+                        <a href="/promptAdmin?key=${encodeURIComponent(prompt.key)}">${escapeHtml(prompt.label)}</a>
+                        <small>${versionLabel(prompt.activeVersion)}</small>
+                    </li>`).join('');
+
+    const versions = [
+        ...record.versions.slice().reverse(),
+        { version: BUILTIN_PROMPT_VERSION, note: 'src/prompt 中的默认提示词', author: null, createdAt: null },
+    ];
+    const rowsHtml = versions.map(entry => {
+        const isActive = entry.version === record.activeVersion;
+        return `<tr>
+                        <td><strong>${versionLabel(entry.version)}</strong>${isActive ? ' <span class="active-badge">使用中</span>' : ''}</td>
+                        <td>${entry.createdAt ? escapeHtml(formatDateToChineseWithTime(entry.createdAt)) : '-'}</td>
+                        <td>${escapeHtml(entry.author || '-')}</td>
+                        <td>${escapeHtml(entry.note || '')}</td>
+                        <td class="row-actions">
+                            <button type="button" onclick="loadVersion(${entry.version})">载入编辑</button>
+                            ${isActive ? '' : `<button type="button" onclick="diffVersion(${entry.version})">对比使用中</button>
+                            <button type="button" onclick="activateVersion(this, ${entry.version})">${entry.version === BUILTIN_PROMPT_VERSION ? '恢复内置' : '回滚到此版本'}</button>`}
+                        </td>
+                    </tr>`;
+    }).join('');
+
+    // 内嵌到 <script> 中，转义 "<" 防止提前闭合标签
+    const templatesJson = JSON.stringify({
+        [BUILTIN_PROMPT_VERSION]: record.builtinTemplate,
+        ...Object.fromEntries(record.versions.map(entry => [entry.version, entry.template])),
+    }).replace(/</g, '\\u003c');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>提示词管理 - ${escapeHtml(record.label)}</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1200px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                h2 { font-size: 1.2rem; margin: 1rem 0 0.5rem; }
+                .hint { color: #6c757d; font-size: 0.9rem; margin-bottom: 1rem; }
+                .layout { display: grid; grid-template-columns: 220px 1fr; gap: 1rem; }
+                .prompt-nav { list-style: none; border-right: 1px solid var(--medium-gray); padding-right: 0.5rem; }
+                .prompt-nav li { padding: 0.3rem 0.5rem; border-radius: 4px; display: flex; justify-content: space-between; gap: 0.5rem; }
+                .prompt-nav li.is-active { background-color: var(--light-gray); font-weight: 600; }
+                .prompt-nav small { color: #6c757d; }
+                a { color: var(--primary-color); text-decoration: none; }
+                #template { width: 100%; min-height: 50vh; padding: 0.8rem; border: 1px solid #cce7ff; border-radius: 6px; font-family: Menlo, Monaco, Consolas, "Courier New", monospace; font-size: 0.85rem; line-height: 1.5; resize: vertical; }
+                input[type="text"] { padding: 0.3rem 0.5rem; border: 1px solid #ccc; border-radius: 4px; font-size: 0.9rem; flex: 1; }
+                .actions { display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem; }
+                button { padding: 0.3rem 0.7rem; border: 1px solid var(--primary-color); background: #fff; color: var(--primary-color); border-radius: 4px; cursor: pointer; font-size: 0.85rem; }
+                button.primary { background-color: var(--primary-color); color: #fff; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+                th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid var(--medium-gray); vertical-align: top; }
+                th { background-color: var(--light-gray); }
+                .row-actions { white-space: nowrap; }
+                .row-actions button { margin-right: 0.4rem; }
+                .active-badge { color: #28a745; font-weight: 600; font-size: 0.8rem; }
+                #message { margin-top: 0.5rem; font-size: 0.9rem; }
+                #message.error { color: #dc3545; } #message.success { color: #28a745; }
+                .diff-line { white-space: pre-wrap; word-wrap: break-word; font-family: Menlo, Monaco, Consolas, "Courier New", monospace; font-size: 0.85rem; padding: 0 0.5rem; }
+                .diff-add { background-color: #e6ffed; } .diff-remove { background-color: #ffeef0; }
+                .diff-skip { color: #6c757d; font-style: italic; }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { margin-right: 1rem; }
+                @media (max-width: 800px) { .layout { grid-template-columns: 1fr; } .prompt-nav { border-right: none; } }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>提示词管理</h1>
+                <p class="hint">保存后立即用于之后的生成，每次保存都是一个新版本，可随时回滚；“内置”为代码中的默认提示词。可用 {{变量名}} 引用 wrangler.toml 中的 ${PROMPT_VARIABLES.join('、')}，如 {{PODCAST_BEGIN}}。每个生成版本都会记录所用的提示词版本（见“历史版本”页面）。</p>
+                <div class="layout">
+                    <ul class="prompt-nav">${navHtml}
+                    </ul>
+                    <div>
+                        <h2>${escapeHtml(record.label)} <small>（使用中: ${versionLabel(record.activeVersion)}）</small></h2>
+                        <textarea id="template" spellcheck="false">${escapeHtml(activeTemplate)}</textarea>
+                        <div class="actions">
+                            <input type="text" id="note" placeholder="修改说明（可选）">
+                            <button type="button" class="primary" onclick="saveVersion(this)">保存为新版本</button>
+                        </div>
+                        <div id="message"></div>
+                        <h2>历史版本</h2>
+                        <table>
+                            <thead><tr><th>版本</th><th>保存时间</th><th>修改人</th><th>说明</th><th>操作</th></tr></thead>
+                            <tbody>${rowsHtml}</tbody>
+                        </table>
+                        <div id="diffPanel"></div>
+                    </div>
+                </div>
+                <div class="navigation-links">
+                    <a href="/getContentHtml">返回内容选择</a>
+                    <a href="/drafts">历史版本</a>
+                    <a href="/promptLibrary?key=${encodeURIComponent(record.key)}">JSON</a>
+                </div>
+            </div>
+            <script>
+                const PROMPT_KEY = ${JSON.stringify(record.key)};
+                const ACTIVE_VERSION = ${record.activeVersion};
+                const TEMPLATES = ${templatesJson};
+
+                function showMessage(text, type) {
+                    const message = document.getElementById('message');
+                    message.textContent = text;
+                    message.className = type || '';
+                }
+
+                function loadVersion(version) {
+                    document.getElementById('template').value = TEMPLATES[version];
+                    showMessage('已载入 ' + (version === 0 ? '内置版本' : 'v' + version) + '，修改后保存为新版本。');
+                    document.getElementById('template').scrollIntoView({ behavior: 'smooth' });
+                }
+
+                async function saveVersion(button) {
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/promptLibrary', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ key: PROMPT_KEY, template: document.getElementById('template').value, note: document.getElementById('note').value }),
+                        });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        window.location.reload();
+                    } catch (error) {
+                        showMessage('保存失败: ' + error.message, 'error');
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+
+                async function activateVersion(button, version) {
+                    if (!confirm('确定改用 ' + (version === 0 ? '内置版本' : 'v' + version) + ' 吗？之后的生成将使用该版本。')) return;
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/promptLibrary', {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ key: PROMPT_KEY, version: version }),
+                        });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        window.location.reload();
+                    } catch (error) {
+                        showMessage('切换失败: ' + error.message, 'error');
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+
+                async function diffVersion(version) {
+                    const panel = document.getElementById('diffPanel');
+                    const response = await fetch('/promptDiff?key=' + encodeURIComponent(PROMPT_KEY) + '&from=' + version + '&to=' + ACTIVE_VERSION);
+                    const result = await response.json();
+                    panel.innerHTML = '';
+                    const title = document.createElement('h2');
+                    title.textContent = (version === 0 ? '内置' : 'v' + version) + ' → ' + (ACTIVE_VERSION === 0 ? '内置' : 'v' + ACTIVE_VERSION) + '（使用中）';
+                    panel.append(title);
+                    if (!response.ok) { title.textContent = result.message; return; }
+                    result.ops.forEach(op => {
+                        const line = document.createElement('div');
+                        line.className = 'diff-line' + (op.type === 'equal' ? '' : ' diff-' + op.type);
+                        line.textContent = (op.type === 'add' ? '+ ' : (op.type === 'remove' ? '- ' : '  ')) + op.line;
+                        panel.append(line);
+                    });
+                    panel.scrollIntoView({ behavior: 'smooth' });
+                }
+            </script>
+        </body>
+        </html>`;
+}
+
+/**
+ * 对比生成的方案设置页面：每个方案可选择各提示词的版本和模型，提交后由 /genAIContent (mode=compare) 依次生成（见 compare.js）。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedItems - 选中的条目 ("type:id")
+ * @param {Array<object>} promptRecords - 生成日报用到的提示词，getPromptRecord() 的结果
+ * @param {object} [stepSettings] - 各步骤的默认模型设置，llmProviders.js loadStepSettings() 的结果
+ */
+export function generateCompareSetupPageHtml(env, dateStr, selectedItems, promptRecords, stepSettings = null) {
+    const versionLabel = version => (version === BUILTIN_PROMPT_VERSION ? '内置' : `v${version}`);
+    const promptSelectsHtml = promptRecords.map(record => `
+                            <label>${escapeHtml(record.label)}
+                                <select class="variant-prompt" data-key="${escapeHtml(record.key)}">
+                                    <option value="">使用中 (${versionLabel(record.activeVersion)})</option>
+                                    ${[...record.versions.slice().reverse(), { version: BUILTIN_PROMPT_VERSION, note: '' }].map(entry => `<option value="${entry.version}">${versionLabel(entry.version)}${entry.note ? ` - ${escapeHtml(entry.note)}` : ''}</option>`).join('')}
+                                </select>
+                            </label>`).join('');
+    const modelPanelHtml = generateModelOverridesPanelHtml(env, ['digest', 'overview'], stepSettings);
+    const cardsHtml = Array.from({ length: MAX_COMPARE_VARIANTS }, (unused, index) => `
+                    <fieldset class="variant-card" ${index < MIN_COMPARE_VARIANTS ? '' : 'hidden'}>
+                        <legend><input type="text" class="variant-label" value="${escapeHtml(getVariantLabel(index))}"></legend>
+                        <div class="variant-prompts">${promptSelectsHtml}
+                        </div>
+                        ${modelPanelHtml}
+                    </fieldset>`).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${formatDateToChinese(escapeHtml(dateStr))} 对比生成</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1200px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                .hint { color: #6c757d; font-size: 0.9rem; margin-bottom: 1rem; }
+                a { color: var(--primary-color); text-decoration: none; }
+                .variant-card { border: 1px solid var(--medium-gray); border-radius: 6px; padding: 0.8rem; margin-bottom: 1rem; }
+                .variant-card legend input { font-weight: 600; padding: 0.2rem 0.4rem; border: 1px solid #ccc; border-radius: 4px; }
+                .variant-prompts { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 0.5rem; }
+                .variant-prompts label { display: flex; flex-direction: column; font-size: 0.9rem; }
+                .variant-prompts select { padding: 0.3rem; border: 1px solid #ccc; border-radius: 4px; min-width: 200px; }
+                .actions { display: flex; gap: 0.5rem; align-items: center; }
+                button { padding: 0.4rem 0.9rem; border: 1px solid var(--primary-color); background: #fff; color: var(--primary-color); border-radius: 4px; cursor: pointer; font-size: 0.9rem; }
+                button.primary { background-color: var(--primary-color); color: #fff; }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { margin-right: 1rem; }${MODEL_OVERRIDES_STYLE}
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>对比生成</h1>
+                <p class="hint">选中的 ${selectedItems.length} 个条目将按每个方案各生成一次日报，并排比较输出差异、耗时和费用；每个方案的结果都保存为历史版本。未修改的设置使用当前默认配置。方案依次生成，耗时约为单次生成的方案数倍。</p>
+                <form id="compareForm" action="/genAIContent" method="POST" onsubmit="return submitVariants(this)">
+                    <input type="hidden" name="date" value="${escapeHtml(dateStr)}">
+                    <input type="hidden" name="mode" value="compare">
+                    <input type="hidden" name="variants" value="">
+                    ${selectedItems.map(item => `<input type="hidden" name="selectedItems" value="${escapeHtml(item)}">`).join('')}
+                    ${cardsHtml}
+                    <div class="actions">
+                        <button type="button" id="addVariant" onclick="addVariant()">添加方案</button>
+                        <button type="button" id="removeVariant" onclick="removeVariant()" disabled>移除方案</button>
+                        <button type="submit" class="primary">开始对比</button>
+                    </div>
+                </form>
+                <div class="navigation-links">
+                    <a href="/getContentHtml?date=${encodeURIComponent(dateStr)}">返回内容选择</a>
+                    <a href="/promptAdmin">提示词管理</a>
+                </div>
+            </div>
+            <script>
+                const MIN_VARIANTS = ${MIN_COMPARE_VARIANTS};
+
+                function getVisibleCards() {
+                    return [...document.querySelectorAll('.variant-card')].filter(card => !card.hidden);
+                }
+
+                function updateButtons() {
+                    const cards = document.querySelectorAll('.variant-card');
+                    const visible = getVisibleCards().length;
+                    document.getElementById('addVariant').disabled = visible >= cards.length;
+                    document.getElementById('removeVariant').disabled = visible <= MIN_VARIANTS;
+                }
+
+                function addVariant() {
+                    const hidden = document.querySelector('.variant-card[hidden]');
+                    if (hidden) hidden.hidden = false;
+                    updateButtons();
+                }
+
+                function removeVariant() {
+                    const cards = getVisibleCards();
+                    if (cards.length > MIN_VARIANTS) cards[cards.length - 1].hidden = true;
+                    updateButtons();
+                }
+
+                function submitVariants(form) {
+                    const variants = getVisibleCards().map(card => {
+                        const prompts = {};
+                        card.querySelectorAll('.variant-prompt').forEach(select => {
+                            if (select.value !== '') prompts[select.dataset.key] = Number(select.value);
+                        });
+                        const modelOverrides = {};
+                        card.querySelectorAll('.model-override').forEach(input => {
+                            if (input.value === '') return;
+                            const step = input.dataset.step;
+                            modelOverrides[step] = modelOverrides[step] || {};
+                            modelOverrides[step][input.dataset.field] = input.value;
+                        });
+                        return { label: card.querySelector('.variant-label').value, prompts, modelOverrides };
+                    });
+                    form.elements.variants.value = JSON.stringify(variants);
+                    form.querySelector('button[type="submit"]').innerText = '生成中...';
+                    return true;
+                }
+            </script>
+        </body>
+        </html>`;
+}
+
+/**
+ * 对比生成结果页面：各方案的日报并排显示，第一个成功的方案为基准，其余方案标出新增（绿色）和缺少（红色）的行；
+ * 每列显示所用提示词版本、模型、耗时、token 数、费用和事实核查结果，可将该方案设为默认（提示词版本和模型设置）。
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedItems - 选中的条目 ("type:id")
+ * @param {Array<object>} results - 各方案的生成结果，见 genAIContent.js handleGenAIContentCompare()
+ */
+export function generateComparePageHtml(dateStr, selectedItems, results) {
+    const columnsHtml = results.map((result, index) => {
+        if (result.error) {
+            return `<div class="variant-column">
+                    <h2>${escapeHtml(result.label)}</h2>
+                    <p class="variant-error">生成失败: ${escapeHtml(result.error)}</p>
+                </div>`;
+        }
+        const promptsHtml = Object.entries(result.usedPrompts)
+            .map(([key, version]) => escapeHtml(formatPromptVersion({ key, version }))).join('，');
+        const unsupported = result.factCheck ? result.factCheck.unsupported.length : 0;
+        const diffHtml = result.diff.map(op => `<div class="diff-line${op.type === 'equal' ? '' : ` diff-${op.type}`}">${escapeHtml(op.line) || '&nbsp;'}</div>`).join('');
+        return `<div class="variant-column">
+                    <h2>${escapeHtml(result.label)}${index === results.findIndex(candidate => !candidate.error) ? ' <small>（基准）</small>' : ''}</h2>
+                    <dl class="variant-stats">
+                        <dt>提示词</dt><dd>${promptsHtml || '-'}</dd>
+                        <dt>模型</dt><dd>${result.models.map(model => escapeHtml(model)).join('，')}</dd>
+                        <dt>耗时</dt><dd>${(result.latencyMs / 1000).toFixed(1)} 秒</dd>
+                        <dt>tokens</dt><dd>输入 ${result.usage.promptTokens.toLocaleString()} / 输出 ${result.usage.completionTokens.toLocaleString()}</dd>
+                        <dt>费用</dt><dd>${result.usage.cost === null ? '-' : formatCost(result.usage.cost)}</dd>
+                        <dt>事实核查</dt><dd class="${unsupported > 0 ? 'is-warning' : ''}">${unsupported > 0 ? `${unsupported} 项原文中找不到` : '通过'}</dd>
+                    </dl>
+                    <div class="variant-actions">
+                        <button type="button" class="primary" onclick="promoteVariant(this, ${index})">设为默认</button>
+                        ${result.versionId ? `<a href="/draftRestore?date=${encodeURIComponent(dateStr)}&id=${encodeURIComponent(result.versionId)}">在编辑页打开</a>` : ''}
+                    </div>
+                    <div class="variant-output">${diffHtml}</div>
+                </div>`;
+    }).join('');
+
+    // 设为默认时提交实际使用的提示词版本和该方案的模型设置；内嵌到 <script> 中，转义 "<" 防止提前闭合标签
+    const promotePayloadsJson = JSON.stringify(results.map(result => (result.error ? null : { prompts: result.usedPrompts, modelOverrides: result.modelOverrides })))
+        .replace(/</g, '\\u003c');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${formatDateToChinese(escapeHtml(dateStr))} 对比生成结果</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1600px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                h2 { font-size: 1.2rem; margin-bottom: 0.5rem; }
+                h2 small { color: #6c757d; font-weight: normal; }
+                .hint { color: #6c757d; font-size: 0.9rem; margin-bottom: 1rem; }
+                a { color: var(--primary-color); text-decoration: none; }
+                .compare-grid { display: grid; grid-template-columns: repeat(${results.length}, minmax(280px, 1fr)); gap: 1rem; overflow-x: auto; }
+                .variant-column { border: 1px solid var(--medium-gray); border-radius: 6px; padding: 0.8rem; min-width: 0; }
+                .variant-stats { display: grid; grid-template-columns: auto 1fr; gap: 0.2rem 0.8rem; font-size: 0.85rem; margin-bottom: 0.5rem; }
+                .variant-stats dt { color: #6c757d; }
+                .variant-stats .is-warning { color: #dc3545; }
+                .variant-error { color: #dc3545; }
+                .variant-actions { display: flex; gap: 0.8rem; align-items: center; margin-bottom: 0.5rem; font-size: 0.9rem; }
+                button { padding: 0.3rem 0.7rem; border: 1px solid var(--primary-color); background: #fff; color: var(--primary-color); border-radius: 4px; cursor: pointer; font-size: 0.85rem; }
+                button.primary { background-color: var(--primary-color); color: #fff; }
+                .variant-output { border-top: 1px solid var(--medium-gray); padding-top: 0.5rem; }
+                .diff-line { white-space: pre-wrap; word-wrap: break-word; font-family: Menlo, Monaco, Consolas, "Courier New", monospace; font-size: 0.8rem; padding: 0 0.3rem; }
+                .diff-add { background-color: #e6ffed; } .diff-remove { background-color: #ffeef0; text-decoration: line-through; color: #6c757d; }
+                #message { margin-bottom: 1rem; font-size: 0.9rem; }
+                #message.error { color: #dc3545; } #message.success { color: #28a745; }
+                #message pre { margin-top: 0.3rem; padding: 0.5rem; background-color: var(--light-gray); white-space: pre-wrap; word-break: break-all; color: var(--dark-gray); }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { margin-right: 1rem; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>${formatDateToChinese(escapeHtml(dateStr))} 对比生成结果</h1>
+                <p class="hint">${selectedItems.length} 个条目，${results.length} 个方案。绿色为相对基准新增的行，红色删除线为基准中有而该方案没有的行。“设为默认”会把该方案使用的提示词版本设为当前版本，并保存该方案的模型设置，覆盖 LLM_STEP_SETTINGS 中对应步骤的配置。</p>
+                <div id="message"></div>
+                <div class="compare-grid">
+                ${columnsHtml}
+                </div>
+                <div class="navigation-links">
+                    <a href="/getContentHtml?date=${encodeURIComponent(dateStr)}">返回内容选择</a>
+                    <a href="/drafts?date=${encodeURIComponent(dateStr)}">历史版本</a>
+                    <a href="/promptAdmin">提示词管理</a>
+                </div>
+            </div>
+            <script>
+                const PROMOTE_PAYLOADS = ${promotePayloadsJson};
+
+                async function promoteVariant(button, index) {
+                    if (!confirm('确定将该方案设为默认吗？之后的生成（包括定时流水线）将使用该方案的提示词版本和模型设置。')) return;
+                    const message = document.getElementById('message');
+                    button.disabled = true;
+                    try {
+                        const response = await fetch('/comparePromote', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(PROMOTE_PAYLOADS[index]),
+                        });
+                        const result = await response.json();
+                        if (!response.ok) throw new Error(result.message);
+                        message.className = 'success';
+                        message.textContent = '已设为默认: ' + (result.activated.join('，') || '提示词无变化') + '。';
+                        if (result.stepSettings) {
+                            const pre = document.createElement('pre');
+                            pre.textContent = JSON.stringify(result.stepSettings, null, 2);
+                            message.append('当前采用的模型设置:', pre);
+                        }
+                    } catch (error) {
+                        message.className = 'error';
+                        message.textContent = '设为默认失败: ' + error.message;
+                    } finally {
+                        button.disabled = false;
+                    }
+                }
+            </script>
+        </body>
+        </html>`;
+}
+
+/**
+ * 流式生成日报的进度页面：通过 /genAIContentStream (SSE) 逐步显示每次模型调用的输出，完成后替换为结果页面。
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Array<string>} selectedItems - 选中的条目 ("type:id")
+ * @param {object} stages - 模型调用阶段 { stage: label }，见 genAIContent.js DAILY_SUMMARY_STAGES
+ * @param {object} [modelOverrides] - 本次模型设置，原样转发给 /genAIContentStream
+ */
+export function generateGenAiStreamPageHtml(dateStr, selectedItems, stages, modelOverrides = {}) {
+    const allStages = { prepare: '读取选中条目', ...stages, save: '保存版本' };
+    const stagesHtml = Object.entries(allStages).map(([stage, label]) => `
+                    <li class="stage" id="stage-${escapeHtml(stage)}">
+                        <span class="stage-label">${escapeHtml(label)}</span>
+                        <pre class="stage-output"></pre>
+                    </li>`).join('');
+    const request = { date: dateStr, selectedItems, modelOverrides };
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${formatDateToChinese(escapeHtml(dateStr))} AI日报生成中</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1000px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                .hint { color: #6c757d; font-size: 0.9rem; margin-bottom: 1rem; }
+                .stages { list-style: none; }
+                .stage { margin-bottom: 0.8rem; padding: 0.6rem 0.8rem; border: 1px solid var(--medium-gray); border-radius: 6px; color: #adb5bd; }
+                .stage-label::before { content: '○'; display: inline-block; width: 1.4rem; }
+                .stage.active { color: var(--dark-gray); border-color: var(--primary-color); }
+                .stage.active .stage-label::before { content: '◌'; color: var(--primary-color); animation: spin 1s linear infinite; }
+                .stage.done { color: var(--dark-gray); }
+                .stage.done .stage-label::before { content: '✓'; color: #28a745; }
+                .stage.failed .stage-label::before { content: '✗'; color: #dc3545; }
+                .stage-output { display: none; white-space: pre-wrap; word-wrap: break-word; font-size: 0.85rem; margin-top: 0.5rem; padding: 0.6rem; background: #f0f9ff; border: 1px solid #cce7ff; border-radius: 6px; max-height: 40vh; overflow-y: auto; }
+                .stage-output:not(:empty) { display: block; }
+                #status { margin-top: 1rem; font-weight: 600; }
+                #status.error { color: #dc3545; }
+                @keyframes spin { to { transform: rotate(360deg); } }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>${formatDateToChinese(escapeHtml(dateStr))} AI日报生成中</h1>
+                <p class="hint">已选 ${selectedItems.length} 个条目。模型输出会实时显示，完成后自动跳转到结果页面；中途关闭页面，生成结果仍会保存到 <a href="/drafts?date=${encodeURIComponent(dateStr)}">历史版本</a>。</p>
+                <ol class="stages">${stagesHtml}
+                </ol>
+                <div id="status"></div>
+            </div>
+            <script>
+                const STREAM_REQUEST = ${JSON.stringify(request).replace(/</g, '\\u003c')};
+                const statusEl = document.getElementById('status');
+                let currentStage = null;
+
+                function stageEl(stage) {
+                    return document.getElementById('stage-' + stage);
+                }
+
+                // 分批摘要时同一阶段会多次开始（标签显示批次），合并阶段在页面上没有预先列出，插入到当前阶段之后
+                function createStage(stage, label) {
+                    const node = document.createElement('li');
+                    node.className = 'stage';
+                    node.id = 'stage-' + stage;
+                    node.innerHTML = '<span class="stage-label"></span><pre class="stage-output"></pre>';
+                    node.querySelector('.stage-label').textContent = label;
+                    const anchor = currentStage ? stageEl(currentStage) : null;
+                    if (anchor) anchor.after(node);
+                    else stageEl('save').before(node);
+                    return node;
+                }
+
+                function startStage(stage, label) {
+                    const node = stageEl(stage) || createStage(stage, label || stage);
+                    if (stage === currentStage) {
+                        const output = node.querySelector('.stage-output');
+                        if (output.textContent) output.textContent += '\n\n------\n\n';
+                    } else if (currentStage && stageEl(currentStage)) {
+                        stageEl(currentStage).classList.remove('active');
+                        stageEl(currentStage).classList.add('done');
+                    }
+                    currentStage = stage;
+                    if (label) node.querySelector('.stage-label').textContent = label;
+                    node.classList.add('active');
+                }
+
+                function appendToken(stage, text) {
+                    const node = stageEl(stage);
+                    if (!node) return;
+                    const output = node.querySelector('.stage-output');
+                    output.textContent += text;
+                    output.scrollTop = output.scrollHeight;
+                }
+
+                function showPage(html) {
+                    document.open();
+                    document.write(html);
+                    document.close();
+                }
+
+                function failStage(message) {
+                    if (currentStage && stageEl(currentStage)) {
+                        stageEl(currentStage).classList.remove('active');
+                        stageEl(currentStage).classList.add('failed');
+                    }
+                    statusEl.className = 'error';
+                    statusEl.textContent = '生成失败: ' + message;
+                }
+
+                function handleEvent(event, data) {
+                    if (event === 'stage') startStage(data.stage, data.label);
+                    else if (event === 'token') appendToken(data.stage, data.text);
+                    else if (event === 'done') showPage(data.html);
+                    else if (event === 'error') data.html ? showPage(data.html) : failStage(data.message);
+                }
+
+                async function runStream() {
+                    let finished = false;
+                    try {
+                        const response = await fetch('/genAIContentStream', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(STREAM_REQUEST),
+                        });
+                        if (!response.ok || !response.body) {
+                            throw new Error('HTTP ' + response.status);
+                        }
+                        const reader = response.body.getReader();
+                        const decoder = new TextDecoder();
+                        let buffer = '';
+                        while (true) {
+                            const { value, done } = await reader.read();
+                            if (done) break;
+                            buffer += decoder.decode(value, { stream: true });
+                            // SSE 消息以空行分隔
+                            let boundary;
+                            while ((boundary = buffer.indexOf('\\n\\n')) !== -1) {
+                                const message = buffer.slice(0, boundary);
+                                buffer = buffer.slice(boundary + 2);
+                                let event = 'message';
+                                let data = '';
+                                message.split('\\n').forEach(line => {
+                                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                                });
+                                if (!data) continue;
+                                if (event === 'done' || event === 'error') finished = true;
+                                handleEvent(event, JSON.parse(data));
+                            }
+                        }
+                        if (!finished) throw new Error('连接意外中断');
+                    } catch (error) {
+                        failStage(error.message);
+                    }
+                }
+
+                runStream();
+            </script>
+        </body>
+        </html>`;
+}
+
+
+// 用量报表中的步骤名称，rss 为写入 RSS 时的摘要
+const USAGE_STEP_LABELS = { ...GENERATION_STEPS, rss: 'RSS 摘要', other: '其他' };
+
+function shiftMonth(month, delta) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+function formatCost(cost) {
+    return cost.toFixed(4);
+}
+
+function generateUsageGroupRowsHtml(groups, labels = {}) {
+    return groups.map(group => `<tr>
+        <td>${escapeHtml(labels[group.key] || group.key)}</td>
+        <td>${group.calls}${group.failedCalls > 0 ? ` <small class="failed">(失败 ${group.failedCalls})</small>` : ''}</td>
+        <td>${group.promptTokens.toLocaleString()}</td>
+        <td>${group.completionTokens.toLocaleString()}</td>
+        <td>${group.calls > 0 ? Math.round(group.latencyMs / group.calls).toLocaleString() : '-'}</td>
+        <td>${formatCost(group.cost)}${group.unpricedCalls > 0 ? ` <small class="failed">(${group.unpricedCalls} 次未计价)</small>` : ''}</td>
+    </tr>`).join('');
+}
+
+/**
+ * 模型用量与费用页面 (/usage)。
+ * @param {string} month - YYYY-MM
+ * @param {Array<object>} entries - Usage entries of the month, see usage.js.
+ * @param {object} summary - Result of summarizeUsage().
+ * @param {object} prices - Result of getPriceTable().
+ * @param {number|null} budget - LLM_MONTHLY_BUDGET, null when not configured.
+ */
+export function generateUsagePageHtml(month, entries, summary, prices, budget) {
+    const { totals } = summary;
+    const groupHeadHtml = '<th>调用次数</th><th>输入 tokens</th><th>输出 tokens</th><th>平均耗时 (ms)</th><th>费用</th>';
+    const unpricedModels = summary.byModel.filter(group => group.unpricedCalls > 0).map(group => group.key);
+    const budgetPercent = budget ? Math.min(100, totals.cost / budget * 100) : 0;
+
+    const recentRowsHtml = entries.slice(-50).reverse().map(entry => {
+        const cost = getEntryCost(prices, entry);
+        return `<tr class="${entry.error ? 'is-failed' : ''}">
+            <td>${escapeHtml(formatDateToChineseWithTime(entry.at))}</td>
+            <td>${escapeHtml(USAGE_STEP_LABELS[entry.step] || entry.step)}</td>
+            <td>${escapeHtml(`${entry.provider}:${entry.model}`)}</td>
+            <td>${entry.promptTokens ?? '-'}</td>
+            <td>${entry.completionTokens ?? '-'}</td>
+            <td>${entry.latencyMs}</td>
+            <td>${cost === null ? '-' : formatCost(cost)}</td>
+            <td>${entry.error ? `<small>${escapeHtml(entry.error)}</small>` : '成功'}</td>
+        </tr>`;
+    }).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-Hans">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${escapeHtml(month)} 模型用量</title>
+            <style>
+                :root { --primary-color: #007bff; --light-gray: #f8f9fa; --medium-gray: #e9ecef; --dark-gray: #343a40; }
+                * { box-sizing: border-box; margin: 0; padding: 0; }
+                body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; background-color: var(--light-gray); color: var(--dark-gray); padding: 1rem; }
+                .container { max-width: 1200px; margin: 0 auto; background-color: #fff; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+                h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+                h2 { font-size: 1.2rem; margin: 1.5rem 0 0.5rem; }
+                a { color: var(--primary-color); text-decoration: none; }
+                .month-nav a { margin-right: 1rem; }
+                .summary { margin: 1rem 0; color: #6c757d; }
+                .summary strong { color: var(--dark-gray); }
+                .budget-bar { height: 10px; max-width: 400px; background-color: var(--medium-gray); border-radius: 5px; overflow: hidden; margin-top: 0.3rem; }
+                .budget-bar span { display: block; height: 100%; background-color: #28a745; }
+                .budget-bar.is-over span { background-color: #dc3545; }
+                .alert { color: #856404; background-color: #fff3cd; border-radius: 4px; padding: 0.5rem; margin-bottom: 1rem; font-size: 0.9rem; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+                th, td { border-bottom: 1px solid var(--medium-gray); padding: 0.5rem; text-align: left; vertical-align: top; }
+                th { background-color: var(--light-gray); white-space: nowrap; }
+                td small { color: #6c757d; }
+                .failed { color: #dc3545 !important; }
+                tr.is-failed { background-color: #fff5f5; }
+                .navigation-links { margin-top: 1rem; }
+                .navigation-links a { margin-right: 1rem; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>${escapeHtml(month)} 模型用量</h1>
+                <div class="month-nav">
+                    <a href="/usage?month=${shiftMonth(month, -1)}">&laquo; 上个月</a>
+                    <a href="/usage?month=${shiftMonth(month, 1)}">下个月 &raquo;</a>
+                </div>
+                <div class="summary">
+                    共 <strong>${totals.calls}</strong> 次调用${totals.failedCalls > 0 ? `（失败 ${totals.failedCalls} 次）` : ''}，
+                    输入 <strong>${totals.promptTokens.toLocaleString()}</strong> tokens，输出 <strong>${totals.completionTokens.toLocaleString()}</strong> tokens，
+                    费用 <strong>${formatCost(totals.cost)}</strong>${budget ? ` / 预算 ${budget}` : '（未设置预算上限 LLM_MONTHLY_BUDGET）'}。
+                    ${budget ? `<div class="budget-bar${totals.cost >= budget ? ' is-over' : ''}"><span style="width: ${budgetPercent.toFixed(1)}%"></span></div>` : ''}
+                </div>
+                ${budget && totals.cost >= budget ? '<p class="alert">本月费用已达到预算上限，新的模型调用将被拒绝。</p>' : ''}
+                ${unpricedModels.length > 0 ? `<p class="alert">以下模型未在 LLM_PRICES 中配置价格（或接口未返回用量），其调用未计入费用：${escapeHtml(unpricedModels.join(', '))}</p>` : ''}
+                <p class="summary">费用按 LLM_PRICES 中每百万 tokens 的单价计算。失败的调用同样记录在内，便于排查供应商切换。</p>
+
+                <h2>按模型</h2>
+                <table>
+                    <thead><tr><th>模型</th>${groupHeadHtml}</tr></thead>
+                    <tbody>${generateUsageGroupRowsHtml(summary.byModel) || '<tr><td colspan="6">本月暂无调用记录</td></tr>'}</tbody>
+                </table>
+
+                <h2>按步骤</h2>
+                <table>
+                    <thead><tr><th>步骤</th>${groupHeadHtml}</tr></thead>
+                    <tbody>${generateUsageGroupRowsHtml(summary.byStep, USAGE_STEP_LABELS) || '<tr><td colspan="6">本月暂无调用记录</td></tr>'}</tbody>
+                </table>
+
+                <h2>按日期</h2>
+                <table>
+                    <thead><tr><th>日期</th>${groupHeadHtml}</tr></thead>
+                    <tbody>${generateUsageGroupRowsHtml(summary.byDay) || '<tr><td colspan="6">本月暂无调用记录</td></tr>'}</tbody>
+                </table>
+
+                <h2>最近调用</h2>
+                <table>
+                    <thead><tr><th>时间</th><th>步骤</th><th>模型</th><th>输入</th><th>输出</th><th>耗时 (ms)</th><th>费用</th><th>结果</th></tr></thead>
+                    <tbody>${recentRowsHtml || '<tr><td colspan="8">本月暂无调用记录</td></tr>'}</tbody>
+                </table>
+
+                <div class="navigation-links">
+                    <a href="/getContentHtml">返回内容选择</a>
+                    <a href="/drafts">历史版本</a>
+                    <a href="/usage?month=${escapeHtml(month)}&format=json">JSON</a>
+                </div>
+            </div>
+        </body>
+        </html>`;
+}
@@ -4,14 +4,27 @@ import { handleGetContent } from './handlers/getContent.js';
 import { handleGetContentHtml } from './handlers/getContentHtml.js';
 import { handleGenAIContent, handleGenAIPodcastScript, handleGenAIDailyAnalysis } from './handlers/genAIContent.js';
 import { handleGenAIDailyPage } from './handlers/genAIDailyPage.js'; // Import handleGenAIDailyPage
+import { handleGenAIContentLivePage, handleGenAIContentStream } from './handlers/genAIContentStream.js';
 import { handleCommitToGitHub } from './handlers/commitToGitHub.js';
 import { handleRss } from './handlers/getRss.js';
 import { handleWriteRssData } from './handlers/writeRssData.js'; 
-import { dataSources } from './dataFetchers.js';
+import { handleGetPipelineState, handleRunPipeline } from './handlers/runPipeline.js';
+import { handleGetRanking } from './handlers/getRanking.js';
+import { handleGetSources } from './handlers/getSources.js';
+import { handleGetUsage } from './handlers/getUsage.js';
+import { handlePromptAdminPage, handleGetPromptLibrary, handleSavePromptVersion, handleActivatePromptVersion, handlePromptDiff, handlePromoteCompareVariant } from './handlers/promptAdmin.js';
+import { handleGetEvaluation, handleRunEvaluation, handleGetGoldenSet, handleSaveGoldenSet, handleDeleteGoldenSet } from './handlers/evaluation.js';
+import { handleGetPeriodicReport, handleGenPeriodicReport, handleCommitPeriodicReport } from './handlers/periodicReport.js';
+import { handleSourceAdminPage, handleGetSourceRegistry, handleSaveSourceRegistry, handleResetSourceRegistry } from './handlers/sourceAdmin.js';
+import { handleGetDraft, handleSaveDraft, handleRenderMarkdown, handleDraftsPage, handleGetDraftVersion, handleDraftDiff, handleRestoreDraftVersion, handlePublishDraftVersion, handleApproveDraftVersion } from './handlers/draft.js';
+import { runDailyPipeline } from './pipeline.js';
+import { runScheduledPeriodicReports } from './periodicReport.js';
+import { getISODate } from './helpers.js';
+import { getDataCategories } from './dataFetchers.js';
 import { handleLogin, isAuthenticated, handleLogout } from './auth.js';
 
 export default {
-    async fetch(request, env) {
+    async fetch(request, env, ctx) {
         // Check essential environment variables
         const requiredEnvVars = [
             'DATA_KV', 'GEMINI_API_KEY', 'GEMINI_API_URL', 'DEFAULT_GEMINI_MODEL', 'OPEN_TRANSLATE', 'USE_MODEL_PLATFORM',
@@ -65,14 +78,27 @@ export default {
             if (path === '/writeData' && request.method === 'POST') {
                 response = await handleWriteData(request, env);
             } else if (path === '/getContentHtml' && request.method === 'GET') {
-                // Prepare dataCategories for the HTML generation
-                const dataCategories = Object.keys(dataSources).map(key => ({
-                    id: key,
-                    name: dataSources[key].name
-                }));
+                // Prepare dataCategories for the HTML generation, from the source registry
+                const dataCategories = await getDataCategories(env);
                 response = await handleGetContentHtml(request, env, dataCategories);
+            } else if (path === '/rankItems' && request.method === 'GET') {
+                response = await handleGetRanking(request, env);
+            } else if (path === '/sources' && request.method === 'GET') {
+                response = await handleGetSources(request, env);
+            } else if (path === '/sourceAdmin' && request.method === 'GET') {
+                response = await handleSourceAdminPage(request, env);
+            } else if (path === '/sourceRegistry' && request.method === 'GET') {
+                response = await handleGetSourceRegistry(request, env);
+            } else if (path === '/sourceRegistry' && request.method === 'PUT') {
+                response = await handleSaveSourceRegistry(request, env);
+            } else if (path === '/sourceRegistry' && request.method === 'DELETE') {
+                response = await handleResetSourceRegistry(request, env);
             } else if (path === '/genAIContent' && request.method === 'POST') {
                 response = await handleGenAIContent(request, env);
+            } else if (path === '/genAIContentLive' && request.method === 'POST') {
+                response = await handleGenAIContentLivePage(request, env);
+            } else if (path === '/genAIContentStream' && request.method === 'POST') {
+                response = await handleGenAIContentStream(request, env, ctx);
             } else if (path === '/genAIPodcastScript' && request.method === 'POST') { // New route for podcast script
                 response = await handleGenAIPodcastScript(request, env);
             } else if (path === '/genAIDailyAnalysis' && request.method === 'POST') { // New route for AI Daily Analysis
@@ -81,6 +107,58 @@ export default {
                 response = await handleGenAIDailyPage(request, env);
             } else if (path === '/commitToGitHub' && request.method === 'POST') {
                 response = await handleCommitToGitHub(request, env);
+            } else if (path === '/draft' && request.method === 'GET') {
+                response = await handleGetDraft(request, env);
+            } else if (path === '/draft' && request.method === 'PUT') {
+                response = await handleSaveDraft(request, env);
+            } else if (path === '/renderMarkdown' && request.method === 'POST') {
+                response = await handleRenderMarkdown(request, env);
+            } else if (path === '/drafts' && request.method === 'GET') {
+                response = await handleDraftsPage(request, env);
+            } else if (path === '/draftVersion' && request.method === 'GET') {
+                response = await handleGetDraftVersion(request, env);
+            } else if (path === '/draftDiff' && request.method === 'GET') {
+                response = await handleDraftDiff(request, env);
+            } else if (path === '/draftRestore' && request.method === 'GET') {
+                response = await handleRestoreDraftVersion(request, env);
+            } else if (path === '/draftPublish' && request.method === 'POST') {
+                response = await handlePublishDraftVersion(request, env);
+            } else if (path === '/draftApprove' && request.method === 'POST') {
+                response = await handleApproveDraftVersion(request, env, ctx);
+            } else if (path === '/promptAdmin' && request.method === 'GET') {
+                response = await handlePromptAdminPage(request, env);
+            } else if (path === '/promptLibrary' && request.method === 'GET') {
+                response = await handleGetPromptLibrary(request, env);
+            } else if (path === '/promptLibrary' && request.method === 'POST') {
+                response = await handleSavePromptVersion(request, env);
+            } else if (path === '/promptLibrary' && request.method === 'PUT') {
+                response = await handleActivatePromptVersion(request, env);
+            } else if (path === '/comparePromote' && request.method === 'POST') {
+                response = await handlePromoteCompareVariant(request, env);
+            } else if (path === '/evaluation' && request.method === 'GET') {
+                response = await handleGetEvaluation(request, env);
+            } else if (path === '/evaluation' && request.method === 'POST') {
+                response = await handleRunEvaluation(request, env);
+            } else if (path === '/goldenSet' && request.method === 'GET') {
+                response = await handleGetGoldenSet(request, env);
+            } else if (path === '/goldenSet' && request.method === 'POST') {
+                response = await handleSaveGoldenSet(request, env);
+            } else if (path === '/goldenSet' && request.method === 'DELETE') {
+                response = await handleDeleteGoldenSet(request, env);
+            } else if (path === '/periodicReport' && request.method === 'GET') {
+                response = await handleGetPeriodicReport(request, env);
+            } else if (path === '/periodicReport' && request.method === 'POST') {
+                response = await handleGenPeriodicReport(request, env);
+            } else if (path === '/periodicReport' && request.method === 'PUT') {
+                response = await handleCommitPeriodicReport(request, env);
+            } else if (path === '/promptDiff' && request.method === 'GET') {
+                response = await handlePromptDiff(request, env);
+            } else if (path === '/usage' && request.method === 'GET') {
+                response = await handleGetUsage(request, env);
+            } else if (path === '/pipeline' && request.method === 'GET') {
+                response = await handleGetPipelineState(request, env);
+            } else if (path === '/pipeline' && request.method === 'POST') {
+                response = await handleRunPipeline(request, env);
             } else {
                 return new Response(null, { status: 404, headers: {'Content-Type': 'text/plain; charset=utf-8'} });
             }
@@ -94,5 +172,20 @@ export default {
             response.headers.append('Set-Cookie', newCookie);
         }
         return response;
+    },
+
+    // Cron Trigger：按 wrangler.toml 中 [triggers] 的配置运行每日流水线；之后补齐尚未提交的上一期周报/月报（PERIODIC_REPORT_SCHEDULE）
+    async scheduled(event, env, ctx) {
+        const dateStr = getISODate(new Date(event.scheduledTime));
+        console.log(`Scheduled event received (${event.cron}) for date: ${dateStr}`);
+        ctx.waitUntil((async () => {
+            // 周报/月报只读取已发布的日报，当天的流水线出错也照常生成
+            try {
+                await runDailyPipeline(env, { date: dateStr });
+            } catch (error) {
+                console.error(`Scheduled pipeline for ${dateStr} failed:`, error);
+            }
+            await runScheduledPeriodicReports(env, dateStr);
+        })());
     }
 };
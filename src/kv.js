@@ -1,8 +1,8 @@
 // src/kv.js
 
-export async function storeInKV(kvNamespace, key, value, expirationTtl = 86400 * 7) { // 7 days default
+export async function storeInKV(kvNamespace, key, value, expirationTtl = 86400 * 7) { // 7 days default, null for no expiration
     console.log(`Storing data in KV with key: ${key}`);
-    await kvNamespace.put(key, JSON.stringify(value), { expirationTtl });
+    await kvNamespace.put(key, JSON.stringify(value), expirationTtl ? { expirationTtl } : {});
 }
 
 export async function getFromKV(kvNamespace, key) {
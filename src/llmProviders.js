@@ -0,0 +1,285 @@
+// src/llmProviders.js
+// 楼市洞察日报 - 模型供应商注册表
+// LLM_PROVIDERS 按顺序配置多个供应商（如 qwen-plus → deepseek → gemini），调用遇到 429/5xx/超时时依次切换到下一个，
+// 避免某个平台限流导致整份日报失败。未配置时沿用 USE_MODEL_PLATFORM / OPENAI_* / GEMINI_* 的单一供应商。
+// LLM_STEP_SETTINGS 可为每个生成步骤单独指定供应商、模型和采样参数，生成页面还可以只针对本次生成临时覆盖。
+// 对比生成中采用的方案（见 promptAdmin.js handlePromoteCompareVariant）的模型设置保存在 KV 中，覆盖 LLM_STEP_SETTINGS。
+import { storeInKV, getFromKV } from './kv.js';
+
+export const PROVIDER_TYPES = ['openai', 'gemini'];
+
+// 可单独配置模型的生成步骤及显示名称
+export const GENERATION_STEPS = {
+    digest: '日报要闻',
+    overview: '今日摘要',
+    podcast: '播客脚本',
+    analysis: '日报分析',
+    periodic: '周报/月报',
+};
+
+// 步骤设置字段: provider 优先使用的供应商名称, model 模型, temperature / topP / maxTokens 采样参数
+const STEP_SETTING_FIELDS = ['provider', 'model', 'temperature', 'topP', 'maxTokens'];
+
+// 采用的模型设置 { steps: { step: settings }, updatedAt }，删除该键即恢复 LLM_STEP_SETTINGS 的配置
+const PROMOTED_STEP_SETTINGS_KEY = 'llm-step-settings';
+
+// 等待模型响应的默认超时（毫秒），包含读取响应体的时间；流式调用限制相邻两块之间的间隔
+const DEFAULT_TIMEOUT_MS = 180000;
+
+// 常见模型的上下文长度 (tokens)，按模型名前缀匹配；LLM_PROVIDERS 中的 contextTokens 优先
+const MODEL_CONTEXT_TOKENS = [
+    ['qwen-long', 10000000],
+    ['qwen-turbo', 1000000],
+    ['qwen-plus', 131072],
+    ['qwen-max', 32768],
+    ['deepseek', 65536],
+    ['gemini', 1048576],
+    ['gpt-4.1', 1047576],
+    ['gpt-4o', 128000],
+];
+// 未知模型按较小的上下文处理，宁可多分几批
+const DEFAULT_CONTEXT_TOKENS = 32768;
+
+function getLegacyProvider(env) {
+    const platform = env.USE_MODEL_PLATFORM || '';
+    if (platform.startsWith('OPEN')) {
+        return { name: platform, type: 'openai', url: env.OPENAI_API_URL, model: env.DEFAULT_OPEN_MODEL, apiKeyEnv: 'OPENAI_API_KEY' };
+    }
+    return { name: platform || 'GEMINI', type: 'gemini', url: env.GEMINI_API_URL, model: env.DEFAULT_GEMINI_MODEL, apiKeyEnv: 'GEMINI_API_KEY' };
+}
+
+function normalizeProvider(env, provider, index) {
+    const label = `LLM provider #${index + 1}${provider && provider.name ? ` "${provider.name}"` : ''}`;
+    if (!provider || typeof provider !== 'object') {
+        throw new Error(`${label}: must be an object.`);
+    }
+    const type = provider.type || 'openai';
+    if (!PROVIDER_TYPES.includes(type)) {
+        throw new Error(`${label}: unknown type "${type}", expected one of: ${PROVIDER_TYPES.join(', ')}.`);
+    }
+    for (const field of ['url', 'model']) {
+        if (!provider[field]) {
+            throw new Error(`${label}: ${field} is required.`);
+        }
+    }
+    const timeoutMs = provider.timeoutMs === undefined ? DEFAULT_TIMEOUT_MS : Number(provider.timeoutMs);
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+        throw new Error(`${label}: timeoutMs must be a positive number.`);
+    }
+    const contextTokens = provider.contextTokens === undefined ? null : Number(provider.contextTokens);
+    if (contextTokens !== null && (!Number.isInteger(contextTokens) || contextTokens <= 0)) {
+        throw new Error(`${label}: contextTokens must be a positive integer.`);
+    }
+    const apiKeyEnv = provider.apiKeyEnv || (type === 'gemini' ? 'GEMINI_API_KEY' : 'OPENAI_API_KEY');
+    return {
+        name: String(provider.name || provider.model),
+        type,
+        url: String(provider.url).replace(/\/+$/, ''),
+        model: String(provider.model),
+        apiKeyEnv,
+        // API Key 只从 Secret 读取，不写在 LLM_PROVIDERS 中
+        apiKey: env[apiKeyEnv],
+        timeoutMs,
+        contextTokens,
+    };
+}
+
+/**
+ * 按调用顺序返回供应商列表。传入步骤设置时，settings.provider 指定的供应商排到最前，
+ * settings.model 替换首个供应商的模型；其余供应商仍使用各自配置的模型作为备用。
+ * @param {object} env - The environment variables.
+ * @param {object} [settings] - Step settings from getStepSettings().
+ * @returns {Array<{name: string, type: string, url: string, model: string, apiKeyEnv: string, apiKey: string, timeoutMs: number, contextTokens: number|null}>}
+ * @throws {Error} If LLM_PROVIDERS is not valid JSON, a provider is malformed or settings.provider is unknown.
+ */
+export function getProviderChain(env, settings = {}) {
+    const raw = (env.LLM_PROVIDERS || '').trim();
+    let chain;
+    if (!raw) {
+        chain = [normalizeProvider(env, getLegacyProvider(env), 0)];
+    } else {
+        let providers;
+        try {
+            providers = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`LLM_PROVIDERS is not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(providers) || providers.length === 0) {
+            throw new Error('LLM_PROVIDERS must be a non-empty JSON array.');
+        }
+        chain = providers.map((provider, index) => normalizeProvider(env, provider, index));
+    }
+
+    if (settings.provider) {
+        const preferred = chain.find(provider => provider.name === settings.provider);
+        if (!preferred) {
+            throw new Error(`Unknown LLM provider "${settings.provider}", expected one of: ${chain.map(provider => provider.name).join(', ')}.`);
+        }
+        chain = [preferred, ...chain.filter(provider => provider !== preferred)];
+    }
+    if (settings.model) {
+        // 配置的 contextTokens 属于原模型，换模型后按模型名重新估计
+        const contextTokens = settings.model === chain[0].model ? chain[0].contextTokens : null;
+        chain[0] = { ...chain[0], model: settings.model, contextTokens };
+    }
+    return chain;
+}
+
+function parseJsonSetting(value, name) {
+    if (value && typeof value === 'object') return value;
+    const raw = String(value || '').trim();
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+}
+
+function normalizeStepSettings(settings, label) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`${label}: must be an object.`);
+    }
+    const normalized = {};
+    for (const field of STEP_SETTING_FIELDS) {
+        const value = settings[field];
+        // 空字符串表示沿用默认值（页面表单未填写的字段）
+        if (value === undefined || value === null || value === '') continue;
+        if (field === 'provider' || field === 'model') {
+            normalized[field] = String(value).trim();
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0 || (field === 'maxTokens' && !Number.isInteger(number))) {
+            throw new Error(`${label}: ${field} must be a ${field === 'maxTokens' ? 'non-negative integer' : 'non-negative number'}.`);
+        }
+        normalized[field] = number;
+    }
+    return normalized;
+}
+
+/**
+ * 校验本次生成的临时覆盖设置（生成页面「本次模型设置」提交的 modelOverrides）。
+ * @param {string|object} value - JSON string or object: { step: { provider, model, temperature, topP, maxTokens } }
+ * @returns {object} Normalized overrides keyed by step; unknown steps are rejected.
+ * @throws {Error} If the value is not valid JSON or contains invalid settings.
+ */
+export function parseModelOverrides(value) {
+    const overrides = parseJsonSetting(value, 'modelOverrides');
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('modelOverrides must be a JSON object keyed by step.');
+    }
+    const normalized = {};
+    for (const [step, settings] of Object.entries(overrides)) {
+        if (!GENERATION_STEPS[step]) {
+            throw new Error(`modelOverrides: unknown step "${step}", expected one of: ${Object.keys(GENERATION_STEPS).join(', ')}.`);
+        }
+        const stepSettings = normalizeStepSettings(settings, `modelOverrides.${step}`);
+        if (Object.keys(stepSettings).length > 0) normalized[step] = stepSettings;
+    }
+    return normalized;
+}
+
+/**
+ * LLM_STEP_SETTINGS 中配置的各步骤模型设置，不含采用的设置。
+ * @param {object} env - The environment variables.
+ * @returns {Object<string, object>} Normalized settings keyed by step; steps without settings map to {}.
+ * @throws {Error} If LLM_STEP_SETTINGS is malformed.
+ */
+export function getConfiguredStepSettings(env) {
+    const configured = parseJsonSetting(env.LLM_STEP_SETTINGS, 'LLM_STEP_SETTINGS');
+    return Object.fromEntries(Object.keys(GENERATION_STEPS)
+        .map(step => [step, normalizeStepSettings(configured[step] || {}, `LLM_STEP_SETTINGS.${step}`)]));
+}
+
+/**
+ * 对比生成中采用的模型设置。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<{steps: Object<string, object>, updatedAt: string|null}>}
+ */
+export async function getPromotedStepSettings(env) {
+    const stored = await getFromKV(env.DATA_KV, PROMOTED_STEP_SETTINGS_KEY);
+    return { steps: {}, updatedAt: null, ...(stored || {}) };
+}
+
+/**
+ * 采用一组模型设置作为默认值：逐个字段合并到已采用的设置中，之后的生成（包括流水线）都会使用。
+ * @param {object} env - The environment variables.
+ * @param {object} overrides - Result of parseModelOverrides().
+ * @returns {Promise<{steps: Object<string, object>, updatedAt: string}>} The stored settings.
+ * @throws {Error} If a setting names an unknown provider.
+ */
+export async function promoteStepSettings(env, overrides) {
+    const promoted = await getPromotedStepSettings(env);
+    for (const [step, settings] of Object.entries(overrides)) {
+        // 供应商名称在保存前校验，避免之后每次生成都失败
+        getProviderChain(env, settings);
+        promoted.steps[step] = { ...(promoted.steps[step] || {}), ...settings };
+    }
+    promoted.updatedAt = new Date().toISOString();
+    await storeInKV(env.DATA_KV, PROMOTED_STEP_SETTINGS_KEY, promoted, null);
+    return promoted;
+}
+
+/**
+ * 各生成步骤的默认模型设置：LLM_STEP_SETTINGS 中的配置，再叠加对比生成中采用的设置。
+ * 生成页面的「本次模型设置」面板用它显示默认值（见 htmlGenerators.js）。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<Object<string, object>>} Settings keyed by step.
+ * @throws {Error} If LLM_STEP_SETTINGS is malformed.
+ */
+export async function loadStepSettings(env) {
+    const configured = getConfiguredStepSettings(env);
+    const { steps } = await getPromotedStepSettings(env);
+    return Object.fromEntries(Object.entries(configured).map(([step, settings]) => [step, { ...settings, ...(steps[step] || {}) }]));
+}
+
+/**
+ * 某个生成步骤的模型设置：LLM_STEP_SETTINGS 中的配置和采用的设置（见 loadStepSettings()），再叠加本次生成的临时覆盖。
+ * @param {object} env - The environment variables.
+ * @param {string} step - One of GENERATION_STEPS.
+ * @param {object} [overrides] - Result of parseModelOverrides().
+ * @returns {Promise<{provider?: string, model?: string, temperature?: number, topP?: number, maxTokens?: number}>}
+ * @throws {Error} If LLM_STEP_SETTINGS is malformed.
+ */
+export async function getStepSettings(env, step, overrides = {}) {
+    const stepSettings = await loadStepSettings(env);
+    return {
+        ...(stepSettings[step] || {}),
+        ...(overrides[step] || {}),
+    };
+}
+
+/**
+ * 供应商模型的上下文长度 (tokens)：LLM_PROVIDERS 中配置的 contextTokens，否则按模型名估计。
+ * @param {{model: string, contextTokens: number|null}} provider
+ * @returns {number}
+ */
+export function getContextTokens(provider) {
+    if (provider.contextTokens) return provider.contextTokens;
+    const model = provider.model.toLowerCase();
+    const match = MODEL_CONTEXT_TOKENS.find(([prefix]) => model.startsWith(prefix));
+    return match ? match[1] : DEFAULT_CONTEXT_TOKENS;
+}
+
+/**
+ * 供应商的显示名称，记录在生成版本和提示词中，如 "deepseek:deepseek-chat"。
+ * @param {{name: string, model: string}} provider
+ * @returns {string}
+ */
+export function getProviderLabel(provider) {
+    return `${provider.name}:${provider.model}`;
+}
+
+/**
+ * 是否应切换到下一个供应商：限流 (429)、服务端错误 (5xx)、超时和网络错误，以及未配置 API Key 的供应商。
+ * 内容被拦截、请求格式错误等换一个供应商也无济于事的错误直接抛出。
+ * @param {Error} error - Error thrown by a chat API call; HTTP errors carry `status`.
+ * @returns {boolean}
+ */
+export function isRetryableChatError(error) {
+    if (error && error.status) {
+        return error.status === 429 || error.status >= 500;
+    }
+    return Boolean(error && error.retryable);
+}
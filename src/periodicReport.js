@@ -0,0 +1,430 @@
+// src/periodicReport.js
+// 楼市洞察日报 - 周报/月报
+// 汇总一个 ISO 周（周一至周日）或一个自然月内已发布的日报（GitHub daily/${date}.md）和 KV 中仍保留的资讯条目，
+// 用周报/月报提示词生成本期要闻、政策时间线和城市热度排行，提交到 weekly/YYYY-Www.md、monthly/YYYY-MM.md 并写入 RSS。
+// 资讯条目只保存 7 天（见 kv.js），月报主要依据已发布的日报。
+import { formatMarkdownText, replaceImageProxy, removeMarkdownCodeBlock, convertEnglishQuotesToChinese, formatDateToGMT8WithTime } from './helpers.js';
+import { storeInKV, getFromKV } from './kv.js';
+import { getDailyReportContent, getGitHubFileSha, createOrUpdateGitHubFile } from './github.js';
+import { getDataSources } from './dataFetchers.js';
+import { callChatAPIStream } from './chatapi.js';
+import { getStepSettings } from './llmProviders.js';
+import { getInputTokenBudget, estimateTokens } from './chunking.js';
+import { getPrompt } from './promptLibrary.js';
+import { stripCitations } from './citations.js';
+import { parseDailyMarkdown } from './dailyReport.js';
+import { CITY_NAMES } from './factCheck.js';
+import { insertAd } from './ad.js';
+import { insertFoot } from './foot.js';
+import { marked } from './marked.esm.js';
+
+/**
+ * 报告类型: label 名称, dir GitHub 目录, titleVar 标题变量及其默认值。
+ */
+export const PERIODIC_REPORT_TYPES = {
+    weekly: { label: '周报', dir: 'weekly', titleVar: 'WEEKLY_TITLE', defaultTitle: '楼市洞察周报' },
+    monthly: { label: '月报', dir: 'monthly', titleVar: 'MONTHLY_TITLE', defaultTitle: '楼市洞察月报' },
+};
+
+const PERIOD_ID_PATTERNS = {
+    weekly: /^(\d{4})-W(\d{2})$/,
+    monthly: /^(\d{4})-(\d{2})$/,
+};
+
+// RSS 中保留的周报/月报条数
+const MAX_RSS_REPORTS = 24;
+
+const RSS_REPORTS_KEY = 'periodic-report-rss';
+
+// 城市提及次数写入提示词的城市数
+const CITY_COUNT_LIMIT = 20;
+
+function getReportKey(type, periodId) {
+    return `periodic-report:${type}:${periodId}`;
+}
+
+function assertReportType(type) {
+    if (!PERIODIC_REPORT_TYPES[type]) {
+        throw new Error(`Unknown report type "${type}", expected one of: ${Object.keys(PERIODIC_REPORT_TYPES).join(', ')}.`);
+    }
+}
+
+function parseDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function addDays(dateStr, days) {
+    const date = parseDate(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function getISOWeek(dateStr) {
+    const date = parseDate(dateStr);
+    // ISO 周以所含的周四所在年份为准
+    date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+    const year = date.getUTCFullYear();
+    const week = Math.ceil(((date - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+    return { year, week };
+}
+
+function getISOWeekMonday(year, week) {
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const monday = jan4.toISOString().slice(0, 10);
+    return addDays(monday, (week - 1) * 7 - ((jan4.getUTCDay() || 7) - 1));
+}
+
+function formatMonthDay(dateStr) {
+    const [, month, day] = dateStr.split('-').map(Number);
+    return `${month}月${day}日`;
+}
+
+function buildPeriod(type, id, start, end, label) {
+    const dates = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) dates.push(date);
+    return { type, id, start, end, label, dates };
+}
+
+/**
+ * 解析期号：周报为 ISO 周 YYYY-Www（如 2026-W42），月报为 YYYY-MM。
+ * @param {'weekly'|'monthly'} type
+ * @param {string} periodId
+ * @returns {{type: string, id: string, start: string, end: string, label: string, dates: Array<string>}} start/end 为首尾日期 (YYYY-MM-DD)
+ * @throws {Error} If the type or period id is invalid.
+ */
+export function getPeriod(type, periodId) {
+    assertReportType(type);
+    const match = String(periodId || '').match(PERIOD_ID_PATTERNS[type]);
+    const year = match ? Number(match[1]) : 0;
+    const number = match ? Number(match[2]) : 0;
+    if (type === 'weekly') {
+        if (!match || number < 1 || number > getISOWeek(`${year}-12-28`).week) {
+            throw new Error(`Invalid week "${periodId}", expected YYYY-Www such as 2026-W01.`);
+        }
+        const start = getISOWeekMonday(year, number);
+        const end = addDays(start, 6);
+        return buildPeriod(type, periodId, start, end, `${year}年第${number}周（${formatMonthDay(start)}-${formatMonthDay(end)}）`);
+    }
+    if (!match || number < 1 || number > 12) {
+        throw new Error(`Invalid month "${periodId}", expected YYYY-MM such as 2026-01.`);
+    }
+    const start = `${periodId}-01`;
+    const end = new Date(Date.UTC(year, number, 0)).toISOString().slice(0, 10);
+    return buildPeriod(type, periodId, start, end, `${year}年${number}月`);
+}
+
+/**
+ * 包含某天的周期。
+ * @param {'weekly'|'monthly'} type
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {object} See getPeriod().
+ */
+export function getPeriodContaining(type, dateStr) {
+    assertReportType(type);
+    if (type === 'weekly') {
+        const { year, week } = getISOWeek(dateStr);
+        return getPeriod(type, `${year}-W${String(week).padStart(2, '0')}`);
+    }
+    return getPeriod(type, dateStr.slice(0, 7));
+}
+
+/**
+ * 某天之前最近一个已结束的周期，如周一对应上周、1 日对应上个月。
+ * @param {'weekly'|'monthly'} type
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {object} See getPeriod().
+ */
+export function getLastCompletedPeriod(type, dateStr) {
+    return getPeriodContaining(type, addDays(getPeriodContaining(type, dateStr).start, -1));
+}
+
+/**
+ * 周报/月报在 GitHub 仓库中的路径，如 weekly/2026-W42.md、monthly/2026-09.md。
+ */
+export function getPeriodicReportPath(type, periodId) {
+    assertReportType(type);
+    return `${PERIODIC_REPORT_TYPES[type].dir}/${periodId}.md`;
+}
+
+function getReportTitle(env, type) {
+    const { titleVar, defaultTitle } = PERIODIC_REPORT_TYPES[type];
+    return env[titleVar] || defaultTitle;
+}
+
+/**
+ * 读取已生成的周报/月报。
+ * @param {object} env - The environment variables.
+ * @param {'weekly'|'monthly'} type
+ * @param {string} periodId
+ * @returns {Promise<object|null>}
+ */
+export async function getPeriodicReport(env, type, periodId) {
+    assertReportType(type);
+    return await getFromKV(env.DATA_KV, getReportKey(type, periodId));
+}
+
+async function saveReport(env, report) {
+    await storeInKV(env.DATA_KV, getReportKey(report.type, report.period), report, null);
+}
+
+/**
+ * 读取 GitHub 上已发布的日报，不存在时返回 null。
+ */
+async function loadPublishedDaily(env, dateStr) {
+    try {
+        return await getDailyReportContent(env, `daily/${dateStr}.md`);
+    } catch (error) {
+        if (error.message.includes('404')) return null;
+        throw error;
+    }
+}
+
+/**
+ * 日报中作为输入的部分：今日摘要和要闻，去掉引用链接；无法识别结构时使用去掉引用的全文。
+ */
+function extractDailyDigest(markdown) {
+    const { overviewLines, newsText } = parseDailyMarkdown(stripCitations(markdown));
+    if (!newsText) return stripCitations(markdown).trim();
+    return [overviewLines.join('\n'), newsText.trim()].filter(Boolean).join('\n\n');
+}
+
+/**
+ * 收集本期已发布的日报和 KV 中保留的资讯条目（按标题去重）。
+ * @returns {Promise<{dailies: Array<{date: string, markdown: string}>, items: Array<{date: string, category: string, title: string, source: string}>}>}
+ */
+async function gatherPeriodSources(env, period) {
+    const dataSources = await getDataSources(env);
+    const dailies = [];
+    const items = [];
+    const seenTitles = new Set();
+    for (const date of period.dates) {
+        const markdown = await loadPublishedDaily(env, date);
+        if (markdown) dailies.push({ date, markdown });
+        for (const [type, dataSource] of Object.entries(dataSources)) {
+            for (const item of await getFromKV(env.DATA_KV, `${date}-${type}`) || []) {
+                const title = String(item.title || '').trim();
+                if (!title || seenTitles.has(title)) continue;
+                seenTitles.add(title);
+                items.push({ date, category: dataSource.name, title, source: item.source || '' });
+            }
+        }
+    }
+    return { dailies, items };
+}
+
+/**
+ * 统计每个城市在多少篇文本中出现，按次数降序。长名称先匹配，避免短名称重复计数（与 factCheck.js 一致）。
+ * @param {Array<string>} texts
+ * @returns {Array<{city: string, count: number}>}
+ */
+export function countCityMentions(texts) {
+    const counts = new Map();
+    for (const text of texts) {
+        let remaining = text;
+        for (const city of CITY_NAMES) {
+            if (!remaining.includes(city)) continue;
+            counts.set(city, (counts.get(city) || 0) + 1);
+            remaining = remaining.split(city).join(' ');
+        }
+    }
+    return [...counts.entries()]
+        .map(([city, count]) => ({ city, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 组装用户提示词：日报全部放入，资讯标题按日期顺序放到输入预算用完为止。
+ * @returns {{prompt: string, itemsIncluded: number}}
+ * @throws {Error} If the dailies alone exceed the input budget.
+ */
+function buildUserPrompt(period, dailyDigests, items, cityCounts, budget) {
+    const { label } = PERIODIC_REPORT_TYPES[period.type];
+    const cityLine = cityCounts.slice(0, CITY_COUNT_LIMIT).map(({ city, count }) => `${city} ${count}`).join('、') || '无';
+    let prompt = `本期${label}: ${period.label}，${period.start} 至 ${period.end}\n`;
+    prompt += `已发布日报 ${dailyDigests.length} 期，资讯 ${items.length} 条。\n\n`;
+    prompt += `# 城市提及次数\n${cityLine}\n\n`;
+    prompt += `# 每日日报\n\n${dailyDigests.map(({ date, text }) => `## ${date}\n${text}`).join('\n\n')}\n\n`;
+    if (estimateTokens(prompt) > budget) {
+        throw new Error(`本期日报约 ${estimateTokens(prompt)} tokens，超出模型输入上限 ${budget} tokens，请为 periodic 步骤配置上下文更长的模型。`);
+    }
+
+    const lines = [];
+    let used = estimateTokens(prompt);
+    for (const item of items) {
+        const line = `- ${item.date.slice(5)}【${item.category}】${item.title}${item.source ? `（${item.source}）` : ''}`;
+        const tokens = estimateTokens(line) + 1;
+        if (used + tokens > budget) break;
+        lines.push(line);
+        used += tokens;
+    }
+    if (lines.length > 0) prompt += `# 本期资讯标题\n${lines.join('\n')}\n`;
+    return { prompt, itemsIncluded: lines.length };
+}
+
+/**
+ * 生成一期周报/月报并保存到 KV；commit 为 true 时提交到 GitHub 并写入 RSS。
+ * @param {object} env - The environment variables.
+ * @param {'weekly'|'monthly'} type
+ * @param {string} periodId - See getPeriod().
+ * @param {object} [options]
+ * @param {boolean} [options.commit=true] - 是否提交到 GitHub 并写入 RSS
+ * @param {number} [options.promptVersion] - periodicReport 提示词的版本，默认为当前版本
+ * @param {object} [options.modelOverrides] - Result of parseModelOverrides().
+ * @returns {Promise<object>} The stored report: { type, period, label, start, end, markdown, dailyDates, missingDates, itemCount, itemsIncluded, cityCounts, prompt, model, generatedAt, file, committedAt }
+ * @throws {Error} If the period is invalid, no daily was published in it, or generation / commit fails.
+ */
+export async function generatePeriodicReport(env, type, periodId, { commit = true, promptVersion, modelOverrides = {} } = {}) {
+    const period = getPeriod(type, periodId);
+    const { dailies, items } = await gatherPeriodSources(env, period);
+    if (dailies.length === 0) {
+        throw new Error(`${period.start} 至 ${period.end} 没有已发布的日报，无法生成${PERIODIC_REPORT_TYPES[type].label}。`);
+    }
+
+    const dailyDigests = dailies.map(({ date, markdown }) => ({ date, text: extractDailyDigest(markdown) }));
+    const cityCounts = countCityMentions([
+        ...dailies.flatMap(({ markdown }) => parseDailyMarkdown(markdown).items.map(item => `${item.headline}${item.body}`)),
+        ...items.map(item => item.title),
+    ]);
+
+    const systemPrompt = await getPrompt(env, 'periodicReport', { version: promptVersion });
+    const settings = await getStepSettings(env, 'periodic', modelOverrides);
+    const budget = getInputTokenBudget(env, settings, systemPrompt.text);
+    const { prompt, itemsIncluded } = buildUserPrompt(period, dailyDigests, items, cityCounts, budget);
+
+    const chunks = [];
+    const callInfo = {};
+    for await (const chunk of callChatAPIStream(env, prompt, systemPrompt.text, { step: 'periodic', settings, callInfo })) {
+        chunks.push(chunk);
+    }
+    const body = removeMarkdownCodeBlock(chunks.join('')).trim();
+    if (!body) {
+        throw new Error('Model returned an empty report.');
+    }
+
+    const title = getReportTitle(env, type);
+    let markdown = `## ${title} ${period.label}\n\n`;
+    markdown += `> 本期汇总 ${period.start} 至 ${period.end} 的 ${dailies.length} 期日报\n\n`;
+    markdown += `${body}\n\n`;
+    if (env.INSERT_AD == 'true') markdown += insertAd() + `\n`;
+    if (env.INSERT_FOOT == 'true') markdown += insertFoot() + `\n\n`;
+
+    const dailyDates = dailies.map(daily => daily.date);
+    const report = {
+        type,
+        period: period.id,
+        label: period.label,
+        start: period.start,
+        end: period.end,
+        markdown: convertEnglishQuotesToChinese(markdown),
+        dailyDates,
+        missingDates: period.dates.filter(date => !dailyDates.includes(date)),
+        itemCount: items.length,
+        itemsIncluded,
+        cityCounts: cityCounts.slice(0, CITY_COUNT_LIMIT),
+        prompt: { key: systemPrompt.key, version: systemPrompt.version },
+        model: { provider: callInfo.provider, model: callInfo.model, fallbacks: callInfo.fallbacks || [] },
+        generatedAt: new Date().toISOString(),
+        file: null,
+        committedAt: null,
+    };
+    await saveReport(env, report);
+    if (commit) {
+        return await commitPeriodicReport(env, report);
+    }
+    return report;
+}
+
+/**
+ * 将已生成的周报/月报提交到 GitHub，并写入 RSS。
+ * @param {object} env - The environment variables.
+ * @param {object} report - Result of generatePeriodicReport() / getPeriodicReport().
+ * @returns {Promise<object>} The report with file and committedAt set.
+ */
+export async function commitPeriodicReport(env, report) {
+    const path = getPeriodicReportPath(report.type, report.period);
+    const existingSha = await getGitHubFileSha(env, path);
+    const commitMessage = `${existingSha ? 'Update' : 'Create'} ${report.type} report for ${report.period}`;
+    await createOrUpdateGitHubFile(env, path, formatMarkdownText(report.markdown), commitMessage, existingSha);
+    console.log(`GitHub commit success for ${path}`);
+
+    const committed = { ...report, file: path, committedAt: new Date().toISOString() };
+    await saveReport(env, committed);
+    await storeRssReport(env, committed);
+    return committed;
+}
+
+/**
+ * 写入 RSS 使用的周报/月报列表，格式与 writeRssData.js 的日报 report 相同，另加 period_end 用于按天数筛选。
+ */
+async function storeRssReport(env, report) {
+    const reportDate = `${report.type}:${report.period}`;
+    const entry = {
+        report_date: reportDate,
+        report_type: report.type,
+        period_end: report.end,
+        title: `${getReportTitle(env, report.type)} ${report.label}`,
+        link: `/${PERIODIC_REPORT_TYPES[report.type].dir}/${report.period}/`,
+        content_html: marked.parse(formatMarkdownText(replaceImageProxy(env, report.markdown))),
+        published_date: formatDateToGMT8WithTime(new Date()),
+    };
+    const entries = (await listRssReports(env)).filter(existing => existing.report_date !== reportDate);
+    entries.unshift(entry);
+    await storeInKV(env.DATA_KV, RSS_REPORTS_KEY, entries.slice(0, MAX_RSS_REPORTS), null);
+}
+
+/**
+ * RSS 中的周报/月报，最新提交的在前。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listRssReports(env) {
+    return await getFromKV(env.DATA_KV, RSS_REPORTS_KEY) || [];
+}
+
+/**
+ * PERIODIC_REPORT_SCHEDULE 中启用定时生成的报告类型，逗号分隔；留空不定时生成。
+ * @param {object} env - The environment variables.
+ * @returns {Array<string>}
+ * @throws {Error} If an unknown type is configured.
+ */
+export function getScheduledReportTypes(env) {
+    const types = String(env.PERIODIC_REPORT_SCHEDULE || '').split(',').map(type => type.trim()).filter(Boolean);
+    types.forEach(assertReportType);
+    return [...new Set(types)];
+}
+
+/**
+ * 定时任务：每次运行都检查上一期周报/月报，尚未提交时生成并提交。
+ * 不只在周一或 1 日生成，当天的定时任务漏跑或生成失败时，之后几天的运行会补上；已提交过的期数不再重复生成。
+ * 每种报告单独处理，一种失败不影响另一种。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - 定时任务的日期 (YYYY-MM-DD)
+ * @returns {Promise<Array<{type: string, period: string, status: 'committed'|'skipped'|'failed', message?: string}>>}
+ */
+export async function runScheduledPeriodicReports(env, dateStr) {
+    const results = [];
+    let types;
+    try {
+        types = getScheduledReportTypes(env);
+    } catch (error) {
+        console.error('Invalid PERIODIC_REPORT_SCHEDULE:', error);
+        return results;
+    }
+    for (const type of types) {
+        const period = getLastCompletedPeriod(type, dateStr);
+        try {
+            const existing = await getPeriodicReport(env, type, period.id);
+            if (existing && existing.committedAt) {
+                results.push({ type, period: period.id, status: 'skipped', message: `Already committed at ${existing.committedAt}.` });
+                continue;
+            }
+            const report = await generatePeriodicReport(env, type, period.id);
+            console.log(`Scheduled ${type} report ${period.id} committed to ${report.file}.`);
+            results.push({ type, period: period.id, status: 'committed' });
+        } catch (error) {
+            console.error(`Scheduled ${type} report ${period.id} failed:`, error);
+            results.push({ type, period: period.id, status: 'failed', message: error.message });
+        }
+    }
+    return results;
+}
@@ -0,0 +1,223 @@
+// src/pipeline.js
+// 楼市洞察日报 - 每日自动流水线
+// 抓取 → 自动选稿 → AI 生成 → 提交 GitHub → 写入 RSS，每个阶段的进度都记录在 KV 中，失败后可从断点继续
+// 生成的日报有事实核查未通过的内容时（见 factCheck.js），提交前暂停，等待人工在 /drafts 页面确认
+import { getISODate, setFetchDate, convertEnglishQuotesToChinese } from './helpers.js';
+import { storeInKV, getFromKV } from './kv.js';
+import { fetchAllData, mergeWithStoredData, getDataSources } from './dataFetchers.js';
+import { createFeedStateBatch } from './feedState.js';
+import { buildSelectedContentItems, generateDailySummary, saveDailySummaryVersions } from './handlers/genAIContent.js';
+import { handleCommitToGitHub } from './handlers/commitToGitHub.js';
+import { handleWriteRssData } from './handlers/writeRssData.js';
+import { selectTopItems, getRankingReferenceTime } from './ranking.js';
+import { getDraftVersion, markVersionPublished } from './drafts.js';
+import { isFactCheckApprovedFor } from './factCheck.js';
+
+/**
+ * 流水线阶段，按执行顺序排列。
+ * PIPELINE_STOP_AFTER 取其中之一，例如 "generate" 表示生成草稿后暂停，等待人工审核。
+ */
+export const PIPELINE_STAGES = ['fetch', 'select', 'generate', 'commit', 'rss'];
+
+// 流水线状态保留 30 天，便于排查历史运行
+const PIPELINE_STATE_TTL = 86400 * 30;
+
+// 内部调用 handler 时使用的占位地址
+const INTERNAL_ORIGIN = 'https://pipeline.internal';
+
+function getPipelineKey(dateStr) {
+    return `pipeline:${dateStr}`;
+}
+
+/**
+ * 读取某日的流水线运行状态。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {Promise<object|null>} The stored state, or null if the pipeline never ran for that date.
+ */
+export async function getPipelineState(env, dateStr) {
+    return await getFromKV(env.DATA_KV, getPipelineKey(dateStr));
+}
+
+async function savePipelineState(env, state) {
+    state.updatedAt = new Date().toISOString();
+    await storeInKV(env.DATA_KV, getPipelineKey(state.date), state, PIPELINE_STATE_TTL);
+}
+
+function resolveStopAfter(env, stopAfter) {
+    const stage = stopAfter || env.PIPELINE_STOP_AFTER || PIPELINE_STAGES[PIPELINE_STAGES.length - 1];
+    if (!PIPELINE_STAGES.includes(stage)) {
+        throw new Error(`Unknown pipeline stage: ${stage}. Expected one of ${PIPELINE_STAGES.join(', ')}.`);
+    }
+    return stage;
+}
+
+/**
+ * 自动选稿：按 ranking.js 的评分预选每个分类的前 N 条 (RANKING_TOP_N)。
+ * @param {object} env - The environment variables.
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {Promise<Array<string>>} Selected item references in "type:id" form.
+ */
+async function selectItemsForPipeline(env, dateStr) {
+    const allData = {};
+    const dataSources = await getDataSources(env);
+    for (const sourceType in dataSources) {
+        if (Object.hasOwnProperty.call(dataSources, sourceType)) {
+            allData[sourceType] = await getFromKV(env.DATA_KV, `${dateStr}-${sourceType}`) || [];
+        }
+    }
+    return selectTopItems(allData, env, getRankingReferenceTime(dateStr));
+}
+
+const stageRunners = {
+    async fetch(env, dateStr) {
+        // Feed 状态（当天已见条目）在条目写入 KV 之后才保存，写入失败时下次抓取仍会返回这些条目
+        const feedStates = createFeedStateBatch();
+        const allUnifiedData = await mergeWithStoredData(env, dateStr, await fetchAllData(env, undefined, { feedStates }));
+        const itemCounts = {};
+        const storePromises = [];
+        const dataSources = await getDataSources(env);
+        for (const sourceType in dataSources) {
+            if (Object.hasOwnProperty.call(dataSources, sourceType)) {
+                const items = allUnifiedData[sourceType] || [];
+                itemCounts[sourceType] = items.length;
+                storePromises.push(storeInKV(env.DATA_KV, `${dateStr}-${sourceType}`, items));
+            }
+        }
+        await Promise.all(storePromises);
+        await feedStates.commit(env);
+        return { itemCounts };
+    },
+
+    async select(env, dateStr) {
+        const selectedItems = await selectItemsForPipeline(env, dateStr);
+        if (selectedItems.length === 0) {
+            throw new Error(`No items available for ${dateStr}, nothing to select.`);
+        }
+        return { selectedItems };
+    },
+
+    async generate(env, dateStr, state) {
+        const { selectedItems } = state.results.select;
+        const selectedContentItems = await buildSelectedContentItems(env, dateStr, selectedItems);
+        if (selectedContentItems.length === 0) {
+            throw new Error('Selected items could not be retrieved or resulted in no content.');
+        }
+        const summary = await generateDailySummary(env, dateStr, selectedContentItems);
+        const { dailySummaryMarkdownContent, promptsMarkdownContent } = summary;
+        const dailyVersion = await saveDailySummaryVersions(env, dateStr, summary, selectedItems, 'pipeline');
+        return {
+            dailyMd: convertEnglishQuotesToChinese(dailySummaryMarkdownContent),
+            promptsMd: convertEnglishQuotesToChinese(promptsMarkdownContent),
+            versionId: dailyVersion ? dailyVersion.id : null,
+            unsupportedClaims: summary.factCheck.unsupported.length,
+        };
+    },
+
+    async commit(env, dateStr, state) {
+        // 提交保存的日报版本，事实核查及人工确认针对的都是它；版本未保存成功时才使用生成阶段的结果
+        const { versionId, unsupportedClaims = 0 } = state.results.generate;
+        const version = versionId ? await getDraftVersion(env, dateStr, versionId) : null;
+        const dailyMd = version ? version.content : state.results.generate.dailyMd;
+        // 存在无据内容时，必须有针对这份内容的人工确认；版本未保存成功时无法确认，同样等待人工处理
+        if (unsupportedClaims > 0 && !(version && await isFactCheckApprovedFor(version.factCheck, dailyMd))) {
+            const error = new Error(`事实核查发现 ${unsupportedClaims} 处内容在原文中找不到，请在 /drafts?date=${dateStr} 核实并确认 ${versionId || '日报版本'} 后继续。`);
+            error.awaitingApproval = true;
+            throw error;
+        }
+
+        const formData = new FormData();
+        formData.append('date', dateStr);
+        formData.append('daily_summary_markdown', dailyMd);
+
+        const response = await handleCommitToGitHub(new Request(`${INTERNAL_ORIGIN}/commitToGitHub`, { method: 'POST', body: formData }), env);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(`GitHub commit failed: ${result.message}`);
+        }
+        const failed = result.results.filter(r => r.status !== 'Success');
+        if (failed.length > 0) {
+            throw new Error(`GitHub commit failed: ${failed.map(r => `${r.file}: ${r.message}`).join('; ')}`);
+        }
+        if (version) {
+            await markVersionPublished(env, dateStr, version.id);
+        }
+        return { files: result.results.map(r => r.file) };
+    },
+
+    async rss(env, dateStr) {
+        const response = await handleWriteRssData(new Request(`${INTERNAL_ORIGIN}/writeRssData?date=${encodeURIComponent(dateStr)}`), env);
+        if (!response.ok) {
+            throw new Error(`Writing RSS data failed (${response.status}): ${await response.text()}`);
+        }
+        return { reportKey: `${dateStr}-report` };
+    },
+};
+
+/**
+ * 运行（或继续运行）某日的流水线。
+ * 已完成的阶段会被跳过，因此失败后再次调用即可从上次完成的阶段之后继续。
+ * @param {object} env - The environment variables.
+ * @param {object} [options]
+ * @param {string} [options.date] - The date in YYYY-MM-DD format. Defaults to today (Asia/Shanghai).
+ * @param {string} [options.stopAfter] - Last stage to run. Defaults to env.PIPELINE_STOP_AFTER, then 'rss'.
+ * @param {boolean} [options.restart=false] - Discard the stored progress and start from the first stage.
+ * @returns {Promise<object>} The pipeline state after the run.
+ */
+export async function runDailyPipeline(env, { date, stopAfter, restart = false } = {}) {
+    const dateStr = date || getISODate();
+    const lastStage = resolveStopAfter(env, stopAfter);
+    const stagesToRun = PIPELINE_STAGES.slice(0, PIPELINE_STAGES.indexOf(lastStage) + 1);
+
+    let state = restart ? null : await getPipelineState(env, dateStr);
+    if (!state) {
+        state = {
+            date: dateStr,
+            status: 'pending',
+            completedStages: [],
+            currentStage: null,
+            results: {},
+            error: null,
+            startedAt: new Date().toISOString(),
+        };
+    }
+
+    // isDateWithinLastDays 依赖全局抓取日期
+    setFetchDate(dateStr);
+    console.log(`[pipeline] Running for ${dateStr}, stages: ${stagesToRun.join(' → ')}`);
+
+    for (const stage of stagesToRun) {
+        if (state.completedStages.includes(stage)) {
+            console.log(`[pipeline] Stage '${stage}' already completed for ${dateStr}, skipping.`);
+            continue;
+        }
+
+        state.status = 'running';
+        state.currentStage = stage;
+        await savePipelineState(env, state);
+
+        try {
+            console.log(`[pipeline] Starting stage '${stage}'.`);
+            state.results[stage] = await stageRunners[stage](env, dateStr, state);
+            state.completedStages.push(stage);
+            state.error = null;
+            console.log(`[pipeline] Stage '${stage}' completed.`);
+        } catch (error) {
+            if (error.awaitingApproval) {
+                console.warn(`[pipeline] Stage '${stage}' is waiting for approval for ${dateStr}: ${error.message}`);
+            } else {
+                console.error(`[pipeline] Stage '${stage}' failed for ${dateStr}:`, error);
+            }
+            state.status = error.awaitingApproval ? 'awaiting_approval' : 'failed';
+            state.error = { stage, message: error.message, at: new Date().toISOString() };
+            await savePipelineState(env, state);
+            return state;
+        }
+    }
+
+    state.currentStage = null;
+    state.status = state.completedStages.length === PIPELINE_STAGES.length ? 'completed' : 'paused';
+    await savePipelineState(env, state);
+    console.log(`[pipeline] Finished for ${dateStr} with status '${state.status}'.`);
+    return state;
+}
@@ -27,15 +27,17 @@ export function getSystemPromptSummarizationStepOne() {
       - 政策关键词使用 \`行内代码\` 高亮，如 \`限购松绑\`、\`首付比例\`、\`房贷利率\`
       - 城市名称首次出现时加粗
     - 每条摘要控制在 80-150 字，突出核心信息
+    - 来源标注：每条资讯开头的「编号」是其唯一标识，每条新闻末尾用 [^编号] 标注所依据的资讯，如 [^news:123]；合并了多条资讯时依次列出，如 [^news:123][^policy:45]
+    - 只能使用输入中出现的编号，不要输出任何链接或网址，原文链接会根据编号自动生成
 
     **示例输出**：
     ### **今日楼市要闻**
 
     1. **北京优化住房限购政策** \`限购调整\`
-       **北京**市住建委发布新政，非京籍家庭在五环外购房社保年限由**5年**调整为**3年**，预计将释放约**10万**套潜在购房需求...
+       **北京**市住建委发布新政，非京籍家庭在五环外购房社保年限由**5年**调整为**3年**，预计将释放约**10万**套潜在购房需求... [^policy:12]
 
     2. **5月70城新房价格出炉** \`房价数据\`
-       国家统计局公布数据显示，5月份70个大中城市新建商品住宅价格环比上涨城市数量为**23个**，**上海**以环比上涨**0.6%**领涨...
+       国家统计局公布数据显示，5月份70个大中城市新建商品住宅价格环比上涨城市数量为**23个**，**上海**以环比上涨**0.6%**领涨... [^news:34][^finance:7]
 
     **仅输出最终摘要内容，不要包含任何解释性文字。**
     `;
@@ -0,0 +1,246 @@
+// src/promptLibrary.js
+// 楼市洞察日报 - 提示词库
+// 系统提示词可在 /promptAdmin 页面在线修改，每次保存为一个新版本存入 KV，随时可切换回旧版本，修改措辞无需重新部署。
+// src/prompt/*.js 中的函数是内置默认版本（版本号 0），KV 中没有保存过的提示词一律使用内置版本。
+// 模板中可用 {{变量名}} 引用 PROMPT_VARIABLES 中的环境变量，如 {{PODCAST_BEGIN}}，生成时替换为当前配置的值。
+import { storeInKV, getFromKV } from './kv.js';
+import { getSystemPromptSummarizationStepOne } from './prompt/summarizationPromptStepZero.js';
+import { getSystemPromptSummarizationStepThree } from './prompt/summarizationPromptStepThree.js';
+import { getSystemPromptSummarizationMerge } from './prompt/summarizationMergePrompt.js';
+import { getSystemPromptSummarizationJson } from './prompt/summarizationJsonPrompt.js';
+import { getSystemPromptPodcastFormatting, getSystemPromptShortPodcastFormatting } from './prompt/podcastFormattingPrompt.js';
+import { getSystemPromptDailyAnalysis } from './prompt/dailyAnalysisPrompt.js';
+import { getSystemPromptPeriodicReport } from './prompt/periodicReportPrompt.js';
+
+/**
+ * 可在线编辑的提示词及其内置默认版本。
+ */
+export const PROMPT_DEFINITIONS = {
+    summarization: { label: '今日楼市要闻', getDefault: getSystemPromptSummarizationStepOne },
+    summarizationJson: { label: '今日楼市要闻（结构化输出）', getDefault: getSystemPromptSummarizationJson },
+    summarizationMerge: { label: '合并各批摘要', getDefault: getSystemPromptSummarizationMerge },
+    overview: { label: '今日摘要', getDefault: getSystemPromptSummarizationStepThree },
+    podcast: { label: '播客脚本（完整）', getDefault: getSystemPromptPodcastFormatting },
+    podcastShort: { label: '播客脚本（精简）', getDefault: getSystemPromptShortPodcastFormatting },
+    dailyAnalysis: { label: '日报分析', getDefault: getSystemPromptDailyAnalysis },
+    periodicReport: { label: '周报/月报', getDefault: getSystemPromptPeriodicReport },
+};
+
+// 内置版本的版本号
+export const BUILTIN_PROMPT_VERSION = 0;
+
+/**
+ * 模板中可引用的环境变量。渲染后的提示词会发给模型服务并存入生成版本，
+ * 不能引用 GITHUB_TOKEN、API key、LOGIN_PASSWORD 等密钥。
+ */
+export const PROMPT_VARIABLES = ['PODCAST_BEGIN', 'PODCAST_END', 'PODCAST_TITLE', 'DAILY_TITLE', 'WEEKLY_TITLE', 'MONTHLY_TITLE'];
+
+const PROMPT_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// 提示词模板最大长度
+const MAX_TEMPLATE_LENGTH = 20000;
+
+function getPromptKey(key) {
+    return `prompt-library:${key}`;
+}
+
+function assertPromptKey(key) {
+    if (!PROMPT_DEFINITIONS[key]) {
+        throw new Error(`Unknown prompt "${key}", expected one of: ${Object.keys(PROMPT_DEFINITIONS).join(', ')}.`);
+    }
+}
+
+/**
+ * 内置版本的模板：用占位的 env 调用 src/prompt 中的函数，环境变量保留为 {{变量名}}。
+ * @param {string} key - One of PROMPT_DEFINITIONS.
+ * @returns {string}
+ */
+export function getBuiltinTemplate(key) {
+    assertPromptKey(key);
+    const placeholderEnv = new Proxy({}, { get: (target, name) => (typeof name === 'string' ? `{{${name}}}` : undefined) });
+    return PROMPT_DEFINITIONS[key].getDefault(placeholderEnv);
+}
+
+/**
+ * 模板中引用的变量名（去重）。
+ * @param {string} template
+ * @returns {Array<string>}
+ */
+export function getTemplateVariables(template) {
+    return [...new Set([...String(template).matchAll(PROMPT_VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * 用环境变量替换模板中的 {{变量名}}；只替换 PROMPT_VARIABLES 中的变量，
+ * 其他变量和未配置的变量原样保留并记录警告，便于在生成结果中发现。
+ * @param {string} template
+ * @param {object} env - The environment variables.
+ * @returns {string}
+ */
+export function renderPromptTemplate(template, env) {
+    return template.replace(PROMPT_VARIABLE_PATTERN, (match, name) => {
+        if (PROMPT_VARIABLES.includes(name) && typeof env[name] === 'string') return env[name];
+        console.warn(`Prompt variable ${name} is not configured, leaving ${match} in the prompt.`);
+        return match;
+    });
+}
+
+/**
+ * 读取某个提示词的全部版本及当前使用的版本。
+ * @param {object} env - The environment variables.
+ * @param {string} key - One of PROMPT_DEFINITIONS.
+ * @returns {Promise<{key: string, label: string, activeVersion: number, builtinTemplate: string, versions: Array<{version: number, template: string, note: string, author: string|null, createdAt: string}>}>}
+ */
+export async function getPromptRecord(env, key) {
+    assertPromptKey(key);
+    const stored = await getFromKV(env.DATA_KV, getPromptKey(key));
+    return {
+        key,
+        label: PROMPT_DEFINITIONS[key].label,
+        activeVersion: stored ? stored.activeVersion : BUILTIN_PROMPT_VERSION,
+        builtinTemplate: getBuiltinTemplate(key),
+        versions: stored ? stored.versions : [],
+    };
+}
+
+/**
+ * 所有提示词的当前版本概览，用于 /promptAdmin 页面。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<Array<{key: string, label: string, activeVersion: number, latestVersion: number, updatedAt: string|null}>>}
+ */
+export async function listPrompts(env) {
+    return await Promise.all(Object.keys(PROMPT_DEFINITIONS).map(async key => {
+        const record = await getPromptRecord(env, key);
+        const latest = record.versions[record.versions.length - 1];
+        return {
+            key,
+            label: record.label,
+            activeVersion: record.activeVersion,
+            latestVersion: latest ? latest.version : BUILTIN_PROMPT_VERSION,
+            updatedAt: latest ? latest.createdAt : null,
+        };
+    }));
+}
+
+async function savePromptRecord(env, record) {
+    await storeInKV(env.DATA_KV, getPromptKey(record.key), { activeVersion: record.activeVersion, versions: record.versions }, null);
+}
+
+/**
+ * 保存提示词的新版本，并设为当前使用的版本。
+ * @param {object} env - The environment variables.
+ * @param {string} key - One of PROMPT_DEFINITIONS.
+ * @param {object} input
+ * @param {string} input.template - 提示词模板，可引用 {{变量名}}
+ * @param {string} [input.note] - 修改说明
+ * @param {string} [input.author] - 修改人
+ * @returns {Promise<object>} The new version.
+ * @throws {Error} If the template is empty, too long, or references variables that are not in PROMPT_VARIABLES or not configured.
+ */
+export async function savePromptVersion(env, key, { template, note = '', author = null }) {
+    const record = await getPromptRecord(env, key);
+    if (typeof template !== 'string' || !template.trim()) {
+        throw new Error('Prompt template must be a non-empty string.');
+    }
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+        throw new Error(`Prompt template exceeds ${MAX_TEMPLATE_LENGTH} characters.`);
+    }
+    const variables = getTemplateVariables(template);
+    const disallowed = variables.filter(name => !PROMPT_VARIABLES.includes(name));
+    if (disallowed.length > 0) {
+        throw new Error(`Prompt template references variables that are not allowed: ${disallowed.join(', ')}. Allowed: ${PROMPT_VARIABLES.join(', ')}.`);
+    }
+    const missing = variables.filter(name => typeof env[name] !== 'string');
+    if (missing.length > 0) {
+        throw new Error(`Prompt template references variables that are not configured: ${missing.join(', ')}.`);
+    }
+    const latest = record.versions[record.versions.length - 1];
+    const version = {
+        version: (latest ? latest.version : BUILTIN_PROMPT_VERSION) + 1,
+        template,
+        note: String(note || '').trim(),
+        author,
+        createdAt: new Date().toISOString(),
+    };
+    record.versions.push(version);
+    record.activeVersion = version.version;
+    await savePromptRecord(env, record);
+    console.log(`Saved prompt ${key} v${version.version}.`);
+    return version;
+}
+
+/**
+ * 切换提示词当前使用的版本，用于回滚；版本号 0 为内置版本。
+ * @param {object} env - The environment variables.
+ * @param {string} key - One of PROMPT_DEFINITIONS.
+ * @param {number} version
+ * @returns {Promise<object>} The updated record, as returned by getPromptRecord().
+ * @throws {Error} If the version does not exist.
+ */
+export async function activatePromptVersion(env, key, version) {
+    const record = await getPromptRecord(env, key);
+    const target = Number(version);
+    if (target !== BUILTIN_PROMPT_VERSION && !record.versions.some(entry => entry.version === target)) {
+        throw new Error(`Prompt ${key} has no version ${version}.`);
+    }
+    record.activeVersion = target;
+    await savePromptRecord(env, record);
+    console.log(`Prompt ${key} now uses v${target}.`);
+    return record;
+}
+
+/**
+ * 读取生成时使用的系统提示词。
+ * @param {object} env - The environment variables.
+ * @param {string} key - One of PROMPT_DEFINITIONS.
+ * @param {object} [options]
+ * @param {number} [options.version] - 指定版本，默认为当前使用的版本
+ * @returns {Promise<{key: string, version: number, text: string}>} version 记录在生成的版本中（见 drafts.js），0 为内置版本
+ * @throws {Error} If the requested version does not exist.
+ */
+export async function getPrompt(env, key, { version } = {}) {
+    assertPromptKey(key);
+    const stored = await getFromKV(env.DATA_KV, getPromptKey(key));
+    const target = version === undefined || version === null ? (stored ? stored.activeVersion : BUILTIN_PROMPT_VERSION) : Number(version);
+    if (target === BUILTIN_PROMPT_VERSION) {
+        return { key, version: BUILTIN_PROMPT_VERSION, text: PROMPT_DEFINITIONS[key].getDefault(env) };
+    }
+    const entry = stored && stored.versions.find(candidate => candidate.version === target);
+    if (!entry) {
+        throw new Error(`Prompt ${key} has no version ${target}.`);
+    }
+    return { key, version: target, text: renderPromptTemplate(entry.template, env) };
+}
+
+/**
+ * 校验按提示词指定的版本，用于对比生成和效果评估。
+ * @param {object} value - { 提示词: 版本号 }；版本为空表示使用当前版本
+ * @returns {Object<string, number>}
+ * @throws {Error} If a key is unknown or a version is not a non-negative integer.
+ */
+export function parsePromptVersions(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('prompts must be an object keyed by prompt.');
+    }
+    const versions = {};
+    for (const [key, version] of Object.entries(value)) {
+        assertPromptKey(key);
+        if (version === '' || version === null || version === undefined) continue;
+        const number = Number(version);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`prompts.${key} must be a version number.`);
+        }
+        versions[key] = number;
+    }
+    return versions;
+}
+
+/**
+ * 提示词版本的显示名称，如「今日摘要 v3」「今日摘要 内置」。
+ * @param {{key: string, version: number}} prompt
+ * @returns {string}
+ */
+export function formatPromptVersion(prompt) {
+    const label = PROMPT_DEFINITIONS[prompt.key] ? PROMPT_DEFINITIONS[prompt.key].label : prompt.key;
+    return `${label} ${prompt.version === BUILTIN_PROMPT_VERSION ? '内置' : `v${prompt.version}`}`;
+}
@@ -0,0 +1,177 @@
+// src/ranking.js
+// 楼市洞察日报 - 资讯自动评分与选稿
+// 按楼市关键词相关度、来源权重、时效性和多源报道程度为每条资讯打分，并预选每个分类的前 N 条
+import { normalizeText, getShingles, jaccard } from './dedup.js';
+
+/**
+ * 楼市关键词及权重。标题命中按双倍计分。
+ * 可通过 RANKING_EXTRA_KEYWORDS 追加，格式为 "关键词:权重,关键词:权重"。
+ */
+const REALESTATE_KEYWORDS = {
+    '限购': 3, '限贷': 3, '限售': 3, '房贷利率': 3, '首付': 3, '保交楼': 3, '土拍': 3, '土地出让': 3,
+    '房价': 3, '楼市': 3, '房地产': 3, '房企': 2, '成交': 2, '商品房': 2, '新房': 2, '二手房': 2,
+    '住建': 2, '公积金': 2, 'LPR': 2, '地块': 2, '拿地': 2, '去库存': 2, '收储': 2, '城中村': 2,
+    '开发商': 2, '住房': 2, '租赁': 1, '物业': 1, '销售额': 1, '按揭': 1,
+};
+
+// 各分类的默认来源权重，再乘以注册表中的 Feed 权重；可通过 RANKING_SOURCE_WEIGHTS 按来源名称覆盖，格式为 "来源名称:权重,..."
+const CATEGORY_WEIGHTS = {
+    news: 1.0,
+    policy: 1.2,
+    finance: 0.8,
+    general: 0.8,
+};
+
+const KEYWORD_SCORE_CAP = 30;
+const FRESHNESS_MAX_SCORE = 10;
+const FRESHNESS_HALF_LIFE_HOURS = 12;
+const COVERAGE_SCORE_PER_SOURCE = 5;
+const COVERAGE_SCORE_CAP = 15;
+const TITLE_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * 解析 "key:value,key:value" 形式的环境变量，未写权重的项使用 defaultValue。
+ */
+function parseWeightList(value, defaultValue) {
+    const result = {};
+    if (!value) return result;
+    value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [key, weight] = part.split(':').map(s => s.trim());
+        const parsed = parseFloat(weight);
+        result[key] = Number.isNaN(parsed) ? defaultValue : parsed;
+    });
+    return result;
+}
+
+function getRankingConfig(env) {
+    return {
+        keywords: { ...REALESTATE_KEYWORDS, ...parseWeightList(env.RANKING_EXTRA_KEYWORDS, 1) },
+        sourceWeights: parseWeightList(env.RANKING_SOURCE_WEIGHTS, 1),
+        topN: parseInt(env.RANKING_TOP_N || '10', 10),
+        minScore: parseFloat(env.RANKING_MIN_SCORE || '0'),
+    };
+}
+
+/**
+ * 统计每条资讯被多少个其他来源报道过：去重聚类时合并的 `alternates`，
+ * 加上标题字符二元组相似度达到阈值的其他条目。
+ * @param {Array<object>} items - All unified items of the day, across categories.
+ * @returns {Map<object, Set<string>>} For each item, the other sources covering the same story.
+ */
+function computeCoverage(items) {
+    const grams = items.map(item => getShingles(normalizeText(item.title)));
+    const coverage = new Map(items.map(item => [item, new Set(
+        (item.alternates || []).map(alt => alt.source).filter(source => source && source !== item.source)
+    )]));
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (items[i].source === items[j].source) continue;
+            if (jaccard(grams[i], grams[j]) >= TITLE_SIMILARITY_THRESHOLD) {
+                coverage.get(items[i]).add(items[j].source);
+                coverage.get(items[j]).add(items[i].source);
+            }
+        }
+    }
+    return coverage;
+}
+
+function scoreKeywords(item, keywords) {
+    const title = item.title || '';
+    const body = `${item.description || ''}`;
+    const hits = [];
+    let score = 0;
+    for (const [word, weight] of Object.entries(keywords)) {
+        if (title.includes(word)) {
+            score += weight * 2;
+            hits.push(`${word}(标题)`);
+        } else if (body.includes(word)) {
+            score += weight;
+            hits.push(word);
+        }
+    }
+    return { score: Math.min(score, KEYWORD_SCORE_CAP), hits };
+}
+
+function scoreFreshness(item, now) {
+    const published = new Date(item.published_date).getTime();
+    if (Number.isNaN(published)) return { score: 0, hours: null };
+    const hours = Math.max(0, (now - published) / 3600000);
+    return { score: FRESHNESS_MAX_SCORE * Math.pow(0.5, hours / FRESHNESS_HALF_LIFE_HOURS), hours };
+}
+
+function getSourceWeight(item, config) {
+    if (item.source && config.sourceWeights[item.source] !== undefined) {
+        return config.sourceWeights[item.source];
+    }
+    // 数据源注册表中为单个 Feed 配置的权重（见 sourceRegistry.js）
+    const feedWeight = item.details?.feed_weight ?? 1;
+    return Math.round((CATEGORY_WEIGHTS[item.type] ?? 1.0) * feedWeight * 100) / 100;
+}
+
+/**
+ * 为所有分类的资讯打分，并在每个分类中预选得分最高的前 N 条。
+ * 每条资讯会被附加 `ranking` 字段：{ score, reasons, selected }，各分类内按得分从高到低排序。
+ * @param {object} allData - Unified items keyed by category id, as stored in KV.
+ * @param {object} env - The environment variables.
+ * @param {Date} [now] - Reference time for freshness. Defaults to the current time.
+ * @returns {object} Ranked items keyed by category id.
+ */
+export function rankAllData(allData, env, now = new Date()) {
+    const config = getRankingConfig(env);
+    const allItems = Object.values(allData || {}).flat();
+    const coverage = computeCoverage(allItems);
+    const ranked = {};
+
+    for (const [category, items] of Object.entries(allData || {})) {
+        ranked[category] = (items || []).map(item => {
+            const keyword = scoreKeywords(item, config.keywords);
+            const freshness = scoreFreshness(item, now.getTime());
+            const otherSources = coverage.get(item) || new Set();
+            const coverageScore = Math.min(otherSources.size * COVERAGE_SCORE_PER_SOURCE, COVERAGE_SCORE_CAP);
+            const sourceWeight = getSourceWeight(item, config);
+            const score = Math.round((keyword.score + freshness.score + coverageScore) * sourceWeight * 10) / 10;
+
+            const reasons = [];
+            reasons.push(keyword.hits.length > 0 ? `关键词 +${keyword.score}: ${keyword.hits.join('、')}` : '无楼市关键词');
+            if (freshness.hours !== null) reasons.push(`时效 +${freshness.score.toFixed(1)} (${Math.round(freshness.hours)} 小时前)`);
+            if (otherSources.size > 0) reasons.push(`多源报道 +${coverageScore}: ${[...otherSources].join('、')}`);
+            if (sourceWeight !== 1) reasons.push(`来源权重 ×${sourceWeight}`);
+
+            return { ...item, ranking: { score, reasons, selected: false } };
+        });
+
+        ranked[category].sort((a, b) => b.ranking.score - a.ranking.score);
+        ranked[category]
+            .filter(item => item.ranking.score >= config.minScore)
+            .slice(0, config.topN)
+            .forEach(item => { item.ranking.selected = true; });
+    }
+    return ranked;
+}
+
+/**
+ * 某日报日期评分时的参考时间：该日（北京时间）结束时，尚未结束的当天取当前时间。
+ * 查看或重新评分过去某天的资讯时，时效按当天计算，而不是按查看时的时间全部记为过期。
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @param {Date} [now] - The current time.
+ * @returns {Date}
+ */
+export function getRankingReferenceTime(dateStr, now = new Date()) {
+    const endOfDay = new Date(`${dateStr}T23:59:59.999+08:00`);
+    if (Number.isNaN(endOfDay.getTime())) return now;
+    return endOfDay < now ? endOfDay : now;
+}
+
+/**
+ * 无界面自动选稿：返回每个分类预选条目的引用。
+ * @param {object} allData - Unified items keyed by category id.
+ * @param {object} env - The environment variables.
+ * @param {Date} [now] - Reference time for freshness, see getRankingReferenceTime(). Defaults to the current time.
+ * @returns {Array<string>} Selected item references in "type:id" form, highest score first per category.
+ */
+export function selectTopItems(allData, env, now = new Date()) {
+    const ranked = rankAllData(allData, env, now);
+    return Object.values(ranked).flat()
+        .filter(item => item.ranking.selected)
+        .map(item => `${item.type}:${item.id}`);
+}
@@ -0,0 +1,143 @@
+// src/sourceRegistry.js
+// 楼市洞察日报 - 数据源注册表
+// 分类和 Feed 列表保存在 KV 中，可在 /sourceAdmin 页面或 /sourceRegistry 接口在线修改，新增 Feed 或分类无需重新部署。
+// KV 中还没有注册表时，按 wrangler.toml 中的 RSS_* 变量生成默认注册表。
+import { storeInKV, getFromKV } from './kv.js';
+import { normalizeFilterRules } from './filterRules.js';
+
+const SOURCE_REGISTRY_KEY = 'source-registry';
+
+// 默认分类及其对应的环境变量
+const DEFAULT_CATEGORIES = [
+    { id: 'news', name: '楼市资讯', emoji: '🏠', envKey: 'RSS_REALESTATE_NEWS' },
+    { id: 'finance', name: '财经资讯', emoji: '📊', envKey: 'RSS_FINANCE_NEWS' },
+    { id: 'policy', name: '政策动态', emoji: '📜', envKey: 'RSS_POLICY_NEWS' },
+    { id: 'general', name: '综合资讯', emoji: '📰', envKey: 'RSS_GENERAL_NEWS' },
+];
+
+// 分类 id 会出现在 KV key (`${date}-${id}`) 和选稿引用 ("id:itemId") 中
+const CATEGORY_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const RESERVED_CATEGORY_IDS = ['report'];
+
+/**
+ * 按环境变量生成默认注册表。
+ * @param {object} env - The environment variables.
+ * @returns {object} { categories: [{ id, name, emoji, enabled, feeds: [{ url, weight, enabled, fullText }], rules: [{ id, type, value, enabled }] }] }
+ */
+export function getDefaultRegistry(env) {
+    return {
+        categories: DEFAULT_CATEGORIES.map(category => ({
+            id: category.id,
+            name: category.name,
+            emoji: category.emoji,
+            enabled: true,
+            feeds: (env[category.envKey] || '').split(',').map(url => url.trim()).filter(url => url)
+                .map(url => ({ url, weight: 1, enabled: true, fullText: false })),
+            rules: [],
+        })),
+        updatedAt: null,
+        isDefault: true,
+    };
+}
+
+/**
+ * 校验并规范化注册表，缺省字段补默认值。
+ * @param {object} registry
+ * @returns {object} The normalized registry.
+ * @throws {Error} If the registry is malformed; the message describes the first problem found.
+ */
+export function validateRegistry(registry) {
+    if (!registry || !Array.isArray(registry.categories) || registry.categories.length === 0) {
+        throw new Error('Registry must contain a non-empty "categories" array.');
+    }
+    const ids = new Set();
+    const categories = registry.categories.map((category, index) => {
+        const id = String(category.id || '').trim();
+        if (!CATEGORY_ID_PATTERN.test(id)) {
+            throw new Error(`Category #${index + 1}: id "${id}" must start with a letter and contain only letters, digits or "_".`);
+        }
+        if (RESERVED_CATEGORY_IDS.includes(id)) {
+            throw new Error(`Category #${index + 1}: id "${id}" is reserved.`);
+        }
+        if (ids.has(id)) {
+            throw new Error(`Category #${index + 1}: duplicate id "${id}".`);
+        }
+        ids.add(id);
+
+        const name = String(category.name || '').trim();
+        if (!name) {
+            throw new Error(`Category "${id}": name is required.`);
+        }
+        if (category.feeds !== undefined && !Array.isArray(category.feeds)) {
+            throw new Error(`Category "${id}": feeds must be an array.`);
+        }
+
+        const urls = new Set();
+        const feeds = (category.feeds || []).map((feed, feedIndex) => {
+            const url = String((typeof feed === 'string' ? feed : feed && feed.url) || '').trim();
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (e) {
+                throw new Error(`Category "${id}", feed #${feedIndex + 1}: invalid URL "${url}".`);
+            }
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                throw new Error(`Category "${id}", feed #${feedIndex + 1}: only http(s) URLs are supported.`);
+            }
+            if (urls.has(url)) {
+                throw new Error(`Category "${id}": duplicate feed "${url}".`);
+            }
+            urls.add(url);
+
+            const weight = feed.weight === undefined || feed.weight === '' ? 1 : Number(feed.weight);
+            if (!Number.isFinite(weight) || weight < 0) {
+                throw new Error(`Category "${id}", feed "${url}": weight must be a non-negative number.`);
+            }
+            // fullText: 对只有摘要的 Feed 抓取原文提取全文
+            return { url, weight, enabled: feed.enabled !== false, fullText: feed.fullText === true };
+        });
+
+        return {
+            id,
+            name,
+            emoji: String(category.emoji || '').trim() || '📰',
+            enabled: category.enabled !== false,
+            feeds,
+            // 过滤规则，见 filterRules.js
+            rules: normalizeFilterRules(category.rules, id),
+        };
+    });
+    return { categories };
+}
+
+/**
+ * 读取数据源注册表；KV 中没有时返回按环境变量生成的默认注册表（isDefault 为 true）。
+ * @param {object} env - The environment variables.
+ * @returns {Promise<object>}
+ */
+export async function getSourceRegistry(env) {
+    const stored = await getFromKV(env.DATA_KV, SOURCE_REGISTRY_KEY);
+    return stored || getDefaultRegistry(env);
+}
+
+/**
+ * 校验并保存注册表，永久保存（不设过期时间）。
+ * @param {object} env - The environment variables.
+ * @param {object} registry
+ * @returns {Promise<object>} The saved registry.
+ * @throws {Error} If the registry is malformed.
+ */
+export async function saveSourceRegistry(env, registry) {
+    const normalized = validateRegistry(registry);
+    normalized.updatedAt = new Date().toISOString();
+    await storeInKV(env.DATA_KV, SOURCE_REGISTRY_KEY, normalized, null);
+    return normalized;
+}
+
+/**
+ * 删除 KV 中的注册表，恢复为环境变量中的默认配置。
+ * @param {object} env - The environment variables.
+ */
+export async function resetSourceRegistry(env) {
+    await env.DATA_KV.delete(SOURCE_REGISTRY_KEY);
+}
@@ -0,0 +1,93 @@
+// src/textDiff.js
+// 楼市洞察日报 - 按行比较文本差异，用于记录日报草稿中的人工修改
+
+// 超过该规模（行数乘积）时不再做逐行 LCS，整段视为一处修改，避免大文本耗尽 CPU 时间
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * 按行比较两段文本。
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'equal'|'add'|'remove', line: string}>} 编辑脚本，按新文本顺序排列
+ */
+export function diffLines(oldText, newText) {
+    const a = String(oldText || '').split('\n');
+    const b = String(newText || '').split('\n');
+
+    // 先去掉相同的开头和结尾，只对中间部分做 LCS
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => ({ type: 'equal', line }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        midA.forEach(line => ops.push({ type: 'remove', line }));
+        midB.forEach(line => ops.push({ type: 'add', line }));
+    } else {
+        // lengths[i][j]: midA[i..] 与 midB[j..] 的最长公共子序列长度
+        const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lengths[i][j] = midA[i] === midB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                ops.push({ type: 'equal', line: midA[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                ops.push({ type: 'remove', line: midA[i++] });
+            } else {
+                ops.push({ type: 'add', line: midB[j++] });
+            }
+        }
+        while (i < midA.length) ops.push({ type: 'remove', line: midA[i++] });
+        while (j < midB.length) ops.push({ type: 'add', line: midB[j++] });
+    }
+
+    a.slice(endA).forEach(line => ops.push({ type: 'equal', line }));
+    return ops;
+}
+
+/**
+ * 将编辑脚本合并为连续的修改块。
+ * @param {Array<{type: string, line: string}>} ops - diffLines() 的结果
+ * @returns {Array<{oldStart: number, newStart: number, removed: string[], added: string[]}>} 行号从 1 开始
+ */
+export function getDiffHunks(ops) {
+    const hunks = [];
+    let current = null;
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        if (op.type === 'equal') {
+            current = null;
+            oldLine++;
+            newLine++;
+            continue;
+        }
+        if (!current) {
+            current = { oldStart: oldLine, newStart: newLine, removed: [], added: [] };
+            hunks.push(current);
+        }
+        if (op.type === 'remove') {
+            current.removed.push(op.line);
+            oldLine++;
+        } else {
+            current.added.push(op.line);
+            newLine++;
+        }
+    }
+    return hunks;
+}
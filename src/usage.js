@@ -0,0 +1,184 @@
+// src/usage.js
+// 楼市洞察日报 - 模型调用用量与费用
+// 每次模型调用（包括失败后切换供应商的尝试）都记录 token 数、耗时、模型和步骤，每次调用一个 KV 键 `usage:${YYYY-MM}:${时间}:${随机后缀}`，
+// 记录同时存入键的 metadata，按月 list 即可读出全部记录，并发调用互不覆盖。
+// /usage 页面按 LLM_PRICES 价格表计算每月费用；配置 LLM_MONTHLY_BUDGET 后，本月费用达到上限即拒绝新的模型调用。
+import { getFromKV } from './kv.js';
+import { getISODate } from './helpers.js';
+
+// 用量记录保留约 13 个月，便于同比
+const USAGE_TTL = 86400 * 400;
+
+// KV metadata 最多 1024 字节，记录中的错误信息截断到这个长度
+const MAX_ERROR_LENGTH = 150;
+
+// 旧版本把一个月的记录存成一个数组
+function getLegacyUsageKey(month) {
+    return `usage:${month}`;
+}
+
+function getUsagePrefix(month) {
+    return `usage:${month}:`;
+}
+
+/**
+ * 某个时间所在的月份（北京时间），如 "2025-06"。
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getUsageMonth(date = new Date()) {
+    return getISODate(date).slice(0, 7);
+}
+
+/**
+ * 读取某月的全部调用记录，按时间排列。
+ * @param {object} env - The environment variables.
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Array<object>>}
+ */
+export async function getMonthlyUsage(env, month) {
+    const entries = [...(await getFromKV(env.DATA_KV, getLegacyUsageKey(month)) || [])];
+    let cursor;
+    do {
+        const page = await env.DATA_KV.list({ prefix: getUsagePrefix(month), cursor });
+        for (const key of page.keys) {
+            if (key.metadata) entries.push(key.metadata);
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return entries.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * 记录一次模型调用。记录失败只写日志，不影响生成。
+ * @param {object} env - The environment variables.
+ * @param {object} entry
+ * @param {string} entry.step - 生成步骤，如 'digest'，见 llmProviders.js GENERATION_STEPS
+ * @param {string} entry.provider - 供应商名称
+ * @param {string} entry.model - 模型名称
+ * @param {number|null} entry.promptTokens - 输入 token 数，接口未返回时为 null
+ * @param {number|null} entry.completionTokens - 输出 token 数，接口未返回时为 null
+ * @param {number} entry.latencyMs - 耗时（流式调用计算到输出结束）
+ * @param {string|null} entry.error - 失败时的错误信息
+ */
+export async function recordUsage(env, entry) {
+    try {
+        const at = new Date();
+        const record = { at: at.toISOString(), date: getISODate(at), ...entry };
+        if (record.error) record.error = String(record.error).slice(0, MAX_ERROR_LENGTH);
+        const key = `${getUsagePrefix(getUsageMonth(at))}${record.at}:${crypto.randomUUID().slice(0, 8)}`;
+        await env.DATA_KV.put(key, JSON.stringify(record), { expirationTtl: USAGE_TTL, metadata: record });
+    } catch (error) {
+        console.error('Failed to record model usage:', error);
+    }
+}
+
+/**
+ * 模型价格表 LLM_PRICES：{ "模型或 供应商:模型": { "input": 输入单价, "output": 输出单价 } }，单价为每百万 tokens 的费用。
+ * @param {object} env - The environment variables.
+ * @returns {object}
+ * @throws {Error} If LLM_PRICES is not valid JSON or a price is malformed.
+ */
+export function getPriceTable(env) {
+    const raw = (env.LLM_PRICES || '').trim();
+    if (!raw) return {};
+    let prices;
+    try {
+        prices = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+    }
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+        throw new Error('LLM_PRICES must be a JSON object keyed by model.');
+    }
+    for (const [model, price] of Object.entries(prices)) {
+        for (const field of ['input', 'output']) {
+            if (!price || !Number.isFinite(Number(price[field])) || Number(price[field]) < 0) {
+                throw new Error(`LLM_PRICES["${model}"].${field} must be a non-negative number.`);
+            }
+        }
+    }
+    return prices;
+}
+
+/**
+ * 单次调用的费用；价格表中没有该模型或接口未返回用量时为 null。
+ * 先按 "供应商:模型" 查找，再按模型名查找。
+ * @param {object} prices - Result of getPriceTable().
+ * @param {object} entry - A usage entry.
+ * @returns {number|null}
+ */
+export function getEntryCost(prices, entry) {
+    const price = prices[`${entry.provider}:${entry.model}`] || prices[entry.model];
+    if (!price || entry.promptTokens === null || entry.completionTokens === null) return null;
+    return (entry.promptTokens * Number(price.input) + entry.completionTokens * Number(price.output)) / 1e6;
+}
+
+function addToGroup(groups, key, entry, cost) {
+    const group = groups.get(key) || { key, calls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, cost: 0, unpricedCalls: 0 };
+    group.calls++;
+    if (entry.error) group.failedCalls++;
+    group.promptTokens += entry.promptTokens || 0;
+    group.completionTokens += entry.completionTokens || 0;
+    group.latencyMs += entry.latencyMs || 0;
+    if (cost === null) {
+        if (!entry.error) group.unpricedCalls++;
+    } else {
+        group.cost += cost;
+    }
+    groups.set(key, group);
+}
+
+/**
+ * 汇总调用记录：总计，以及按模型、步骤、日期分组的调用次数、token 数、耗时和费用。
+ * @param {Array<object>} entries - Usage entries from getMonthlyUsage().
+ * @param {object} prices - Result of getPriceTable().
+ * @returns {{totals: object, byModel: Array<object>, byStep: Array<object>, byDay: Array<object>}}
+ */
+export function summarizeUsage(entries, prices) {
+    const totals = new Map();
+    const byModel = new Map();
+    const byStep = new Map();
+    const byDay = new Map();
+    for (const entry of entries) {
+        const cost = getEntryCost(prices, entry);
+        addToGroup(totals, 'total', entry, cost);
+        addToGroup(byModel, `${entry.provider}:${entry.model}`, entry, cost);
+        addToGroup(byStep, entry.step || 'other', entry, cost);
+        addToGroup(byDay, entry.date, entry, cost);
+    }
+    const sortByCost = groups => [...groups.values()].sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+    return {
+        totals: totals.get('total') || { key: 'total', calls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, cost: 0, unpricedCalls: 0 },
+        byModel: sortByCost(byModel),
+        byStep: sortByCost(byStep),
+        byDay: [...byDay.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    };
+}
+
+/**
+ * 每月预算上限 LLM_MONTHLY_BUDGET，未配置时为 null（不限制）。
+ * @param {object} env - The environment variables.
+ * @returns {number|null}
+ */
+export function getMonthlyBudget(env) {
+    const budget = parseFloat(env.LLM_MONTHLY_BUDGET || '');
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * 本月费用达到预算上限时拒绝新的模型调用。
+ * @param {object} env - The environment variables.
+ * @throws {Error} With `budgetExceeded` set, once the month's cost reaches LLM_MONTHLY_BUDGET.
+ */
+export async function assertWithinBudget(env) {
+    const budget = getMonthlyBudget(env);
+    if (budget === null) return;
+    const month = getUsageMonth();
+    const { totals } = summarizeUsage(await getMonthlyUsage(env, month), getPriceTable(env));
+    if (totals.cost >= budget) {
+        const error = new Error(`本月 (${month}) 模型调用费用 ${totals.cost.toFixed(2)} 已达到预算上限 ${budget} (LLM_MONTHLY_BUDGET)，已停止生成。详见 /usage 页面。`);
+        error.budgetExceeded = true;
+        throw error;
+    }
+}
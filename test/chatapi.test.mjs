@@ -0,0 +1,96 @@
+// test/chatapi.test.mjs
+// 模型调用的超时要覆盖响应体的读取，流式调用按相邻两块的间隔计时
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit, MOCK_LLM_ORIGIN } from '../src/devkit/index.js';
+import { callChatAPI, callChatAPIStream } from '../src/chatapi.js';
+
+const SLOW_ORIGIN = 'https://slow-llm.test';
+const encoder = new TextEncoder();
+
+function sseEvent(text) {
+    return encoder.encode(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: text } }] })}\n\n`);
+}
+
+// 先发送 chunks，之后一直不结束，直到请求被中止
+function stallingResponse(request, chunks = []) {
+    const body = new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(chunk);
+            request.signal.addEventListener('abort', () => controller.error(request.signal.reason));
+        },
+    });
+    return new Response(body, { headers: { 'Content-Type': 'application/json' } });
+}
+
+function createKit(slowFetch) {
+    return createDevKit({
+        chat: { responses: [{ text: '备用供应商的应答', repeat: true }] },
+        vars: {
+            LLM_PROVIDERS: JSON.stringify([
+                { name: 'slow', url: SLOW_ORIGIN, model: 'slow-model', timeoutMs: 100 },
+                { name: 'mock', url: MOCK_LLM_ORIGIN, model: 'mock-model' },
+            ]),
+        },
+        routes: { [SLOW_ORIGIN]: { fetch: slowFetch } },
+    });
+}
+
+async function collect(stream) {
+    let text = '';
+    for await (const chunk of stream) text += chunk;
+    return text;
+}
+
+test('响应头及时返回、响应体迟迟不结束时按超时切换到下一个供应商', async () => {
+    const kit = createKit(async request => stallingResponse(request, [encoder.encode('{"choices":[')]));
+    try {
+        const callInfo = {};
+        const text = await callChatAPI(kit.env, '总结今日楼市', null, { callInfo });
+        assert.equal(text, '备用供应商的应答');
+        assert.equal(callInfo.provider, 'mock');
+        assert.equal(callInfo.fallbacks.length, 1);
+        assert.match(callInfo.fallbacks[0].error, /timed out after 100ms/);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('流式调用在首块之前停顿超时时切换到下一个供应商', async () => {
+    const kit = createKit(async request => stallingResponse(request));
+    try {
+        const callInfo = {};
+        const text = await collect(callChatAPIStream(kit.env, '总结今日楼市', null, { callInfo }));
+        assert.equal(text, '备用供应商的应答');
+        assert.equal(callInfo.provider, 'mock');
+        assert.match(callInfo.fallbacks[0].error, /timed out after 100ms/);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('流式调用每块都在间隔内到达时，总时长超过 timeoutMs 也能读完', async () => {
+    const kit = createKit(async () => {
+        const parts = ['北京', '优化', '限购', '政策', '。'];
+        const body = new ReadableStream({
+            async pull(controller) {
+                if (parts.length === 0) {
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                    controller.close();
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, 40));
+                controller.enqueue(sseEvent(parts.shift()));
+            },
+        });
+        return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    });
+    try {
+        const callInfo = {};
+        const text = await collect(callChatAPIStream(kit.env, '总结今日楼市', null, { callInfo }));
+        assert.equal(text, '北京优化限购政策。');
+        assert.equal(callInfo.provider, 'slow');
+    } finally {
+        kit.restore();
+    }
+});
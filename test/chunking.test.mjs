@@ -0,0 +1,99 @@
+// test/chunking.test.mjs
+// 按上下文分批：预算边界、超出预算的单个条目，以及分批摘要后逐轮合并
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit, createDevEnv, MOCK_LLM_ORIGIN } from '../src/devkit/index.js';
+import { estimateTokens, truncateToTokens, getInputTokenBudget, splitIntoBatches, joinItems, ITEM_SEPARATOR } from '../src/chunking.js';
+import { generateDailySummary } from '../src/handlers/genAIContent.js';
+
+// 分隔符为 10 个半角字符，估算为 3 个 token
+const SEPARATOR_TOKENS = estimateTokens(ITEM_SEPARATOR);
+
+function providers(contextTokens) {
+    return JSON.stringify([{ name: 'mock', url: MOCK_LLM_ORIGIN, model: 'mock-model', contextTokens }]);
+}
+
+test('估算 tokens：汉字按 1 个计，半角字符约 4 个 1 个', () => {
+    assert.equal(SEPARATOR_TOKENS, 3);
+    assert.equal(estimateTokens('北京限购'), 4);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+    assert.equal(estimateTokens('LPR下调10个基点'), 5 + 2);
+    assert.equal(truncateToTokens('北京限购', 4), '北京限购');
+    assert.equal(truncateToTokens('北京优化住房限购政策', 5), '北京优化…');
+});
+
+test('输入预算：取供应商链中最小的上下文，扣除系统提示词和输出预留', () => {
+    const env = createDevEnv({
+        vars: {
+            LLM_PROVIDERS: JSON.stringify([
+                { name: 'large', url: MOCK_LLM_ORIGIN, model: 'a', contextTokens: 100000 },
+                { name: 'small', url: MOCK_LLM_ORIGIN, model: 'b', contextTokens: 1000 },
+            ]),
+        },
+    });
+    // 1000 × 0.8 - 2 - 100
+    assert.equal(getInputTokenBudget(env, { maxTokens: 100 }, '系统'), 698);
+    // 未设置 maxTokens 时预留 2048
+    assert.throws(() => getInputTokenBudget(env, {}, '系统'), /too small for the system prompt and 2048 output tokens/);
+});
+
+test('批次恰好等于预算时放在一起，超出 1 个 token 时拆开', () => {
+    const items = ['北京限购政策调整通知', '深圳二手房成交创新高'];
+    // 每条 10 个 token，加分隔符 13 个；首尾分隔符 3 个
+    assert.deepEqual(splitIntoBatches(items, 3 + 13 + 13), [items]);
+    assert.deepEqual(splitIntoBatches(items, 3 + 13 + 13 - 1), [[items[0]], [items[1]]]);
+    for (const batch of splitIntoBatches(items, 3 + 13 + 13)) {
+        assert.ok(estimateTokens(joinItems(batch)) <= 3 + 13 + 13);
+    }
+});
+
+test('超出预算的单个条目截断后独占一批，前后条目不受影响', () => {
+    const small = '广州土拍溢价回升';
+    const large = '北京'.repeat(50);
+    const batches = splitIntoBatches([small, large, small], 20);
+    assert.equal(batches.length, 3);
+    assert.deepEqual(batches[0], [small]);
+    assert.deepEqual(batches[2], [small]);
+    const [truncated] = batches[1];
+    assert.ok(truncated.endsWith('…'));
+    assert.ok(large.startsWith(truncated.slice(0, -1)));
+    // 截断到预算减去首尾分隔符
+    assert.equal(estimateTokens(truncated), 20 - SEPARATOR_TOKENS * 2);
+    assert.ok(estimateTokens(joinItems(batches[1])) <= 20);
+});
+
+test('条目超出上下文时分批摘要，合并输入仍超出时逐轮分组合并', async () => {
+    // 上下文 2000：要闻输入预算 1600 - 802 - 100 = 698，每批放下 2 条约 300 tokens 的条目；
+    // 合并输入预算 1600 - 404 - 100 = 1096，3 份约 500 tokens 的批次摘要要先两两合并一轮
+    const kit = createDevKit({ vars: { LLM_PROVIDERS: providers(2000) } });
+    const batchSummary = index => `### **今日楼市要闻**\n\n1. **第${index}批要闻**\n   ${'房'.repeat(500)}`;
+    const roundSummary = index => `### **今日楼市要闻**\n\n1. **第${index}组合并要闻**\n   成交回暖。`;
+    const finalDigest = '### **今日楼市要闻**\n\n1. **最终合并要闻**\n   各地楼市成交回暖。';
+    kit.chat.script([batchSummary(1), batchSummary(2), batchSummary(3), roundSummary(1), roundSummary(2), finalDigest, '各地楼市成交回暖']);
+    try {
+        const cities = ['北京', '上海', '广州', '深圳', '杭州', '成都'];
+        const items = cities.map((city, index) => `编号: news:n${index + 1}\n${city}楼市动态：${'成交'.repeat(145)}`);
+        const summary = await generateDailySummary(kit.env, '2025-06-02', items, { modelOverrides: { digest: { maxTokens: 100 } } });
+
+        const calls = kit.chat.calls;
+        assert.equal(calls.length, 7);
+        // 3 批，每批 2 条
+        assert.deepEqual(calls.slice(0, 3).map(call => (call.user.match(/编号: /g) || []).length), [2, 2, 2]);
+        // 第 1 轮：前两份摘要一组，第三份单独一组
+        assert.ok(calls[3].user.includes('第1批要闻') && calls[3].user.includes('第2批要闻') && !calls[3].user.includes('第3批要闻'));
+        assert.ok(calls[4].user.includes('第3批要闻') && !calls[4].user.includes('第1批要闻'));
+        // 最终合并第 1 轮的结果
+        assert.ok(calls[5].user.includes('第1组合并要闻') && calls[5].user.includes('第2组合并要闻'));
+        for (const call of calls.slice(3, 6)) assert.equal(call.system, calls[3].system);
+        assert.notEqual(calls[3].system, calls[0].system);
+
+        assert.ok(summary.dailySummaryMarkdownContent.includes('最终合并要闻'));
+        assert.deepEqual(summary.prompts.slice(2).map(prompt => prompt.name), [
+            '分批摘要 1/3', '分批摘要 2/3', '分批摘要 3/3', '合并各批摘要 1-1/2', '合并各批摘要 1-2/2', '合并各批摘要',
+        ]);
+        assert.deepEqual(summary.prompts[0].prompt, { key: 'summarization', version: 0 });
+    } finally {
+        kit.restore();
+    }
+});
@@ -0,0 +1,96 @@
+// test/citations.test.mjs
+// 来源引用：模型输出的条目编号替换为原文链接，去掉编造的编号和链接；用作后续生成的输入前去掉引用
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit } from '../src/devkit/index.js';
+import { buildCitationSources, applyCitations, stripCitations } from '../src/citations.js';
+import { generateDailySummary } from '../src/handlers/genAIContent.js';
+
+const SOURCES = buildCitationSources([
+    { id: 'news:1', item: { url: 'https://news.test/1', title: '深圳二手房成交创年内新高', source: '财联社' } },
+    { id: 'policy:2', item: { url: 'https://policy.test/2', title: '北京[优化]住房限购政策', source: '住建部' } },
+    { id: 'news:3', item: { title: '没有链接的快讯' } },
+    { id: 'news:4', item: null },
+]);
+
+test('buildCitationSources 跳过没有链接的条目', () => {
+    assert.deepEqual(Object.keys(SOURCES), ['news:1', 'policy:2']);
+    assert.deepEqual(SOURCES['news:1'], { url: 'https://news.test/1', title: '深圳二手房成交创年内新高', source: '财联社' });
+});
+
+test('编号按首次出现的顺序替换为原文链接，末尾附参考来源', () => {
+    const markdown = [
+        '### **今日楼市要闻**',
+        '',
+        '1. **北京优化住房限购政策**',
+        '   五环外购房社保年限调整为3年。[^policy:2]',
+        '2. **京深楼市回暖**',
+        '   两地成交同步回升。[^news:1，policy:2]',
+    ].join('\n');
+    const result = applyCitations(markdown, SOURCES);
+    assert.equal(result.markdown, [
+        '### **今日楼市要闻**',
+        '',
+        '1. **北京优化住房限购政策**',
+        '   五环外购房社保年限调整为3年。[[1]](https://policy.test/2)',
+        '2. **京深楼市回暖**',
+        '   两地成交同步回升。[[2]](https://news.test/1)[[1]](https://policy.test/2)',
+        '',
+        '#### 参考来源',
+        '',
+        '- [1] 住建部：[北京优化住房限购政策](https://policy.test/2)',
+        '- [2] 财联社：[深圳二手房成交创年内新高](https://news.test/1)',
+    ].join('\n'));
+    assert.deepEqual(result.citations.map(citation => citation.id), ['policy:2', 'news:1']);
+    assert.ok(result.plain.endsWith('两地成交同步回升。'));
+    assert.deepEqual(result.invalidIds, []);
+    assert.deepEqual(result.uncitedItems, []);
+});
+
+test('去掉不在选中条目中的编号和链接，记录没有有效引用的要闻', () => {
+    const markdown = [
+        '1. **深圳成交回升**',
+        '   详见[原文](https://news.test/1)和[专题](https://fake.test/a)。[^news:1]',
+        '2. **上海新政**',
+        '   来源 https://fake.test/b 。[^news:99, ^news:3]',
+        '### **今日摘要**',
+    ].join('\n');
+    const result = applyCitations(markdown, SOURCES);
+    assert.deepEqual(result.invalidIds, ['news:99', 'news:3']);
+    assert.deepEqual(result.removedUrls, ['https://fake.test/a', 'https://fake.test/b']);
+    assert.deepEqual(result.uncitedItems, ['2. **上海新政**']);
+    assert.ok(result.markdown.includes('详见[原文](https://news.test/1)和专题。[[1]](https://news.test/1)'));
+    assert.ok(result.markdown.includes('   来源  。\n'));
+    assert.ok(!result.markdown.includes('fake.test'));
+});
+
+test('没有任何有效引用时不附参考来源', () => {
+    const result = applyCitations('1. **上海新政**\n   取消外环外限购。[^news:99]', SOURCES);
+    assert.equal(result.markdown, '1. **上海新政**\n   取消外环外限购。');
+    assert.deepEqual(result.citations, []);
+});
+
+test('stripCitations 去掉引用链接和参考来源列表，保留正文中的其他链接', () => {
+    const { markdown } = applyCitations('1. **深圳成交回升**\n   详见[原文](https://news.test/1)。[^news:1]\n\n---\n页脚', SOURCES);
+    assert.equal(stripCitations(markdown), '1. **深圳成交回升**\n   详见[原文](https://news.test/1)。\n\n---\n页脚\n\n');
+    assert.equal(stripCitations(null), '');
+});
+
+test('Markdown 模式生成日报时按当天数据中的条目链接替换编号，今日摘要的输入不带引用', async () => {
+    const kit = createDevKit();
+    await kit.env.DATA_KV.put('2025-06-02-news', JSON.stringify([{ id: 1, url: 'https://news.test/1', title: '深圳二手房成交创年内新高', source: '财联社' }]));
+    kit.chat.script([
+        '### **今日楼市要闻**\n\n1. **深圳二手房成交创年内新高**\n   5月过户6123套。[^news:1][^news:7]',
+        '深圳二手房成交回暖',
+    ]);
+    try {
+        const summary = await generateDailySummary(kit.env, '2025-06-02', ['编号: news:1\n深圳5月二手住宅过户6123套']);
+        assert.ok(summary.dailySummaryMarkdownContent.includes('5月过户6123套。[[1]](https://news.test/1)\n'));
+        assert.ok(summary.dailySummaryMarkdownContent.includes('- [1] 财联社：[深圳二手房成交创年内新高](https://news.test/1)'));
+        assert.ok(kit.chat.calls[1].user.includes('5月过户6123套。'));
+        assert.ok(!/\[\^|\[\[\d+\]\]/.test(kit.chat.calls[1].user));
+        assert.match(summary.promptsMarkdownContent, /news:7/);
+    } finally {
+        kit.restore();
+    }
+});
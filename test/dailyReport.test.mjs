@@ -0,0 +1,122 @@
+// test/dailyReport.test.mjs
+// 结构化日报：JSON 校验错误、渲染后再解析的往返，以及输出无效时带校验错误重试
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit } from '../src/devkit/index.js';
+import { parseDailyReport, mergeDailyReports, renderDailyReportMarkdown, parseDailyMarkdown } from '../src/dailyReport.js';
+import { generateDailySummary } from '../src/handlers/genAIContent.js';
+
+const SOURCE_IDS = ['news:1', 'policy:2'];
+
+function reportItem(overrides = {}) {
+    return { category: '市场行情', headline: '深圳二手房成交创年内新高', body: '深圳5月二手住宅过户6123套，环比增长8.5%。', tags: ['成交'], cities: ['深圳'], sourceIds: ['news:1'], ...overrides };
+}
+
+function parseErrors(text) {
+    try {
+        parseDailyReport(text, SOURCE_IDS);
+    } catch (error) {
+        return error.errors;
+    }
+    assert.fail('parseDailyReport should have thrown');
+}
+
+test('不是合法 JSON 或缺少 items 时，error.errors 说明原因', () => {
+    assert.match(parseErrors('今日楼市要闻：……')[0], /^输出不是合法的 JSON: /);
+    assert.deepEqual(parseErrors('{"report": []}'), ['顶层必须是包含 items 数组的 JSON 对象']);
+    assert.deepEqual(parseErrors('{"items": []}'), ['items 不能为空']);
+    assert.throws(() => parseDailyReport('{"items": []}', SOURCE_IDS), /^Error: Invalid structured daily report: items 不能为空$/);
+});
+
+test('逐条列出缺少或无效的字段', () => {
+    const errors = parseErrors(JSON.stringify({
+        items: [
+            { category: '楼市', body: '正文见 https://example.com/1', sourceIds: ['news:9'] },
+            reportItem({ headline: '房'.repeat(61), tags: 'LPR', sourceIds: [] }),
+            '要闻',
+        ],
+    }));
+    assert.deepEqual(errors, [
+        'items[0].category "楼市" 不在分类中: 政策速递、市场行情、房企动态、城市聚焦、行业观察',
+        'items[0].headline 必须是非空字符串',
+        'items[0].body 不能包含链接，来源请写在 sourceIds 中',
+        'items[0].sourceIds 引用了不存在的条目编号 "news:9"',
+        'items[1].headline 超过 60 字',
+        'items[1].sourceIds 不能为空',
+        'items[1].tags 必须是非空字符串数组',
+        'items[2] 必须是对象',
+    ]);
+});
+
+test('允许包裹在代码块中，字段去掉首尾空白，数组去重', () => {
+    const text = '```json\n' + JSON.stringify({ items: [reportItem({ headline: ' 深圳二手房成交创年内新高 ', sourceIds: ['news:1', 'news:1', 'policy:2'] })] }) + '\n```';
+    const { items } = parseDailyReport(text, SOURCE_IDS);
+    assert.equal(items[0].headline, '深圳二手房成交创年内新高');
+    assert.deepEqual(items[0].sourceIds, ['news:1', 'policy:2']);
+    assert.deepEqual(items[0].cities, ['深圳']);
+});
+
+test('分批结果按分类顺序合并，解析、渲染后再拆分得到相同的要闻', () => {
+    const first = parseDailyReport(JSON.stringify({ items: [reportItem()] }), SOURCE_IDS);
+    const second = parseDailyReport(JSON.stringify({
+        items: [reportItem({ category: '政策速递', headline: '北京优化住房限购政策', body: '五环外购房社保年限由5年调整为3年。', tags: [], sourceIds: ['policy:2'] })],
+    }), SOURCE_IDS);
+    const report = mergeDailyReports([first, second]);
+    assert.deepEqual(report.items.map(item => item.category), ['政策速递', '市场行情']);
+
+    report.sources = {
+        'news:1': { url: 'https://news.test/1', title: '深圳楼市', source: '财联社' },
+        'policy:2': { url: 'https://policy.test/2', title: '北京新政', source: '住建部' },
+    };
+    const markdown = renderDailyReportMarkdown(report);
+    assert.ok(markdown.startsWith('### **今日楼市要闻**\n\n#### 政策速递\n\n1. **北京优化住房限购政策**\n'));
+    assert.ok(markdown.includes('2. **深圳二手房成交创年内新高** `成交`\n'));
+    assert.ok(markdown.endsWith('#### 参考来源\n\n- [1] 住建部：[北京新政](https://policy.test/2)\n- [2] 财联社：[深圳楼市](https://news.test/1)'));
+
+    const { items } = parseDailyMarkdown(markdown);
+    assert.deepEqual(items.map(({ category, headline, urls }) => ({ category, headline, urls })), [
+        { category: '政策速递', headline: '北京优化住房限购政策', urls: ['https://policy.test/2'] },
+        { category: '市场行情', headline: '深圳二手房成交创年内新高', urls: ['https://news.test/1'] },
+    ]);
+    assert.ok(items[1].body.includes('环比增长8.5%'));
+});
+
+test('structured 模式输出无效时把校验错误附在输入后重试', async () => {
+    const kit = createDevKit({ vars: { DAILY_OUTPUT_FORMAT: 'structured' } });
+    kit.chat.script([
+        JSON.stringify({ items: [reportItem({ category: '楼市' })] }),
+        JSON.stringify({ items: [reportItem()] }),
+        '深圳二手房成交回暖',
+    ]);
+    try {
+        const items = ['编号: news:1\n深圳5月二手住宅过户6123套'];
+        const summary = await generateDailySummary(kit.env, '2025-06-02', items);
+
+        const calls = kit.chat.calls;
+        assert.equal(calls.length, 3);
+        assert.ok(!calls[0].user.includes('上次输出未通过校验'));
+        assert.ok(calls[1].user.startsWith(calls[0].user));
+        assert.ok(calls[1].user.includes('上次输出未通过校验，请修正以下问题后重新输出完整的 JSON：\n- items[0].category "楼市" 不在分类中'));
+        assert.deepEqual(summary.report.items.map(item => item.headline), ['深圳二手房成交创年内新高']);
+        assert.ok(summary.dailySummaryMarkdownContent.includes('1. **深圳二手房成交创年内新高**'));
+        assert.deepEqual(summary.prompts.slice(2).map(prompt => prompt.name), ['结构化要闻', '结构化要闻 重试 2']);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('连续 3 次输出无效时报错，不再调用模型', async () => {
+    const kit = createDevKit({ vars: { DAILY_OUTPUT_FORMAT: 'structured' } });
+    kit.chat.script([{ text: '{"items": []}', repeat: true }]);
+    try {
+        await assert.rejects(generateDailySummary(kit.env, '2025-06-02', ['编号: news:1\n深圳5月二手住宅过户6123套']), error => {
+            assert.match(error.message, /^模型连续 3 次未输出有效的结构化日报: /);
+            assert.deepEqual(error.errors, ['items 不能为空']);
+            assert.equal(error.pageTitle, '生成AI日报出错(结构化输出无效)');
+            return true;
+        });
+        assert.equal(kit.chat.calls.length, 3);
+    } finally {
+        kit.restore();
+    }
+});
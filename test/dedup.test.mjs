@@ -0,0 +1,61 @@
+// test/dedup.test.mjs
+// 跨来源去重聚类：同一事件的不同来源报道合并为主条目加 alternates，不同事件保持独立
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterStories, normalizeText, getShingles, jaccard } from '../src/dedup.js';
+
+const STORY = '北京市住建委发布通知，非京籍家庭在五环外购房的社保年限由5年调整为3年，首套住房最低首付比例调整为20%，二套住房最低首付比例调整为30%。';
+
+function item(overrides) {
+    return { type: 'news', description: '', published_date: '2025-06-02T02:00:00Z', ...overrides };
+}
+
+test('归一化去掉空白和标点，按字符切片', () => {
+    assert.equal(normalizeText(' 北京：优化 限购！LPR '), '北京优化限购lpr');
+    assert.deepEqual([...getShingles('限购松绑')], ['限购', '购松', '松绑']);
+    assert.deepEqual([...getShingles('房')], ['房']);
+    assert.equal(jaccard(getShingles('限购松绑'), getShingles('限购松绑')), 1);
+    assert.equal(jaccard(new Set(), getShingles('限购')), 0);
+});
+
+test('不同来源的同一事件聚为一条：正文最长的为主条目，其余记入 alternates', () => {
+    const short = item({ id: 'cls-1', source: '财联社', title: '北京优化住房限购政策', description: '北京调整非京籍购房社保年限。', url: 'https://cls.test/1' });
+    const full = item({ id: 'pp-1', type: 'policy', source: '澎湃', title: '北京优化住房限购政策！', description: `${STORY}新政自6月3日起施行。`, url: 'https://thepaper.test/1' });
+    const reprint = item({ id: 'wsj-1', source: '华尔街见闻', title: '京楼市新政：五环外购房社保年限缩短', description: `<p>${STORY}</p>`, url: 'https://wsj.test/1' });
+    const result = clusterStories({ news: [short, reprint], policy: [full] });
+
+    // 主条目留在原分类，其他分类中的同题报道被移除
+    assert.deepEqual(result.news, []);
+    assert.equal(result.policy.length, 1);
+    const [canonical] = result.policy;
+    assert.equal(canonical.id, 'pp-1');
+    assert.deepEqual(canonical.alternates.map(alt => alt.source).sort(), ['华尔街见闻', '财联社']);
+    assert.deepEqual(Object.keys(canonical.alternates[0]).sort(), ['id', 'published_date', 'source', 'title', 'type', 'url']);
+});
+
+test('正文长度相同时发布时间早的为主条目；同一链接直接合并', () => {
+    const later = item({ id: 'a', source: '财联社', title: '深圳二手房成交创年内新高', published_date: '2025-06-02T05:00:00Z', url: 'https://a.test/1' });
+    const earlier = item({ id: 'b', source: '澎湃', title: '深圳二手房成交创年内新高。', published_date: '2025-06-02T01:00:00Z', url: 'https://b.test/1' });
+    const sameUrl = item({ id: 'c', source: '新浪', title: '完全不同的标题', url: 'https://a.test/1' });
+    const { news } = clusterStories({ news: [later, earlier, sameUrl] });
+    assert.deepEqual(news.map(entry => entry.id), ['b']);
+    assert.deepEqual(news[0].alternates.map(alt => alt.id).sort(), ['a', 'c']);
+});
+
+test('不同事件保持独立，分类内顺序不变', () => {
+    const stories = [
+        item({ id: 'sh', source: '财联社', title: '上海发布楼市新政', description: '上海取消外环外限购，非沪籍家庭社保年限调整为1年。' }),
+        item({ id: 'sz', source: '财联社', title: '深圳二手房成交创年内新高', description: '深圳5月二手住宅过户6123套，环比增长8.5%。' }),
+        item({ id: 'gz', source: '澎湃', title: '广州土拍溢价率回升', description: '广州本周出让4宗住宅用地，平均溢价率12%。' }),
+    ];
+    const { news } = clusterStories({ news: stories });
+    assert.deepEqual(news.map(entry => entry.id), ['sh', 'sz', 'gz']);
+    for (const entry of news) assert.deepEqual(entry.alternates, []);
+});
+
+test('再次聚类时保留之前合并的 alternates', () => {
+    const canonical = item({ id: 'a', source: '财联社', title: '北京优化住房限购政策', description: STORY, alternates: [{ id: 'old', source: '新浪' }] });
+    const duplicate = item({ id: 'b', source: '澎湃', title: '北京优化住房限购政策', alternates: [{ id: 'older', source: '网易' }] });
+    const { news } = clusterStories({ news: [canonical, duplicate] });
+    assert.deepEqual(news[0].alternates.map(alt => alt.id), ['old', 'b', 'older']);
+});
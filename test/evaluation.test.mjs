@@ -0,0 +1,36 @@
+// test/evaluation.test.mjs
+// 离线评估：test/fixtures/golden/ 中的黄金集在模拟模型服务上重新生成并打分（见 src/devkit/evaluate.js）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { loadGoldenSetFiles, runOfflineEvaluation } from '../src/devkit/evaluate.js';
+
+const GOLDEN_DIR = fileURLToPath(new URL('./fixtures/golden/', import.meta.url));
+
+test('黄金集按记录的模型应答重新生成，得分不低于人工发布版本', async () => {
+    const goldenSets = await loadGoldenSetFiles(GOLDEN_DIR);
+    assert.ok(goldenSets.length > 0);
+    const { run, calls } = await runOfflineEvaluation(goldenSets);
+
+    assert.equal(run.results.length, goldenSets.length);
+    for (const result of run.results) {
+        assert.equal(result.error, undefined, `${result.date}: ${result.error}`);
+        assert.ok(result.score.overall >= result.baseline.overall, `${result.date}: ${result.score.overall} < ${result.baseline.overall}`);
+        assert.deepEqual(result.score.details.missingSources, []);
+    }
+    // 每个黄金集两次模型调用（今日楼市要闻、今日摘要），都由模拟服务应答
+    assert.equal(calls.length, goldenSets.length * 2);
+});
+
+test('应答漏掉来源、带禁用词时得分下降', async () => {
+    const [goldenSet] = await loadGoldenSetFiles(GOLDEN_DIR);
+    const [digest, overview] = goldenSet.responses;
+    // 只保留第一条要闻，并加入禁用词
+    const degraded = digest.split('\n\n2.')[0].replace('政策力度超出市场预期', '政策力度震惊市场');
+    const { run } = await runOfflineEvaluation([{ ...goldenSet, responses: [degraded, overview] }]);
+
+    const [result] = run.results;
+    assert.ok(result.score.overall < result.baseline.overall);
+    assert.equal(result.score.scores.forbiddenWords, 0);
+    assert.equal(result.score.details.missingSources.length, 2);
+});
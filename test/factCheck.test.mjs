@@ -0,0 +1,73 @@
+// test/factCheck.test.mjs
+// 事实核查：提取数字、城市和政策术语并在原文中查找；人工确认只对确认时的内容有效
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevEnv } from '../src/devkit/index.js';
+import { extractClaims, verifyFacts, needsFactCheckApproval, isFactCheckApprovedFor } from '../src/factCheck.js';
+import { saveDraftVersion, approveVersionFactCheck, getDraftVersion } from '../src/drafts.js';
+
+function claimTexts(claims, type) {
+    return claims.filter(claim => claim.type === type).map(claim => claim.text);
+}
+
+test('提取数字时带上量级和单位，跳过编号、引用链接和其他链接中的数字', () => {
+    const claims = extractClaims([
+        '1. **北京首付比例降至20%**',
+        '   五年期LPR下调0.25个百分点，全年成交1.2万套。[[3]](https://news.test/2024/06)',
+        '2. **呼和浩特发放购房补贴**',
+        '   每平方米补贴300元，详见[通知](https://policy.test/9)。',
+        '',
+        '#### 参考来源',
+        '',
+        '- [3] 财联社：[标题](https://news.test/2024/06)',
+    ].join('\n'));
+    assert.deepEqual(claimTexts(claims, 'number'), ['20%', '0.25个百分点', '1.2万套', '300元']);
+    assert.deepEqual(claimTexts(claims, 'city').sort(), ['北京', '呼和浩特'].sort());
+    assert.deepEqual(claimTexts(claims, 'policy').sort(), ['LPR', '首付比例', '购房补贴'].sort());
+    assert.equal(claims.find(claim => claim.text === '1.2万套').line, '五年期LPR下调0.25个百分点，全年成交1.2万套。');
+});
+
+test('长名称优先匹配，同一内容只记一次', () => {
+    const claims = extractClaims('住房公积金缴存比例调整，公积金贷款额度提高。石家庄、石家庄周边同步执行。');
+    // 「公积金」已包含在更长的术语中，不再单独记录
+    assert.deepEqual(claimTexts(claims, 'policy'), ['公积金贷款', '住房公积金']);
+    assert.deepEqual(claimTexts(claims, 'city'), ['石家庄']);
+});
+
+test('数字按数值比对：不同写法的同一数值、全角数字和汉字个位数都算有据', () => {
+    const sources = ['编号: news:1\n深圳5月二手住宅过户１２,０００套，同比增长８.５％，首付比例降至两成，社保年限缩短至五年。'];
+    const result = verifyFacts('深圳成交1.2万套，增长8.5%，社保年限缩短为5年。', sources);
+    assert.deepEqual(result.unsupported, []);
+    assert.equal(result.total, 4);
+    assert.equal(needsFactCheckApproval(result), false);
+});
+
+test('原文中找不到的数字、城市和术语记为无据内容；百分比与百分点不混用', () => {
+    const sources = ['编号: news:1\n深圳5年期以上LPR下调0.25%。'];
+    const result = verifyFacts('深圳、广州LPR下调0.25个百分点，首套房利率降至3.1%。', sources);
+    assert.deepEqual(result.unsupported.map(claim => `${claim.type}:${claim.text}`), [
+        'number:0.25个百分点', 'number:3.1%', 'city:广州', 'policy:首套房',
+    ]);
+    // 条目编号中的数字不作为依据
+    assert.equal(verifyFacts('成交1套。', sources).unsupported.length, 1);
+    assert.equal(needsFactCheckApproval(result), true);
+    assert.equal(needsFactCheckApproval({ ...result, approvedAt: '2025-06-02T00:00:00.000Z' }), false);
+    assert.equal(needsFactCheckApproval(null), false);
+});
+
+test('人工确认后编辑正文，确认失效', async () => {
+    const env = createDevEnv();
+    const content = '## 楼市洞察日报\n\n广州首付比例降至15%。';
+    const factCheck = verifyFacts(content, ['编号: news:1\n广州首付比例调整。']);
+    assert.deepEqual(factCheck.unsupported.map(claim => claim.text), ['15%']);
+
+    const { id } = await saveDraftVersion(env, '2025-06-02', { type: 'daily', content, factCheck });
+    assert.equal(await isFactCheckApprovedFor((await getDraftVersion(env, '2025-06-02', id)).factCheck, content), false);
+
+    const approved = await approveVersionFactCheck(env, '2025-06-02', id, 'editor');
+    assert.equal(approved.approvedBy, 'editor');
+    assert.equal(await isFactCheckApprovedFor(approved, content), true);
+    assert.equal(await isFactCheckApprovedFor(approved, content.replace('15%', '10%')), false);
+    // 旧的确认记录没有哈希时视为未确认
+    assert.equal(await isFactCheckApprovedFor({ ...approved, approvedHash: null }, content), false);
+});
@@ -0,0 +1,117 @@
+// test/feedParser.test.mjs
+// feedParser.js 的样例测试：test/fixtures/feeds/ 中的 Feed 取自真实站点的常见写法（已替换为示例域名）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseFeed, parseFeedDate, decodeEntities } from '../src/feedParser.js';
+
+function loadFixture(name) {
+    return readFileSync(new URL(`./fixtures/feeds/${name}`, import.meta.url), 'utf8');
+}
+
+test('RSS 2.0: 条目字段、命名空间扩展与相对链接', () => {
+    const feed = parseFeed(loadFixture('rss2.xml'), { baseUrl: 'https://news.example.com/house/rss.xml' });
+    assert.equal(feed.format, 'rss2.0');
+    assert.equal(feed.title, '房产资讯 - 楼市频道');
+    assert.equal(feed.link, 'https://news.example.com/house/');
+    assert.deepEqual(feed.errors, []);
+    assert.equal(feed.items.length, 2);
+
+    const [policy, price] = feed.items;
+    assert.equal(policy.title, '北京优化住房限购政策 五环外购房不再限购');
+    assert.equal(policy.link, 'https://news.example.com/house/2025-06-02/beijing-policy.html');
+    assert.equal(policy.guid, 'house-20250602-0001');
+    assert.equal(policy.guidIsPermaLink, false);
+    assert.equal(policy.pubDate, '2025-06-02T00:15:00.000Z');
+    assert.equal(policy.author, '记者 张三');
+    assert.deepEqual(policy.categories, ['政策', '北京']);
+    assert.equal(policy.content, '<p>北京市住建委6月2日发布通知，<strong>五环外</strong>购房不再审核购房资格。</p>');
+    assert.deepEqual(policy.media, [{ url: 'https://img.example.com/house/0602.jpg', type: '', medium: 'image', width: 640, height: 360 }]);
+
+    assert.equal(price.link, 'https://news.example.com/house/2025-06-01/price-index.html');
+    assert.equal(price.guidIsPermaLink, true);
+    assert.equal(price.pubDate, '2025-06-01T18:00:00.000Z');
+    assert.deepEqual(price.enclosures, [{ url: 'https://news.example.com/files/price-index-202505.pdf', type: 'application/pdf', length: 204800 }]);
+});
+
+test('Atom 1.0: xml:base、HTML/XHTML 内容与 updated 兜底', () => {
+    const feed = parseFeed(loadFixture('atom.xml'), { baseUrl: 'https://feeds.example.com/blog' });
+    assert.equal(feed.format, 'atom1.0');
+    assert.equal(feed.title, '城市观察');
+    assert.equal(feed.description, '房地产研究笔记');
+    assert.deepEqual(feed.errors, []);
+
+    const [shenzhen, hangzhou] = feed.items;
+    assert.equal(shenzhen.title, '深圳二手房成交量创年内新高');
+    assert.equal(shenzhen.link, 'https://blog.example.org/posts/shenzhen-resale');
+    assert.equal(shenzhen.guid, 'tag:blog.example.org,2025:post-42');
+    assert.equal(shenzhen.pubDate, '2025-06-02T01:00:00.000Z');
+    assert.equal(shenzhen.author, '李四');
+    assert.deepEqual(shenzhen.categories, ['市场']);
+    assert.equal(shenzhen.content, '<p>5月深圳二手住宅过户<b>6,123</b>套。</p>');
+
+    assert.equal(hangzhou.link, 'https://blog.example.org/posts/hangzhou-land');
+    assert.equal(hangzhou.pubDate, '2025-06-01T20:00:00.000Z');
+    assert.equal(hangzhou.description, '杭州本周两宗地块溢价成交。');
+});
+
+test('RSS 1.0 (RDF): 按 rdf:Seq 排序，Dublin Core 字段', () => {
+    const feed = parseFeed(loadFixture('rdf.xml'));
+    assert.equal(feed.format, 'rss1.0');
+    assert.equal(feed.title, '地产周刊');
+    assert.deepEqual(feed.items.map(item => item.title), ['成都发布购房补贴细则', '广州公积金贷款额度上调']);
+
+    const [chengdu, guangzhou] = feed.items;
+    // 没有 <link> 时使用 rdf:about
+    assert.equal(chengdu.link, 'https://rdf.example.net/articles/2');
+    assert.equal(chengdu.pubDate, '2025-05-31T03:00:00.000Z');
+    assert.equal(guangzhou.author, '王五');
+    assert.deepEqual(guangzhou.categories, ['公积金']);
+    assert.equal(guangzhou.pubDate, '2025-05-30T02:00:00.000Z');
+});
+
+test('CDATA: 标题、链接中的原始文本与拆分的 CDATA 段', () => {
+    const feed = parseFeed(loadFixture('cdata.xml'));
+    assert.equal(feed.title, '财经 & 地产');
+    const [lpr, split] = feed.items;
+    assert.equal(lpr.title, '央行：LPR 维持不变 <5年期以上为3.5%>');
+    assert.equal(lpr.link, 'https://cdata.example.com/a?id=1&from=rss');
+    assert.equal(lpr.description, '<p>5年期以上LPR为3.5%</p><script>track()</script>');
+    assert.equal(split.description, '<p>包含 ]]> 的正文</p>');
+});
+
+test('不规范的实体、未转义的 & 与被截断的 Feed', () => {
+    const feed = parseFeed(loadFixture('broken-entities.xml'));
+    assert.equal(feed.format, 'rss2.0');
+    assert.equal(feed.title, 'R&D 地产研究');
+    assert.equal(feed.items.length, 2);
+
+    const [sales, truncated] = feed.items;
+    assert.equal(sales.title, '万科&保利 5月销售额 — 同比下降');
+    assert.equal(sales.link, 'https://broken.example.com/news?id=7&page=1');
+    assert.equal(sales.pubDate, '2025-06-04T00:00:00.000Z');
+    // 描述保持为 HTML，无法识别的实体原样保留
+    assert.ok(sales.description.includes('&unknown;'));
+    assert.equal(decodeEntities('&#20013;&#x56FD;'), '中国');
+
+    // 缺少分号的实体不解码，截断处之前的内容仍然可用
+    assert.equal(truncated.title, '被截断的条目 &copy 2025');
+    assert.equal(truncated.link, 'https://broken.example.com/news?id=8');
+    assert.equal(truncated.description, '这条 Feed 在传输中被截断');
+});
+
+test('缺失或无法解析的日期记录在 errors 中，不替换为当前时间', () => {
+    const feed = parseFeed(loadFixture('missing-date.xml'));
+    assert.deepEqual(feed.items.map(item => item.pubDate), [null, null, '2025-06-01T02:30:00.000Z', '2025-06-01T02:30:00.000Z']);
+    assert.deepEqual(feed.errors.map(error => [error.type, error.link]), [
+        ['missing_date', 'https://dates.example.com/1'],
+        ['invalid_date', 'https://dates.example.com/2'],
+    ]);
+    assert.equal(feed.errors[1].value, '昨天 下午');
+});
+
+test('parseFeedDate: 无时区的时间按北京时间处理', () => {
+    assert.equal(parseFeedDate('2025-06-01 10:00:00'), '2025-06-01T02:00:00.000Z');
+    assert.equal(parseFeedDate('2025/6/1'), '2025-05-31T16:00:00.000Z');
+    assert.equal(parseFeedDate('not a date'), null);
+});
@@ -0,0 +1,56 @@
+// test/feedState.test.mjs
+// RSS 抓取状态：当天已见条目要在条目写入 KV 之后才记录
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit } from '../src/devkit/index.js';
+import { createRSSDataSource } from '../src/dataSources/rss-feed.js';
+import { getFeedState, createFeedStateBatch } from '../src/feedState.js';
+import { setFetchDate, getISODate } from '../src/helpers.js';
+
+const FEED_URL = 'https://feeds.test/rss.xml';
+
+function buildFeed() {
+    const pubDate = new Date().toUTCString();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>测试源</title>
+<item><title>条目一</title><link>https://feeds.test/1</link><guid>item-1</guid><pubDate>${pubDate}</pubDate></item>
+<item><title>条目二</title><link>https://feeds.test/2</link><guid>item-2</guid><pubDate>${pubDate}</pubDate></item>
+</channel></rss>`;
+}
+
+function createFeedKit() {
+    return createDevKit({
+        routes: {
+            'https://feeds.test': { fetch: async () => new Response(buildFeed(), { headers: { 'Content-Type': 'application/rss+xml' } }) },
+        },
+    });
+}
+
+test('传入 feedStates 时抓取不保存状态，commit() 之后才记录已见条目', async () => {
+    const kit = createFeedKit();
+    try {
+        setFetchDate(getISODate());
+        const source = createRSSDataSource('news', '测试', null, '📰', [{ url: FEED_URL }]);
+        const feedStates = createFeedStateBatch();
+
+        const first = await source.fetch(kit.env, undefined, { feedStates });
+        assert.equal(first.items.length, 2);
+        assert.equal(feedStates.size, 1);
+        assert.equal(await getFeedState(kit.env, FEED_URL), null);
+
+        // 条目未存储（未 commit）时再次抓取，仍然返回这些条目
+        const retry = await source.fetch(kit.env, undefined, { feedStates: createFeedStateBatch() });
+        assert.equal(retry.items.length, 2);
+
+        await feedStates.commit(kit.env);
+        assert.equal(feedStates.size, 0);
+        const state = await getFeedState(kit.env, FEED_URL);
+        assert.deepEqual(state.seenIds, first.items.map(item => item.id));
+
+        // 状态提交后内容未变化，不再返回条目
+        const again = await source.fetch(kit.env, undefined, { feedStates: createFeedStateBatch() });
+        assert.equal(again.items.length, 0);
+    } finally {
+        kit.restore();
+    }
+});
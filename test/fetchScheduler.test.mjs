@@ -0,0 +1,114 @@
+// test/fetchScheduler.test.mjs
+// scheduledFetch 的超时要覆盖响应体的读取，并发名额在响应体读完后才释放
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFetchMocks } from '../src/devkit/index.js';
+import { scheduledFetch } from '../src/fetchScheduler.js';
+
+const env = { FETCH_TIMEOUT_MS: '100', FETCH_MAX_RETRIES: '0' };
+
+test('响应头及时返回、响应体迟迟不结束时，读取响应体按超时失败', async () => {
+    const restore = installFetchMocks({
+        'https://slow.test': {
+            fetch: async (request) => {
+                // 先发送一段内容，之后一直不结束，直到请求被中止
+                const body = new ReadableStream({
+                    start(controller) {
+                        controller.enqueue(new TextEncoder().encode('<rss>'));
+                        request.signal.addEventListener('abort', () => controller.error(request.signal.reason));
+                    },
+                });
+                return new Response(body, { headers: { 'Content-Type': 'application/rss+xml' } });
+            },
+        },
+    });
+    try {
+        const response = await scheduledFetch('https://slow.test/rss.xml', {}, env);
+        assert.equal(response.status, 200);
+        await assert.rejects(response.text(), /timed out after 100ms/);
+    } finally {
+        restore();
+    }
+});
+
+test('响应体在超时前读完时正常返回，之后不再中止', async () => {
+    const restore = installFetchMocks({
+        'https://fast.test': { fetch: async () => new Response('<rss></rss>') },
+    });
+    try {
+        const response = await scheduledFetch('https://fast.test/rss.xml', {}, env);
+        const buffer = await response.arrayBuffer();
+        assert.equal(new TextDecoder().decode(buffer), '<rss></rss>');
+    } finally {
+        restore();
+    }
+});
+
+// 响应体在调用 finishBody() 之后才结束
+function createControlledHost() {
+    const host = { started: 0, finishBody: null };
+    host.route = {
+        fetch: async () => {
+            host.started++;
+            const body = new ReadableStream({
+                start(controller) {
+                    controller.enqueue(new TextEncoder().encode('<rss>'));
+                    host.finishBody = () => {
+                        controller.enqueue(new TextEncoder().encode('</rss>'));
+                        controller.close();
+                    };
+                },
+            });
+            return new Response(body);
+        },
+    };
+    return host;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('响应体读完之前不释放并发名额', async () => {
+    const host = createControlledHost();
+    const restore = installFetchMocks({ 'https://limited.test': host.route });
+    const limitedEnv = { FETCH_TIMEOUT_MS: '1000', FETCH_MAX_RETRIES: '0', FETCH_MAX_CONCURRENCY: '1' };
+    try {
+        const first = await scheduledFetch('https://limited.test/a.xml', {}, limitedEnv);
+        const second = scheduledFetch('https://limited.test/b.xml', {}, limitedEnv);
+        await tick();
+        assert.equal(host.started, 1, 'second request must wait while the first body is being read');
+
+        const firstText = first.text();
+        host.finishBody();
+        assert.equal(await firstText, '<rss></rss>');
+        const secondResponse = await second;
+        assert.equal(host.started, 2);
+        host.finishBody();
+        assert.equal(await secondResponse.text(), '<rss></rss>');
+    } finally {
+        restore();
+    }
+});
+
+test('错误响应立即释放名额，body.cancel() 也释放名额', async () => {
+    let started = 0;
+    const restore = installFetchMocks({
+        'https://errors.test': {
+            fetch: async (request) => {
+                started++;
+                return new Response('not found', { status: new URL(request.url).pathname === '/missing' ? 404 : 200 });
+            },
+        },
+    });
+    const limitedEnv = { FETCH_TIMEOUT_MS: '1000', FETCH_MAX_RETRIES: '0', FETCH_MAX_CONCURRENCY: '1' };
+    try {
+        const missing = await scheduledFetch('https://errors.test/missing', {}, limitedEnv);
+        assert.equal(missing.status, 404);
+        const cancelled = await scheduledFetch('https://errors.test/page', {}, limitedEnv);
+        await cancelled.body.cancel();
+        const last = await scheduledFetch('https://errors.test/page', {}, limitedEnv);
+        assert.equal(await last.text(), 'not found');
+        assert.equal(started, 3);
+    } finally {
+        restore();
+    }
+});
@@ -0,0 +1,100 @@
+// test/filterRules.test.mjs
+// 分类过滤规则：来源白名单优先，其次排除规则，最后要求命中包含规则
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevEnv } from '../src/devkit/index.js';
+import { normalizeFilterRules, applyFilterRules, storeFilteredItems, getFilteredItems } from '../src/filterRules.js';
+
+function item(id, title, overrides = {}) {
+    return { id, title, source: '财联社', description: `${title}。相关部门发布了最新的统计数据和解读。`, details: {}, ...overrides };
+}
+
+function ids(items) {
+    return items.map(entry => entry.id);
+}
+
+test('normalizeFilterRules 校验规则并为缺少或重复的 id 编号', () => {
+    const rules = normalizeFilterRules([
+        { type: 'include', value: '楼市，房价、限购' },
+        { id: 'r1', type: 'exclude', value: '股市', enabled: false },
+        { id: 'len', type: 'minLength', value: '20' },
+    ], 'finance');
+    assert.deepEqual(rules.map(rule => rule.id), ['r1', 'r2', 'len']);
+    assert.equal(rules[1].enabled, false);
+
+    assert.throws(() => normalizeFilterRules([{ type: 'block', value: 'x' }], 'finance'), /unknown type "block"/);
+    assert.throws(() => normalizeFilterRules([{ type: 'includeRegex', value: '(' }], 'finance'), /invalid regex/);
+    assert.throws(() => normalizeFilterRules([{ type: 'exclude', value: ' , ' }], 'finance'), /at least one keyword/);
+    assert.throws(() => normalizeFilterRules([{ type: 'minLength', value: '-1' }], 'finance'), /non-negative integer/);
+    assert.deepEqual(normalizeFilterRules(undefined, 'finance'), []);
+});
+
+test('没有启用的规则时全部保留', () => {
+    const items = [item('a', '美联储议息')];
+    const rules = normalizeFilterRules([{ type: 'include', value: '楼市', enabled: false }], 'finance');
+    assert.deepEqual(applyFilterRules(items, rules), { kept: items, filtered: [] });
+    assert.equal(items[0].filter, undefined);
+});
+
+test('配置包含规则时至少命中一条才保留，关键词不区分大小写', () => {
+    const rules = normalizeFilterRules([
+        { id: 'kw', type: 'include', value: '楼市,房价' },
+        { id: 'lpr', type: 'includeRegex', value: '\\blpr\\b' },
+    ], 'finance');
+    const { kept, filtered } = applyFilterRules([
+        item('a', '五月楼市成交回暖'),
+        item('b', '五年期以上 LPR 下调10个基点'),
+        item('c', '美联储议息会议维持利率不变'),
+    ], rules);
+    assert.deepEqual(ids(kept), ['a', 'b']);
+    assert.deepEqual(kept[0].filter, { action: 'kept', ruleId: 'kw', ruleType: 'include', label: '包含关键词', matched: '楼市' });
+    assert.equal(kept[1].filter.matched, 'lpr');
+    assert.deepEqual(ids(filtered), ['c']);
+    assert.deepEqual(filtered[0].filter, { action: 'filtered', ruleId: null, ruleType: 'include', label: '未命中任何包含规则', matched: null });
+});
+
+test('排除规则优先于包含规则，最短摘要长度按去掉空白后的字数计算', () => {
+    const rules = normalizeFilterRules([
+        { id: 'inc', type: 'include', value: '楼市' },
+        { id: 'exc', type: 'exclude', value: '股市' },
+        { id: 'rx', type: 'excludeRegex', value: '广告|推广' },
+        { id: 'len', type: 'minLength', value: '10' },
+    ], 'finance');
+    const { kept, filtered } = applyFilterRules([
+        item('a', '楼市与股市联动'),
+        item('b', '楼市推广活动'),
+        item('c', '楼市', { description: '楼 市 快 讯' }),
+        item('d', '楼市回暖'),
+    ], rules);
+    assert.deepEqual(ids(kept), ['d']);
+    assert.deepEqual(filtered.map(entry => [entry.id, entry.filter.ruleId, entry.filter.matched]), [
+        ['a', 'exc', '股市'],
+        ['b', 'rx', '推广'],
+        ['c', 'len', '4 字'],
+    ]);
+});
+
+test('来源白名单命中即保留，跳过排除和包含规则；可按来源名称或 Feed 域名匹配', () => {
+    const rules = normalizeFilterRules([
+        { id: 'allow', type: 'sourceAllow', value: '住建部, example.gov.cn' },
+        { id: 'exc', type: 'exclude', value: '股市' },
+        { id: 'inc', type: 'include', value: '楼市' },
+    ], 'policy');
+    const { kept, filtered } = applyFilterRules([
+        item('a', '股市收评', { source: '住建部' }),
+        item('b', '部门通知', { source: '某政府网站', details: { feed_url: 'https://www.example.gov.cn/rss.xml' } }),
+        item('c', '部门通知', { source: '某网站', details: { feed_url: 'https://notexample.gov.cn/rss.xml' } }),
+    ], rules);
+    assert.deepEqual(ids(kept), ['a', 'b']);
+    assert.deepEqual(kept.map(entry => entry.filter.matched), ['住建部', 'example.gov.cn']);
+    assert.deepEqual(ids(filtered), ['c']);
+});
+
+test('过滤桶按 id 去重合并', async () => {
+    const env = createDevEnv();
+    await storeFilteredItems(env, '2025-06-02', 'finance', [item('a', '美联储议息'), item('b', '原油上涨')]);
+    await storeFilteredItems(env, '2025-06-02', 'finance', [item('b', '原油上涨'), item('c', '黄金走弱')]);
+    await storeFilteredItems(env, '2025-06-02', 'finance', []);
+    assert.deepEqual(ids(await getFilteredItems(env, '2025-06-02', 'finance')), ['a', 'b', 'c']);
+    assert.deepEqual(await getFilteredItems(env, '2025-06-02', 'news'), []);
+});
@@ -0,0 +1,178 @@
+// test/integration.test.mjs
+// 路由级集成测试：通过 createDevKit() 离线调用 index.js 的 fetch / scheduled，RSS 源、模型和 GitHub 均由模拟服务应答
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { createDevKit } from '../src/devkit/index.js';
+import { getFromKV } from '../src/kv.js';
+import { getISODate } from '../src/helpers.js';
+
+const ORIGIN = 'https://worker.test';
+const FEED_URL = 'https://feeds.test/house.xml';
+
+function buildFeed() {
+    const pubDate = new Date().toUTCString();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>房产资讯</title><link>https://feeds.test/</link>
+<item><title>北京优化住房限购政策</title><link>https://feeds.test/beijing</link><guid>beijing-policy</guid><pubDate>${pubDate}</pubDate>
+<description>北京市住建委发布通知，非京籍家庭在五环外购房的社保年限由5年调整为3年，首套住房最低首付比例调整为20%。</description></item>
+<item><title>深圳二手房成交创年内新高</title><link>https://feeds.test/shenzhen</link><guid>shenzhen-resale</guid><pubDate>${pubDate}</pubDate>
+<description>深圳5月二手住宅过户6123套，环比增长8.5%，创年内新高。</description></item>
+</channel></rss>`;
+}
+
+const DIGEST = `### **今日楼市要闻**
+
+1. **北京优化住房限购政策** \`限购松绑\`
+   **北京**非京籍家庭在五环外购房的社保年限由**5年**调整为**3年**，首套住房最低\`首付比例\`调整为**20%**。 [^news:ITEM_1]
+
+2. **深圳二手房成交创年内新高** \`成交量\`
+   **深圳**5月二手住宅过户**6123套**，环比增长**8.5%**，创年内新高。 [^news:ITEM_2]
+`;
+const OVERVIEW = '北京五环外购房社保年限由5年调整为3年\n深圳5月二手住宅过户6123套创年内新高\n首套住房最低首付比例调整为20%';
+
+function createKit() {
+    return createDevKit({
+        vars: { RSS_REALESTATE_NEWS: FEED_URL, RSS_FINANCE_NEWS: '', RSS_POLICY_NEWS: '', RSS_GENERAL_NEWS: '' },
+        routes: {
+            'https://feeds.test': { fetch: async () => new Response(buildFeed(), { headers: { 'Content-Type': 'application/rss+xml' } }) },
+        },
+    });
+}
+
+async function login(kit) {
+    const form = new FormData();
+    form.append('username', 'admin');
+    form.append('password', 'admin');
+    const response = await worker.fetch(new Request(`${ORIGIN}/login`, { method: 'POST', body: form }), kit.env, kit.ctx);
+    const cookie = response.headers.get('Set-Cookie');
+    assert.ok(cookie, 'login should set a session cookie');
+    return cookie.split(';')[0];
+}
+
+function createClient(kit, cookie) {
+    return async (path, init = {}) => {
+        const headers = new Headers(init.headers);
+        if (cookie) headers.set('Cookie', cookie);
+        return await worker.fetch(new Request(`${ORIGIN}${path}`, { ...init, headers, redirect: 'manual' }), kit.env, kit.ctx);
+    };
+}
+
+// 条目 id 由 rss-feed.js 按 guid 生成，应答中的编号在抓取后替换
+async function getStoredNewsIds(kit, dateStr) {
+    const items = (await getFromKV(kit.env.DATA_KV, `${dateStr}-news`)) || [];
+    return Object.fromEntries(items.map(item => [item.url, item.id]));
+}
+
+function withItemIds(text, ids) {
+    return text.replace('ITEM_1', ids['https://feeds.test/beijing']).replace('ITEM_2', ids['https://feeds.test/shenzhen']);
+}
+
+test('未登录访问受保护的页面时跳转到登录页', async () => {
+    const kit = createKit();
+    try {
+        const response = await createClient(kit)('/getContentHtml');
+        assert.equal(response.status, 302);
+        assert.match(response.headers.get('Location'), /\/login\?redirect=%2FgetContentHtml/);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('抓取、生成、提交到 GitHub 并写入 RSS', async () => {
+    const kit = createKit();
+    const dateStr = getISODate();
+    try {
+        const request = createClient(kit, await login(kit));
+
+        // 打开内容页时设定抓取日期，再抓取所有分类
+        assert.equal((await request(`/getContentHtml?date=${dateStr}`)).status, 200);
+        const writeResponse = await request('/writeData', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        const written = await writeResponse.json();
+        assert.equal(written.success, true, written.message);
+        assert.equal(written.newsItemCount, 2);
+
+        const contentPage = await (await request(`/getContentHtml?date=${dateStr}`)).text();
+        assert.ok(contentPage.includes('北京优化住房限购政策'));
+
+        const ids = await getStoredNewsIds(kit, dateStr);
+        kit.chat.script([withItemIds(DIGEST, ids), OVERVIEW]);
+        const genForm = new FormData();
+        genForm.append('date', dateStr);
+        for (const id of Object.values(ids)) genForm.append('selectedItems', `news:${id}`);
+        const genResponse = await request('/genAIContent', { method: 'POST', body: genForm });
+        assert.equal(genResponse.status, 200);
+        const genPage = await genResponse.text();
+        assert.ok(genPage.includes('深圳二手房成交创年内新高'));
+        assert.equal(kit.chat.calls.length, 2);
+
+        const commitForm = new FormData();
+        commitForm.append('date', dateStr);
+        commitForm.append('daily_summary_markdown', `## 楼市洞察日报\n\n${withItemIds(DIGEST, ids)}`);
+        const commitResult = await (await request('/commitToGitHub', { method: 'POST', body: commitForm })).json();
+        assert.equal(commitResult.status, 'success', commitResult.message);
+        assert.deepEqual(commitResult.results.map(result => result.status), ['Success']);
+        assert.ok(kit.github.getFile(`daily/${dateStr}.md`).includes('北京优化住房限购政策'));
+
+        assert.equal((await request(`/writeRssData?date=${dateStr}`)).status, 200);
+        const rss = await (await request('/rss')).text();
+        assert.match(rss, /<rss/);
+        assert.ok(rss.includes('北京优化住房限购政策'));
+    } finally {
+        kit.restore();
+    }
+});
+
+test('POST /pipeline 一次跑完抓取到 RSS，GET /pipeline 返回完成状态', async () => {
+    const kit = createKit();
+    const dateStr = getISODate();
+    try {
+        const request = createClient(kit, await login(kit));
+
+        // 先只跑抓取阶段，拿到条目编号后再设定模型应答
+        const fetched = await (await request('/pipeline', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ date: dateStr, stopAfter: 'fetch' }) })).json();
+        assert.deepEqual(fetched.completedStages, ['fetch']);
+        kit.chat.script([withItemIds(DIGEST, await getStoredNewsIds(kit, dateStr)), OVERVIEW]);
+
+        const response = await request('/pipeline', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ date: dateStr }) });
+        const state = await response.json();
+        assert.equal(response.status, 200, state.error);
+        assert.equal(state.status, 'completed');
+        assert.ok(kit.github.getFile(`daily/${dateStr}.md`).includes('深圳二手房成交创年内新高'));
+
+        const stored = await (await request(`/pipeline?date=${dateStr}`)).json();
+        assert.equal(stored.status, 'completed');
+    } finally {
+        kit.restore();
+    }
+});
+
+test('GET /periodicReport 没有生成过的周报返回 404，参数有误返回 400', async () => {
+    const kit = createKit();
+    try {
+        const request = createClient(kit, await login(kit));
+        assert.equal((await request('/periodicReport?type=weekly&period=2025-W23')).status, 404);
+        assert.equal((await request('/periodicReport?type=daily')).status, 400);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('定时任务：当天流水线出错时仍生成上一期周报', async () => {
+    const kit = createDevKit({
+        // 无效的 PIPELINE_STOP_AFTER 让 runDailyPipeline 直接抛出错误
+        vars: { PIPELINE_STOP_AFTER: 'unknown', PERIODIC_REPORT_SCHEDULE: 'weekly' },
+        github: { files: { 'daily/2025-06-02.md': `## 楼市洞察日报 2025/6/2\n\n### **今日摘要**\n\n\`\`\`\n${OVERVIEW}\n\`\`\`\n\n${DIGEST}` } },
+        chat: { responses: ['### **本周楼市要闻**\n\n1. **北京优化住房限购政策**\n   北京五环外购房社保年限由5年调整为3年。'] },
+    });
+    try {
+        // 2025-06-09 为周一（北京时间），生成 2025-W23 的周报
+        await worker.scheduled({ cron: '0 1 * * *', scheduledTime: Date.parse('2025-06-09T01:00:00Z') }, kit.env, kit.ctx);
+        await kit.ctx.settle();
+        const weekly = kit.github.getFile('weekly/2025-W23.md');
+        assert.ok(weekly, 'weekly report should be committed');
+        assert.ok(weekly.includes('北京优化住房限购政策'));
+    } finally {
+        kit.restore();
+    }
+});
@@ -0,0 +1,73 @@
+// test/llmProviders.test.mjs
+// 分步骤模型设置：LLM_STEP_SETTINGS、对比生成中设为默认的设置和本次生成的临时覆盖依次叠加
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit, MOCK_LLM_ORIGIN } from '../src/devkit/index.js';
+import { getStepSettings, loadStepSettings, promoteStepSettings, getPromotedStepSettings } from '../src/llmProviders.js';
+import { handlePromoteCompareVariant } from '../src/handlers/promptAdmin.js';
+import { generateDailySummary } from '../src/handlers/genAIContent.js';
+
+const LLM_PROVIDERS = JSON.stringify([
+    { name: 'primary', url: MOCK_LLM_ORIGIN, model: 'mock-model' },
+    { name: 'backup', url: MOCK_LLM_ORIGIN, model: 'mock-backup' },
+]);
+
+function createKit() {
+    return createDevKit({
+        vars: { LLM_PROVIDERS, LLM_STEP_SETTINGS: JSON.stringify({ digest: { temperature: 0.7, maxTokens: 4000 }, overview: { model: 'mock-small' } }) },
+    });
+}
+
+function promoteRequest(body) {
+    return new Request('https://worker.test/comparePromote', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('设为默认的设置覆盖 LLM_STEP_SETTINGS，本次生成的临时覆盖优先', async () => {
+    const kit = createKit();
+    try {
+        assert.deepEqual(await getStepSettings(kit.env, 'digest'), { temperature: 0.7, maxTokens: 4000 });
+
+        await promoteStepSettings(kit.env, { digest: { model: 'mock-large', temperature: 0.2 } });
+        await promoteStepSettings(kit.env, { digest: { provider: 'backup' } });
+        assert.deepEqual(await getStepSettings(kit.env, 'digest'), { temperature: 0.2, maxTokens: 4000, model: 'mock-large', provider: 'backup' });
+        assert.deepEqual(await getStepSettings(kit.env, 'digest', { digest: { temperature: 1 } }), { temperature: 1, maxTokens: 4000, model: 'mock-large', provider: 'backup' });
+
+        const stepSettings = await loadStepSettings(kit.env);
+        assert.deepEqual(stepSettings.overview, { model: 'mock-small' });
+        assert.deepEqual(stepSettings.podcast, {});
+    } finally {
+        kit.restore();
+    }
+});
+
+test('POST /comparePromote 保存方案的模型设置，之后的生成使用该模型', async () => {
+    const kit = createKit();
+    kit.chat.script(['### **今日楼市要闻**\n\n1. **深圳二手房成交创年内新高**\n   5月过户6123套。', '深圳二手房成交回暖']);
+    try {
+        const response = await handlePromoteCompareVariant(promoteRequest({ prompts: {}, modelOverrides: { digest: { model: 'mock-large' } } }), kit.env);
+        const result = await response.json();
+        assert.equal(response.status, 200, result.message);
+        assert.deepEqual(result.stepSettings, { digest: { model: 'mock-large' } });
+
+        await generateDailySummary(kit.env, '2025-06-02', ['编号: news:1\n深圳5月二手住宅过户6123套']);
+        assert.deepEqual(kit.chat.calls.map(call => call.model), ['mock-large', 'mock-small']);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('不存在的供应商不保存', async () => {
+    const kit = createKit();
+    try {
+        const response = await handlePromoteCompareVariant(promoteRequest({ modelOverrides: { digest: { provider: 'unknown' } } }), kit.env);
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).message, /Unknown LLM provider "unknown"/);
+        assert.deepEqual(await getPromotedStepSettings(kit.env), { steps: {}, updatedAt: null });
+
+        // 没有模型设置的方案只切换提示词
+        const promptOnly = await (await handlePromoteCompareVariant(promoteRequest({ prompts: {} }), kit.env)).json();
+        assert.equal(promptOnly.stepSettings, null);
+    } finally {
+        kit.restore();
+    }
+});
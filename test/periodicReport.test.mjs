@@ -0,0 +1,49 @@
+// test/periodicReport.test.mjs
+// 定时生成周报：每次运行检查上一期，尚未提交时补上，已提交的不再生成
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit } from '../src/devkit/index.js';
+import { runScheduledPeriodicReports, getPeriodicReport } from '../src/periodicReport.js';
+
+const DAILY = '## 楼市洞察日报 2025/6/2\n\n### **今日楼市要闻**\n\n1. **北京优化住房限购政策**\n   北京五环外购房社保年限由5年调整为3年。';
+const WEEKLY = '### **本周楼市要闻**\n\n1. **北京优化住房限购政策**\n   北京五环外购房社保年限由5年调整为3年。';
+
+function createKit() {
+    return createDevKit({
+        vars: { PERIODIC_REPORT_SCHEDULE: 'weekly' },
+        github: { files: { 'daily/2025-06-02.md': DAILY } },
+    });
+}
+
+test('周一之后的运行仍生成尚未提交的上一期周报，提交后不再重复生成', async () => {
+    const kit = createKit();
+    kit.chat.script([WEEKLY]);
+    try {
+        // 2025-06-11 为周三，上一期为 2025-W23（6/2-6/8）
+        assert.deepEqual(await runScheduledPeriodicReports(kit.env, '2025-06-11'), [{ type: 'weekly', period: '2025-W23', status: 'committed' }]);
+        assert.ok(kit.github.getFile('weekly/2025-W23.md').includes('北京优化住房限购政策'));
+        assert.ok((await getPeriodicReport(kit.env, 'weekly', '2025-W23')).committedAt);
+
+        const [rerun] = await runScheduledPeriodicReports(kit.env, '2025-06-12');
+        assert.equal(rerun.status, 'skipped');
+        assert.equal(kit.chat.calls.length, 1);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('周一生成失败时，第二天的运行重新生成', async () => {
+    const kit = createKit();
+    kit.chat.script([{ status: 400, error: 'invalid request' }, WEEKLY]);
+    try {
+        const [failed] = await runScheduledPeriodicReports(kit.env, '2025-06-09');
+        assert.equal(failed.status, 'failed');
+        assert.equal(kit.github.getFile('weekly/2025-W23.md'), null);
+
+        const [retried] = await runScheduledPeriodicReports(kit.env, '2025-06-10');
+        assert.deepEqual(retried, { type: 'weekly', period: '2025-W23', status: 'committed' });
+        assert.ok(kit.github.getFile('weekly/2025-W23.md'));
+    } finally {
+        kit.restore();
+    }
+});
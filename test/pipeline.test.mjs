@@ -0,0 +1,145 @@
+// test/pipeline.test.mjs
+// 每日流水线：按 PIPELINE_STOP_AFTER 停在指定阶段，失败后从 pipeline:${date} 记录的进度继续，无据内容未经确认时暂停提交
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevKit } from '../src/devkit/index.js';
+import { runDailyPipeline, getPipelineState } from '../src/pipeline.js';
+import { approveVersionFactCheck, getDraftVersion } from '../src/drafts.js';
+import { getFromKV, storeInKV } from '../src/kv.js';
+import { getISODate } from '../src/helpers.js';
+
+const FEED_URL = 'https://feeds.test/house.xml';
+
+function buildFeed() {
+    const pubDate = new Date().toUTCString();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>房产资讯</title><link>https://feeds.test/</link>
+<item><title>北京优化住房限购政策</title><link>https://feeds.test/beijing</link><guid>beijing-policy</guid><pubDate>${pubDate}</pubDate>
+<description>北京市住建委发布通知，非京籍家庭在五环外购房的社保年限由5年调整为3年，首套住房最低首付比例调整为20%。</description></item>
+<item><title>深圳二手房成交创年内新高</title><link>https://feeds.test/shenzhen</link><guid>shenzhen-resale</guid><pubDate>${pubDate}</pubDate>
+<description>深圳5月二手住宅过户6123套，环比增长8.5%，创年内新高。</description></item>
+</channel></rss>`;
+}
+
+function buildDigest(ids, resaleCount = '6123套') {
+    return `### **今日楼市要闻**
+
+1. **北京优化住房限购政策**
+   北京非京籍家庭在五环外购房的社保年限由5年调整为3年，首套住房最低首付比例调整为20%。 [^news:${ids['https://feeds.test/beijing']}]
+
+2. **深圳二手房成交创年内新高**
+   深圳5月二手住宅过户${resaleCount}，环比增长8.5%。 [^news:${ids['https://feeds.test/shenzhen']}]
+`;
+}
+
+const OVERVIEW = '北京五环外购房社保年限由5年调整为3年\n深圳二手房成交创年内新高';
+
+function createKit(vars = {}) {
+    const feedRequests = [];
+    const kit = createDevKit({
+        vars: { RSS_REALESTATE_NEWS: FEED_URL, RSS_FINANCE_NEWS: '', RSS_POLICY_NEWS: '', RSS_GENERAL_NEWS: '', ...vars },
+        routes: {
+            'https://feeds.test': {
+                fetch: async request => {
+                    feedRequests.push(request.url);
+                    return new Response(buildFeed(), { headers: { 'Content-Type': 'application/rss+xml' } });
+                },
+            },
+        },
+    });
+    return { kit, feedRequests };
+}
+
+// 条目 id 由 rss-feed.js 按 guid 生成
+async function getStoredNewsIds(kit, dateStr) {
+    const items = (await getFromKV(kit.env.DATA_KV, `${dateStr}-news`)) || [];
+    return Object.fromEntries(items.map(item => [item.url, item.id]));
+}
+
+test('PIPELINE_STOP_AFTER 指定最后运行的阶段，stopAfter 参数优先', async () => {
+    const { kit, feedRequests } = createKit({ PIPELINE_STOP_AFTER: 'select' });
+    const dateStr = getISODate();
+    try {
+        const state = await runDailyPipeline(kit.env, { date: dateStr });
+        assert.equal(state.status, 'paused');
+        assert.deepEqual(state.completedStages, ['fetch', 'select']);
+        assert.equal(state.results.fetch.itemCounts.news, 2);
+        assert.equal(state.results.select.selectedItems.length, 2);
+        assert.equal(kit.chat.calls.length, 0);
+        assert.deepEqual(await getPipelineState(kit.env, dateStr), state);
+
+        // 已完成的阶段不再运行
+        const rerun = await runDailyPipeline(kit.env, { date: dateStr, stopAfter: 'fetch' });
+        assert.equal(rerun.status, 'paused');
+        assert.equal(feedRequests.length, 1);
+
+        await assert.rejects(runDailyPipeline(kit.env, { date: dateStr, stopAfter: 'publish' }), /Unknown pipeline stage: publish/);
+        assert.equal(kit.github.getFile(`daily/${dateStr}.md`), null);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('阶段失败后再次运行时从记录的进度继续，restart 从头开始', async () => {
+    const { kit, feedRequests } = createKit();
+    const dateStr = getISODate();
+    kit.chat.script([{ status: 400, error: 'invalid request' }]);
+    try {
+        const failed = await runDailyPipeline(kit.env, { date: dateStr });
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.error.stage, 'generate');
+        assert.deepEqual(failed.completedStages, ['fetch', 'select']);
+        assert.equal((await getPipelineState(kit.env, dateStr)).status, 'failed');
+
+        kit.chat.script([buildDigest(await getStoredNewsIds(kit, dateStr)), OVERVIEW]);
+        const resumed = await runDailyPipeline(kit.env, { date: dateStr });
+        assert.equal(resumed.status, 'completed', resumed.error && resumed.error.message);
+        assert.equal(resumed.error, null);
+        assert.deepEqual(resumed.completedStages, ['fetch', 'select', 'generate', 'commit', 'rss']);
+        assert.equal(feedRequests.length, 1);
+        assert.ok(kit.github.getFile(`daily/${dateStr}.md`).includes('深圳二手房成交创年内新高'));
+
+        const restarted = await runDailyPipeline(kit.env, { date: dateStr, stopAfter: 'fetch', restart: true });
+        assert.deepEqual(restarted.completedStages, ['fetch']);
+        assert.equal(feedRequests.length, 2);
+    } finally {
+        kit.restore();
+    }
+});
+
+test('存在无据内容时暂停提交，确认后编辑过正文仍需重新确认', async () => {
+    const { kit } = createKit({ PIPELINE_STOP_AFTER: 'fetch' });
+    const dateStr = getISODate();
+    try {
+        await runDailyPipeline(kit.env, { date: dateStr });
+        // 原文为 6123 套
+        kit.chat.script([buildDigest(await getStoredNewsIds(kit, dateStr), '6500套'), OVERVIEW]);
+
+        const blocked = await runDailyPipeline(kit.env, { date: dateStr, stopAfter: 'rss' });
+        assert.equal(blocked.status, 'awaiting_approval');
+        assert.equal(blocked.error.stage, 'commit');
+        assert.match(blocked.error.message, /事实核查发现 1 处内容在原文中找不到/);
+        assert.equal(kit.github.getFile(`daily/${dateStr}.md`), null);
+
+        // 确认之后编辑改动了版本正文：确认针对的不是要发布的内容
+        const { versionId } = blocked.results.generate;
+        await approveVersionFactCheck(kit.env, dateStr, versionId, 'editor');
+        const versionKey = `draft-version:${dateStr}:${versionId}`;
+        const version = await getDraftVersion(kit.env, dateStr, versionId);
+        const edited = version.content.replace('6500套', '6600套');
+        await storeInKV(kit.env.DATA_KV, versionKey, { ...version, content: edited });
+
+        const stillBlocked = await runDailyPipeline(kit.env, { date: dateStr, stopAfter: 'rss' });
+        assert.equal(stillBlocked.status, 'awaiting_approval');
+        assert.deepEqual(stillBlocked.completedStages, ['fetch', 'select', 'generate']);
+        assert.equal(kit.chat.calls.length, 2);
+
+        await approveVersionFactCheck(kit.env, dateStr, versionId, 'editor');
+        const published = await runDailyPipeline(kit.env, { date: dateStr, stopAfter: 'rss' });
+        assert.equal(published.status, 'completed', published.error && published.error.message);
+        assert.ok(kit.github.getFile(`daily/${dateStr}.md`).includes('6600套'));
+        assert.ok((await getDraftVersion(kit.env, dateStr, versionId)).publishedAt);
+    } finally {
+        kit.restore();
+    }
+});
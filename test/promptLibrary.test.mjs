@@ -0,0 +1,32 @@
+// test/promptLibrary.test.mjs
+// 提示词库：模板只能引用 PROMPT_VARIABLES 中的变量，密钥不能被渲染进提示词
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevEnv } from '../src/devkit/index.js';
+import { savePromptVersion, getPrompt, getPromptRecord, renderPromptTemplate } from '../src/promptLibrary.js';
+
+test('保存引用 {{GITHUB_TOKEN}} 的提示词失败，不产生新版本', async () => {
+    const env = createDevEnv();
+    await assert.rejects(
+        savePromptVersion(env, 'summarization', { template: '请总结以下内容。{{GITHUB_TOKEN}}' }),
+        /not allowed: GITHUB_TOKEN/,
+    );
+    await assert.rejects(
+        savePromptVersion(env, 'overview', { template: '{{ LOGIN_PASSWORD }} {{OPENAI_API_KEY}}' }),
+        /not allowed: LOGIN_PASSWORD, OPENAI_API_KEY/,
+    );
+    assert.deepEqual((await getPromptRecord(env, 'summarization')).versions, []);
+});
+
+test('允许的变量按当前配置渲染', async () => {
+    const env = createDevEnv();
+    await savePromptVersion(env, 'podcast', { template: '{{PODCAST_BEGIN}}，这里是{{DAILY_TITLE}}。{{PODCAST_END}}' });
+    const prompt = await getPrompt(env, 'podcast');
+    assert.equal(prompt.version, 1);
+    assert.equal(prompt.text, '大家好，这里是楼市洞察日报。感谢收听');
+});
+
+test('渲染时不替换允许列表以外的变量', () => {
+    const env = createDevEnv();
+    assert.equal(renderPromptTemplate('{{GITHUB_TOKEN}}|{{DAILY_TITLE}}', env), '{{GITHUB_TOKEN}}|楼市洞察日报');
+});
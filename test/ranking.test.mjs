@@ -0,0 +1,117 @@
+// test/ranking.test.mjs
+// 资讯评分与选稿：关键词、时效、多源报道、来源权重，参考时间固定
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankAllData, selectTopItems, getRankingReferenceTime } from '../src/ranking.js';
+
+// 2025-06-02 12:00（北京时间）
+const NOW = new Date('2025-06-02T12:00:00+08:00');
+
+function hoursBefore(hours) {
+    return new Date(NOW.getTime() - hours * 3600000).toISOString();
+}
+
+function item(overrides) {
+    return { id: overrides.title, type: 'news', source: '财联社', description: '', published_date: hoursBefore(0), ...overrides };
+}
+
+test('关键词：标题命中双倍计分，正文命中单倍，总分封顶 30', () => {
+    const ranked = rankAllData({
+        news: [
+            item({ title: '北京限购松绑', description: '首付比例下调', published_date: null }),
+            item({ title: '限购限贷限售房贷利率首付保交楼土拍', published_date: null }),
+        ],
+    }, {}, NOW);
+    const [capped, single] = ranked.news;
+    assert.equal(single.ranking.score, 9);
+    assert.equal(single.ranking.reasons[0], '关键词 +9: 限购(标题)、首付');
+    assert.equal(capped.ranking.score, 30);
+});
+
+test('时效：按 12 小时半衰期衰减，没有发布时间不计分', () => {
+    const ranked = rankAllData({
+        news: [
+            item({ title: '周末看房', published_date: hoursBefore(0) }),
+            item({ title: '周末看房攻略', published_date: hoursBefore(12) }),
+            item({ title: '周末看房指南', published_date: hoursBefore(24) }),
+            item({ title: '周末看房须知', published_date: 'not a date' }),
+        ],
+    }, {}, NOW);
+    assert.deepEqual(ranked.news.map(entry => entry.ranking.score), [10, 5, 2.5, 0]);
+    assert.equal(ranked.news[1].ranking.reasons[1], '时效 +5.0 (12 小时前)');
+    assert.equal(ranked.news[3].ranking.reasons.length, 1);
+});
+
+test('多源报道：相似标题和聚类的 alternates 每个来源 +5，封顶 15', () => {
+    const title = '深圳二手房成交创年内新高';
+    const ranked = rankAllData({
+        news: [
+            item({ title, source: '财联社', published_date: null }),
+            item({ title: `${title}！`, id: 'b', source: '澎湃', published_date: null }),
+            item({ title: `${title}。`, id: 'c', source: '华尔街见闻', published_date: null }),
+            item({ title: '周末看房', id: 'd', source: '新浪', published_date: null }),
+        ],
+        policy: [
+            item({ title: '住建部发布通知', type: 'policy', source: '住建部', published_date: null, alternates: ['A', 'B', 'C', 'D'].map(source => ({ source })) }),
+        ],
+    }, {}, NOW);
+    // 二手房、成交各在标题命中 (+4 +4)，另两个来源报道 (+10)
+    assert.deepEqual(ranked.news.slice(0, 3).map(entry => entry.ranking.score), [18, 18, 18]);
+    assert.match(ranked.news[0].ranking.reasons.at(-1), /^多源报道 \+10: /);
+    assert.equal(ranked.news[3].ranking.score, 0);
+    // 住建 +4，四个其他来源封顶 +15，政策分类权重 ×1.2
+    assert.equal(ranked.policy[0].ranking.score, 22.8);
+});
+
+test('同一来源的相似标题不算多源报道', () => {
+    const ranked = rankAllData({
+        news: [
+            item({ title: '周末看房', published_date: null }),
+            item({ title: '周末看房！', id: 'b', published_date: null }),
+        ],
+    }, {}, NOW);
+    assert.deepEqual(ranked.news.map(entry => entry.ranking.score), [0, 0]);
+});
+
+test('来源权重：分类权重乘以 Feed 权重，RANKING_SOURCE_WEIGHTS 按来源名称覆盖', () => {
+    const entry = { title: '北京限购松绑', description: '首付比例下调', published_date: null };
+    const ranked = rankAllData({
+        news: [item({ ...entry, details: { feed_weight: 0.5 } })],
+        policy: [item({ ...entry, type: 'policy', source: '住建部' })],
+        finance: [item({ ...entry, type: 'finance', source: '华尔街见闻' })],
+    }, { RANKING_SOURCE_WEIGHTS: '华尔街见闻:2' }, NOW);
+    // 各分类同一条资讯都视为被其他两个来源报道 (+10)
+    assert.equal(ranked.news[0].ranking.score, 9.5);
+    assert.equal(ranked.policy[0].ranking.score, 22.8);
+    assert.equal(ranked.finance[0].ranking.score, 38);
+    assert.ok(ranked.news[0].ranking.reasons.includes('来源权重 ×0.5'));
+});
+
+test('selectTopItems 按分类取前 N 条，低于 RANKING_MIN_SCORE 的不选', () => {
+    const allData = {
+        news: [
+            item({ title: '周末看房', id: 'n1', published_date: null }),
+            item({ title: '北京限购松绑', id: 'n2', published_date: null }),
+            item({ title: '上海房价企稳', id: 'n3', source: '澎湃', published_date: null }),
+        ],
+        policy: [item({ title: '公积金新规', id: 'p1', type: 'policy', source: '住建部', published_date: null })],
+    };
+    assert.deepEqual(selectTopItems(allData, { RANKING_TOP_N: '1' }, NOW), ['news:n2', 'policy:p1']);
+    assert.deepEqual(selectTopItems(allData, { RANKING_TOP_N: '2', RANKING_MIN_SCORE: '5' }, NOW), ['news:n2', 'news:n3']);
+});
+
+test('getRankingReferenceTime：过去的日期取当天结束（北京时间），当天取当前时间', () => {
+    assert.equal(getRankingReferenceTime('2025-06-01', NOW).toISOString(), '2025-06-01T15:59:59.999Z');
+    assert.equal(getRankingReferenceTime('2025-06-02', NOW), NOW);
+    assert.equal(getRankingReferenceTime('2025-06-03', NOW), NOW);
+    assert.equal(getRankingReferenceTime('not a date', NOW), NOW);
+});
+
+test('重新评分过去某天的资讯时，时效按当天结束计算', () => {
+    const allData = { news: [item({ title: '周末看房', published_date: '2025-06-01T20:00:00+08:00' })] };
+    const [onDay] = rankAllData(allData, {}, getRankingReferenceTime('2025-06-01', NOW)).news;
+    const [byWallClock] = rankAllData(allData, {}, NOW).news;
+    // 当天结束时 4 小时前发布，按查看时间则是 16 小时前
+    assert.equal(onDay.ranking.score, 7.9);
+    assert.equal(byWallClock.ranking.score, 4);
+});
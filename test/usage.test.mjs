@@ -0,0 +1,67 @@
+// test/usage.test.mjs
+// 模型调用用量：并发记录不丢失，本月费用达到 LLM_MONTHLY_BUDGET 后拒绝新的调用
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDevEnv, createDevKit } from '../src/devkit/index.js';
+import { recordUsage, getMonthlyUsage, getUsageMonth, assertWithinBudget, summarizeUsage, getPriceTable } from '../src/usage.js';
+import { callChatAPI } from '../src/chatapi.js';
+
+// 每百万 tokens 输入 2 元、输出 8 元
+const LLM_PRICES = JSON.stringify({ 'mock-model': { input: 2, output: 8 } });
+
+function usageEntry(overrides = {}) {
+    return { step: 'digest', provider: 'OPEN', model: 'mock-model', promptTokens: 100000, completionTokens: 50000, latencyMs: 1200, error: null, ...overrides };
+}
+
+test('并发记录的调用全部保留，按时间排列', async () => {
+    const env = createDevEnv();
+    await Promise.all(Array.from({ length: 20 }, (_, index) => recordUsage(env, usageEntry({ latencyMs: index }))));
+
+    const entries = await getMonthlyUsage(env, getUsageMonth());
+    assert.equal(entries.length, 20);
+    assert.deepEqual(entries.map(entry => entry.at), entries.map(entry => entry.at).sort());
+    assert.deepEqual(entries.map(entry => entry.latencyMs).sort((a, b) => a - b), Array.from({ length: 20 }, (_, index) => index));
+});
+
+test('旧版本按月数组保存的记录一并读出', async () => {
+    const env = createDevEnv();
+    const month = getUsageMonth();
+    await env.DATA_KV.put(`usage:${month}`, JSON.stringify([{ at: '2000-01-01T00:00:00.000Z', date: `${month}-01`, ...usageEntry() }]));
+    await recordUsage(env, usageEntry());
+
+    const entries = await getMonthlyUsage(env, month);
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].at, '2000-01-01T00:00:00.000Z');
+});
+
+test('费用按价格表计算：每次调用 0.2 + 0.4 元', () => {
+    const { totals, byStep } = summarizeUsage([usageEntry(), usageEntry({ step: 'overview' }), usageEntry({ model: 'unpriced' })], getPriceTable({ LLM_PRICES }));
+    assert.equal(totals.calls, 3);
+    assert.equal(totals.unpricedCalls, 1);
+    assert.ok(Math.abs(totals.cost - 1.2) < 1e-9);
+    assert.deepEqual(byStep.map(group => group.key), ['digest', 'overview']);
+});
+
+test('本月费用未达到预算时放行，达到后拒绝', async () => {
+    const env = createDevEnv({ vars: { LLM_PRICES, LLM_MONTHLY_BUDGET: '1' } });
+    await assertWithinBudget(env);
+
+    // 并发记录的两次调用都要计入：0.6 + 0.6 >= 1
+    await Promise.all([recordUsage(env, usageEntry()), recordUsage(env, usageEntry())]);
+    await assert.rejects(assertWithinBudget(env), error => {
+        assert.equal(error.budgetExceeded, true);
+        assert.match(error.message, /1\.20 已达到预算上限 1/);
+        return true;
+    });
+});
+
+test('超出预算时 callChatAPI 不再请求模型服务', async () => {
+    const kit = createDevKit({ vars: { LLM_PRICES, LLM_MONTHLY_BUDGET: '0.5' } });
+    try {
+        await recordUsage(kit.env, usageEntry());
+        await assert.rejects(callChatAPI(kit.env, '总结今日楼市'), /LLM_MONTHLY_BUDGET/);
+        assert.equal(kit.chat.calls.length, 0);
+    } finally {
+        kit.restore();
+    }
+});